@@ -0,0 +1,68 @@
+// Service worker for offline use and installing WebVrm as an app.
+//
+// Registered as sw.js?build=<id> (see src/main.jsx); each build gets its own
+// cache, filled on install from precache-manifest.json (see vite.config.js).
+// Pages are network-first so a new deploy shows up when online; everything
+// else same-origin is cache-first, since bundles are content-hashed and the
+// tracking runtime and models are version-pinned.
+
+const BUILD = new URL(self.location.href).searchParams.get('build') || 'dev';
+const CACHE_NAME = `webvrm-${BUILD}`;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    const response = await fetch('precache-manifest.json', { cache: 'no-store' });
+    const { shell, tracking } = await response.json();
+    await cache.addAll(shell);
+    // Missing tracking files (fetch-assets not run) shouldn't block the app shell
+    await Promise.all(tracking.map((file) => cache.add(file).catch(() => {
+      console.warn(`[sw] not cached: ${file}`);
+    })));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter((name) => name.startsWith('webvrm-') && name !== CACHE_NAME)
+      .map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+// Every route (/, /output) is the same single-page app
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put('index.html', response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match('index.html');
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
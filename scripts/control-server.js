@@ -0,0 +1,233 @@
+// Local remote-control server for WebVrm. The browser can't listen for
+// connections, so the app and its controllers (Stream Deck plugins, chat
+// bots, ...) both connect here:
+//
+//   npm run control-server -- --port 39570 --token <secret>
+//
+// Only connections from this machine are accepted; --host 0.0.0.0 (or an
+// interface address) opts in to controllers elsewhere on the network.
+//
+// The app connects to ws://localhost:39570/app, controllers to
+// ws://localhost:39570/. Both must pass the token, as ?token=<secret> or an
+// "Authorization: Bearer <secret>" header. Controllers send JSON-RPC 2.0
+// requests, which are forwarded to the app; responses come back to the
+// caller and app notifications (events) go to every controller.
+import { randomBytes, timingSafeEqual } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+export const DEFAULT_CONTROL_PORT = 39570;
+export const DEFAULT_CONTROL_HOST = '127.0.0.1';
+export const APP_PATH = '/app';
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const APP_NOT_CONNECTED = -32001;
+const REQUEST_TIMEOUT = -32002;
+
+// How long a request may wait for the app (ms)
+const RESPONSE_TIMEOUT = 10000;
+
+// Resolves with { close } once the server is listening
+export const startControlServer = ({ host = DEFAULT_CONTROL_HOST, port = DEFAULT_CONTROL_PORT, token, log = () => {} }) => {
+  if (!token) throw new Error('A token is required');
+  const clients = new Set();
+  const pending = new Map();
+  let app = null;
+  let nextId = 1;
+
+  const wss = new WebSocketServer({
+    host,
+    port,
+    verifyClient: ({ req }, done) => {
+      if (isAuthorized(req, token)) {
+        done(true);
+      } else {
+        log(`rejected connection from ${req.socket.remoteAddress}`);
+        done(false, 401, 'Unauthorized');
+      }
+    },
+  });
+
+  const notifyClientCount = () => {
+    send(app, { jsonrpc: '2.0', method: 'server.clients', params: { count: clients.size } });
+  };
+
+  const failPending = (filter, code, message) => {
+    pending.forEach((request, id) => {
+      if (!filter(request)) return;
+      clearTimeout(request.timer);
+      pending.delete(id);
+      send(request.socket, errorResponse(request.id, code, message));
+    });
+  };
+
+  const handleAppConnection = (socket) => {
+    // A newer app window takes over
+    if (app) app.close(4000, 'Replaced by another app connection');
+    app = socket;
+    log('app connected');
+    notifyClientCount();
+
+    socket.on('message', (data) => {
+      const message = parseJson(data);
+      if (!message || typeof message !== 'object') return;
+      if (message.method) {
+        // Events from the app go to every controller
+        clients.forEach((client) => send(client, message));
+        return;
+      }
+      const request = pending.get(message.id);
+      if (!request) return;
+      clearTimeout(request.timer);
+      pending.delete(message.id);
+      send(request.socket, { ...message, id: request.id });
+    });
+
+    socket.on('close', () => {
+      if (app !== socket) return;
+      app = null;
+      log('app disconnected');
+      failPending(() => true, APP_NOT_CONNECTED, 'WebVrm is not connected');
+    });
+  };
+
+  const handleClientConnection = (socket) => {
+    clients.add(socket);
+    log(`controller connected (${clients.size})`);
+    notifyClientCount();
+
+    socket.on('message', (data) => {
+      const message = parseJson(data);
+      if (message === undefined) {
+        send(socket, errorResponse(null, PARSE_ERROR, 'Parse error'));
+        return;
+      }
+      if (!isRequest(message)) {
+        send(socket, errorResponse(message && message.id !== undefined ? message.id : null, INVALID_REQUEST, 'Invalid request'));
+        return;
+      }
+      const isNotification = message.id === undefined;
+      if (!app) {
+        if (!isNotification) send(socket, errorResponse(message.id, APP_NOT_CONNECTED, 'WebVrm is not connected'));
+        return;
+      }
+      if (isNotification) {
+        send(app, message);
+        return;
+      }
+      const id = nextId++;
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        send(socket, errorResponse(message.id, REQUEST_TIMEOUT, 'WebVrm did not respond'));
+      }, RESPONSE_TIMEOUT);
+      pending.set(id, { socket, id: message.id, timer });
+      send(app, { ...message, id });
+    });
+
+    socket.on('close', () => {
+      clients.delete(socket);
+      log(`controller disconnected (${clients.size})`);
+      pending.forEach((request, id) => {
+        if (request.socket !== socket) return;
+        clearTimeout(request.timer);
+        pending.delete(id);
+      });
+      notifyClientCount();
+    });
+  };
+
+  wss.on('connection', (socket, req) => {
+    const { pathname } = new URL(req.url, 'ws://localhost');
+    if (pathname === APP_PATH) {
+      handleAppConnection(socket);
+    } else {
+      handleClientConnection(socket);
+    }
+  });
+
+  const close = () => new Promise((resolve) => {
+    pending.forEach((request) => clearTimeout(request.timer));
+    pending.clear();
+    wss.clients.forEach((socket) => socket.terminate());
+    wss.close(() => resolve());
+  });
+
+  return new Promise((resolve, reject) => {
+    wss.once('listening', () => resolve({ close }));
+    wss.once('error', reject);
+  });
+};
+
+function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || host.startsWith('127.');
+}
+
+function isAuthorized(req, token) {
+  const { searchParams } = new URL(req.url, 'ws://localhost');
+  const header = req.headers.authorization || '';
+  const given = searchParams.get('token') || (header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(given);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+function isRequest(message) {
+  return message !== null
+    && typeof message === 'object'
+    && !Array.isArray(message)
+    && message.jsonrpc === '2.0'
+    && typeof message.method === 'string'
+    && !message.method.startsWith('rpc.');
+}
+
+// undefined when the data isn't JSON
+function parseJson(data) {
+  try {
+    return JSON.parse(data.toString());
+  } catch {
+    return undefined;
+  }
+}
+
+function errorResponse(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+function send(socket, message) {
+  if (socket && socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (argv[i + 1] === undefined) throw new Error(`Missing value for ${argv[i]}`);
+    if (argv[i] === '--port') options.port = parseInt(argv[i + 1], 10);
+    else if (argv[i] === '--host') options.host = argv[i + 1];
+    else if (argv[i] === '--token') options.token = argv[i + 1];
+    else throw new Error(`Unknown option: ${argv[i]}`);
+  }
+  return options;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const options = parseArgs(process.argv.slice(2));
+  const port = options.port || DEFAULT_CONTROL_PORT;
+  const host = options.host || DEFAULT_CONTROL_HOST;
+  // Without a token, make one up for this session
+  const token = options.token || process.env.WEBVRM_CONTROL_TOKEN || randomBytes(16).toString('hex');
+  startControlServer({ host, port, token, log: (message) => console.log(`[control] ${message}`) })
+    .then(({ close }) => {
+      console.log(`[control] listening on ws://${host}:${port} (app: ws://${host}:${port}${APP_PATH})`);
+      if (!isLoopback(host)) {
+        console.warn('[control] Warning: reachable from the network; anyone who learns the token can control the app');
+      }
+      console.log(`[control] token: ${token}`);
+      process.on('SIGINT', () => close().then(() => process.exit(0)));
+    })
+    .catch((error) => {
+      console.error(`[control] ${error.message}`);
+      process.exit(1);
+    });
+}
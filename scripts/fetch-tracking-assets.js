@@ -0,0 +1,118 @@
+// Puts the MediaPipe runtime and the pinned tracking models into
+// public/mediapipe so the app serves them itself instead of loading them
+// from a CDN at runtime.
+//
+//   npm run fetch-assets               copy the WASM runtime, download missing models
+//   npm run fetch-assets -- --force    download every model again
+//   npm run fetch-assets -- --optional warn instead of failing (the dev/build pre-hooks)
+//
+// The WASM comes from the installed @mediapipe/tasks-vision, so it always
+// matches the JS API bundled into the app. Models are checked against the
+// sha256 recorded in src/utils/trackingModels.js; ones already on disk with
+// the right digest are kept. A model without a pinned sha256 is an error
+// (only a warning with --optional), and the error reports the digest of what
+// was downloaded so it can be pinned. Behind a proxy that blocks the
+// download, place the listed files into public/mediapipe/models by hand.
+import { createHash } from 'node:crypto';
+import { copyFile, mkdir, readFile, rename, stat, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  TRACKING_ASSET_DIR,
+  TRACKING_MODEL_FILES,
+  VISION_WASM_DIR,
+  VISION_WASM_FILES,
+} from '../src/utils/trackingModels.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PUBLIC_DIR = path.join(ROOT, 'public');
+
+export const fetchTrackingAssets = async ({ force = false, optional = false, log = () => {}, warn = log } = {}) => {
+  // The package's exports hide package.json, so go through its entry point
+  const packageDir = path.dirname(createRequire(import.meta.url).resolve('@mediapipe/tasks-vision'));
+  const { version } = JSON.parse(await readFile(path.join(packageDir, 'package.json'), 'utf8'));
+
+  const wasmDir = path.join(PUBLIC_DIR, VISION_WASM_DIR);
+  await mkdir(wasmDir, { recursive: true });
+  await Promise.all(VISION_WASM_FILES.map((file) => copyFile(path.join(packageDir, 'wasm', file), path.join(wasmDir, file))));
+  log(`WASM runtime ${version} -> ${path.relative(ROOT, wasmDir)}`);
+
+  const modelDir = path.join(PUBLIC_DIR, TRACKING_ASSET_DIR, 'models');
+  await mkdir(modelDir, { recursive: true });
+  for (const model of Object.values(TRACKING_MODEL_FILES)) {
+    await fetchModel(model, modelDir, { force, optional, log, warn });
+  }
+};
+
+// Puts one model into modelDir, keeping a copy already there when it has
+// the pinned sha256. Rejects without writing anything when the download
+// doesn't match, or isn't pinned and `optional` is off.
+export const fetchModel = async ({ file, url, sha256 }, modelDir, { force = false, optional = false, log = () => {}, warn = log, fetch: fetchFile = fetch } = {}) => {
+  const target = path.join(modelDir, file);
+  if (!force && await exists(target)) {
+    const actual = digest(await readFile(target));
+    if (actual === sha256) {
+      log(`${file} (already present)`);
+      return;
+    }
+    if (!sha256 && optional) {
+      warn(`Warning: ${file} is not pinned, keeping the present file unverified (sha256 ${actual})`);
+      return;
+    }
+    if (sha256) log(`${file} does not match its sha256, downloading again`);
+  }
+
+  log(`${file} <- ${url}`);
+  const response = await fetchFile(url);
+  if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+  const data = Buffer.from(await response.arrayBuffer());
+  const actual = digest(data);
+  if (!sha256) {
+    if (!optional) throw new Error(`${file} has no pinned sha256 (downloaded sha256 ${actual}); pin it in src/utils/trackingModels.js`);
+    warn(`Warning: ${file} is not pinned, using it unverified (sha256 ${actual})`);
+  } else if (actual !== sha256) {
+    throw new Error(`${url}: sha256 ${actual} does not match the pinned ${sha256}`);
+  }
+  // Write to a temporary name first so an interrupted download never looks complete
+  const partial = `${target}.partial`;
+  await writeFile(partial, data);
+  await rename(partial, target);
+  log(`${file} sha256 ${actual}${sha256 ? ' (verified)' : ''}`);
+};
+
+function digest(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+async function exists(file) {
+  try {
+    return (await stat(file)).size > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const unknown = args.find((arg) => arg !== '--force' && arg !== '--optional');
+  if (unknown) {
+    console.error(`[fetch-assets] Unknown option: ${unknown}`);
+    process.exit(1);
+  }
+  // Offline or behind a proxy, dev and build still run; tracking just won't
+  // start until the models are in place
+  const optional = args.includes('--optional');
+  fetchTrackingAssets({
+    force: args.includes('--force'),
+    optional,
+    log: (message) => console.log(`[fetch-assets] ${message}`),
+    warn: (message) => console.warn(`[fetch-assets] ${message}`),
+  })
+    .catch((error) => {
+      const report = optional ? console.warn : console.error;
+      report(`[fetch-assets] ${optional ? 'Warning: ' : ''}${error.message}`);
+      report('[fetch-assets] Download the models manually into public/mediapipe/models (see src/utils/trackingModels.js)');
+      if (!optional) process.exit(1);
+    });
+}
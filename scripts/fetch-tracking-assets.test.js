@@ -0,0 +1,65 @@
+import { createHash } from 'node:crypto';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { fetchModel } from './fetch-tracking-assets.js';
+
+const MODEL_DATA = Buffer.from('pretend model weights');
+const OTHER_DATA = Buffer.from('something else');
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+const model = (pinned) => ({ file: 'model.task', url: 'https://models.test/model.task', sha256: pinned });
+const serve = (data) => vi.fn(async () => new Response(data));
+
+describe('fetchModel', () => {
+  let dir;
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'fetch-assets-'));
+  });
+  afterEach(() => rm(dir, { recursive: true, force: true }));
+
+  it('writes a download that matches the pinned sha256', async () => {
+    await fetchModel(model(sha256(MODEL_DATA)), dir, { fetch: serve(MODEL_DATA) });
+    expect(await readFile(path.join(dir, 'model.task'))).toEqual(MODEL_DATA);
+  });
+
+  it('rejects a mismatched download without writing anything', async () => {
+    await expect(fetchModel(model(sha256(MODEL_DATA)), dir, { fetch: serve(OTHER_DATA) }))
+      .rejects.toThrow(`sha256 ${sha256(OTHER_DATA)} does not match`);
+    expect(await readdir(dir)).toEqual([]);
+  });
+
+  it('downloads again over a present file that does not match', async () => {
+    await writeFile(path.join(dir, 'model.task'), OTHER_DATA);
+    const fetch = serve(MODEL_DATA);
+    await fetchModel(model(sha256(MODEL_DATA)), dir, { fetch });
+    expect(fetch).toHaveBeenCalledOnce();
+    expect(await readFile(path.join(dir, 'model.task'))).toEqual(MODEL_DATA);
+  });
+
+  it('keeps a present file that matches', async () => {
+    await writeFile(path.join(dir, 'model.task'), MODEL_DATA);
+    const fetch = serve(MODEL_DATA);
+    await fetchModel(model(sha256(MODEL_DATA)), dir, { fetch });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('fails on an unpinned model, reporting the downloaded digest', async () => {
+    await expect(fetchModel(model(null), dir, { fetch: serve(MODEL_DATA) }))
+      .rejects.toThrow(`no pinned sha256 (downloaded sha256 ${sha256(MODEL_DATA)})`);
+    expect(await readdir(dir)).toEqual([]);
+  });
+
+  it('only warns about an unpinned model when optional', async () => {
+    const warn = vi.fn();
+    await fetchModel(model(null), dir, { optional: true, warn, fetch: serve(MODEL_DATA) });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('not pinned'));
+    expect(await readFile(path.join(dir, 'model.task'))).toEqual(MODEL_DATA);
+  });
+
+  it('rejects a failed request', async () => {
+    const fetch = vi.fn(async () => new Response('', { status: 404 }));
+    await expect(fetchModel(model(sha256(MODEL_DATA)), dir, { fetch })).rejects.toThrow('HTTP 404');
+  });
+});
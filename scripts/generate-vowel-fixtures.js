@@ -0,0 +1,73 @@
+// Writes the synthetic vowel recordings the lip sync tests run on
+// (src/utils/__fixtures__/vowels/<viseme>.wav): a 140 Hz glottal pulse train
+// through two formant resonators, 0.25 s of 16 kHz 16-bit mono each.
+//
+//   node scripts/generate-vowel-fixtures.js
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const OUT_DIR = join(dirname(fileURLToPath(import.meta.url)), '../src/utils/__fixtures__/vowels');
+const SAMPLE_RATE = 16000;
+const DURATION = 0.25;
+const PITCH = 140;
+const PEAK = 0.5;
+
+// First and second formants (Hz) with bandwidths, from measurements of a male
+// Japanese speaker rather than the analyzer's own table
+const VOWELS = {
+  aa: [[750, 90], [1150, 110]],
+  ih: [[300, 60], [2250, 150]],
+  ou: [[350, 70], [1350, 110]],
+  ee: [[480, 80], [1850, 130]],
+  oh: [[480, 80], [850, 100]],
+};
+
+mkdirSync(OUT_DIR, { recursive: true });
+Object.entries(VOWELS).forEach(([viseme, formants]) => {
+  const samples = synthesize(formants);
+  writeFileSync(join(OUT_DIR, `${viseme}.wav`), encodeWav(samples));
+  console.log(`${viseme}.wav: ${samples.length} samples`);
+});
+
+function synthesize(formants) {
+  const length = Math.round(SAMPLE_RATE * DURATION);
+  const period = SAMPLE_RATE / PITCH;
+  let signal = Float64Array.from({ length }, (_, i) => (i % period < 1 ? 1 : 0));
+  formants.forEach(([frequency, bandwidth]) => {
+    signal = resonate(signal, frequency, bandwidth);
+  });
+  const peak = signal.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+  return signal.map((value) => (value / peak) * PEAK);
+}
+
+// Two-pole resonator (Klatt)
+function resonate(input, frequency, bandwidth) {
+  const c = -Math.exp((-2 * Math.PI * bandwidth) / SAMPLE_RATE);
+  const b = 2 * Math.exp((-Math.PI * bandwidth) / SAMPLE_RATE) * Math.cos((2 * Math.PI * frequency) / SAMPLE_RATE);
+  const a = 1 - b - c;
+  const output = new Float64Array(input.length);
+  for (let i = 0; i < input.length; i++) {
+    output[i] = a * input[i] + b * (output[i - 1] || 0) + c * (output[i - 2] || 0);
+  }
+  return output;
+}
+
+function encodeWav(samples) {
+  const buffer = Buffer.alloc(44 + samples.length * 2);
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + samples.length * 2, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(samples.length * 2, 40);
+  samples.forEach((value, i) => buffer.writeInt16LE(Math.round(value * 32767), 44 + i * 2));
+  return buffer;
+}
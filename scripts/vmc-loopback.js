@@ -0,0 +1,143 @@
+// Loopback check for the VMC bridge: a WebSocket client sends a VMC frame
+// through the relay, a UDP echo sends it back, and the decoded result must
+// match what was sent.
+//
+//   npm run test:vmc
+import dgram from 'node:dgram';
+import WebSocket from 'ws';
+import { startRelay } from './vmc-relay.js';
+import { decodePacket, encodeBundle } from '../src/utils/osc.js';
+import { convertRotation, createVmcMessages, createVmcReceiver } from '../src/utils/vmc.js';
+
+const PORTS = { wsPort: 39660, listenPort: 39640, sendPort: 39639, sendHost: '127.0.0.1' };
+const TIMEOUT = 5000;
+const TOLERANCE = 1e-6;
+
+// Just enough of a VRM for createVmcMessages and the receiver
+function createFakeVrm(metaVersion) {
+  const nodes = {};
+  const node = (position, quaternion) => ({
+    position: { toArray: () => [...position] },
+    quaternion: { value: [...quaternion], toArray() { return [...this.value]; }, fromArray(array) { this.value = [...array]; } },
+  });
+  nodes.hips = node([0, 0.9, 0.01], [0, 0, 0, 1]);
+  nodes.head = node([0, 0.1, 0], [0.1, 0.2, -0.3, Math.sqrt(1 - 0.14)]);
+  nodes.leftThumbMetacarpal = node([0.02, 0, 0], [0.5, 0.5, 0.5, 0.5]);
+  const values = { aa: 0.25, blinkLeft: 1, happy: 0.5, customSmile: 0.75 };
+  return {
+    meta: { metaVersion },
+    scene: {
+      position: { toArray: () => [0, -0.5, 0] },
+      quaternion: { toArray: () => [0, 0, 0, 1] },
+    },
+    humanoid: {
+      humanBones: Object.fromEntries(Object.keys(nodes).map((name) => [name, {}])),
+      getNormalizedBoneNode: (name) => nodes[name] || null,
+    },
+    expressionManager: {
+      expressionMap: Object.fromEntries(Object.keys(values).map((name) => [name, {}])),
+      values,
+      getValue(name) { return this.values[name]; },
+      setValue(name, value) { this.values[name] = value; },
+    },
+    nodes,
+  };
+}
+
+function assertClose(actual, expected, label) {
+  const ok = actual.length === expected.length && actual.every((value, i) => Math.abs(value - expected[i]) < TOLERANCE);
+  if (!ok) throw new Error(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+}
+
+async function roundTrip(sent) {
+  const socket = new WebSocket(`ws://127.0.0.1:${PORTS.wsPort}`);
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+  const received = new Promise((resolve) => socket.once('message', (data) => resolve(data)));
+  socket.send(encodeBundle(sent));
+  const data = await received;
+  socket.close();
+  return decodePacket(new Uint8Array(data));
+}
+
+// Web pages other than the app must not get through
+async function checkForeignOriginRejected() {
+  const socket = new WebSocket(`ws://127.0.0.1:${PORTS.wsPort}`, { origin: 'https://example.com' });
+  const status = await new Promise((resolve) => {
+    socket.once('open', () => resolve('open'));
+    socket.once('unexpected-response', (request, response) => resolve(response.statusCode));
+    socket.once('error', () => resolve('error'));
+  });
+  socket.terminate();
+  if (status !== 403) throw new Error(`connection from a foreign origin was not rejected (${status})`);
+}
+
+async function main() {
+  // Echo whatever the relay sends straight back to its listen port
+  const echo = dgram.createSocket('udp4');
+  echo.on('message', (packet) => echo.send(packet, PORTS.listenPort, '127.0.0.1'));
+  await new Promise((resolve) => echo.bind(PORTS.sendPort, resolve));
+  const relay = await startRelay(PORTS);
+
+  try {
+    await checkForeignOriginRejected();
+    for (const metaVersion of ['0', '1']) {
+      const source = createFakeVrm(metaVersion);
+      const sent = createVmcMessages(source, 12.5);
+      const messages = await roundTrip(sent);
+
+      if (messages.length !== sent.length) throw new Error(`expected ${sent.length} messages, got ${messages.length}`);
+      messages.forEach((message, i) => {
+        const expected = sent[i].args.map((arg) => (typeof arg === 'object' ? arg.value : arg));
+        if (message.address !== sent[i].address) throw new Error(`address ${message.address} != ${sent[i].address}`);
+        message.args.forEach((arg, j) => {
+          if (typeof arg === 'number' ? Math.abs(arg - expected[j]) > TOLERANCE : arg !== expected[j]) {
+            throw new Error(`${message.address} arg ${j}: ${arg} != ${expected[j]}`);
+          }
+        });
+      });
+
+      const thumb = messages.find((m) => m.args[0] === 'LeftThumbProximal');
+      if (!thumb) throw new Error('leftThumbMetacarpal was not sent as LeftThumbProximal');
+      assertClose(thumb.args.slice(4), convertRotation([0.5, 0.5, 0.5, 0.5], metaVersion), 'Unity thumb rotation');
+      if (!messages.some((m) => m.address === '/VMC/Ext/Blend/Val' && m.args[0] === 'Joy')) {
+        throw new Error('happy was not sent as Joy');
+      }
+
+      // Applying the echoed frame to a reset avatar restores the original pose
+      const target = createFakeVrm(metaVersion);
+      Object.values(target.nodes).forEach((node) => node.quaternion.fromArray([0, 0, 0, 1]));
+      Object.keys(target.expressionManager.values).forEach((name) => target.expressionManager.setValue(name, 0));
+      const receiver = createVmcReceiver();
+      messages.forEach(receiver.handle);
+      receiver.apply(target);
+      Object.entries(source.nodes).forEach(([name, node]) => {
+        assertClose(target.nodes[name].quaternion.toArray(), node.quaternion.toArray(), `VRM ${metaVersion} ${name}`);
+      });
+      Object.entries(source.expressionManager.values).forEach(([name, value]) => {
+        assertClose([target.expressionManager.getValue(name)], [value], `VRM ${metaVersion} ${name}`);
+      });
+      console.log(`VRM ${metaVersion === '0' ? '0.x' : '1.0'}: ${messages.length} messages round-tripped OK`);
+    }
+  } finally {
+    await relay.close();
+    await new Promise((resolve) => echo.close(resolve));
+  }
+}
+
+const timer = setTimeout(() => {
+  console.error('VMC loopback timed out');
+  process.exit(1);
+}, TIMEOUT);
+
+main()
+  .then(() => {
+    clearTimeout(timer);
+    console.log('VMC loopback OK');
+  })
+  .catch((error) => {
+    console.error(`VMC loopback failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,139 @@
+// WebSocket <-> UDP relay for the VMC protocol. Browsers can't open UDP
+// sockets, so WebVrm sends and receives OSC packets through this relay.
+//
+//   npm run vmc-relay -- --ws-port 39560 --listen-port 39540 --send-host 127.0.0.1 --send-port 39539
+//
+// Binary WebSocket messages are forwarded as UDP datagrams to send-host:send-port,
+// and UDP datagrams received on listen-port are forwarded to every WebSocket client.
+// The relay has no authentication, so both sides only accept traffic from
+// this machine unless --host says otherwise (e.g. --host 0.0.0.0). Browsers
+// are further limited to the app's own origins, so other web pages can't
+// read or inject motion; add origins (e.g. a deployed copy of the app) with
+// --allow-origin https://example.com,https://other.example.
+import dgram from 'node:dgram';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+export const DEFAULT_RELAY_OPTIONS = {
+  host: '127.0.0.1',
+  wsPort: 39560,
+  listenPort: 39540,
+  sendHost: '127.0.0.1',
+  // VMC receivers (marionettes) listen on 39539 by convention
+  sendPort: 39539,
+  // Vite dev server and preview. Clients without an Origin header (native
+  // tools) are let through.
+  allowedOrigins: [
+    'http://localhost:5173',
+    'http://127.0.0.1:5173',
+    'http://localhost:4173',
+    'http://127.0.0.1:4173',
+  ],
+};
+
+// Resolves with { close } once both sockets are listening
+export const startRelay = (options = {}) => {
+  const { host, wsPort, listenPort, sendHost, sendPort, allowedOrigins, log = () => {} } = { ...DEFAULT_RELAY_OPTIONS, ...options };
+  const udp = dgram.createSocket('udp4');
+  const wss = new WebSocketServer({
+    host,
+    port: wsPort,
+    verifyClient: ({ origin }, done) => {
+      if (!origin || allowedOrigins.includes(origin)) {
+        done(true);
+      } else {
+        log(`rejected connection from origin ${origin}`);
+        done(false, 403, 'Origin not allowed');
+      }
+    },
+  });
+
+  udp.on('message', (packet) => {
+    wss.clients.forEach((client) => {
+      if (client.readyState === client.OPEN) client.send(packet);
+    });
+  });
+
+  wss.on('connection', (socket, request) => {
+    log(`client connected: ${request.socket.remoteAddress}`);
+    socket.on('message', (data, isBinary) => {
+      if (!isBinary) return;
+      udp.send(data, sendPort, sendHost);
+    });
+    socket.on('close', () => log('client disconnected'));
+  });
+
+  const close = () => new Promise((resolve) => {
+    wss.clients.forEach((client) => client.terminate());
+    wss.close(() => udp.close(() => resolve()));
+  });
+
+  return Promise.all([
+    new Promise((resolve, reject) => {
+      wss.once('listening', resolve);
+      wss.once('error', reject);
+    }),
+    new Promise((resolve, reject) => {
+      udp.once('listening', resolve);
+      udp.once('error', reject);
+      udp.bind(listenPort, host);
+    }),
+  ]).then(() => ({ close }));
+};
+
+function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || host.startsWith('127.');
+}
+
+function parsePort(value, option) {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error(`Invalid port for ${option}: ${value}`);
+  return port;
+}
+
+function parseArgs(argv) {
+  const options = {};
+  const keys = {
+    '--host': 'host',
+    '--ws-port': 'wsPort',
+    '--listen-port': 'listenPort',
+    '--send-host': 'sendHost',
+    '--send-port': 'sendPort',
+    '--allow-origin': 'allowedOrigins',
+  };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = keys[argv[i]];
+    const value = argv[i + 1];
+    if (!key || value === undefined) throw new Error(`Unknown option: ${argv[i]}`);
+    if (key === 'host' || key === 'sendHost') {
+      options[key] = value;
+    } else if (key === 'allowedOrigins') {
+      options.allowedOrigins = [...(options.allowedOrigins || DEFAULT_RELAY_OPTIONS.allowedOrigins), ...value.split(',').filter(Boolean)];
+    } else {
+      options[key] = parsePort(value, argv[i]);
+    }
+  }
+  return options;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  let options;
+  try {
+    options = { ...DEFAULT_RELAY_OPTIONS, ...parseArgs(process.argv.slice(2)) };
+  } catch (error) {
+    console.error(`[vmc-relay] ${error.message}`);
+    process.exit(1);
+  }
+  startRelay({ ...options, log: (message) => console.log(`[vmc-relay] ${message}`) })
+    .then(({ close }) => {
+      console.log(`[vmc-relay] ws://${options.host}:${options.wsPort}  UDP in :${options.listenPort}  UDP out ${options.sendHost}:${options.sendPort}`);
+      if (!isLoopback(options.host)) {
+        console.warn('[vmc-relay] Warning: the relay is reachable from the network without authentication');
+      }
+      process.on('SIGINT', () => close().then(() => process.exit(0)));
+    })
+    .catch((error) => {
+      console.error(`[vmc-relay] ${error.message}`);
+      process.exit(1);
+    });
+}
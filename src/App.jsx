@@ -1,53 +1,226 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useVRMRenderer } from './hooks/useVRMRenderer';
 import { useMediaPipeTracking } from './hooks/useMediaPipeTracking';
 import { useVRMAnimation } from './hooks/useVRMAnimation';
+import { useTrackingReplay } from './hooks/useTrackingReplay';
+import { useTrackingSnapshot } from './hooks/useTrackingSnapshot';
+import { useMediaDevices } from './hooks/useMediaDevices';
+import { useCamera } from './hooks/useCamera';
+import { useMicrophone } from './hooks/useMicrophone';
+import { useVRMMotion } from './hooks/useVRMMotion';
+import { useOutputBroadcast } from './hooks/useOutputBroadcast';
+import { useOutputStream } from './hooks/useOutputStream';
+import { useVideoRecorder } from './hooks/useVideoRecorder';
+import { useVMC } from './hooks/useVMC';
+import { useSpringBones } from './hooks/useSpringBones';
+import { useCameraControls } from './hooks/useCameraControls';
+import { useControlApi } from './hooks/useControlApi';
+import { useReactions } from './hooks/useReactions';
+import { useProps } from './hooks/useProps';
+import { useSpeech } from './hooks/useSpeech';
+import { GESTURES } from './utils/gestureRecognizer';
+import { DEFAULT_EXPRESSION_MAPPINGS, findPerfectSyncExpressions } from './utils/expressionMapping';
+import { ExpressionMappingPanel } from './components/ExpressionMappingPanel';
+import { TimingsPanel } from './components/TimingsPanel';
+import { DevicePanel } from './components/DevicePanel';
+import { ProfilesPanel } from './components/ProfilesPanel';
+import { MotionPanel } from './components/MotionPanel';
+import { OutputPanel } from './components/OutputPanel';
+import { RecordingPanel } from './components/RecordingPanel';
+import { VMCPanel } from './components/VMCPanel';
+import { PhysicsPanel } from './components/PhysicsPanel';
+import { LightingPanel } from './components/LightingPanel';
+import { CameraPanel } from './components/CameraPanel';
+import { ControlApiPanel } from './components/ControlApiPanel';
+import { ReactionsPanel } from './components/ReactionsPanel';
+import { OUTPUT_RESOLUTIONS } from './utils/outputSync';
+import { createOutputCompositor } from './utils/outputCompositor';
+import { RECORDING_FORMATS, recordingFileName } from './utils/videoRecorder';
+import { downloadBlob } from './utils/download';
+import { VMC_DEFAULT_RELAY_URL } from './utils/vmc';
+import { DEFAULT_REACTION_RULES, formatReactionText } from './utils/reactions';
+import { DEFAULT_REACTION_SOURCE_URL, createMockEvent } from './utils/eventSources';
+import { CONTROL_DEFAULT_URL, RPC_INVALID_PARAMS, RPC_REACTION_NOT_FOUND, booleanParam, numberParam, rpcError, stringParam } from './utils/controlApi';
+import { DEFAULT_MOTION_FADE, DEFAULT_MOTION_MASKS, motionFormatOf, parseMotionFile } from './utils/motionClips';
+import { MAX_PROFILE_FILE_SIZE, MAX_PROFILE_HOTKEYS, exportProfiles, parseProfiles, profileFileTooLarge, upsertProfile } from './utils/profiles';
+import { createTrackingRecorder, parseRecording, serializeRecording } from './utils/trackingRecording';
+import { createCalibration } from './utils/trackingConfidence';
+import { EMPTY_SPRING_OVERRIDES } from './utils/springBones';
+import { CAMERA_PRESETS, cyclePreset } from './utils/cameraFraming';
+import { DEFAULT_LIGHTING, LIGHTING_PRESETS, lightingFromPreset, parseLightingPatch } from './utils/lighting';
+import { DEFAULT_TRACKING_FILTERS, TRACKING_FILTER_PARTS, TRACKING_FILTER_PRESETS } from './utils/trackingFilters';
+import { DEFAULT_MEDIA_DEVICES } from './utils/mediaDevices';
+import {
+  DEFAULT_TRACKING_DELEGATE,
+  DEFAULT_TRACKING_QUALITY,
+  TRACKING_DELEGATES,
+  TRACKING_QUALITY_TIERS,
+} from './utils/trackingModels';
+import {
+  clearState,
+  clearVrmFiles,
+  deleteMotionFile,
+  loadMotionFile,
+  loadState,
+  loadVrmFile,
+  loadVrmFromLibrary,
+  mergeWithDefaults,
+  saveMotionFile,
+  saveState,
+  saveVrmFile,
+} from './utils/persistence';
 
 // VTuber Streaming Application
 // Features: VRM loading, webcam tracking, background, browser overlay, settings, debug
 
+const DEFAULT_SETTINGS = {
+  trackingFilters: DEFAULT_TRACKING_FILTERS,
+  trackingPredictionMs: 0,
+  dropoutEaseTime: 0.5,
+  minTrackingConfidence: 0.5,
+  faceTrackingEnabled: true,
+  bodyTrackingEnabled: true,
+  handTrackingEnabled: true,
+  trackingQuality: DEFAULT_TRACKING_QUALITY,
+  trackingDelegate: DEFAULT_TRACKING_DELEGATE,
+  adaptiveTracking: true,
+  lipSyncEnabled: true,
+  lipSyncSensitivity: 0.7,
+  blinkEnabled: true,
+  blinkInterval: 4,
+  idleAnimationEnabled: true,
+  idleMotionId: null,
+  mirrorMode: true,
+  debugMode: false,
+  showFPS: true,
+  showTrackingData: false,
+  gestureControl: true,
+  gestureHoldTime: 0.5,
+  gestureBindings: {
+    peace: 'expression:happy',
+    thumbsUp: 'expression:relaxed',
+    openPalm: 'none',
+    fist: 'none',
+    pointing: 'none',
+  },
+  expressionMappings: DEFAULT_EXPRESSION_MAPPINGS,
+  perfectSync: true,
+  keyboardShortcuts: true,
+  outputTransparent: true,
+  outputResolution: '1920x1080',
+  recordingFormat: 'webm',
+  recordingResolution: '1920x1080',
+  recordingBitrate: 8,
+  screenshotWidth: 3840,
+  screenshotHeight: 2160,
+  screenshotTransparent: false,
+  vmcRelayUrl: VMC_DEFAULT_RELAY_URL,
+  vmcSendEnabled: false,
+  vmcReceiveEnabled: false,
+  windStrength: 0,
+  windDirection: 0,
+  windGust: 0.3,
+  showSpringBoneColliders: false,
+  lighting: DEFAULT_LIGHTING,
+  cameraPreset: 'standard',
+  cameraAutoFollow: false,
+  cameraTransitionTime: 0.6,
+  cameraControls: true,
+  reactionSource: 'off',
+  reactionSourceUrl: DEFAULT_REACTION_SOURCE_URL,
+};
+
+const DEFAULT_MODEL_TRANSFORM = {
+  position: { x: 0, y: -0.5, z: 0 },
+  scale: 1,
+  rotation: 0,
+};
+const MIN_MODEL_SCALE = 0.1;
+const MAX_MODEL_SCALE = 3;
+
+const DEFAULT_BACKGROUND_COLOR = '#1a1a2e';
+
+// Remote control connection; kept out of settings so profiles never carry the token
+const DEFAULT_CONTROL_API = {
+  enabled: false,
+  url: CONTROL_DEFAULT_URL,
+  token: '',
+};
+
+const DEFAULT_BROWSER = {
+  url: '',
+  visible: false,
+  position: { x: 50, y: 50 },
+  size: { width: 400, height: 300 },
+};
+
+// Frame rate of the composited capture stream and of video recordings
+const OUTPUT_STREAM_FPS = 30;
+const RECORDING_FPS = 30;
+
+// Delay before writing state changes to storage (ms)
+const SAVE_DELAY = 500;
+
+const BACKGROUND_PRESETS = ['#1a1a2e', '#0f0f23', '#16213e', '#1a1a1a', '#2d132c', '#1e3a5f', '#0d1117', '#000000'];
+
+// Actions a gesture can be bound to
+const GESTURE_ACTIONS = [
+  { id: 'none', label: 'なし' },
+  { id: 'expression:happy', label: '表情: 喜び' },
+  { id: 'expression:angry', label: '表情: 怒り' },
+  { id: 'expression:sad', label: '表情: 悲しみ' },
+  { id: 'expression:relaxed', label: '表情: 安らぎ' },
+  { id: 'expression:surprised', label: '表情: 驚き' },
+  { id: 'toggleTracking', label: 'トラッキング切替' },
+  { id: 'toggleMic', label: 'マイク切替' },
+  { id: 'nextBackground', label: '背景切替' },
+  { id: 'toggleBrowser', label: 'ブラウザ表示切替' },
+];
+
+// How long a gesture-triggered expression stays on (ms)
+const GESTURE_EXPRESSION_DURATION = 2000;
+
 const VTuberApp = () => {
+  // State saved in a previous session
+  const [savedState] = useState(loadState);
+
   // State management
   const [vrmModel, setVrmModel] = useState(null);
+  // Id of the model's last save to IndexedDB, for the /output view to load it
+  const [vrmSaveId, setVrmSaveId] = useState(null);
   const [vrmUrl, setVrmUrl] = useState(null);
   const [isTracking, setIsTracking] = useState(false);
   const [isMicEnabled, setIsMicEnabled] = useState(false);
-  const [micLevel, setMicLevel] = useState(0);
   
   // Transform states
-  const [modelPosition, setModelPosition] = useState({ x: 0, y: -0.5, z: 0 });
-  const [modelScale, setModelScale] = useState(1);
-  const [modelRotation, setModelRotation] = useState(0);
+  const [modelPosition, setModelPosition] = useState(savedState?.model?.position ?? DEFAULT_MODEL_TRANSFORM.position);
+  const [modelScale, setModelScale] = useState(savedState?.model?.scale ?? DEFAULT_MODEL_TRANSFORM.scale);
+  const [modelRotation, setModelRotation] = useState(savedState?.model?.rotation ?? DEFAULT_MODEL_TRANSFORM.rotation);
   
   // Background
   const [backgroundImage, setBackgroundImage] = useState(null);
-  const [backgroundColor, setBackgroundColor] = useState('#1a1a2e');
+  const [backgroundColor, setBackgroundColor] = useState(savedState?.backgroundColor ?? DEFAULT_BACKGROUND_COLOR);
   
   // Browser overlay
-  const [browserUrl, setBrowserUrl] = useState('');
-  const [showBrowser, setShowBrowser] = useState(false);
-  const [browserPosition, setBrowserPosition] = useState({ x: 50, y: 50 });
-  const [browserSize, setBrowserSize] = useState({ width: 400, height: 300 });
+  const savedBrowser = mergeWithDefaults(DEFAULT_BROWSER, savedState?.browser);
+  const [browserUrl, setBrowserUrl] = useState(savedBrowser.url);
+  const [showBrowser, setShowBrowser] = useState(savedBrowser.visible);
+  const [browserPosition, setBrowserPosition] = useState(savedBrowser.position);
+  const [browserSize, setBrowserSize] = useState(savedBrowser.size);
   
   // Settings
-  const [settings, setSettings] = useState({
-    trackingSmoothing: 0.5,
-    trackingSpeed: 1.0,
-    faceTrackingEnabled: true,
-    bodyTrackingEnabled: true,
-    handTrackingEnabled: true,
-    lipSyncEnabled: true,
-    lipSyncSensitivity: 0.7,
-    blinkEnabled: true,
-    blinkInterval: 4,
-    idleAnimationEnabled: true,
-    mirrorMode: true,
-    debugMode: false,
-    showFPS: true,
-    showTrackingData: false,
-    gestureControl: true,
-    keyboardShortcuts: true,
-  });
+  const [settings, setSettings] = useState(() => mergeWithDefaults(DEFAULT_SETTINGS, savedState?.settings));
+  
+  // Scene profiles
+  const [profiles, setProfiles] = useState(savedState?.profiles ?? []);
+  const [activeProfile, setActiveProfile] = useState(savedState?.activeProfile ?? null);
+  
+  // Motion clip library; parsed clips are kept by id once their files load
+  const [motionClips, setMotionClips] = useState(savedState?.motionClips ?? []);
+  const [motions, setMotions] = useState({});
+  
+  // Chat/alert reaction rules
+  const [reactionRules, setReactionRules] = useState(savedState?.reactionRules ?? DEFAULT_REACTION_RULES);
   
   // Debug data
   const [debugData, setDebugData] = useState({
@@ -60,6 +233,32 @@ const VTuberApp = () => {
     frameCount: 0,
   });
   
+  // Expression triggered by a gesture
+  const [gestureExpression, setGestureExpression] = useState(null);
+  
+  // Tracking session recording and replay
+  const [isRecordingTracking, setIsRecordingTracking] = useState(false);
+  const [recordedFrames, setRecordedFrames] = useState(0);
+  const [trackingRecording, setTrackingRecording] = useState(null);
+  const [isReplaying, setIsReplaying] = useState(false);
+  const [replayLoop, setReplayLoop] = useState(true);
+  
+  // Remote control API connection
+  const [controlApi, setControlApi] = useState(() => mergeWithDefaults(DEFAULT_CONTROL_API, savedState?.controlApi));
+
+  // Camera and microphone choice for this machine
+  const [mediaDeviceConfig, setMediaDeviceConfig] = useState(() => mergeWithDefaults(DEFAULT_MEDIA_DEVICES, savedState?.mediaDevices));
+  const [cameraMode, setCameraMode] = useState('');
+
+  // Neutral head angle and expression baseline for this machine's camera setup
+  const [trackingCalibration, setTrackingCalibration] = useState(() => savedState?.trackingCalibration || null);
+
+  // Spring bone overrides, by model name
+  const [springBoneOverrides, setSpringBoneOverrides] = useState(() => savedState?.springBoneOverrides || {});
+  
+  // Composited output capture stream
+  const [isOutputStreamEnabled, setIsOutputStreamEnabled] = useState(false);
+
   // UI states
   const [activePanel, setActivePanel] = useState('model');
   const [showSettings, setShowSettings] = useState(true);
@@ -72,21 +271,187 @@ const VTuberApp = () => {
   const bgInputRef = useRef(null);
   const animationRef = useRef(null);
   const fpsRef = useRef({ frames: 0, lastTime: performance.now() });
+  const gestureExpressionTimerRef = useRef(null);
+  const saveTimerRef = useRef(null);
+  const trackingRecorderRef = useRef(createTrackingRecorder());
+  const recordingInputRef = useRef(null);
+  const controlEmitRef = useRef(null);
 
   // Add log entry
   const addLog = useCallback((message, type = 'info') => {
     const timestamp = new Date().toLocaleTimeString();
     setLogs(prev => [...prev.slice(-49), { timestamp, message, type }]);
+    if (type === 'error' && controlEmitRef.current) controlEmitRef.current('error', { message });
   }, []);
 
+  // Camera and microphone streams; a device that disappears stops its feature
+  const { cameras, microphones, refresh: refreshDevices } = useMediaDevices();
+  const { start: startCamera, stop: stopCamera } = useCamera(videoRef, {
+    onEnded: () => {
+      setIsTracking(false);
+      setCameraMode('');
+      setDebugData(prev => ({ ...prev, trackingStatus: 'stopped' }));
+      addLog('カメラが切断されたため、トラッキングを停止しました', 'error');
+    },
+  });
+  const {
+    audioRef: micAudioRef,
+    streamRef: micStreamRef,
+    start: startMicrophone,
+    stop: stopMicrophone,
+  } = useMicrophone({
+    onEnded: () => {
+      setIsMicEnabled(false);
+      addLog('マイクが切断されたため、無効化しました', 'error');
+    },
+  });
+
   // VRM Renderer Hook
-  const { vrm, error: vrmError } = useVRMRenderer(canvasRef, vrmUrl);
+  const { vrm, error: vrmError, onFrame, onRender, renderOffscreen, setMinimumResolution, cameraRef, timingsRef: renderTimingsRef } = useVRMRenderer(canvasRef, vrmUrl, settings.lighting);
 
-  // MediaPipe Tracking Hook
-  const { trackingData, detectionStatus } = useMediaPipeTracking(videoRef, isTracking, settings);
+  // MediaPipe Tracking Hook (inference runs in a worker, results live in trackingRef)
+  const {
+    trackingRef,
+    timingsRef: trackingTimingsRef,
+    schedulerRef: trackingSchedulerRef,
+    onTrackingData,
+    detectionStatus,
+    gestureEvent,
+    initError: trackingInitError,
+  } = useMediaPipeTracking(videoRef, isTracking, settings);
+
+  // Tracking Replay Hook
+  const { frame: replayFrame, progress: replayProgress } = useTrackingReplay(trackingRecording, isReplaying, {
+    loop: replayLoop,
+    onEnd: () => setIsReplaying(false),
+  });
+
+  // While replaying, the recording drives the avatar instead of the camera;
+  // with neither, there is no tracking data and the avatar eases to rest
+  const replayFrameRef = useRef(null);
+  replayFrameRef.current = replayFrame;
+  const isTrackingRef = useRef(isTracking);
+  isTrackingRef.current = isTracking;
+  const getTrackingData = useCallback(() => {
+    if (replayFrameRef.current) return replayFrameRef.current.tracking;
+    return isTrackingRef.current ? trackingRef.current : null;
+  }, [trackingRef]);
+  const getMicInput = useCallback(() => {
+    const replay = replayFrameRef.current;
+    return replay ? { level: replay.micLevel, visemes: replay.micVisemes } : micAudioRef.current;
+  }, [micAudioRef]);
+
+  // Throttled microphone level for the meters
+  const getMicLevel = useCallback(() => micAudioRef.current.level, [micAudioRef]);
+  const micLevel = useTrackingSnapshot(getMicLevel, isMicEnabled, 100);
+
+  // Throttled copy of the tracking data for panels that show it
+  const getTrackingSnapshot = useCallback(() => getTrackingData() || trackingRef.current, [getTrackingData, trackingRef]);
+  const trackingSnapshot = useTrackingSnapshot(
+    getTrackingSnapshot,
+    activePanel === 'expression' || (activePanel === 'debug' && settings.showTrackingData)
+  );
 
   // VRM Animation Hook
-  useVRMAnimation(vrm, trackingData, { modelPosition, modelScale, modelRotation }, settings, micLevel);
+  useVRMAnimation(vrm, onFrame, getTrackingData, { modelPosition, modelScale, modelRotation }, settings, getMicInput, gestureExpression, trackingCalibration);
+
+  // Motion clips layered over tracking
+  const { playEmote, playingEmote } = useVRMMotion(
+    vrm,
+    onFrame,
+    motionClips,
+    motions,
+    settings.idleAnimationEnabled ? settings.idleMotionId : null
+  );
+
+  // Output routes: the /output view and the composited capture stream
+  const outputScene = useMemo(() => ({
+    vrmName: vrmModel,
+    vrmSaveId,
+    transparent: settings.outputTransparent,
+    backgroundColor,
+    backgroundImage,
+    browser: { url: browserUrl, visible: showBrowser, position: browserPosition, size: browserSize },
+    lighting: settings.lighting,
+  }), [vrmModel, vrmSaveId, settings.outputTransparent, backgroundColor, backgroundImage, browserUrl, showBrowser, browserPosition, browserSize, settings.lighting]);
+  const outputViewCount = useOutputBroadcast(vrm, onRender, outputScene, cameraRef);
+
+  const outputResolution = OUTPUT_RESOLUTIONS.find(r => r.id === settings.outputResolution) || OUTPUT_RESOLUTIONS[0];
+  const { stream: outputStream } = useOutputStream(onRender, isOutputStreamEnabled, {
+    width: outputResolution.width,
+    height: outputResolution.height,
+    fps: OUTPUT_STREAM_FPS,
+    transparent: settings.outputTransparent,
+    backgroundColor,
+    backgroundImage,
+  });
+
+  // Video recording of the composited stage
+  const recordingResolution = OUTPUT_RESOLUTIONS.find(r => r.id === settings.recordingResolution) || OUTPUT_RESOLUTIONS[0];
+  const {
+    state: videoRecordingState,
+    elapsed: videoRecordingElapsed,
+    start: startVideoRecording,
+    pause: pauseVideoRecording,
+    resume: resumeVideoRecording,
+    stop: stopVideoRecording,
+  } = useVideoRecorder(onRender, micStreamRef, setMinimumResolution, {
+    width: recordingResolution.width,
+    height: recordingResolution.height,
+    fps: RECORDING_FPS,
+    format: settings.recordingFormat,
+    bitrate: settings.recordingBitrate,
+    backgroundColor,
+    backgroundImage,
+  });
+
+  // VMC protocol through the WebSocket relay
+  const { status: vmcStatus, isReceiving: isReceivingVmc } = useVMC(vrm, onFrame, onRender, {
+    relayUrl: settings.vmcRelayUrl,
+    sendEnabled: settings.vmcSendEnabled,
+    receiveEnabled: settings.vmcReceiveEnabled,
+  });
+
+  // Spring bone physics tuning, after everything that poses or moves the model
+  const modelSpringOverrides = springBoneOverrides[vrmModel] || EMPTY_SPRING_OVERRIDES;
+  const { chains: springChains, colliders: springColliders, reset: resetSpringBones } = useSpringBones(vrm, onFrame, {
+    overrides: modelSpringOverrides,
+    wind: { strength: settings.windStrength, direction: settings.windDirection, gust: settings.windGust },
+    showColliders: settings.showSpringBoneColliders,
+  });
+
+  // Stage camera: mouse orbit/pan/zoom, presets fitted to the model, head following
+  const { refit: refitCamera } = useCameraControls(cameraRef, canvasRef, vrm, onFrame, {
+    preset: settings.cameraPreset,
+    autoFollow: settings.cameraAutoFollow,
+    transitionTime: settings.cameraTransitionTime,
+    enabled: settings.cameraControls,
+  });
+
+  // Record live tracking frames as they arrive from the worker
+  useEffect(() => {
+    if (!isRecordingTracking || !isTracking) return;
+    const unsubscribe = onTrackingData((data) => {
+      const { level, visemes } = micAudioRef.current;
+      trackingRecorderRef.current.add(data, { micLevel: level, micVisemes: visemes });
+    });
+    const timer = setInterval(() => setRecordedFrames(trackingRecorderRef.current.frameCount), 500);
+    return () => {
+      unsubscribe();
+      clearInterval(timer);
+      setRecordedFrames(trackingRecorderRef.current.frameCount);
+    };
+  }, [isRecordingTracking, isTracking, onTrackingData, micAudioRef]);
+
+  // Expressions available on the loaded model
+  const expressionNames = useMemo(
+    () => (vrm && vrm.expressionManager ? Object.keys(vrm.expressionManager.expressionMap) : []),
+    [vrm]
+  );
+  const perfectSyncCount = useMemo(
+    () => (vrm ? Object.keys(findPerfectSyncExpressions(vrm.expressionManager)).length : 0),
+    [vrm]
+  );
 
   // Update debug data with detection status
   useEffect(() => {
@@ -100,6 +465,14 @@ const VTuberApp = () => {
     }
   }, [detectionStatus]);
 
+  // Without its models the worker never becomes ready; say so instead of
+  // silently never tracking
+  useEffect(() => {
+    if (!trackingInitError) return;
+    addLog(`トラッキングの初期化に失敗しました: ${trackingInitError}`, 'error');
+    setDebugData(prev => ({ ...prev, trackingStatus: 'error', lastError: trackingInitError }));
+  }, [trackingInitError, addLog]);
+
   // Update debug data with VRM error
   useEffect(() => {
     if (vrmError) {
@@ -120,6 +493,9 @@ const VTuberApp = () => {
         setVrmModel(file.name);
         addLog(`VRMモデル読み込み: ${file.name}`, 'success');
         setDebugData(prev => ({ ...prev, lastError: null }));
+        saveVrmFile(file)
+          .then(setVrmSaveId)
+          .catch((err) => addLog(`モデル保存エラー: ${err.message}`, 'error'));
       } else {
         addLog('エラー: .vrmファイルのみ対応しています', 'error');
         setDebugData(prev => ({ ...prev, lastError: 'Invalid file format' }));
@@ -127,6 +503,278 @@ const VTuberApp = () => {
     }
   }, [addLog]);
   
+  // Restore the VRM model from the previous session
+  useEffect(() => {
+    let cancelled = false;
+    loadVrmFile()
+      .then((record) => {
+        if (cancelled || !record) return;
+        setVrmUrl(URL.createObjectURL(record.blob));
+        setVrmModel(record.name);
+        setVrmSaveId(record.saveId || record.name);
+        addLog(`前回のVRMモデルを復元: ${record.name}`, 'success');
+      })
+      .catch((err) => addLog(`モデル復元エラー: ${err.message}`, 'error'));
+    return () => {
+      cancelled = true;
+    };
+  }, [addLog]);
+
+  // Current scene, as saved for the next session and in profiles
+  const scene = useMemo(() => ({
+    vrmName: vrmModel,
+    settings,
+    model: { position: modelPosition, scale: modelScale, rotation: modelRotation },
+    backgroundColor,
+    browser: { url: browserUrl, visible: showBrowser, position: browserPosition, size: browserSize },
+  }), [vrmModel, settings, modelPosition, modelScale, modelRotation, backgroundColor, browserUrl, showBrowser, browserPosition, browserSize]);
+
+  // Save state shortly after it changes
+  useEffect(() => {
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(() => {
+      saveState({ ...scene, profiles, activeProfile, motionClips, reactionRules, controlApi, mediaDevices: mediaDeviceConfig, trackingCalibration, springBoneOverrides });
+    }, SAVE_DELAY);
+    return () => clearTimeout(saveTimerRef.current);
+  }, [scene, profiles, activeProfile, motionClips, reactionRules, controlApi, mediaDeviceConfig, trackingCalibration, springBoneOverrides]);
+
+  // Switch to a stored scene, loading its VRM from the library if needed
+  const applyScene = useCallback((target) => {
+    setSettings(mergeWithDefaults(DEFAULT_SETTINGS, target.settings));
+    setModelPosition(target.model.position);
+    setModelScale(target.model.scale);
+    setModelRotation(target.model.rotation);
+    setBackgroundImage(null);
+    setBackgroundColor(target.backgroundColor);
+    setBrowserUrl(target.browser.url);
+    setShowBrowser(target.browser.visible);
+    setBrowserPosition(target.browser.position);
+    setBrowserSize(target.browser.size);
+
+    if (target.vrmName && target.vrmName !== vrmModel) {
+      loadVrmFromLibrary(target.vrmName)
+        .then((record) => {
+          if (!record) {
+            addLog(`モデル「${target.vrmName}」が保存されていません`, 'error');
+            return;
+          }
+          setVrmUrl(URL.createObjectURL(record.blob));
+          setVrmModel(record.name);
+          addLog(`VRMモデル読み込み: ${record.name}`, 'success');
+          return saveVrmFile(new File([record.blob], record.name)).then(setVrmSaveId);
+        })
+        .catch((err) => addLog(`モデル読み込みエラー: ${err.message}`, 'error'));
+    }
+  }, [vrmModel, addLog]);
+
+  // Profile actions
+  const saveProfile = useCallback((name) => {
+    setProfiles(prev => upsertProfile(prev, { ...scene, name }));
+    setActiveProfile(name);
+    addLog(`プロファイル保存: ${name}`, 'success');
+  }, [scene, addLog]);
+
+  const applyProfile = useCallback((name) => {
+    const profile = profiles.find(p => p.name === name);
+    if (!profile) return;
+    applyScene(profile);
+    setActiveProfile(name);
+    addLog(`プロファイル切替: ${name}`, 'info');
+  }, [profiles, applyScene, addLog]);
+
+  const deleteProfile = useCallback((name) => {
+    setProfiles(prev => prev.filter(p => p.name !== name));
+    setActiveProfile(current => (current === name ? null : current));
+    addLog(`プロファイル削除: ${name}`, 'info');
+  }, [addLog]);
+
+  const handleExportProfiles = useCallback(() => {
+    downloadBlob(new Blob([exportProfiles(profiles)], { type: 'application/json' }), 'webvrm-profiles.json');
+    addLog(`プロファイルをエクスポート (${profiles.length}件)`, 'success');
+  }, [profiles, addLog]);
+
+  const handleImportProfiles = useCallback(async (file) => {
+    try {
+      // Don't read a huge file into memory just to reject it
+      if (file.size > MAX_PROFILE_FILE_SIZE) throw new Error(profileFileTooLarge());
+      const imported = parseProfiles(await file.text(), DEFAULT_SETTINGS);
+      setProfiles(prev => imported.reduce(upsertProfile, prev));
+      addLog(`プロファイルをインポート (${imported.length}件)`, 'success');
+    } catch (err) {
+      addLog(`インポートエラー: ${err.message}`, 'error');
+    }
+  }, [addLog]);
+
+  // Tracking recording controls
+  const toggleTrackingRecording = useCallback(() => {
+    if (isRecordingTracking) {
+      const recording = trackingRecorderRef.current.stop();
+      setIsRecordingTracking(false);
+      if (recording.frames.length > 0) {
+        setTrackingRecording(recording);
+        addLog(`トラッキング記録停止 (${recording.frames.length}フレーム)`, 'success');
+      } else {
+        addLog('記録されたフレームがありません', 'error');
+      }
+    } else {
+      setIsReplaying(false);
+      trackingRecorderRef.current.start();
+      setRecordedFrames(0);
+      setIsRecordingTracking(true);
+      addLog('トラッキング記録開始', 'info');
+    }
+  }, [isRecordingTracking, addLog]);
+
+  const saveTrackingRecording = useCallback(() => {
+    if (!trackingRecording) return;
+    downloadBlob(
+      new Blob([serializeRecording(trackingRecording)], { type: 'application/json' }),
+      `webvrm-tracking-${trackingRecording.startedAt.replace(/[:.]/g, '-')}.json`
+    );
+  }, [trackingRecording]);
+
+  const loadTrackingRecording = useCallback(async (file) => {
+    try {
+      const recording = parseRecording(await file.text());
+      setIsReplaying(false);
+      setTrackingRecording(recording);
+      addLog(`トラッキング記録読み込み: ${file.name} (${recording.frames.length}フレーム)`, 'success');
+    } catch (err) {
+      addLog(`記録読み込みエラー: ${err.message}`, 'error');
+    }
+  }, [addLog]);
+
+  // Restore the motion clip files from the previous session
+  useEffect(() => {
+    savedState?.motionClips?.forEach((clip) => {
+      loadMotionFile(clip.id)
+        .then((record) => {
+          if (!record) throw new Error('ファイルが保存されていません');
+          return parseMotionFile(record.blob, clip.format);
+        })
+        .then((motion) => setMotions(prev => ({ ...prev, [clip.id]: motion })))
+        .catch((err) => addLog(`モーション復元エラー (${clip.name}): ${err.message}`, 'error'));
+    });
+  }, [savedState, addLog]);
+
+  // Motion clip library actions
+  const addMotionClip = useCallback(async (file) => {
+    const format = motionFormatOf(file.name);
+    if (!format) {
+      addLog('エラー: .vrma または .bvh ファイルのみ対応しています', 'error');
+      return;
+    }
+    try {
+      const motion = await parseMotionFile(file, format);
+      const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+      const mode = 'emote';
+      setMotions(prev => ({ ...prev, [id]: motion }));
+      setMotionClips(prev => [...prev, {
+        id,
+        name: file.name.replace(/\.(vrma|bvh)$/i, ''),
+        format,
+        mode,
+        mask: DEFAULT_MOTION_MASKS[mode],
+        fadeDuration: DEFAULT_MOTION_FADE,
+        hotkey: null,
+      }]);
+      addLog(`モーション追加: ${file.name} (${motion.duration.toFixed(1)}秒)`, 'success');
+      await saveMotionFile(id, file);
+    } catch (err) {
+      addLog(`モーション読み込みエラー: ${err.message}`, 'error');
+    }
+  }, [addLog]);
+
+  const updateMotionClip = useCallback((id, patch) => {
+    setMotionClips(prev => prev.map((clip) => {
+      if (clip.id !== id) return clip;
+      // Switching between idle and emote also switches to that mode's default mask
+      const mask = patch.mode && patch.mode !== clip.mode ? DEFAULT_MOTION_MASKS[patch.mode] : clip.mask;
+      return { ...clip, mask, ...patch };
+    }));
+    if (patch.mode === 'emote') {
+      setSettings(s => (s.idleMotionId === id ? { ...s, idleMotionId: null } : s));
+    }
+  }, []);
+
+  const deleteMotionClip = useCallback((id) => {
+    setMotionClips(prev => prev.filter(clip => clip.id !== id));
+    setMotions(({ [id]: removed, ...rest }) => rest);
+    setSettings(s => (s.idleMotionId === id ? { ...s, idleMotionId: null } : s));
+    deleteMotionFile(id).catch((err) => addLog(`モーション削除エラー: ${err.message}`, 'error'));
+  }, [addLog]);
+
+  // Video recording controls
+  const toggleVideoRecording = useCallback(async () => {
+    if (videoRecordingState === 'inactive') {
+      try {
+        startVideoRecording();
+        addLog('録画開始', 'success');
+      } catch (err) {
+        addLog(`録画エラー: ${err.message}`, 'error');
+      }
+      return;
+    }
+    const blob = await stopVideoRecording();
+    if (!blob || blob.size === 0) {
+      addLog('録画データがありません', 'error');
+      return;
+    }
+    const format = RECORDING_FORMATS.find(f => f.id === settings.recordingFormat) || RECORDING_FORMATS[0];
+    downloadBlob(blob, recordingFileName(format.extension));
+    addLog(`録画を保存 (${(blob.size / 1e6).toFixed(1)}MB)`, 'success');
+  }, [videoRecordingState, startVideoRecording, stopVideoRecording, settings.recordingFormat, addLog]);
+
+  const toggleVideoPause = useCallback(() => {
+    if (videoRecordingState === 'recording') {
+      pauseVideoRecording();
+    } else if (videoRecordingState === 'paused') {
+      resumeVideoRecording();
+    }
+  }, [videoRecordingState, pauseVideoRecording, resumeVideoRecording]);
+
+  // Still image rendered offscreen at the screenshot resolution
+  const takeScreenshot = useCallback(async () => {
+    const { screenshotWidth: width, screenshotHeight: height, screenshotTransparent } = settings;
+    try {
+      const avatar = renderOffscreen(width, height);
+      if (!avatar) return;
+      const compositor = createOutputCompositor(width, height);
+      await compositor.setBackground({ transparent: screenshotTransparent, color: backgroundColor, imageUrl: backgroundImage });
+      compositor.draw(avatar);
+      compositor.canvas.toBlob((blob) => {
+        downloadBlob(blob, recordingFileName('png'));
+        addLog(`スクリーンショット保存 (${width}×${height})`, 'success');
+      }, 'image/png');
+    } catch (err) {
+      addLog(`スクリーンショットエラー: ${err.message}`, 'error');
+    }
+  }, [settings, renderOffscreen, backgroundColor, backgroundImage, addLog]);
+
+  // Restore defaults everywhere and forget everything stored
+  const resetAll = useCallback(() => {
+    setSettings(DEFAULT_SETTINGS);
+    setModelPosition(DEFAULT_MODEL_TRANSFORM.position);
+    setModelScale(DEFAULT_MODEL_TRANSFORM.scale);
+    setModelRotation(DEFAULT_MODEL_TRANSFORM.rotation);
+    setBackgroundImage(null);
+    setBackgroundColor(DEFAULT_BACKGROUND_COLOR);
+    setBrowserUrl(DEFAULT_BROWSER.url);
+    setShowBrowser(DEFAULT_BROWSER.visible);
+    setBrowserPosition(DEFAULT_BROWSER.position);
+    setBrowserSize(DEFAULT_BROWSER.size);
+    setMotionClips([]);
+    setMotions({});
+    setReactionRules(DEFAULT_REACTION_RULES);
+    setControlApi(DEFAULT_CONTROL_API);
+    setMediaDeviceConfig(DEFAULT_MEDIA_DEVICES);
+    setTrackingCalibration(null);
+    setSpringBoneOverrides({});
+    clearState();
+    clearVrmFiles().catch((err) => addLog(`モデル削除エラー: ${err.message}`, 'error'));
+    addLog('設定をリセットし、保存データを削除しました', 'info');
+  }, [addLog]);
+  
   // Handle background image
   const handleBackgroundUpload = useCallback((e) => {
     const file = e.target.files?.[0];
@@ -140,91 +788,210 @@ const VTuberApp = () => {
   // Start/Stop tracking
   const toggleTracking = useCallback(async () => {
     if (isTracking) {
+      stopCamera();
       setIsTracking(false);
+      setCameraMode('');
       setDebugData(prev => ({ ...prev, trackingStatus: 'stopped' }));
       addLog('トラッキング停止', 'info');
     } else {
       try {
-        const stream = await navigator.mediaDevices.getUserMedia({ 
-          video: { width: 1280, height: 720, facingMode: 'user' },
-          audio: false 
-        });
-        if (videoRef.current) {
-          videoRef.current.srcObject = stream;
-        }
+        const mode = await startCamera(mediaDeviceConfig);
+        if (mode === null) return;
+        setCameraMode(mode);
         setIsTracking(true);
         setDebugData(prev => ({ ...prev, trackingStatus: 'running' }));
-        addLog('トラッキング開始', 'success');
+        addLog(`トラッキング開始 (${mode})`, 'success');
+        if (trackingInitError) addLog(`トラッキングモデルを読み込めていません: ${trackingInitError}`, 'error');
+        // Device names are only available once access has been granted
+        refreshDevices();
       } catch (err) {
         addLog(`カメラエラー: ${err.message}`, 'error');
         setDebugData(prev => ({ ...prev, lastError: err.message }));
       }
     }
-  }, [isTracking, addLog]);
+  }, [isTracking, addLog, startCamera, stopCamera, mediaDeviceConfig, refreshDevices, trackingInitError]);
   
   // Toggle microphone
   const toggleMicrophone = useCallback(async () => {
     if (isMicEnabled) {
+      stopMicrophone();
       setIsMicEnabled(false);
       addLog('マイク無効化', 'info');
     } else {
       try {
-        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-        const audioContext = new AudioContext();
-        const analyser = audioContext.createAnalyser();
-        const source = audioContext.createMediaStreamSource(stream);
-        source.connect(analyser);
-        
-        const dataArray = new Uint8Array(analyser.frequencyBinCount);
-        const updateLevel = () => {
-          if (!isMicEnabled) return;
-          analyser.getByteFrequencyData(dataArray);
-          const avg = dataArray.reduce((a, b) => a + b) / dataArray.length;
-          setMicLevel(avg / 255);
-          requestAnimationFrame(updateLevel);
-        };
-        updateLevel();
-        
+        const name = await startMicrophone(mediaDeviceConfig);
+        if (name === null) return;
         setIsMicEnabled(true);
-        addLog('マイク有効化', 'success');
+        addLog(name ? `マイク有効化 (${name})` : 'マイク有効化', 'success');
+        if (videoRecordingState !== 'inactive') addLog('録画中に有効化したマイクは、次の録画から録音されます', 'info');
+        refreshDevices();
       } catch (err) {
         addLog(`マイクエラー: ${err.message}`, 'error');
       }
     }
-  }, [isMicEnabled, addLog]);
+  }, [isMicEnabled, addLog, startMicrophone, stopMicrophone, mediaDeviceConfig, refreshDevices, videoRecordingState]);
+
+  // Reopen a running camera or microphone when its device choice changes
+  const isMicEnabledRef = useRef(isMicEnabled);
+  isMicEnabledRef.current = isMicEnabled;
+  const { cameraId, cameraResolution, cameraFrameRate, microphoneId } = mediaDeviceConfig;
+  useEffect(() => {
+    if (!isTrackingRef.current) return;
+    startCamera({ cameraId, cameraResolution, cameraFrameRate })
+      .then((mode) => {
+        if (mode === null) return;
+        setCameraMode(mode);
+        addLog(`カメラを切り替えました (${mode})`, 'success');
+      })
+      .catch((err) => {
+        setIsTracking(false);
+        setCameraMode('');
+        addLog(`カメラエラー: ${err.message}`, 'error');
+      });
+  }, [cameraId, cameraResolution, cameraFrameRate, startCamera, addLog]);
+  useEffect(() => {
+    if (!isMicEnabledRef.current) return;
+    startMicrophone({ microphoneId })
+      .then((name) => {
+        if (name !== null) addLog('マイクを切り替えました', 'success');
+      })
+      .catch((err) => {
+        setIsMicEnabled(false);
+        addLog(`マイクエラー: ${err.message}`, 'error');
+      });
+  }, [microphoneId, startMicrophone, addLog]);
+  
+  // Model and scene actions shared by the keyboard, gestures and the control API
+  const moveModel = useCallback((dx, dy) => {
+    setModelPosition(p => ({ ...p, x: p.x + dx, y: p.y + dy }));
+  }, []);
+
+  const scaleModel = useCallback((delta) => {
+    setModelScale(s => Math.min(Math.max(s + delta, MIN_MODEL_SCALE), MAX_MODEL_SCALE));
+  }, []);
+
+  const rotateModel = useCallback((delta) => {
+    setModelRotation(r => r + delta);
+  }, []);
+
+  const nextBackground = useCallback(() => {
+    setBackgroundImage(null);
+    setBackgroundColor(c => BACKGROUND_PRESETS[(BACKGROUND_PRESETS.indexOf(c) + 1) % BACKGROUND_PRESETS.length]);
+  }, []);
+
+  // Show an expression, for duration ms or until cleared with null
+  const showExpression = useCallback((name, duration = 0) => {
+    clearTimeout(gestureExpressionTimerRef.current);
+    setGestureExpression(name);
+    if (name && duration > 0) {
+      gestureExpressionTimerRef.current = setTimeout(() => setGestureExpression(null), duration);
+    }
+  }, []);
   
+  // Neutral pose calibration from the live face; false when there is none
+  const calibrateNeutralPose = useCallback(() => {
+    const calibration = isTracking && createCalibration(trackingRef.current, settings.minTrackingConfidence);
+    if (!calibration) {
+      addLog('キャリブレーションには顔が検出されている必要があります', 'error');
+      return false;
+    }
+    setTrackingCalibration(calibration);
+    addLog('ニュートラル姿勢を記録しました', 'success');
+    return true;
+  }, [isTracking, trackingRef, settings.minTrackingConfidence, addLog]);
+
+  const resetCalibration = useCallback(() => {
+    setTrackingCalibration(null);
+    addLog('キャリブレーションをリセットしました', 'info');
+  }, [addLog]);
+
+  // Gesture actions
+  useEffect(() => {
+    if (!gestureEvent || !settings.gestureControl) return;
+
+    const action = settings.gestureBindings[gestureEvent.gesture] || 'none';
+    if (action === 'none') return;
+    addLog(`ジェスチャー: ${GESTURES[gestureEvent.gesture]}`, 'info');
+
+    if (action.startsWith('expression:')) {
+      showExpression(action.slice('expression:'.length), GESTURE_EXPRESSION_DURATION);
+      return;
+    }
+
+    switch (action) {
+      case 'toggleTracking':
+        toggleTracking();
+        break;
+      case 'toggleMic':
+        toggleMicrophone();
+        break;
+      case 'nextBackground':
+        nextBackground();
+        break;
+      case 'toggleBrowser':
+        setShowBrowser(s => !s);
+        break;
+      default:
+        break;
+    }
+    // Only react to new gesture events, not to changed callbacks or settings
+  }, [gestureEvent]);
+
+  useEffect(() => () => clearTimeout(gestureExpressionTimerRef.current), []);
+
   // Keyboard controls
   useEffect(() => {
     if (!settings.keyboardShortcuts) return;
     
     const handleKeyDown = (e) => {
+      // Don't steal keys while typing in a form field
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+      // Number keys switch profiles
+      const profileNumber = parseInt(e.key, 10);
+      if (profileNumber >= 1 && profileNumber <= MAX_PROFILE_HOTKEYS) {
+        if (profiles[profileNumber - 1]) applyProfile(profiles[profileNumber - 1].name);
+        return;
+      }
+
+      // Motion clip hotkeys: emotes play, idle loops toggle
+      const motionClip = motionClips.find(clip => clip.hotkey && clip.hotkey === e.key.toLowerCase());
+      if (motionClip) {
+        if (motionClip.mode === 'idle') {
+          setSettings(s => ({ ...s, idleMotionId: s.idleMotionId === motionClip.id ? null : motionClip.id }));
+        } else {
+          playEmote(motionClip.id);
+        }
+        return;
+      }
+
       const step = e.shiftKey ? 0.1 : 0.02;
       const scaleStep = e.shiftKey ? 0.2 : 0.05;
       
       switch (e.key) {
         case 'ArrowUp':
-          setModelPosition(p => ({ ...p, y: p.y + step }));
+          moveModel(0, step);
           break;
         case 'ArrowDown':
-          setModelPosition(p => ({ ...p, y: p.y - step }));
+          moveModel(0, -step);
           break;
         case 'ArrowLeft':
-          setModelPosition(p => ({ ...p, x: p.x - step }));
+          moveModel(-step, 0);
           break;
         case 'ArrowRight':
-          setModelPosition(p => ({ ...p, x: p.x + step }));
+          moveModel(step, 0);
           break;
         case '+':
         case '=':
-          setModelScale(s => Math.min(s + scaleStep, 3));
+          scaleModel(scaleStep);
           break;
         case '-':
         case '_':
-          setModelScale(s => Math.max(s - scaleStep, 0.1));
+          scaleModel(-scaleStep);
           break;
         case 'r':
         case 'R':
-          setModelRotation(r => r + (e.shiftKey ? -10 : 10));
+          rotateModel(e.shiftKey ? -10 : 10);
           break;
         case 't':
         case 'T':
@@ -238,9 +1005,32 @@ const VTuberApp = () => {
         case 'D':
           setSettings(s => ({ ...s, debugMode: !s.debugMode }));
           break;
+        // Camera keys stay off MOTION_HOTKEYS, so clip hotkeys can't shadow them
+        case ']':
+          setSettings(s => ({ ...s, cameraPreset: cyclePreset(s.cameraPreset, 1) }));
+          break;
+        case '[':
+          setSettings(s => ({ ...s, cameraPreset: cyclePreset(s.cameraPreset, -1) }));
+          break;
+        case 'a':
+        case 'A':
+          setSettings(s => ({ ...s, cameraAutoFollow: !s.cameraAutoFollow }));
+          break;
         case 'Escape':
           setShowSettings(s => !s);
           break;
+        case 'F9':
+          e.preventDefault();
+          toggleVideoRecording();
+          break;
+        case 'F10':
+          e.preventDefault();
+          toggleVideoPause();
+          break;
+        case 'F8':
+          e.preventDefault();
+          takeScreenshot();
+          break;
         default:
           break;
       }
@@ -248,7 +1038,182 @@ const VTuberApp = () => {
     
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [settings.keyboardShortcuts, toggleTracking, toggleMicrophone]);
+  }, [settings.keyboardShortcuts, moveModel, scaleModel, rotateModel, toggleTracking, toggleMicrophone, profiles, applyProfile, motionClips, playEmote, toggleVideoRecording, toggleVideoPause, takeScreenshot]);
+
+  // Chat/alert reactions
+  const { spawnProp } = useProps(vrm, onFrame);
+  const { speak } = useSpeech(vrm, onFrame);
+  const { status: reactionStatus, recentEvents: reactionEvents, trigger: triggerReaction, triggerRule: triggerReactionRule } = useReactions(
+    settings.reactionSource,
+    settings.reactionSourceUrl,
+    reactionRules,
+    {
+      expression: (action) => showExpression(action.expression, action.duration * 1000),
+      motion: (action) => {
+        if (action.motionId && motions[action.motionId]) playEmote(action.motionId);
+      },
+      prop: (action) => spawnProp(action.prop, action.duration),
+      speech: (action, event) => {
+        try {
+          speak(formatReactionText(action.text, event));
+        } catch (err) {
+          addLog(`読み上げエラー: ${err.message}`, 'error');
+        }
+      },
+    }
+  );
+
+  // Remote control API: the keyboard's actions as JSON-RPC methods
+  const { status: controlApiStatus, clientCount: controlClientCount, emit: emitControlEvent } = useControlApi(
+    controlApi.enabled,
+    controlApi,
+    {
+      'app.getState': () => ({
+        model: { name: vrmModel, position: modelPosition, scale: modelScale, rotation: modelRotation },
+        tracking: isTracking,
+        faceDetected: debugData.faceDetected,
+        mic: isMicEnabled,
+        expression: gestureExpression,
+        profile: activeProfile,
+        backgroundColor,
+      }),
+      'model.move': (params) => moveModel(numberParam(params, 'x', 0), numberParam(params, 'y', 0)),
+      'model.scale': (params) => scaleModel(numberParam(params, 'delta')),
+      'model.rotate': (params) => rotateModel(numberParam(params, 'delta')),
+      // Everything is validated before anything is applied; missing fields
+      // (null here) keep their current value
+      'model.setTransform': (params) => {
+        const position = params.position === undefined ? {} : params.position;
+        if (typeof position !== 'object' || position === null || Array.isArray(position)) {
+          throw rpcError(RPC_INVALID_PARAMS, '"position" must be an object');
+        }
+        const x = numberParam(position, 'x', null);
+        const y = numberParam(position, 'y', null);
+        const z = numberParam(position, 'z', null);
+        const scale = numberParam(params, 'scale', null);
+        const rotation = numberParam(params, 'rotation', null);
+
+        if (x !== null || y !== null || z !== null) {
+          setModelPosition(p => ({ x: x ?? p.x, y: y ?? p.y, z: z ?? p.z }));
+        }
+        if (scale !== null) setModelScale(Math.min(Math.max(scale, MIN_MODEL_SCALE), MAX_MODEL_SCALE));
+        if (rotation !== null) setModelRotation(rotation);
+      },
+      'tracking.toggle': () => toggleTracking(),
+      'tracking.set': (params) => {
+        if (booleanParam(params, 'enabled') !== isTracking) return toggleTracking();
+      },
+      'tracking.calibrate': () => {
+        if (!calibrateNeutralPose()) throw new Error('No face detected');
+      },
+      'tracking.resetCalibration': () => resetCalibration(),
+      'mic.toggle': () => toggleMicrophone(),
+      'mic.set': (params) => {
+        if (booleanParam(params, 'enabled') !== isMicEnabled) return toggleMicrophone();
+      },
+      'expression.list': () => expressionNames,
+      'expression.set': (params) => {
+        const name = params.name === null ? null : stringParam(params, 'name');
+        if (name && !expressionNames.includes(name)) {
+          throw rpcError(RPC_INVALID_PARAMS, `Unknown expression: ${name}`);
+        }
+        showExpression(name, numberParam(params, 'duration', 0) * 1000);
+      },
+      'background.next': () => nextBackground(),
+      'background.setColor': (params) => {
+        const color = stringParam(params, 'color');
+        if (!/^#[0-9a-f]{6}$/i.test(color)) throw rpcError(RPC_INVALID_PARAMS, '"color" must be #rrggbb');
+        setBackgroundImage(null);
+        setBackgroundColor(color);
+      },
+      'profile.list': () => profiles.map(p => p.name),
+      'profile.load': (params) => {
+        const name = stringParam(params, 'name');
+        if (!profiles.some(p => p.name === name)) throw rpcError(RPC_INVALID_PARAMS, `Unknown profile: ${name}`);
+        applyProfile(name);
+      },
+      'motion.list': () => motionClips.map(({ id, name, mode }) => ({ id, name, mode })),
+      // Emotes play, idle loops toggle, as with the hotkeys
+      'motion.play': (params) => {
+        const id = stringParam(params, 'id');
+        const clip = motionClips.find(c => c.id === id || c.name === id);
+        if (!clip || !motions[clip.id]) throw rpcError(RPC_INVALID_PARAMS, `Unknown motion: ${id}`);
+        if (clip.mode === 'idle') {
+          setSettings(s => ({ ...s, idleMotionId: s.idleMotionId === clip.id ? null : clip.id }));
+        } else {
+          playEmote(clip.id);
+        }
+      },
+      'recording.toggle': () => toggleVideoRecording(),
+      'recording.togglePause': () => toggleVideoPause(),
+      'screenshot.take': () => takeScreenshot(),
+      'physics.reset': () => resetSpringBones(),
+      'camera.list': () => Object.entries(CAMERA_PRESETS).map(([id, { name }]) => ({ id, name })),
+      'camera.setPreset': (params) => {
+        const name = stringParam(params, 'name');
+        if (!CAMERA_PRESETS[name]) throw rpcError(RPC_INVALID_PARAMS, `Unknown camera preset: ${name}`);
+        // Choosing the current preset again moves back to it
+        if (name === settings.cameraPreset) refitCamera();
+        setSettings(s => ({ ...s, cameraPreset: name }));
+      },
+      'camera.setAutoFollow': (params) => {
+        const cameraAutoFollow = booleanParam(params, 'enabled');
+        setSettings(s => ({ ...s, cameraAutoFollow }));
+      },
+      'lighting.list': () => Object.entries(LIGHTING_PRESETS).map(([id, { name }]) => ({ id, name })),
+      'lighting.setPreset': (params) => {
+        const name = stringParam(params, 'name');
+        if (!LIGHTING_PRESETS[name]) throw rpcError(RPC_INVALID_PARAMS, `Unknown lighting preset: ${name}`);
+        setSettings(s => ({ ...s, lighting: lightingFromPreset(name, s.lighting) }));
+      },
+      // Any subset of the lighting fields; the result no longer matches a preset
+      'lighting.set': (params) => {
+        let patch;
+        try {
+          patch = parseLightingPatch(params);
+        } catch (err) {
+          throw rpcError(RPC_INVALID_PARAMS, err.message);
+        }
+        setSettings(s => ({ ...s, lighting: { ...s.lighting, ...patch, preset: null } }));
+      },
+      // With an id, fires that rule; otherwise the params are an event
+      'reactions.trigger': (params) => {
+        if (params.id !== undefined) {
+          const id = stringParam(params, 'id');
+          if (!triggerReactionRule(id, params)) throw rpcError(RPC_REACTION_NOT_FOUND, `Reaction not found: ${id}`);
+          return;
+        }
+        try {
+          triggerReaction(params);
+        } catch (err) {
+          throw rpcError(RPC_INVALID_PARAMS, `${err.message}: "type" must be chat, follow or donation`);
+        }
+      },
+      'reactions.list': () => reactionRules.map(({ id, enabled, event, keywords, action }) => ({ id, enabled, event, keywords, action: action.type })),
+    }
+  );
+  controlEmitRef.current = emitControlEvent;
+
+  // Events pushed to controllers
+  useEffect(() => {
+    if (vrm) emitControlEvent('modelLoaded', { name: vrmModel });
+  }, [vrm]);
+
+  useEffect(() => {
+    if (isTracking) emitControlEvent(debugData.faceDetected ? 'faceFound' : 'faceLost');
+  }, [debugData.faceDetected]);
+
+  useEffect(() => {
+    emitControlEvent('trackingChanged', { enabled: isTracking });
+  }, [isTracking, emitControlEvent]);
+
+  useEffect(() => {
+    emitControlEvent('micChanged', { enabled: isMicEnabled });
+  }, [isMicEnabled, emitControlEvent]);
+
+  useEffect(() => {
+    emitControlEvent('profileChanged', { name: activeProfile });
+  }, [activeProfile, emitControlEvent]);
   
   // FPS counter
   useEffect(() => {
@@ -275,13 +1240,13 @@ const VTuberApp = () => {
 
   // Apply microphone level to blend shapes for lip sync
   useEffect(() => {
-    if (settings.lipSyncEnabled && isMicEnabled && trackingData) {
+    if (settings.lipSyncEnabled && isMicEnabled) {
       setDebugData(prev => ({
         ...prev,
         trackingStatus: isTracking ? 'running' : 'idle',
       }));
     }
-  }, [micLevel, isMicEnabled, settings.lipSyncEnabled, isTracking, trackingData]);
+  }, [isMicEnabled, settings.lipSyncEnabled, isTracking]);
 
   // Render settings panel based on active tab
   const renderSettingsPanel = () => {
@@ -355,7 +1320,7 @@ const VTuberApp = () => {
                 <label className="text-xs text-gray-400">スケール</label>
                 <input 
                   type="range" 
-                  min="0.1" max="3" step="0.1"
+                  min={MIN_MODEL_SCALE} max={MAX_MODEL_SCALE} step="0.1"
                   value={modelScale}
                   onChange={(e) => setModelScale(parseFloat(e.target.value))}
                   className="w-full accent-cyan-500"
@@ -377,9 +1342,9 @@ const VTuberApp = () => {
               
               <button 
                 onClick={() => {
-                  setModelPosition({ x: 0, y: -0.5, z: 0 });
-                  setModelScale(1);
-                  setModelRotation(0);
+                  setModelPosition(DEFAULT_MODEL_TRANSFORM.position);
+                  setModelScale(DEFAULT_MODEL_TRANSFORM.scale);
+                  setModelRotation(DEFAULT_MODEL_TRANSFORM.rotation);
                 }}
                 className="w-full py-2 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors"
               >
@@ -426,6 +1391,17 @@ const VTuberApp = () => {
               </div>
             )}
             
+            <div className="space-y-2">
+              <h4 className="text-sm font-semibold text-cyan-300">デバイス</h4>
+              <DevicePanel
+                config={mediaDeviceConfig}
+                onConfigChange={(patch) => setMediaDeviceConfig(c => ({ ...c, ...patch }))}
+                cameras={cameras}
+                microphones={microphones}
+                cameraMode={cameraMode}
+              />
+            </div>
+
             <div className="space-y-3">
               <h4 className="text-sm font-semibold text-cyan-300">トラッキング設定</h4>
               
@@ -451,16 +1427,129 @@ const VTuberApp = () => {
                 </label>
               ))}
               
+              <div className="space-y-2 p-2 bg-gray-800/50 rounded-lg">
+                <div className="grid grid-cols-2 gap-2">
+                  <label className="space-y-1">
+                    <span className="text-xs text-gray-400">モデル品質</span>
+                    <select
+                      value={settings.trackingQuality}
+                      onChange={(e) => setSettings(s => ({ ...s, trackingQuality: e.target.value }))}
+                      className="w-full bg-gray-800 border border-gray-700 rounded px-2 py-1 text-sm"
+                    >
+                      {Object.entries(TRACKING_QUALITY_TIERS).map(([id, tier]) => (
+                        <option key={id} value={id}>{tier.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="space-y-1">
+                    <span className="text-xs text-gray-400">推論デバイス</span>
+                    <select
+                      value={settings.trackingDelegate}
+                      onChange={(e) => setSettings(s => ({ ...s, trackingDelegate: e.target.value }))}
+                      className="w-full bg-gray-800 border border-gray-700 rounded px-2 py-1 text-sm"
+                    >
+                      {Object.entries(TRACKING_DELEGATES).map(([id, name]) => (
+                        <option key={id} value={id}>{name}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                <label className="flex items-center justify-between cursor-pointer">
+                  <span className="text-sm">負荷に応じて推論頻度を調整</span>
+                  <input
+                    type="checkbox"
+                    checked={settings.adaptiveTracking}
+                    onChange={(e) => setSettings(s => ({ ...s, adaptiveTracking: e.target.checked }))}
+                    className="w-5 h-5 accent-cyan-500"
+                  />
+                </label>
+                <p className="text-xs text-gray-500">
+                  重い場合はライト・CPUを試してください。調整中はポーズと手を交互に推論し、手が映っていない間は手の推論を減らします
+                </p>
+              </div>
+
               <div className="space-y-2">
                 <label className="text-xs text-gray-400">スムージング</label>
-                <input 
-                  type="range" 
-                  min="0" max="1" step="0.1"
-                  value={settings.trackingSmoothing}
-                  onChange={(e) => setSettings(s => ({ ...s, trackingSmoothing: parseFloat(e.target.value) }))}
+                <div className="grid grid-cols-2 gap-2">
+                  {Object.entries(TRACKING_FILTER_PARTS).map(([part, name]) => (
+                    <label key={part} className="space-y-1">
+                      <span className="text-xs text-gray-500">{name}</span>
+                      <select
+                        value={settings.trackingFilters[part]}
+                        onChange={(e) => setSettings(s => ({ ...s, trackingFilters: { ...s.trackingFilters, [part]: e.target.value } }))}
+                        className="w-full bg-gray-800 border border-gray-700 rounded px-2 py-1 text-sm"
+                      >
+                        {Object.entries(TRACKING_FILTER_PRESETS).map(([id, preset]) => (
+                          <option key={id} value={id}>{preset.name}</option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <label className="text-xs text-gray-400">遅延の補正 (予測, ms)</label>
+                <input
+                  type="range"
+                  min="0" max="100" step="10"
+                  value={settings.trackingPredictionMs}
+                  onChange={(e) => setSettings(s => ({ ...s, trackingPredictionMs: parseInt(e.target.value, 10) }))}
                   className="w-full accent-cyan-500"
                 />
-                <span className="text-xs text-cyan-400">{settings.trackingSmoothing.toFixed(1)}</span>
+                <span className="text-xs text-cyan-400">{settings.trackingPredictionMs === 0 ? 'オフ' : `${settings.trackingPredictionMs}ms`}</span>
+              </div>
+
+              <div className="space-y-2">
+                <label className="text-xs text-gray-400">検出の信頼度しきい値</label>
+                <input
+                  type="range"
+                  min="0.1" max="0.9" step="0.05"
+                  value={settings.minTrackingConfidence}
+                  onChange={(e) => setSettings(s => ({ ...s, minTrackingConfidence: parseFloat(e.target.value) }))}
+                  className="w-full accent-cyan-500"
+                />
+                <span className="text-xs text-cyan-400">{settings.minTrackingConfidence.toFixed(2)}</span>
+              </div>
+
+              <div className="space-y-2">
+                <label className="text-xs text-gray-400">見失った部位を戻す時間 (秒)</label>
+                <input
+                  type="range"
+                  min="0" max="2" step="0.1"
+                  value={settings.dropoutEaseTime}
+                  onChange={(e) => setSettings(s => ({ ...s, dropoutEaseTime: parseFloat(e.target.value) }))}
+                  className="w-full accent-cyan-500"
+                />
+                <span className="text-xs text-cyan-400">{settings.dropoutEaseTime.toFixed(1)}</span>
+              </div>
+
+              <div className="space-y-2 p-2 bg-gray-800/50 rounded-lg">
+                <div className="flex items-center justify-between">
+                  <span className="text-sm">ニュートラル姿勢</span>
+                  <span className={`text-xs ${trackingCalibration ? 'text-green-400' : 'text-gray-500'}`}>
+                    {trackingCalibration ? '記録済み' : '未記録'}
+                  </span>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  <button
+                    onClick={calibrateNeutralPose}
+                    disabled={!isTracking}
+                    className="px-2 py-1 bg-cyan-600 hover:bg-cyan-500 disabled:opacity-50 rounded text-sm transition-colors"
+                  >
+                    ニュートラル姿勢を記録
+                  </button>
+                  <button
+                    onClick={resetCalibration}
+                    disabled={!trackingCalibration}
+                    className="px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded text-sm transition-colors"
+                  >
+                    リセット
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500">
+                  正面を向いて無表情のまま記録すると、その顔の向きと表情を基準にします
+                </p>
               </div>
               
               <div className="space-y-2">
@@ -478,6 +1567,147 @@ const VTuberApp = () => {
           </div>
         );
         
+      case 'expression':
+        return (
+          <ExpressionMappingPanel
+            mappings={settings.expressionMappings}
+            onChange={(expressionMappings) => setSettings(s => ({ ...s, expressionMappings }))}
+            blendShapes={trackingSnapshot.face.blendShapes}
+            expressionNames={expressionNames}
+            perfectSync={settings.perfectSync}
+            onPerfectSyncChange={(perfectSync) => setSettings(s => ({ ...s, perfectSync }))}
+            perfectSyncCount={perfectSyncCount}
+          />
+        );
+        
+      case 'profiles':
+        return (
+          <ProfilesPanel
+            profiles={profiles}
+            activeProfile={activeProfile}
+            onSave={saveProfile}
+            onApply={applyProfile}
+            onDelete={deleteProfile}
+            onExport={handleExportProfiles}
+            onImport={handleImportProfiles}
+          />
+        );
+        
+      case 'motion':
+        return (
+          <MotionPanel
+            clips={motionClips}
+            loadedIds={Object.keys(motions)}
+            idleClipId={settings.idleMotionId}
+            playingEmote={playingEmote}
+            onAdd={addMotionClip}
+            onChange={updateMotionClip}
+            onDelete={deleteMotionClip}
+            onPlay={playEmote}
+            onIdleChange={(idleMotionId) => setSettings(s => ({ ...s, idleMotionId }))}
+          />
+        );
+        
+      case 'physics':
+        return (
+          <PhysicsPanel
+            modelName={vrm ? vrmModel : null}
+            chains={springChains}
+            colliders={springColliders}
+            overrides={modelSpringOverrides}
+            onOverridesChange={(overrides) => setSpringBoneOverrides(prev => ({ ...prev, [vrmModel]: overrides }))}
+            settings={settings}
+            onSettingsChange={(patch) => setSettings(s => ({ ...s, ...patch }))}
+            onReset={() => {
+              resetSpringBones();
+              addLog('揺れものをリセットしました', 'info');
+            }}
+          />
+        );
+
+      case 'camera':
+        return (
+          <CameraPanel
+            settings={settings}
+            onSettingsChange={(patch) => setSettings(s => ({ ...s, ...patch }))}
+            onRefit={refitCamera}
+            hasModel={Boolean(vrm)}
+          />
+        );
+
+      case 'lighting':
+        return (
+          <LightingPanel
+            lighting={settings.lighting}
+            onChange={(lighting) => setSettings(s => ({ ...s, lighting }))}
+          />
+        );
+
+      case 'output':
+        return (
+          <OutputPanel
+            viewCount={outputViewCount}
+            transparent={settings.outputTransparent}
+            onTransparentChange={(outputTransparent) => setSettings(s => ({ ...s, outputTransparent }))}
+            resolution={outputResolution.id}
+            onResolutionChange={(outputResolution) => setSettings(s => ({ ...s, outputResolution }))}
+            streamEnabled={isOutputStreamEnabled}
+            onStreamEnabledChange={setIsOutputStreamEnabled}
+            stream={outputStream}
+          />
+        );
+        
+      case 'recording':
+        return (
+          <RecordingPanel
+            recordingState={videoRecordingState}
+            elapsed={videoRecordingElapsed}
+            settings={settings}
+            onSettingsChange={(patch) => setSettings(s => ({ ...s, ...patch }))}
+            onToggleRecording={toggleVideoRecording}
+            onTogglePause={toggleVideoPause}
+            onScreenshot={takeScreenshot}
+            micEnabled={isMicEnabled}
+          />
+        );
+        
+      case 'reactions':
+        return (
+          <ReactionsPanel
+            source={settings.reactionSource}
+            sourceUrl={settings.reactionSourceUrl}
+            onSourceChange={(reactionSource) => setSettings(s => ({ ...s, reactionSource }))}
+            onSourceUrlChange={(reactionSourceUrl) => setSettings(s => ({ ...s, reactionSourceUrl }))}
+            status={reactionStatus}
+            rules={reactionRules}
+            onRulesChange={setReactionRules}
+            expressionNames={expressionNames}
+            emoteClips={motionClips.filter(clip => clip.mode === 'emote')}
+            recentEvents={reactionEvents}
+            onTest={(type) => triggerReaction(createMockEvent(type))}
+          />
+        );
+        
+      case 'remote':
+        return (
+          <ControlApiPanel
+            config={controlApi}
+            onConfigChange={(patch) => setControlApi(c => ({ ...c, ...patch }))}
+            status={controlApiStatus}
+            clientCount={controlClientCount}
+          />
+        );
+        
+      case 'vmc':
+        return (
+          <VMCPanel
+            settings={settings}
+            onSettingsChange={(patch) => setSettings(s => ({ ...s, ...patch }))}
+            status={vmcStatus}
+            isReceiving={isReceivingVmc}
+          />
+        );
+        
       case 'background':
         return (
           <div className="space-y-4">
@@ -534,7 +1764,7 @@ const VTuberApp = () => {
             )}
             
             <div className="grid grid-cols-4 gap-2">
-              {['#1a1a2e', '#0f0f23', '#16213e', '#1a1a1a', '#2d132c', '#1e3a5f', '#0d1117', '#000000'].map(color => (
+              {BACKGROUND_PRESETS.map(color => (
                 <button 
                   key={color}
                   onClick={() => setBackgroundColor(color)}
@@ -688,6 +1918,40 @@ const VTuberApp = () => {
               </label>
             ))}
             
+            {settings.gestureControl && (
+              <div className="border-t border-gray-700 pt-4 mt-4 space-y-2">
+                <h4 className="text-sm font-semibold text-cyan-300 mb-3">ジェスチャー割り当て</h4>
+                {Object.entries(GESTURES).map(([gesture, label]) => (
+                  <div key={gesture} className="flex items-center justify-between gap-2">
+                    <span className="text-sm">{label}</span>
+                    <select
+                      value={settings.gestureBindings[gesture]}
+                      onChange={(e) => setSettings(s => ({
+                        ...s,
+                        gestureBindings: { ...s.gestureBindings, [gesture]: e.target.value },
+                      }))}
+                      className="bg-gray-800 border border-gray-700 rounded px-2 py-1 text-sm"
+                    >
+                      {GESTURE_ACTIONS.map(action => (
+                        <option key={action.id} value={action.id}>{action.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+                <div className="space-y-2">
+                  <label className="text-xs text-gray-400">保持時間</label>
+                  <input 
+                    type="range" 
+                    min="0.1" max="2" step="0.1"
+                    value={settings.gestureHoldTime}
+                    onChange={(e) => setSettings(s => ({ ...s, gestureHoldTime: parseFloat(e.target.value) }))}
+                    className="w-full accent-cyan-500"
+                  />
+                  <span className="text-xs text-cyan-400">{settings.gestureHoldTime.toFixed(1)}秒</span>
+                </div>
+              </div>
+            )}
+            
             <div className="border-t border-gray-700 pt-4 mt-4">
               <h4 className="text-sm font-semibold text-cyan-300 mb-3">キーボードショートカット</h4>
               <div className="space-y-1 text-xs text-gray-400">
@@ -698,31 +1962,17 @@ const VTuberApp = () => {
                 <p><kbd className="bg-gray-700 px-1 rounded">M</kbd> マイク切替</p>
                 <p><kbd className="bg-gray-700 px-1 rounded">D</kbd> デバッグ切替</p>
                 <p><kbd className="bg-gray-700 px-1 rounded">Esc</kbd> パネル表示切替</p>
+                <p><kbd className="bg-gray-700 px-1 rounded">1-9</kbd> プロファイル切替</p>
+                <p><kbd className="bg-gray-700 px-1 rounded">F9/F10</kbd> 録画開始・停止/一時停止</p>
+                <p><kbd className="bg-gray-700 px-1 rounded">F8</kbd> スクリーンショット</p>
+                <p><kbd className="bg-gray-700 px-1 rounded">Q, W, E…</kbd> モーション再生（モーションタブで割り当て）</p>
                 <p className="mt-2 text-gray-500">Shift押しながらで大きく移動</p>
               </div>
             </div>
             
             <button 
               onClick={() => {
-                setSettings({
-                  trackingSmoothing: 0.5,
-                  trackingSpeed: 1.0,
-                  faceTrackingEnabled: true,
-                  bodyTrackingEnabled: true,
-                  handTrackingEnabled: true,
-                  lipSyncEnabled: true,
-                  lipSyncSensitivity: 0.7,
-                  blinkEnabled: true,
-                  blinkInterval: 4,
-                  idleAnimationEnabled: true,
-                  mirrorMode: true,
-                  debugMode: false,
-                  showFPS: true,
-                  showTrackingData: false,
-                  gestureControl: true,
-                  keyboardShortcuts: true,
-                });
-                addLog('設定をリセットしました', 'info');
+                resetAll();
               }}
               className="w-full py-2 bg-orange-600 hover:bg-orange-500 rounded text-sm transition-colors"
             >
@@ -767,15 +2017,85 @@ const VTuberApp = () => {
               </div>
             </div>
             
+            <TimingsPanel
+              trackingTimingsRef={trackingTimingsRef}
+              renderTimingsRef={renderTimingsRef}
+              schedulerRef={settings.adaptiveTracking ? trackingSchedulerRef : null}
+            />
+
             {settings.showTrackingData && (
               <div className="bg-gray-800 rounded-lg p-3">
                 <h4 className="text-sm font-semibold text-cyan-300 mb-2">トラッキングデータ</h4>
                 <pre className="text-xs font-mono text-gray-400 overflow-auto max-h-40">
-                  {JSON.stringify(trackingData.face.rotation, null, 2)}
+                  {JSON.stringify(trackingSnapshot.face.rotation, null, 2)}
                 </pre>
               </div>
             )}
             
+            <div className="bg-gray-800 rounded-lg p-3 space-y-2">
+              <h4 className="text-sm font-semibold text-cyan-300">トラッキング記録</h4>
+              <div className="flex gap-2">
+                <button 
+                  onClick={toggleTrackingRecording}
+                  disabled={!isTracking && !isRecordingTracking}
+                  className={`flex-1 py-2 rounded text-sm transition-colors disabled:opacity-50 ${
+                    isRecordingTracking ? 'bg-red-500 hover:bg-red-600' : 'bg-gray-700 hover:bg-gray-600'
+                  }`}
+                >
+                  {isRecordingTracking ? `⏹ 停止 (${recordedFrames})` : '⏺ 記録'}
+                </button>
+                <button 
+                  onClick={() => setIsReplaying(r => !r)}
+                  disabled={!trackingRecording || isRecordingTracking}
+                  className={`flex-1 py-2 rounded text-sm transition-colors disabled:opacity-50 ${
+                    isReplaying ? 'bg-cyan-500 text-black' : 'bg-gray-700 hover:bg-gray-600'
+                  }`}
+                >
+                  {isReplaying ? '⏹ 再生停止' : '▶ 再生'}
+                </button>
+              </div>
+              {trackingRecording && (
+                <div className="h-1 bg-gray-700 rounded-full overflow-hidden">
+                  <div className="h-full bg-cyan-500" style={{ width: `${replayProgress * 100}%` }} />
+                </div>
+              )}
+              <div className="flex gap-2">
+                <button 
+                  onClick={saveTrackingRecording}
+                  disabled={!trackingRecording}
+                  className="flex-1 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded text-xs transition-colors"
+                >
+                  保存
+                </button>
+                <button 
+                  onClick={() => recordingInputRef.current?.click()}
+                  className="flex-1 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs transition-colors"
+                >
+                  読み込み
+                </button>
+                <input 
+                  ref={recordingInputRef}
+                  type="file" 
+                  accept=".json,application/json" 
+                  className="hidden" 
+                  onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    if (file) loadTrackingRecording(file);
+                    e.target.value = '';
+                  }}
+                />
+              </div>
+              <label className="flex items-center gap-2 text-xs text-gray-400 cursor-pointer">
+                <input 
+                  type="checkbox"
+                  checked={replayLoop}
+                  onChange={(e) => setReplayLoop(e.target.checked)}
+                  className="accent-cyan-500"
+                />
+                ループ再生
+              </label>
+            </div>
+            
             {debugData.lastError && (
               <div className="bg-red-900/30 border border-red-500/50 rounded-lg p-3">
                 <div className="text-xs text-red-400">最後のエラー</div>
@@ -884,7 +2204,7 @@ const VTuberApp = () => {
         {settings.debugMode && (
           <div className="absolute top-4 left-4 bg-black/70 backdrop-blur rounded-lg p-4 font-mono text-xs space-y-1">
             <div className="text-cyan-400">FPS: {debugData.fps}</div>
-            <div className="text-green-400">Status: {debugData.trackingStatus}</div>
+            <div className={trackingInitError ? 'text-red-400' : 'text-green-400'}>Status: {trackingInitError ? 'error' : debugData.trackingStatus}</div>
             <div>Face: {debugData.faceDetected ? '✓' : '✗'}</div>
             <div>Pose: {debugData.poseDetected ? '✓' : '✗'}</div>
             <div>Hands: L:{debugData.handsDetected.left ? '✓' : '✗'} R:{debugData.handsDetected.right ? '✓' : '✗'}</div>
@@ -903,12 +2223,45 @@ const VTuberApp = () => {
         
         {/* Status indicators */}
         <div className="absolute bottom-4 left-4 flex gap-2">
-          {isTracking && (
+          {isTracking && !trackingInitError && (
             <div className="flex items-center gap-2 bg-green-500/20 border border-green-500/50 rounded-full px-3 py-1">
               <span className="w-2 h-2 rounded-full bg-green-500 animate-pulse"></span>
               <span className="text-xs text-green-400">トラッキング中</span>
             </div>
           )}
+          {trackingInitError && (
+            <div
+              className="flex items-center gap-2 bg-red-500/20 border border-red-500/50 rounded-full px-3 py-1"
+              title={trackingInitError}
+            >
+              <span className="w-2 h-2 rounded-full bg-red-500"></span>
+              <span className="text-xs text-red-400">トラッキング初期化エラー</span>
+            </div>
+          )}
+          {isRecordingTracking && (
+            <div className="flex items-center gap-2 bg-red-500/20 border border-red-500/50 rounded-full px-3 py-1">
+              <span className="w-2 h-2 rounded-full bg-red-500 animate-pulse"></span>
+              <span className="text-xs text-red-400">記録中</span>
+            </div>
+          )}
+          {videoRecordingState !== 'inactive' && (
+            <div className="flex items-center gap-2 bg-red-500/20 border border-red-500/50 rounded-full px-3 py-1">
+              <span className={`w-2 h-2 rounded-full bg-red-500 ${videoRecordingState === 'recording' ? 'animate-pulse' : ''}`}></span>
+              <span className="text-xs text-red-400">
+                REC {Math.floor(videoRecordingElapsed / 60)}:{Math.floor(videoRecordingElapsed % 60).toString().padStart(2, '0')}
+              </span>
+            </div>
+          )}
+          {isReceivingVmc && (
+            <div className="flex items-center gap-2 bg-purple-500/20 border border-purple-500/50 rounded-full px-3 py-1">
+              <span className="text-xs text-purple-400">🔗 VMC受信中</span>
+            </div>
+          )}
+          {isReplaying && (
+            <div className="flex items-center gap-2 bg-cyan-500/20 border border-cyan-500/50 rounded-full px-3 py-1">
+              <span className="text-xs text-cyan-400">▶ 記録再生中</span>
+            </div>
+          )}
           {isMicEnabled && (
             <div className="flex items-center gap-2 bg-blue-500/20 border border-blue-500/50 rounded-full px-3 py-1">
               <span className="text-xs">🎤</span>
@@ -946,9 +2299,20 @@ const VTuberApp = () => {
           <div className="flex border-b border-gray-700 overflow-x-auto">
             {[
               { id: 'model', icon: '🎭', label: 'モデル' },
+              { id: 'camera', icon: '🎥', label: 'カメラ' },
               { id: 'tracking', icon: '📷', label: 'トラッキング' },
+              { id: 'expression', icon: '😊', label: '表情' },
+              { id: 'motion', icon: '🕺', label: 'モーション' },
+              { id: 'physics', icon: '🌀', label: '物理' },
+              { id: 'reactions', icon: '⚡', label: 'リアクション' },
+              { id: 'lighting', icon: '💡', label: 'ライティング' },
               { id: 'background', icon: '🖼', label: '背景' },
               { id: 'browser', icon: '🌐', label: 'ブラウザ' },
+              { id: 'output', icon: '📡', label: '出力' },
+              { id: 'recording', icon: '🎬', label: '録画' },
+              { id: 'vmc', icon: '🔗', label: 'VMC' },
+              { id: 'remote', icon: '🎛', label: 'リモート' },
+              { id: 'profiles', icon: '📋', label: 'プロファイル' },
               { id: 'settings', icon: '⚙️', label: '設定' },
               { id: 'debug', icon: '🐛', label: 'デバッグ' },
             ].map(tab => (
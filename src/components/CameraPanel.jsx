@@ -0,0 +1,64 @@
+import React from 'react';
+import { CAMERA_PRESETS } from '../utils/cameraFraming';
+
+// Stage camera: presets fitted to the model, head following, transition time
+// and mouse controls
+export const CameraPanel = ({ settings, onSettingsChange, onRefit, hasModel }) => (
+  <div className="space-y-4">
+    <div className="space-y-2">
+      <h4 className="text-sm font-semibold text-cyan-300">プリセット</h4>
+      <div className="grid grid-cols-2 gap-2">
+        {Object.entries(CAMERA_PRESETS).map(([id, { name }]) => (
+          <button
+            key={id}
+            onClick={() => (id === settings.cameraPreset ? onRefit() : onSettingsChange({ cameraPreset: id }))}
+            className={`px-2 py-1.5 rounded text-sm transition-colors ${
+              settings.cameraPreset === id ? 'bg-cyan-600' : 'bg-gray-700 hover:bg-gray-600'
+            }`}
+          >
+            {name}
+          </button>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500">
+        {hasModel
+          ? '標準以外はモデルの頭・腰・足の位置に合わせて構図を決めます。選択中のプリセットをもう一度押すと構図を合わせ直します'
+          : 'モデルを読み込むと、標準以外のプリセットが使えます'}
+      </p>
+    </div>
+
+    <div className="space-y-2">
+      <label className="flex items-center gap-2">
+        <span className="text-xs text-gray-400 w-20 flex-shrink-0">切り替え時間</span>
+        <input
+          type="range"
+          min={0} max={2} step={0.1}
+          value={settings.cameraTransitionTime}
+          onChange={(e) => onSettingsChange({ cameraTransitionTime: parseFloat(e.target.value) })}
+          className="flex-1 accent-cyan-500"
+        />
+        <span className="text-xs text-cyan-400 w-12 text-right">{settings.cameraTransitionTime.toFixed(1)}秒</span>
+      </label>
+      <label className="flex items-center justify-between text-sm cursor-pointer">
+        頭を追いかける
+        <input
+          type="checkbox"
+          checked={settings.cameraAutoFollow}
+          onChange={(e) => onSettingsChange({ cameraAutoFollow: e.target.checked })}
+          className="w-4 h-4 accent-cyan-500"
+        />
+      </label>
+      <p className="text-xs text-gray-500">体を傾けても、頭が画面の同じ位置に収まるようにカメラが動きます</p>
+      <label className="flex items-center justify-between text-sm cursor-pointer">
+        マウスでカメラを操作
+        <input
+          type="checkbox"
+          checked={settings.cameraControls}
+          onChange={(e) => onSettingsChange({ cameraControls: e.target.checked })}
+          className="w-4 h-4 accent-cyan-500"
+        />
+      </label>
+      <p className="text-xs text-gray-500">左ドラッグで回転、右ドラッグで移動、ホイールでズーム</p>
+    </div>
+  </div>
+);
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+
+const STATUS_LABELS = {
+  off: { text: '停止中', className: 'text-gray-400' },
+  connecting: { text: 'サーバーに接続中…', className: 'text-yellow-400' },
+  connected: { text: 'サーバーに接続済み', className: 'text-green-400' },
+};
+
+// Methods listed for reference; see the README for parameters
+const METHOD_GROUPS = [
+  ['model.move', 'model.scale', 'model.rotate', 'model.setTransform'],
+  ['tracking.toggle', 'tracking.set', 'tracking.calibrate', 'tracking.resetCalibration'],
+  ['mic.toggle', 'mic.set'],
+  ['expression.set', 'expression.list', 'background.next', 'background.setColor'],
+  ['profile.load', 'profile.list', 'motion.play', 'motion.list'],
+  ['recording.toggle', 'recording.togglePause', 'screenshot.take'],
+  ['reactions.trigger', 'reactions.list', 'physics.reset', 'app.getState'],
+  ['camera.setPreset', 'camera.list', 'camera.setAutoFollow'],
+  ['lighting.setPreset', 'lighting.set', 'lighting.list'],
+];
+
+// Remote control API (JSON-RPC over the local control server)
+export const ControlApiPanel = ({ config, onConfigChange, status, clientCount }) => {
+  const [showToken, setShowToken] = useState(false);
+  const label = STATUS_LABELS[status] || STATUS_LABELS.off;
+  const command = `npm run control-server -- --token ${config.token || '<トークン>'}`;
+
+  const generateToken = () => {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    onConfigChange({ token: Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('') });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <h4 className="text-sm font-semibold text-cyan-300">コントロールサーバー</h4>
+        <input
+          type="text"
+          value={config.url}
+          onChange={(e) => onConfigChange({ url: e.target.value })}
+          placeholder="ws://localhost:39570"
+          className="w-full bg-gray-800 border border-gray-700 rounded px-3 py-2 text-sm"
+        />
+        <div className="flex gap-2">
+          <input
+            type={showToken ? 'text' : 'password'}
+            value={config.token}
+            onChange={(e) => onConfigChange({ token: e.target.value.trim() })}
+            placeholder="トークン"
+            className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded px-3 py-2 text-sm font-mono"
+          />
+          <button
+            onClick={() => setShowToken(s => !s)}
+            className="px-2 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors"
+          >
+            {showToken ? '🙈' : '👁'}
+          </button>
+          <button
+            onClick={generateToken}
+            className="px-3 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors"
+          >
+            生成
+          </button>
+        </div>
+        <label className="flex items-center justify-between p-2 bg-gray-800/50 rounded-lg cursor-pointer hover:bg-gray-800">
+          <span className="text-sm">リモート操作を有効にする</span>
+          <input
+            type="checkbox"
+            checked={config.enabled}
+            disabled={!config.token}
+            onChange={(e) => onConfigChange({ enabled: e.target.checked })}
+            className="w-5 h-5 accent-cyan-500"
+          />
+        </label>
+        <p className={`text-xs ${label.className}`}>
+          ● {label.text}{status === 'connected' && ` (コントローラー: ${clientCount})`}
+        </p>
+      </div>
+
+      <div className="space-y-1 text-xs text-gray-400">
+        <p>同じトークンでサーバーを起動してください:</p>
+        <p><code className="bg-gray-700 px-1 rounded break-all">{command}</code></p>
+        <p>コントローラーは <code className="bg-gray-700 px-1 rounded">{config.url}/?token=…</code> に接続し、JSON-RPC 2.0で操作します。</p>
+      </div>
+
+      <div className="space-y-1">
+        <h4 className="text-sm font-semibold text-cyan-300">メソッド</h4>
+        {METHOD_GROUPS.map((group) => (
+          <p key={group[0]} className="text-xs text-gray-400 font-mono">{group.join('  ')}</p>
+        ))}
+      </div>
+    </div>
+  );
+};
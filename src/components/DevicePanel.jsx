@@ -0,0 +1,71 @@
+import React from 'react';
+import { CAMERA_FRAME_RATES, CAMERA_RESOLUTIONS } from '../utils/mediaDevices';
+
+// Camera and microphone selection; changes apply immediately to a running device
+export const DevicePanel = ({ config, onConfigChange, cameras, microphones, cameraMode }) => {
+  const selectClass = 'w-full bg-gray-800 border border-gray-700 rounded px-2 py-1 text-sm';
+
+  return (
+    <div className="space-y-2 p-2 bg-gray-800/50 rounded-lg">
+      <label className="block space-y-1">
+        <span className="text-xs text-gray-400">カメラ</span>
+        <select
+          value={config.cameraId}
+          onChange={(e) => onConfigChange({ cameraId: e.target.value })}
+          className={selectClass}
+        >
+          <option value="">既定のカメラ</option>
+          {config.cameraId && !cameras.some(c => c.id === config.cameraId) && (
+            <option value={config.cameraId}>前回のカメラ (未接続)</option>
+          )}
+          {cameras.map(camera => (
+            <option key={camera.id} value={camera.id}>{camera.name}</option>
+          ))}
+        </select>
+      </label>
+      <div className="grid grid-cols-2 gap-2">
+        <label className="space-y-1">
+          <span className="text-xs text-gray-400">解像度</span>
+          <select
+            value={config.cameraResolution}
+            onChange={(e) => onConfigChange({ cameraResolution: e.target.value })}
+            className={selectClass}
+          >
+            {CAMERA_RESOLUTIONS.map(resolution => (
+              <option key={resolution.id} value={resolution.id}>{resolution.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="space-y-1">
+          <span className="text-xs text-gray-400">フレームレート</span>
+          <select
+            value={config.cameraFrameRate}
+            onChange={(e) => onConfigChange({ cameraFrameRate: parseInt(e.target.value, 10) })}
+            className={selectClass}
+          >
+            {CAMERA_FRAME_RATES.map(rate => (
+              <option key={rate} value={rate}>{rate}fps</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {cameraMode && <p className="text-xs text-gray-500">取得中: {cameraMode}</p>}
+      <label className="block space-y-1">
+        <span className="text-xs text-gray-400">マイク</span>
+        <select
+          value={config.microphoneId}
+          onChange={(e) => onConfigChange({ microphoneId: e.target.value })}
+          className={selectClass}
+        >
+          <option value="">既定のマイク</option>
+          {config.microphoneId && !microphones.some(m => m.id === config.microphoneId) && (
+            <option value={config.microphoneId}>前回のマイク (未接続)</option>
+          )}
+          {microphones.map(microphone => (
+            <option key={microphone.id} value={microphone.id}>{microphone.name}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
@@ -0,0 +1,166 @@
+import React from 'react';
+import {
+  ARKIT_BLENDSHAPES,
+  DEFAULT_EXPRESSION_MAPPINGS,
+  MAPPING_CURVES,
+  VRM_PRESET_EXPRESSIONS,
+  evaluateMapping,
+} from '../utils/expressionMapping';
+
+// Editor for blendshape -> VRM expression mappings with live preview
+export const ExpressionMappingPanel = ({
+  mappings,
+  onChange,
+  blendShapes,
+  expressionNames,
+  perfectSync,
+  onPerfectSyncChange,
+  perfectSyncCount,
+}) => {
+  const targets = Array.from(new Set([...VRM_PRESET_EXPRESSIONS, ...expressionNames]));
+
+  const updateMapping = (index, changes) => {
+    onChange(mappings.map((mapping, i) => (i === index ? { ...mapping, ...changes } : mapping)));
+  };
+
+  const removeMapping = (index) => {
+    onChange(mappings.filter((_, i) => i !== index));
+  };
+
+  const addMapping = () => {
+    onChange([...mappings, { source: 'jawOpen', target: 'aa', weight: 1, curve: 'linear', min: 0, max: 1 }]);
+  };
+
+  return (
+    <div className="space-y-4">
+      <label className="flex items-center justify-between p-2 bg-gray-800/50 rounded-lg cursor-pointer hover:bg-gray-800">
+        <span className="flex items-center gap-2">
+          <span>🎯</span>
+          <span className="text-sm">パーフェクトシンク</span>
+        </span>
+        <input
+          type="checkbox"
+          checked={perfectSync}
+          onChange={(e) => onPerfectSyncChange(e.target.checked)}
+          className="w-5 h-5 accent-cyan-500"
+        />
+      </label>
+      <p className="text-xs text-gray-500">
+        {perfectSyncCount > 0
+          ? `このモデルは${perfectSyncCount}個のブレンドシェイプに対応しています`
+          : 'このモデルにはパーフェクトシンク用の表情がありません'}
+      </p>
+
+      <h4 className="text-sm font-semibold text-cyan-300">表情マッピング</h4>
+
+      {mappings.map((mapping, index) => {
+        const input = blendShapes[mapping.source] || 0;
+        const output = evaluateMapping(mapping, input);
+        return (
+          <div key={index} className="bg-gray-800 rounded-lg p-3 space-y-2">
+            <div className="flex items-center gap-1">
+              <select
+                value={mapping.source}
+                onChange={(e) => updateMapping(index, { source: e.target.value })}
+                className="flex-1 min-w-0 bg-gray-900 border border-gray-700 rounded px-1 py-1 text-xs"
+              >
+                {ARKIT_BLENDSHAPES.map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+              <span className="text-gray-500 text-xs">→</span>
+              <select
+                value={mapping.target}
+                onChange={(e) => updateMapping(index, { target: e.target.value })}
+                className="flex-1 min-w-0 bg-gray-900 border border-gray-700 rounded px-1 py-1 text-xs"
+              >
+                {targets.map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => removeMapping(index)}
+                className="bg-red-500/80 hover:bg-red-400 rounded w-6 h-6 text-xs flex-shrink-0"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="text-xs text-gray-400">強さ</label>
+                <input
+                  type="range"
+                  min="0" max="3" step="0.1"
+                  value={mapping.weight}
+                  onChange={(e) => updateMapping(index, { weight: parseFloat(e.target.value) })}
+                  className="w-full accent-cyan-500"
+                />
+                <span className="text-xs text-cyan-400">{mapping.weight.toFixed(1)}</span>
+              </div>
+              <div>
+                <label className="text-xs text-gray-400">カーブ</label>
+                <select
+                  value={mapping.curve}
+                  onChange={(e) => updateMapping(index, { curve: e.target.value })}
+                  className="w-full bg-gray-900 border border-gray-700 rounded px-1 py-1 text-xs"
+                >
+                  {Object.entries(MAPPING_CURVES).map(([id, label]) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="text-xs text-gray-400">最小</label>
+                <input
+                  type="range"
+                  min="0" max="1" step="0.05"
+                  value={mapping.min}
+                  onChange={(e) => updateMapping(index, { min: Math.min(parseFloat(e.target.value), mapping.max) })}
+                  className="w-full accent-cyan-500"
+                />
+                <span className="text-xs text-cyan-400">{mapping.min.toFixed(2)}</span>
+              </div>
+              <div>
+                <label className="text-xs text-gray-400">最大</label>
+                <input
+                  type="range"
+                  min="0" max="1" step="0.05"
+                  value={mapping.max}
+                  onChange={(e) => updateMapping(index, { max: Math.max(parseFloat(e.target.value), mapping.min) })}
+                  className="w-full accent-cyan-500"
+                />
+                <span className="text-xs text-cyan-400">{mapping.max.toFixed(2)}</span>
+              </div>
+            </div>
+
+            {/* Live preview: input blendshape and resulting expression weight */}
+            <div className="space-y-1">
+              <div className="h-1.5 bg-gray-700 rounded-full overflow-hidden">
+                <div className="h-full bg-purple-500 transition-all duration-75" style={{ width: `${input * 100}%` }} />
+              </div>
+              <div className="h-1.5 bg-gray-700 rounded-full overflow-hidden">
+                <div className="h-full bg-cyan-500 transition-all duration-75" style={{ width: `${output * 100}%` }} />
+              </div>
+            </div>
+          </div>
+        );
+      })}
+
+      <div className="flex gap-2">
+        <button
+          onClick={addMapping}
+          className="flex-1 py-2 bg-cyan-600 hover:bg-cyan-500 rounded text-sm transition-colors"
+        >
+          追加
+        </button>
+        <button
+          onClick={() => onChange(DEFAULT_EXPRESSION_MAPPINGS)}
+          className="flex-1 py-2 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors"
+        >
+          初期値に戻す
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,120 @@
+import React from 'react';
+import { LIGHTING_PRESETS, LIGHTING_RANGES, TONE_MAPPINGS, lightingFromPreset } from '../utils/lighting';
+
+const INTENSITY_FORMAT = (value) => value.toFixed(2);
+const KELVIN_FORMAT = (value) => `${value}K`;
+const DEGREE_FORMAT = (value) => `${value}°`;
+
+// Lighting presets and the fine controls behind them. Editing any value
+// leaves the preset (shown as カスタム).
+export const LightingPanel = ({ lighting, onChange }) => {
+  const set = (patch) => onChange({ ...lighting, ...patch, preset: null });
+
+  const slider = (field, label, format = INTENSITY_FORMAT) => (
+    <Slider
+      label={label}
+      {...LIGHTING_RANGES[field]}
+      value={lighting[field]}
+      format={format}
+      onChange={(value) => set({ [field]: value })}
+    />
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <h4 className="text-sm font-semibold text-cyan-300">プリセット</h4>
+        <div className="grid grid-cols-2 gap-2">
+          {Object.entries(LIGHTING_PRESETS).map(([id, { name }]) => (
+            <button
+              key={id}
+              onClick={() => onChange(lightingFromPreset(id, lighting))}
+              className={`px-2 py-1.5 rounded text-sm transition-colors ${
+                lighting.preset === id ? 'bg-cyan-600' : 'bg-gray-700 hover:bg-gray-600'
+              }`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+        {!lighting.preset && <p className="text-xs text-gray-500">カスタム (プロファイルに保存できます)</p>}
+      </div>
+
+      <div className="space-y-1">
+        <h4 className="text-sm font-semibold text-cyan-300">キーライト</h4>
+        {slider('keyIntensity', '強さ')}
+        {slider('keyTemperature', '色温度', KELVIN_FORMAT)}
+        {slider('keyAngle', '方向', DEGREE_FORMAT)}
+        {slider('keyElevation', '高さ', DEGREE_FORMAT)}
+      </div>
+
+      <div className="space-y-1">
+        <h4 className="text-sm font-semibold text-cyan-300">フィルライト</h4>
+        {slider('fillIntensity', '強さ')}
+        {slider('fillTemperature', '色温度', KELVIN_FORMAT)}
+      </div>
+
+      <div className="space-y-1">
+        <h4 className="text-sm font-semibold text-cyan-300">リムライト</h4>
+        {slider('rimIntensity', '強さ')}
+        {slider('rimTemperature', '色温度', KELVIN_FORMAT)}
+      </div>
+
+      <div className="space-y-1">
+        <h4 className="text-sm font-semibold text-cyan-300">環境</h4>
+        {slider('ambientIntensity', '環境光')}
+        <Checkbox label="影を落とす" checked={lighting.shadows} onChange={(shadows) => set({ shadows })} />
+        <Checkbox label="環境マップ (反射)" checked={lighting.environment} onChange={(environment) => set({ environment })} />
+      </div>
+
+      <div className="space-y-1">
+        <h4 className="text-sm font-semibold text-cyan-300">レンダリング</h4>
+        <label className="flex items-center gap-2">
+          <span className="text-xs text-gray-400 w-16 flex-shrink-0">トーン</span>
+          <select
+            value={lighting.toneMapping}
+            onChange={(e) => set({ toneMapping: e.target.value })}
+            className="flex-1 bg-gray-700 rounded px-2 py-1 text-sm"
+          >
+            {Object.entries(TONE_MAPPINGS).map(([id, { name }]) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+        </label>
+        {slider('exposure', '露出')}
+        {slider('outlineWidth', '輪郭線', (value) => `×${value.toFixed(1)}`)}
+        <p className="text-xs text-gray-500">輪郭線はMToonマテリアルのアウトライン幅に掛かる倍率です</p>
+      </div>
+    </div>
+  );
+};
+
+function Slider({ label, min, max, step, value, format, onChange }) {
+  return (
+    <label className="flex items-center gap-2">
+      <span className="text-xs text-gray-400 w-16 flex-shrink-0">{label}</span>
+      <input
+        type="range"
+        min={min} max={max} step={step}
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        className="flex-1 accent-cyan-500"
+      />
+      <span className="text-xs text-cyan-400 w-14 text-right">{format(value)}</span>
+    </label>
+  );
+}
+
+function Checkbox({ label, checked, onChange }) {
+  return (
+    <label className="flex items-center justify-between text-xs text-gray-400 cursor-pointer">
+      {label}
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={(e) => onChange(e.target.checked)}
+        className="w-4 h-4 accent-cyan-500"
+      />
+    </label>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useRef } from 'react';
+import { MOTION_HOTKEYS, MOTION_MASK_GROUPS } from '../utils/motionClips';
+
+// Motion clip library: idle loops and one-shot emotes with masks and hotkeys
+export const MotionPanel = ({
+  clips,
+  loadedIds,
+  idleClipId,
+  playingEmote,
+  onAdd,
+  onChange,
+  onDelete,
+  onPlay,
+  onIdleChange,
+}) => {
+  const fileInputRef = useRef(null);
+  const usedHotkeys = clips.map(clip => clip.hotkey).filter(Boolean);
+
+  return (
+    <div className="space-y-4">
+      <div
+        className="border-2 border-dashed border-cyan-500/50 rounded-lg p-4 text-center cursor-pointer hover:border-cyan-400 hover:bg-cyan-500/10 transition-all"
+        onDrop={(e) => {
+          e.preventDefault();
+          Array.from(e.dataTransfer.files).forEach(onAdd);
+        }}
+        onDragOver={(e) => e.preventDefault()}
+        onClick={() => fileInputRef.current?.click()}
+      >
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".vrma,.bvh"
+          multiple
+          className="hidden"
+          onChange={(e) => {
+            Array.from(e.target.files || []).forEach(onAdd);
+            e.target.value = '';
+          }}
+        />
+        <p className="text-cyan-300 text-sm">.vrma / .bvh をドロップ</p>
+        <p className="text-xs text-gray-500 mt-1">またはクリックして選択</p>
+      </div>
+
+      <div className="space-y-2">
+        <h4 className="text-sm font-semibold text-cyan-300">モーション</h4>
+        {clips.length === 0 && (
+          <p className="text-xs text-gray-500">モーションはありません</p>
+        )}
+        {clips.map(clip => {
+          const loaded = loadedIds.includes(clip.id);
+          const active = clip.mode === 'idle' ? idleClipId === clip.id : playingEmote === clip.id;
+          return (
+            <div
+              key={clip.id}
+              className={`p-2 rounded-lg space-y-2 ${
+                active ? 'bg-cyan-500/20 border border-cyan-500/50' : 'bg-gray-800/50'
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => (clip.mode === 'idle' ? onIdleChange(active ? null : clip.id) : onPlay(clip.id))}
+                  disabled={!loaded}
+                  className="px-2 py-1 bg-cyan-500 hover:bg-cyan-400 disabled:opacity-50 text-black rounded text-xs flex-shrink-0"
+                >
+                  {clip.mode === 'idle' ? (active ? '■' : '▶') : '▶'}
+                </button>
+                <span className="flex-1 text-sm truncate" title={clip.name}>{clip.name}</span>
+                {!loaded && <span className="text-xs text-gray-500">読込中</span>}
+                <button
+                  onClick={() => onDelete(clip.id)}
+                  className="bg-red-500/80 hover:bg-red-400 rounded w-6 h-6 text-xs flex-shrink-0"
+                >
+                  ✕
+                </button>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <select
+                  value={clip.mode}
+                  onChange={(e) => onChange(clip.id, { mode: e.target.value })}
+                  className="bg-gray-800 border border-gray-700 rounded px-1 py-1 text-xs"
+                >
+                  <option value="idle">待機ループ</option>
+                  <option value="emote">エモート</option>
+                </select>
+                <select
+                  value={clip.hotkey || ''}
+                  onChange={(e) => onChange(clip.id, { hotkey: e.target.value || null })}
+                  className="bg-gray-800 border border-gray-700 rounded px-1 py-1 text-xs"
+                >
+                  <option value="">キーなし</option>
+                  {MOTION_HOTKEYS.filter(key => key === clip.hotkey || !usedHotkeys.includes(key)).map(key => (
+                    <option key={key} value={key}>{key.toUpperCase()}</option>
+                  ))}
+                </select>
+                <label className="flex items-center gap-1 text-xs text-gray-400 flex-1">
+                  フェード
+                  <input
+                    type="range"
+                    min="0" max="2" step="0.1"
+                    value={clip.fadeDuration}
+                    onChange={(e) => onChange(clip.id, { fadeDuration: parseFloat(e.target.value) })}
+                    className="w-full accent-cyan-500"
+                  />
+                  <span className="text-cyan-400">{clip.fadeDuration.toFixed(1)}s</span>
+                </label>
+              </div>
+
+              <div className="flex flex-wrap gap-1">
+                {Object.entries(MOTION_MASK_GROUPS).map(([group, label]) => {
+                  const enabled = clip.mask.includes(group);
+                  return (
+                    <button
+                      key={group}
+                      onClick={() => onChange(clip.id, {
+                        mask: enabled ? clip.mask.filter(g => g !== group) : [...clip.mask, group],
+                      })}
+                      className={`px-2 py-0.5 rounded text-xs ${
+                        enabled ? 'bg-purple-500/60 text-white' : 'bg-gray-700 text-gray-400'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <p className="text-xs text-gray-500">
+        💡 モーションは選んだ部位だけを動かし、それ以外はトラッキングが動かします。BVHはTポーズ・+Z向きの骨格を想定しています
+      </p>
+    </div>
+  );
+};
@@ -0,0 +1,107 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { OUTPUT_RESOLUTIONS, outputViewUrl } from '../utils/outputSync';
+
+// Output routes for streaming software: the /output view and the composited
+// capture stream
+export const OutputPanel = ({
+  viewCount,
+  transparent,
+  onTransparentChange,
+  resolution,
+  onResolutionChange,
+  streamEnabled,
+  onStreamEnabledChange,
+  stream,
+}) => {
+  const previewRef = useRef(null);
+  const [copied, setCopied] = useState(false);
+  const url = outputViewUrl();
+
+  useEffect(() => {
+    if (previewRef.current) previewRef.current.srcObject = stream;
+  }, [stream]);
+
+  const copyUrl = () => {
+    navigator.clipboard.writeText(url).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <h4 className="text-sm font-semibold text-cyan-300">出力ビュー</h4>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={url}
+            readOnly
+            className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded px-3 py-2 text-sm"
+          />
+          <button
+            onClick={copyUrl}
+            className="px-3 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors"
+          >
+            {copied ? '✓' : 'コピー'}
+          </button>
+        </div>
+        <button
+          onClick={() => window.open(url, 'webvrm-output', 'width=1280,height=720')}
+          className="w-full py-2 bg-cyan-500 hover:bg-cyan-400 text-black rounded text-sm transition-colors"
+        >
+          出力ウィンドウを開く
+        </button>
+        <p className="text-xs text-gray-400">接続中のビュー: {viewCount}</p>
+        <label className="flex items-center justify-between p-2 bg-gray-800/50 rounded-lg cursor-pointer hover:bg-gray-800">
+          <span className="text-sm">背景を透過</span>
+          <input
+            type="checkbox"
+            checked={transparent}
+            onChange={(e) => onTransparentChange(e.target.checked)}
+            className="w-5 h-5 accent-cyan-500"
+          />
+        </label>
+        <p className="text-xs text-gray-500">
+          💡 OBSではこのアプリをカスタムブラウザドックで開き、出力ビューのURLをブラウザソースに追加します。背景を透過すればクロマキーなしで合成できます
+        </p>
+      </div>
+
+      <div className="border-t border-gray-700 pt-4 space-y-2">
+        <h4 className="text-sm font-semibold text-cyan-300">キャプチャストリーム</h4>
+        <div className="flex gap-2">
+          <select
+            value={resolution}
+            onChange={(e) => onResolutionChange(e.target.value)}
+            className="flex-1 bg-gray-800 border border-gray-700 rounded px-2 py-2 text-sm"
+          >
+            {OUTPUT_RESOLUTIONS.map(({ id }) => (
+              <option key={id} value={id}>{id}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => onStreamEnabledChange(!streamEnabled)}
+            className={`px-4 rounded text-sm transition-colors ${
+              streamEnabled ? 'bg-red-500 hover:bg-red-600 text-white' : 'bg-cyan-500 hover:bg-cyan-400 text-black'
+            }`}
+          >
+            {streamEnabled ? '停止' : '開始'}
+          </button>
+        </div>
+        {stream && (
+          <video
+            ref={previewRef}
+            autoPlay
+            playsInline
+            muted
+            className="w-full rounded border border-gray-700"
+            style={{ background: 'repeating-conic-gradient(#333 0 25%, #222 0 50%) 0 0 / 16px 16px' }}
+          />
+        )}
+        <p className="text-xs text-gray-500">
+          背景とアバターを1枚に合成したストリームです (設定パネルは含まれません)。ブラウザオーバーレイは合成されません
+        </p>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,79 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useVRMRenderer } from '../hooks/useVRMRenderer';
+import { useOutputReceiver } from '../hooks/useOutputReceiver';
+import { loadVrmFile } from '../utils/persistence';
+import { DEFAULT_LIGHTING } from '../utils/lighting';
+
+// Stage only view at /output for OBS Browser Source: no settings UI, and a
+// transparent page so OBS gets the avatar's alpha without chroma keying.
+// The pose and layout come from the main window.
+export const OutputView = () => {
+  const canvasRef = useRef(null);
+  const [vrmUrl, setVrmUrl] = useState(null);
+  // The renderer comes before the receiver, so the scene's lighting reaches
+  // it through state
+  const [lighting, setLighting] = useState(DEFAULT_LIGHTING);
+  const { vrm, onFrame, cameraRef } = useVRMRenderer(canvasRef, vrmUrl, lighting);
+  const scene = useOutputReceiver(vrm, onFrame, cameraRef);
+  const vrmSaveId = scene ? scene.vrmSaveId : null;
+
+  useEffect(() => {
+    if (scene && scene.lighting) setLighting(scene.lighting);
+  }, [scene]);
+
+  useEffect(() => {
+    document.documentElement.style.background = 'transparent';
+    document.body.style.background = 'transparent';
+  }, []);
+
+  // The main window keeps the current model in IndexedDB, and names each
+  // save once it is written
+  useEffect(() => {
+    if (!vrmSaveId) return;
+    let cancelled = false;
+    let url = null;
+    loadVrmFile()
+      .then((record) => {
+        if (cancelled || !record) return;
+        url = URL.createObjectURL(record.blob);
+        setVrmUrl(url);
+      })
+      .catch((err) => console.error('Failed to load VRM for output:', err));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [vrmSaveId]);
+
+  const showBackground = scene && !scene.transparent;
+  const browser = scene && scene.browser;
+
+  return (
+    <div
+      className="h-screen w-full relative overflow-hidden"
+      style={{
+        backgroundColor: showBackground && !scene.backgroundImage ? scene.backgroundColor : 'transparent',
+        backgroundImage: showBackground && scene.backgroundImage ? `url(${scene.backgroundImage})` : undefined,
+        backgroundSize: 'cover',
+        backgroundPosition: 'center',
+      }}
+    >
+      <canvas ref={canvasRef} className="absolute inset-0 w-full h-full" />
+
+      {browser && browser.visible && browser.url && (
+        <iframe
+          src={browser.url}
+          className="absolute border-0"
+          style={{
+            left: `${browser.position.x}%`,
+            top: `${browser.position.y}%`,
+            width: browser.size.width,
+            height: browser.size.height,
+            transform: 'translate(-50%, -50%)',
+          }}
+          sandbox="allow-scripts allow-same-origin"
+        />
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import {
+  DEFAULT_SPRING_MULTIPLIERS,
+  SPRING_MULTIPLIER_FIELDS,
+  SPRING_MULTIPLIER_MAX,
+} from '../utils/springBones';
+
+// Spring bone physics: multipliers over the model's own settings (for all
+// chains and per chain), wind, collider display and a physics reset
+export const PhysicsPanel = ({
+  modelName,
+  chains,
+  colliders,
+  overrides,
+  onOverridesChange,
+  settings,
+  onSettingsChange,
+  onReset,
+}) => {
+  const [openChain, setOpenChain] = useState(null);
+  const all = { ...DEFAULT_SPRING_MULTIPLIERS, ...overrides.all };
+
+  const setAll = (patch) => onOverridesChange({ ...overrides, all: { ...all, ...patch } });
+  const setChain = (id, patch) => {
+    const current = { ...DEFAULT_SPRING_MULTIPLIERS, ...overrides.chains[id] };
+    onOverridesChange({ ...overrides, chains: { ...overrides.chains, [id]: { ...current, ...patch } } });
+  };
+  const clearChain = (id) => {
+    const { [id]: removed, ...rest } = overrides.chains;
+    onOverridesChange({ ...overrides, chains: rest });
+  };
+
+  if (!modelName) {
+    return <p className="text-xs text-gray-500">モデルを読み込んでください</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <h4 className="text-sm font-semibold text-cyan-300">揺れもの (全体)</h4>
+          <button
+            onClick={onReset}
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs transition-colors"
+          >
+            物理をリセット
+          </button>
+        </div>
+        {chains.length === 0 ? (
+          <p className="text-xs text-gray-500">このモデルには揺れものがありません</p>
+        ) : (
+          <MultiplierSliders values={all} onChange={setAll} />
+        )}
+        <p className="text-xs text-gray-500">
+          モデル本来の値に対する倍率です。設定はモデル「{modelName}」ごとに保存されます
+        </p>
+      </div>
+
+      {chains.length > 0 && (
+        <div className="space-y-2">
+          <h4 className="text-sm font-semibold text-cyan-300">チェーン ({chains.length})</h4>
+          {chains.map(chain => {
+            const own = overrides.chains[chain.id];
+            const open = openChain === chain.id;
+            return (
+              <div key={chain.id} className="p-2 bg-gray-800/50 rounded-lg space-y-2">
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => setOpenChain(open ? null : chain.id)}
+                    className="flex-1 text-left text-sm truncate"
+                    title={chain.name}
+                  >
+                    {open ? '▾' : '▸'} {chain.name}
+                    <span className="text-xs text-gray-500 ml-1">({chain.joints.length})</span>
+                  </button>
+                  {own && (
+                    <button
+                      onClick={() => clearChain(chain.id)}
+                      className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs"
+                    >
+                      既定に戻す
+                    </button>
+                  )}
+                </div>
+                {open && (
+                  <MultiplierSliders
+                    values={{ ...DEFAULT_SPRING_MULTIPLIERS, ...own }}
+                    onChange={(patch) => setChain(chain.id, patch)}
+                  />
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <h4 className="text-sm font-semibold text-cyan-300">風</h4>
+        <Slider
+          label="強さ"
+          min={0} max={1} step={0.05}
+          value={settings.windStrength}
+          onChange={(windStrength) => onSettingsChange({ windStrength })}
+        />
+        <Slider
+          label="向き"
+          min={0} max={360} step={15}
+          value={settings.windDirection}
+          format={(value) => `${value}°`}
+          onChange={(windDirection) => onSettingsChange({ windDirection })}
+        />
+        <Slider
+          label="突風"
+          min={0} max={1} step={0.05}
+          value={settings.windGust}
+          onChange={(windGust) => onSettingsChange({ windGust })}
+        />
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <h4 className="text-sm font-semibold text-cyan-300">コライダー ({colliders.length})</h4>
+          <label className="flex items-center gap-2 text-xs cursor-pointer">
+            表示
+            <input
+              type="checkbox"
+              checked={settings.showSpringBoneColliders}
+              onChange={(e) => onSettingsChange({ showSpringBoneColliders: e.target.checked })}
+              className="w-4 h-4 accent-cyan-500"
+            />
+          </label>
+        </div>
+        <div className="max-h-40 overflow-y-auto space-y-1">
+          {colliders.map(({ id, name, shape, radius }) => (
+            <div key={id} className="flex justify-between text-xs text-gray-400">
+              <span className="truncate" title={name}>{name}</span>
+              <span className="flex-shrink-0 ml-2">
+                {shape === 'capsule' ? 'カプセル' : '球'} r={radius.toFixed(3)}
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+function MultiplierSliders({ values, onChange }) {
+  return (
+    <div className="space-y-1">
+      {SPRING_MULTIPLIER_FIELDS.map(({ key, label }) => (
+        <Slider
+          key={key}
+          label={label}
+          min={0} max={SPRING_MULTIPLIER_MAX} step={0.1}
+          value={values[key]}
+          format={(value) => `×${value.toFixed(1)}`}
+          onChange={(value) => onChange({ [key]: value })}
+        />
+      ))}
+    </div>
+  );
+}
+
+function Slider({ label, min, max, step, value, format = (v) => v.toFixed(2), onChange }) {
+  return (
+    <label className="flex items-center gap-2">
+      <span className="text-xs text-gray-400 w-16 flex-shrink-0">{label}</span>
+      <input
+        type="range"
+        min={min} max={max} step={step}
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        className="flex-1 accent-cyan-500"
+      />
+      <span className="text-xs text-cyan-400 w-12 text-right">{format(value)}</span>
+    </label>
+  );
+}
@@ -0,0 +1,114 @@
+import React, { useRef, useState } from 'react';
+import { MAX_PROFILE_HOTKEYS } from '../utils/profiles';
+
+// Scene profile list with save, switch, delete and JSON export/import
+export const ProfilesPanel = ({
+  profiles,
+  activeProfile,
+  onSave,
+  onApply,
+  onDelete,
+  onExport,
+  onImport,
+}) => {
+  const [name, setName] = useState('');
+  const importInputRef = useRef(null);
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    onSave(trimmed);
+    setName('');
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="text-xs text-gray-400 mb-2 block">現在の状態を保存</label>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+            placeholder="例: 雑談、ゲーム、グリーンバック"
+            className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded px-3 py-2 text-sm"
+          />
+          <button
+            onClick={handleSave}
+            className="px-4 bg-cyan-500 hover:bg-cyan-400 text-black rounded transition-colors"
+          >
+            保存
+          </button>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <h4 className="text-sm font-semibold text-cyan-300">プロファイル</h4>
+        {profiles.length === 0 && (
+          <p className="text-xs text-gray-500">保存されたプロファイルはありません</p>
+        )}
+        {profiles.map((profile, index) => (
+          <div
+            key={profile.name}
+            className={`flex items-center gap-2 p-2 rounded-lg ${
+              activeProfile === profile.name ? 'bg-cyan-500/20 border border-cyan-500/50' : 'bg-gray-800/50'
+            }`}
+          >
+            {index < MAX_PROFILE_HOTKEYS && (
+              <kbd className="bg-gray-700 px-1 rounded text-xs">{index + 1}</kbd>
+            )}
+            <button
+              onClick={() => onApply(profile.name)}
+              className="flex-1 text-left text-sm truncate hover:text-cyan-300"
+            >
+              {profile.name}
+            </button>
+            <button
+              onClick={() => onSave(profile.name)}
+              className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs"
+            >
+              上書き
+            </button>
+            <button
+              onClick={() => onDelete(profile.name)}
+              className="bg-red-500/80 hover:bg-red-400 rounded w-6 h-6 text-xs flex-shrink-0"
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          onClick={onExport}
+          disabled={profiles.length === 0}
+          className="flex-1 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded text-sm transition-colors"
+        >
+          エクスポート
+        </button>
+        <button
+          onClick={() => importInputRef.current?.click()}
+          className="flex-1 py-2 bg-gray-700 hover:bg-gray-600 rounded text-sm transition-colors"
+        >
+          インポート
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) onImport(file);
+            e.target.value = '';
+          }}
+        />
+      </div>
+      <p className="text-xs text-gray-500">
+        💡 VRMモデル本体はファイルに含まれません。同じ名前のモデルを一度読み込んでおくと切り替え時に使われます
+      </p>
+    </div>
+  );
+};
@@ -0,0 +1,236 @@
+import React from 'react';
+import { REACTION_SOURCES } from '../utils/eventSources';
+import { REACTION_ACTION_TYPES, REACTION_EVENT_TYPES, REACTION_PROPS, createReactionRule } from '../utils/reactions';
+
+const STATUS_LABELS = {
+  off: { text: '停止中', className: 'text-gray-400' },
+  connecting: { text: '接続中…', className: 'text-yellow-400' },
+  connected: { text: '受信中', className: 'text-green-400' },
+  error: { text: '接続できません', className: 'text-red-400' },
+};
+
+// Chat/alert reactions: event source, rules and recent events
+export const ReactionsPanel = ({
+  source,
+  sourceUrl,
+  onSourceChange,
+  onSourceUrlChange,
+  status,
+  rules,
+  onRulesChange,
+  expressionNames,
+  emoteClips,
+  recentEvents,
+  onTest,
+}) => {
+  const label = STATUS_LABELS[status] || STATUS_LABELS.off;
+  const updateRule = (id, patch) => onRulesChange(rules.map(r => (r.id === id ? { ...r, ...patch } : r)));
+  const updateAction = (rule, patch) => updateRule(rule.id, { action: { ...rule.action, ...patch } });
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <h4 className="text-sm font-semibold text-cyan-300">イベントソース</h4>
+        <select
+          value={source}
+          onChange={(e) => onSourceChange(e.target.value)}
+          className="w-full bg-gray-800 border border-gray-700 rounded px-2 py-1 text-sm"
+        >
+          {Object.entries(REACTION_SOURCES).map(([id, name]) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+        {source === 'websocket' && (
+          <input
+            type="text"
+            value={sourceUrl}
+            onChange={(e) => onSourceUrlChange(e.target.value)}
+            placeholder="ws://localhost:39580"
+            className="w-full bg-gray-800 border border-gray-700 rounded px-3 py-2 text-sm"
+          />
+        )}
+        <p className={`text-xs ${label.className}`}>● {label.text}</p>
+        <div className="grid grid-cols-3 gap-2">
+          {Object.entries(REACTION_EVENT_TYPES).map(([type, name]) => (
+            <button
+              key={type}
+              onClick={() => onTest(type)}
+              className="py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs transition-colors"
+            >
+              テスト: {name}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <h4 className="text-sm font-semibold text-cyan-300">ルール</h4>
+          <button
+            onClick={() => onRulesChange([...rules, createReactionRule()])}
+            className="px-2 py-1 bg-cyan-500 hover:bg-cyan-400 text-black rounded text-xs"
+          >
+            ＋ 追加
+          </button>
+        </div>
+        <p className="text-xs text-gray-500">上から順に、最初に一致したルールが実行されます</p>
+        {rules.map(rule => (
+          <div key={rule.id} className={`p-2 rounded-lg space-y-2 bg-gray-800/50 ${rule.enabled ? '' : 'opacity-50'}`}>
+            <div className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                className="w-4 h-4 accent-cyan-500"
+              />
+              <select
+                value={rule.event}
+                onChange={(e) => updateRule(rule.id, { event: e.target.value })}
+                className="bg-gray-800 border border-gray-700 rounded px-1 py-1 text-xs"
+              >
+                {Object.entries(REACTION_EVENT_TYPES).map(([type, name]) => (
+                  <option key={type} value={type}>{name}</option>
+                ))}
+              </select>
+              {rule.event === 'chat' && (
+                <input
+                  type="text"
+                  value={rule.keywords}
+                  onChange={(e) => updateRule(rule.id, { keywords: e.target.value })}
+                  placeholder="キーワード (カンマ区切り)"
+                  className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-xs"
+                />
+              )}
+              {rule.event === 'donation' && (
+                <label className="flex-1 flex items-center gap-1 text-xs text-gray-400">
+                  最低額
+                  <input
+                    type="number"
+                    min="0"
+                    value={rule.minAmount}
+                    onChange={(e) => updateRule(rule.id, { minAmount: parseFloat(e.target.value) || 0 })}
+                    className="w-full bg-gray-800 border border-gray-700 rounded px-2 py-1 text-xs"
+                  />
+                </label>
+              )}
+              {rule.event === 'follow' && <span className="flex-1" />}
+              <button
+                onClick={() => onRulesChange(rules.filter(r => r.id !== rule.id))}
+                className="bg-red-500/80 hover:bg-red-400 rounded w-6 h-6 text-xs flex-shrink-0"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <select
+                value={rule.action.type}
+                onChange={(e) => updateAction(rule, { type: e.target.value })}
+                className="bg-gray-800 border border-gray-700 rounded px-1 py-1 text-xs"
+              >
+                {Object.entries(REACTION_ACTION_TYPES).map(([type, name]) => (
+                  <option key={type} value={type}>{name}</option>
+                ))}
+              </select>
+              {rule.action.type === 'expression' && (
+                <select
+                  value={rule.action.expression}
+                  onChange={(e) => updateAction(rule, { expression: e.target.value })}
+                  className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded px-1 py-1 text-xs"
+                >
+                  {!expressionNames.includes(rule.action.expression) && (
+                    <option value={rule.action.expression}>{rule.action.expression}</option>
+                  )}
+                  {expressionNames.map(name => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+              )}
+              {rule.action.type === 'motion' && (
+                <select
+                  value={rule.action.motionId || ''}
+                  onChange={(e) => updateAction(rule, { motionId: e.target.value || null })}
+                  className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded px-1 py-1 text-xs"
+                >
+                  <option value="">エモートを選択</option>
+                  {emoteClips.map(clip => (
+                    <option key={clip.id} value={clip.id}>{clip.name}</option>
+                  ))}
+                </select>
+              )}
+              {rule.action.type === 'prop' && (
+                <div className="flex-1 flex flex-wrap gap-1">
+                  {REACTION_PROPS.map(prop => (
+                    <button
+                      key={prop}
+                      onClick={() => updateAction(rule, { prop })}
+                      className={`w-6 h-6 rounded text-sm ${rule.action.prop === prop ? 'bg-cyan-500/40' : 'bg-gray-700'}`}
+                    >
+                      {prop}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {rule.action.type === 'speech' && (
+                <input
+                  type="text"
+                  value={rule.action.text}
+                  onChange={(e) => updateAction(rule, { text: e.target.value })}
+                  placeholder="{user}さん、ありがとう！"
+                  className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-xs"
+                />
+              )}
+            </div>
+
+            <div className="flex items-center gap-3 text-xs text-gray-400">
+              <label className="flex items-center gap-1">
+                クールダウン
+                <input
+                  type="number"
+                  min="0"
+                  value={rule.cooldown}
+                  onChange={(e) => updateRule(rule.id, { cooldown: parseFloat(e.target.value) || 0 })}
+                  className="w-14 bg-gray-800 border border-gray-700 rounded px-1 py-0.5"
+                />
+                秒
+              </label>
+              {(rule.action.type === 'expression' || rule.action.type === 'prop') && (
+                <label className="flex items-center gap-1">
+                  表示
+                  <input
+                    type="number"
+                    min="0.5" step="0.5"
+                    value={rule.action.duration}
+                    onChange={(e) => updateAction(rule, { duration: parseFloat(e.target.value) || 0 })}
+                    className="w-14 bg-gray-800 border border-gray-700 rounded px-1 py-0.5"
+                  />
+                  秒
+                </label>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-1">
+        <h4 className="text-sm font-semibold text-cyan-300">最近のイベント</h4>
+        {recentEvents.length === 0 && <p className="text-xs text-gray-500">まだイベントはありません</p>}
+        <div className="max-h-40 overflow-y-auto space-y-1">
+          {recentEvents.map((event, i) => (
+            <p key={i} className={`text-xs ${event.ruleId ? 'text-cyan-300' : 'text-gray-500'}`}>
+              <span className="text-gray-600">[{event.time}]</span>{' '}
+              {REACTION_EVENT_TYPES[event.type]} {event.user}
+              {event.message && `: ${event.message}`}
+              {event.type === 'donation' && ` (${event.amount})`}
+              {event.ruleId && ' ⚡'}
+            </p>
+          ))}
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        💡 WebSocketソースには {'{ "type": "chat", "user": "名前", "message": "本文" }'} 形式のJSON (type は chat / follow / donation、投げ銭は amount) を送ってください。リモート操作APIの reactions.trigger でも送れます
+      </p>
+    </div>
+  );
+};
@@ -0,0 +1,129 @@
+import React from 'react';
+import { OUTPUT_RESOLUTIONS } from '../utils/outputSync';
+import { RECORDING_BITRATES, RECORDING_FORMATS, supportedMimeType } from '../utils/videoRecorder';
+
+// Video recording (MediaRecorder) and offscreen screenshots
+export const RecordingPanel = ({
+  recordingState,
+  elapsed,
+  settings,
+  onSettingsChange,
+  onToggleRecording,
+  onTogglePause,
+  onScreenshot,
+  micEnabled,
+}) => {
+  const idle = recordingState === 'inactive';
+  const minutes = Math.floor(elapsed / 60);
+  const seconds = Math.floor(elapsed % 60).toString().padStart(2, '0');
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <h4 className="text-sm font-semibold text-cyan-300">動画録画</h4>
+        <div className="grid grid-cols-3 gap-2">
+          <select
+            value={settings.recordingFormat}
+            onChange={(e) => onSettingsChange({ recordingFormat: e.target.value })}
+            disabled={!idle}
+            className="bg-gray-800 border border-gray-700 rounded px-2 py-1 text-sm disabled:opacity-50"
+          >
+            {RECORDING_FORMATS.map(format => (
+              <option key={format.id} value={format.id} disabled={!supportedMimeType(format.id)}>
+                {format.label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={settings.recordingResolution}
+            onChange={(e) => onSettingsChange({ recordingResolution: e.target.value })}
+            disabled={!idle}
+            className="bg-gray-800 border border-gray-700 rounded px-2 py-1 text-sm disabled:opacity-50"
+          >
+            {OUTPUT_RESOLUTIONS.map(({ id }) => (
+              <option key={id} value={id}>{id}</option>
+            ))}
+          </select>
+          <select
+            value={settings.recordingBitrate}
+            onChange={(e) => onSettingsChange({ recordingBitrate: parseFloat(e.target.value) })}
+            disabled={!idle}
+            className="bg-gray-800 border border-gray-700 rounded px-2 py-1 text-sm disabled:opacity-50"
+          >
+            {RECORDING_BITRATES.map(bitrate => (
+              <option key={bitrate} value={bitrate}>{bitrate} Mbps</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            onClick={onToggleRecording}
+            className={`flex-1 py-3 rounded-lg font-semibold transition-all ${
+              idle ? 'bg-red-500 hover:bg-red-600 text-white' : 'bg-gray-600 hover:bg-gray-500'
+            }`}
+          >
+            {idle ? '● 録画開始' : '⏹ 停止して保存'}
+          </button>
+          <button
+            onClick={onTogglePause}
+            disabled={idle}
+            className="px-4 py-3 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded-lg transition-colors"
+          >
+            {recordingState === 'paused' ? '▶' : '⏸'}
+          </button>
+        </div>
+        {!idle && (
+          <p className={`text-sm font-mono ${recordingState === 'paused' ? 'text-yellow-400' : 'text-red-400'}`}>
+            {recordingState === 'paused' ? '一時停止中' : '録画中'} {minutes}:{seconds}
+          </p>
+        )}
+        <p className="text-xs text-gray-500">
+          {micEnabled ? '🎤 マイク音声も録音されます' : '🎤 録画開始時にマイクがオンなら音声も録音されます'}
+        </p>
+      </div>
+
+      <div className="border-t border-gray-700 pt-4 space-y-2">
+        <h4 className="text-sm font-semibold text-cyan-300">スクリーンショット</h4>
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            min="16" max="8192"
+            value={settings.screenshotWidth}
+            onChange={(e) => onSettingsChange({ screenshotWidth: parseInt(e.target.value, 10) || 0 })}
+            className="w-24 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-sm"
+          />
+          <span className="text-gray-500">×</span>
+          <input
+            type="number"
+            min="16" max="8192"
+            value={settings.screenshotHeight}
+            onChange={(e) => onSettingsChange({ screenshotHeight: parseInt(e.target.value, 10) || 0 })}
+            className="w-24 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-sm"
+          />
+        </div>
+        <label className="flex items-center justify-between p-2 bg-gray-800/50 rounded-lg cursor-pointer hover:bg-gray-800">
+          <span className="text-sm">背景を透過</span>
+          <input
+            type="checkbox"
+            checked={settings.screenshotTransparent}
+            onChange={(e) => onSettingsChange({ screenshotTransparent: e.target.checked })}
+            className="w-5 h-5 accent-cyan-500"
+          />
+        </label>
+        <button
+          onClick={onScreenshot}
+          className="w-full py-2 bg-cyan-500 hover:bg-cyan-400 text-black rounded text-sm transition-colors"
+        >
+          📸 撮影 (PNG)
+        </button>
+      </div>
+
+      <div className="space-y-1 text-xs text-gray-400">
+        <p><kbd className="bg-gray-700 px-1 rounded">F9</kbd> 録画開始/停止</p>
+        <p><kbd className="bg-gray-700 px-1 rounded">F10</kbd> 一時停止/再開</p>
+        <p><kbd className="bg-gray-700 px-1 rounded">F8</kbd> スクリーンショット</p>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,52 @@
+import React, { useCallback } from 'react';
+import { useTrackingSnapshot } from '../hooks/useTrackingSnapshot';
+
+// Stages in pipeline order: [source, key, label]
+const STAGES = [
+  ['tracking', 'face', '推論: 顔'],
+  ['tracking', 'pose', '推論: ポーズ'],
+  ['tracking', 'hands', '推論: 手'],
+  ['tracking', 'solve', 'ソルブ'],
+  ['render', 'pose', 'ポーズ適用'],
+  ['render', 'render', '描画'],
+];
+
+// Smoothed per-stage timings from the tracking worker and the render loop,
+// plus the adaptive scheduler's state when it's on (schedulerRef)
+export const TimingsPanel = ({ trackingTimingsRef, renderTimingsRef, schedulerRef }) => {
+  const getTimings = useCallback(() => ({
+    tracking: trackingTimingsRef.current.snapshot(),
+    render: renderTimingsRef.current.snapshot(),
+    scheduler: schedulerRef ? schedulerRef.current.state() : null,
+  }), [trackingTimingsRef, renderTimingsRef, schedulerRef]);
+  const timings = useTrackingSnapshot(getTimings, true, 500);
+  const { latency } = timings.tracking;
+  const { scheduler } = timings;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-3 space-y-2">
+      <h4 className="text-sm font-semibold text-cyan-300">処理時間 (ms)</h4>
+      <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs font-mono">
+        {STAGES.map(([source, key, label]) => (
+          <div key={`${source}-${key}`} className="flex justify-between">
+            <span className="text-gray-400">{label}</span>
+            <span className="text-cyan-400">{formatMs(timings[source][key])}</span>
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500">
+        推論はワーカーで実行 / フレーム取得から結果までの遅延: {formatMs(latency)} ms
+      </p>
+      {scheduler && (
+        <p className="text-xs text-gray-500">
+          ポーズ・手: {scheduler.stride === 1 ? '毎フレーム' : `${scheduler.stride}フレームごと`}
+          {scheduler.handsIdle && ' / 手なし (間引き中)'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+function formatMs(value) {
+  return value === undefined ? '-' : value.toFixed(1);
+}
@@ -0,0 +1,60 @@
+import React from 'react';
+
+const STATUS_LABELS = {
+  off: { text: '停止中', className: 'text-gray-400' },
+  connecting: { text: 'リレーに接続中…', className: 'text-yellow-400' },
+  connected: { text: 'リレーに接続済み', className: 'text-green-400' },
+};
+
+// VMC protocol send/receive through the WebSocket relay
+export const VMCPanel = ({ settings, onSettingsChange, status, isReceiving }) => {
+  const label = STATUS_LABELS[status] || STATUS_LABELS.off;
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <h4 className="text-sm font-semibold text-cyan-300">リレー</h4>
+        <input
+          type="text"
+          value={settings.vmcRelayUrl}
+          onChange={(e) => onSettingsChange({ vmcRelayUrl: e.target.value })}
+          placeholder="ws://localhost:39560"
+          className="w-full bg-gray-800 border border-gray-700 rounded px-3 py-2 text-sm"
+        />
+        <p className={`text-xs ${label.className}`}>● {label.text}</p>
+      </div>
+
+      <div className="space-y-2">
+        <label className="flex items-center justify-between p-2 bg-gray-800/50 rounded-lg cursor-pointer hover:bg-gray-800">
+          <span className="text-sm">送信 (ボーン・表情)</span>
+          <input
+            type="checkbox"
+            checked={settings.vmcSendEnabled}
+            onChange={(e) => onSettingsChange({ vmcSendEnabled: e.target.checked })}
+            className="w-5 h-5 accent-cyan-500"
+          />
+        </label>
+        <label className="flex items-center justify-between p-2 bg-gray-800/50 rounded-lg cursor-pointer hover:bg-gray-800">
+          <span className="text-sm">受信してアバターを動かす</span>
+          <input
+            type="checkbox"
+            checked={settings.vmcReceiveEnabled}
+            onChange={(e) => onSettingsChange({ vmcReceiveEnabled: e.target.checked })}
+            className="w-5 h-5 accent-cyan-500"
+          />
+        </label>
+        {settings.vmcReceiveEnabled && (
+          <p className={`text-xs ${isReceiving ? 'text-green-400' : 'text-gray-500'}`}>
+            {isReceiving ? '受信中: トラッキングの代わりにVMCデータで動いています' : 'VMCデータを待っています'}
+          </p>
+        )}
+      </div>
+
+      <div className="space-y-1 text-xs text-gray-400">
+        <p>ブラウザはUDPを使えないため、リレーを起動してください:</p>
+        <p><code className="bg-gray-700 px-1 rounded">npm run vmc-relay</code></p>
+        <p>送信先 UDP 127.0.0.1:39539 / 受信 UDP :39540</p>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { cameraConstraints, describeVideoTrack, stopStream } from '../utils/mediaDevices';
+
+// Owns the camera stream feeding the tracking video. start(config) opens the
+// chosen device (replacing any open stream) and resolves with a description
+// of the actual capture mode, or null when a later start/stop superseded it;
+// stop() releases it. onEnded runs when the device goes away on its own,
+// e.g. when it's unplugged.
+export const useCamera = (videoRef, { onEnded } = {}) => {
+  const streamRef = useRef(null);
+  // Bumped on every start/stop so a slow getUserMedia can't revive a stopped camera
+  const requestRef = useRef(0);
+  const onEndedRef = useRef(onEnded);
+  onEndedRef.current = onEnded;
+
+  const release = useCallback(() => {
+    stopStream(streamRef.current);
+    streamRef.current = null;
+    if (videoRef.current) videoRef.current.srcObject = null;
+  }, [videoRef]);
+
+  const stop = useCallback(() => {
+    requestRef.current++;
+    release();
+  }, [release]);
+
+  const start = useCallback(async (config) => {
+    const request = ++requestRef.current;
+    release();
+    const stream = await navigator.mediaDevices.getUserMedia(cameraConstraints(config));
+    if (request !== requestRef.current) {
+      stopStream(stream);
+      return null;
+    }
+    streamRef.current = stream;
+    stream.getVideoTracks().forEach((track) => {
+      track.addEventListener('ended', () => {
+        if (streamRef.current !== stream) return;
+        release();
+        if (onEndedRef.current) onEndedRef.current();
+      });
+    });
+    if (videoRef.current) videoRef.current.srcObject = stream;
+    return describeVideoTrack(stream);
+  }, [release, videoRef]);
+
+  useEffect(() => stop, [stop]);
+
+  return { start, stop, streamRef };
+};
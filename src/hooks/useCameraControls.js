@@ -0,0 +1,121 @@
+import { useCallback, useEffect, useRef } from 'react';
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
+import { STANDARD_CAMERA_VIEW, cameraView, easeInOut, headPosition } from '../utils/cameraFraming';
+import { blendFactor } from '../utils/poseBlender';
+
+// Time constant (seconds) of the camera catching up with the head when
+// following it
+const FOLLOW_TIME = 0.3;
+const MIN_DISTANCE = 0.2;
+const MAX_DISTANCE = 10;
+
+const _head = new THREE.Vector3();
+const _step = new THREE.Vector3();
+
+// Orbit (left drag), pan (right drag) and zoom (wheel) on the stage camera,
+// animated moves to the camera presets, and following the head.
+// Registered after the pose hooks, so presets are fitted to where the model
+// is drawn this frame.
+export const useCameraControls = (cameraRef, canvasRef, vrm, onFrame, { preset, autoFollow, transitionTime, enabled }) => {
+  const inputsRef = useRef(null);
+  inputsRef.current = { vrm, autoFollow };
+  const controlsRef = useRef(null);
+  // Preset move waiting for the next frame: { preset, duration }
+  const pendingRef = useRef(null);
+  // Move in progress: { from, to, elapsed, duration }
+  const transitionRef = useRef(null);
+
+  useEffect(() => {
+    const camera = cameraRef.current;
+    if (!camera || !canvasRef.current) return;
+
+    const controls = new OrbitControls(camera, canvasRef.current);
+    controls.target.copy(STANDARD_CAMERA_VIEW.target);
+    controls.screenSpacePanning = true;
+    controls.minDistance = MIN_DISTANCE;
+    controls.maxDistance = MAX_DISTANCE;
+    controls.update();
+    controlsRef.current = controls;
+    // Grabbing the camera ends a preset move
+    const cancelTransition = () => {
+      transitionRef.current = null;
+    };
+    controls.addEventListener('start', cancelTransition);
+
+    // Head position the camera was placed for, and how far it has followed since
+    let followAnchor = null;
+    const followOffset = new THREE.Vector3();
+
+    const unsubscribe = onFrame((delta) => {
+      const { vrm, autoFollow } = inputsRef.current;
+
+      const pending = pendingRef.current;
+      if (pending) {
+        if (vrm) vrm.scene.updateMatrixWorld(true);
+        const to = cameraView(pending.preset, vrm, camera.fov);
+        if (to) {
+          transitionRef.current = {
+            from: { position: camera.position.clone(), target: controls.target.clone() },
+            to,
+            elapsed: 0,
+            duration: pending.duration,
+          };
+        }
+        pendingRef.current = null;
+      }
+
+      const transition = transitionRef.current;
+      if (transition) {
+        transition.elapsed += delta;
+        const t = transition.duration > 0 ? Math.min(transition.elapsed / transition.duration, 1) : 1;
+        const eased = easeInOut(t);
+        camera.position.lerpVectors(transition.from.position, transition.to.position, eased);
+        controls.target.lerpVectors(transition.from.target, transition.to.target, eased);
+        if (t >= 1) transitionRef.current = null;
+        followAnchor = null;
+      } else if (autoFollow && vrm && headPosition(vrm, _head)) {
+        // Move the camera and its target with the head, leaving user orbit and zoom alone
+        if (!followAnchor) {
+          followAnchor = _head.clone();
+          followOffset.set(0, 0, 0);
+        }
+        _step.subVectors(_head, followAnchor).sub(followOffset).multiplyScalar(blendFactor(delta, FOLLOW_TIME));
+        followOffset.add(_step);
+        camera.position.add(_step);
+        controls.target.add(_step);
+      } else {
+        followAnchor = null;
+      }
+
+      controls.update();
+    });
+
+    return () => {
+      unsubscribe();
+      controls.removeEventListener('start', cancelTransition);
+      controls.dispose();
+      controlsRef.current = null;
+    };
+  }, [cameraRef, canvasRef, onFrame]);
+
+  useEffect(() => {
+    if (controlsRef.current) controlsRef.current.enabled = enabled;
+  }, [enabled]);
+
+  // Move to the current preset again, e.g. after moving the model
+  const refit = useCallback(() => {
+    pendingRef.current = { preset, duration: transitionTime };
+  }, [preset, transitionTime]);
+
+  // A newly loaded model is framed at once, a preset change is animated
+  useEffect(() => {
+    pendingRef.current = { preset, duration: 0 };
+  }, [vrm]);
+
+  useEffect(() => {
+    pendingRef.current = { preset, duration: transitionTime };
+  }, [preset]);
+
+  return { refit };
+};
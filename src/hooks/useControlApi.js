@@ -0,0 +1,82 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { controlAppUrl, dispatchRpc } from '../utils/controlApi';
+
+// Delay before reconnecting to the control server (ms)
+const RECONNECT_DELAY = 2000;
+
+// Connects the app to the remote control server and answers JSON-RPC
+// requests with the given handlers (the latest ones are always used).
+// status is 'off', 'connecting' or 'connected'; emit(name, data) pushes an
+// "event.<name>" notification to every controller.
+export const useControlApi = (enabled, { url, token }, handlers) => {
+  const [status, setStatus] = useState('off');
+  const [clientCount, setClientCount] = useState(0);
+  const socketRef = useRef(null);
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!enabled || !token) {
+      setStatus('off');
+      return;
+    }
+    let socket = null;
+    let reconnectTimer = null;
+    let closed = false;
+
+    const connect = () => {
+      setStatus('connecting');
+      try {
+        socket = new WebSocket(controlAppUrl(url, token));
+      } catch (error) {
+        console.error('Invalid control server URL:', error);
+        setStatus('off');
+        return;
+      }
+      socket.onopen = () => {
+        socketRef.current = socket;
+        setStatus('connected');
+      };
+      socket.onmessage = ({ data }) => {
+        let message;
+        try {
+          message = JSON.parse(data);
+        } catch {
+          return;
+        }
+        if (message.method === 'server.clients') {
+          setClientCount(message.params.count);
+          return;
+        }
+        const current = socket;
+        dispatchRpc(handlersRef.current, message).then((response) => {
+          if (response && current.readyState === WebSocket.OPEN) current.send(JSON.stringify(response));
+        });
+      };
+      socket.onclose = () => {
+        socketRef.current = null;
+        setClientCount(0);
+        if (closed) return;
+        // Also lands here when the token is rejected
+        setStatus('connecting');
+        reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+      };
+    };
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      socketRef.current = null;
+      if (socket) socket.close();
+    };
+  }, [enabled, url, token]);
+
+  const emit = useCallback((name, data = {}) => {
+    const socket = socketRef.current;
+    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+    socket.send(JSON.stringify({ jsonrpc: '2.0', method: `event.${name}`, params: data }));
+  }, []);
+
+  return { status, clientCount, emit };
+};
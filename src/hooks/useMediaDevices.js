@@ -0,0 +1,23 @@
+import { useCallback, useEffect, useState } from 'react';
+import { listMediaDevices } from '../utils/mediaDevices';
+
+// Available cameras and microphones, kept current as devices are plugged in
+// or out. Call refresh() after access is granted to get the device labels.
+export const useMediaDevices = () => {
+  const [devices, setDevices] = useState({ cameras: [], microphones: [] });
+
+  const refresh = useCallback(() => {
+    listMediaDevices()
+      .then(setDevices)
+      .catch((error) => console.warn('Could not list media devices:', error));
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    if (!navigator.mediaDevices) return;
+    navigator.mediaDevices.addEventListener('devicechange', refresh);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', refresh);
+  }, [refresh]);
+
+  return { ...devices, refresh };
+};
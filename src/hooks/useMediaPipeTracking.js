@@ -1,239 +1,348 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
-import { FaceLandmarker, PoseLandmarker, HandLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
-
+import { headPoseFromMatrix } from '../utils/headPose';
+import { classifyGesture, createGestureDebouncer } from '../utils/gestureRecognizer';
+import { createTimingStats } from '../utils/timingStats';
+import { createTrackingScheduler } from '../utils/trackingScheduler';
+import { DEFAULT_TRACKING_QUALITY, TRACKING_QUALITY_TIERS } from '../utils/trackingModels';
+import { POSE_LANDMARKS } from '../utils/armSolver';
+import { createPartConfidence, updatePartConfidence } from '../utils/trackingConfidence';
+import { createTrackingFilters } from '../utils/trackingFilters';
+
+// Each part carries confidence and lastSeen (see trackingConfidence); parts
+// that drop out keep their last values so the avatar can ease away from them
+export const createEmptyTrackingData = () => ({
+  timestamp: 0,
+  face: {
+    rotation: { x: 0, y: 0, z: 0, w: 1 },
+    position: { x: 0, y: 0, z: 0 },
+    blendShapes: {},
+    ...createPartConfidence(),
+  },
+  pose: {
+    shoulders: { left: { x: 0, y: 0 }, right: { x: 0, y: 0 } },
+    elbows: { left: { x: 0, y: 0 }, right: { x: 0, y: 0 } },
+    wrists: { left: { x: 0, y: 0 }, right: { x: 0, y: 0 } },
+    worldLandmarks: [],
+    arms: { left: createPartConfidence(), right: createPartConfidence() },
+    ...createPartConfidence(),
+  },
+  hands: {
+    left: { landmarks: [], worldLandmarks: [], detected: false, gesture: null, ...createPartConfidence() },
+    right: { landmarks: [], worldLandmarks: [], detected: false, gesture: null, ...createPartConfidence() },
+  },
+});
+
+// Runs MediaPipe in a worker (src/workers/trackingWorker.js). Results land in
+// trackingRef rather than React state so the app doesn't re-render per frame;
+// onTrackingData(callback) subscribes to each new result and returns an
+// unsubscribe function. Only detection changes, gestures and initError (why
+// the models failed to load, null otherwise) are state.
+// The scheduler picks which landmarkers run per frame (see trackingScheduler).
 export const useMediaPipeTracking = (videoRef, isTracking, settings) => {
-  const [trackingData, setTrackingData] = useState({
-    face: {
-      rotation: { x: 0, y: 0, z: 0 },
-      position: { x: 0, y: 0, z: 0 },
-      blendShapes: {},
-    },
-    pose: {
-      shoulders: { left: { x: 0, y: 0 }, right: { x: 0, y: 0 } },
-      elbows: { left: { x: 0, y: 0 }, right: { x: 0, y: 0 } },
-      wrists: { left: { x: 0, y: 0 }, right: { x: 0, y: 0 } },
-    },
-    hands: {
-      left: { landmarks: [], detected: false },
-      right: { landmarks: [], detected: false },
-    },
-  });
+  const trackingRef = useRef(createEmptyTrackingData());
+  const timingsRef = useRef(createTimingStats());
+  const schedulerRef = useRef(createTrackingScheduler());
+  const subscribersRef = useRef(new Set());
+  const settingsRef = useRef(settings);
+  settingsRef.current = settings;
 
   const [detectionStatus, setDetectionStatus] = useState({
     faceDetected: false,
     poseDetected: false,
     handsDetected: { left: false, right: false },
   });
+  const detectionStatusRef = useRef(detectionStatus);
 
-  const faceLandmarkerRef = useRef(null);
-  const poseLandmarkerRef = useRef(null);
-  const handLandmarkerRef = useRef(null);
-  const animationFrameRef = useRef(null);
-  const lastTimeRef = useRef(-1);
-
-  // Initialize MediaPipe
-  useEffect(() => {
-    const initializeMediaPipe = async () => {
-      try {
-        const vision = await FilesetResolver.forVisionTasks(
-          'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm'
-        );
-
-        // Initialize Face Landmarker
-        if (settings.faceTrackingEnabled) {
-          faceLandmarkerRef.current = await FaceLandmarker.createFromOptions(vision, {
-            baseOptions: {
-              modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/latest/face_landmarker.task',
-              delegate: 'GPU',
-            },
-            runningMode: 'VIDEO',
-            numFaces: 1,
-            outputFaceBlendshapes: true,
-            outputFacialTransformationMatrixes: true,
-          });
-        }
-
-        // Initialize Pose Landmarker
-        if (settings.bodyTrackingEnabled) {
-          poseLandmarkerRef.current = await PoseLandmarker.createFromOptions(vision, {
-            baseOptions: {
-              modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_heavy/float16/latest/pose_landmarker_heavy.task',
-              delegate: 'GPU',
-            },
-            runningMode: 'VIDEO',
-            numPoses: 1,
-          });
-        }
+  // Last gesture held long enough to count: { gesture, hand, timestamp }
+  const [gestureEvent, setGestureEvent] = useState(null);
 
-        // Initialize Hand Landmarker
-        if (settings.handTrackingEnabled) {
-          handLandmarkerRef.current = await HandLandmarker.createFromOptions(vision, {
-            baseOptions: {
-              modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/latest/hand_landmarker.task',
-              delegate: 'GPU',
-            },
-            runningMode: 'VIDEO',
-            numHands: 2,
-          });
-        }
+  const workerRef = useRef(null);
+  const [isWorkerReady, setIsWorkerReady] = useState(false);
+  const [initError, setInitError] = useState(null);
+  const gestureDebouncersRef = useRef({ left: createGestureDebouncer(), right: createGestureDebouncer() });
+  const filtersRef = useRef(createTrackingFilters());
 
+  // Start the worker and load the enabled models
+  useEffect(() => {
+    const worker = new Worker(new URL('../workers/trackingWorker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    setIsWorkerReady(false);
+    setInitError(null);
+    schedulerRef.current.reset();
+    timingsRef.current.reset();
+
+    worker.addEventListener('message', ({ data }) => {
+      if (data.type === 'ready') {
         console.log('MediaPipe initialized successfully');
-      } catch (error) {
-        console.error('Failed to initialize MediaPipe:', error);
+        setIsWorkerReady(true);
+      } else if (data.type === 'init-error') {
+        console.error('MediaPipe initialization failed:', data.message);
+        setInitError(data.message);
+      } else if (data.type === 'error') {
+        console.error('Tracking error:', data.message);
       }
-    };
-
-    initializeMediaPipe();
+    });
+    worker.postMessage({
+      type: 'init',
+      tasks: {
+        face: settings.faceTrackingEnabled,
+        pose: settings.bodyTrackingEnabled,
+        hands: settings.handTrackingEnabled,
+      },
+      quality: settings.trackingQuality,
+      delegate: settings.trackingDelegate,
+    });
 
     return () => {
-      if (faceLandmarkerRef.current) {
-        faceLandmarkerRef.current.close();
-      }
-      if (poseLandmarkerRef.current) {
-        poseLandmarkerRef.current.close();
-      }
-      if (handLandmarkerRef.current) {
-        handLandmarkerRef.current.close();
-      }
+      worker.terminate();
+      workerRef.current = null;
+      setIsWorkerReady(false);
     };
-  }, [settings.faceTrackingEnabled, settings.bodyTrackingEnabled, settings.handTrackingEnabled]);
-
-  // Tracking loop
-  const predict = useCallback(async () => {
-    if (!isTracking || !videoRef.current || videoRef.current.readyState < 2) {
-      animationFrameRef.current = requestAnimationFrame(predict);
-      return;
-    }
-
-    const now = performance.now();
-    const video = videoRef.current;
-
-    try {
-      const newTrackingData = { ...trackingData };
-      const newDetectionStatus = { faceDetected: false, poseDetected: false, handsDetected: { left: false, right: false } };
-
-      // Face tracking
-      if (settings.faceTrackingEnabled && faceLandmarkerRef.current) {
-        const faceResults = faceLandmarkerRef.current.detectForVideo(video, now);
-
-        if (faceResults.faceLandmarks && faceResults.faceLandmarks.length > 0) {
-          newDetectionStatus.faceDetected = true;
-          const landmarks = faceResults.faceLandmarks[0];
-
-          // Calculate head rotation from landmarks
-          const noseTip = landmarks[1];
-          const leftEye = landmarks[33];
-          const rightEye = landmarks[263];
-          const chin = landmarks[152];
-
-          // Estimate rotation
-          const eyeCenter = {
-            x: (leftEye.x + rightEye.x) / 2,
-            y: (leftEye.y + rightEye.y) / 2,
-            z: (leftEye.z + rightEye.z) / 2,
-          };
-
-          const yaw = (noseTip.x - 0.5) * 60; // Left-right rotation
-          const pitch = (noseTip.y - eyeCenter.y) * 60; // Up-down rotation
-          const roll = Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x) * (180 / Math.PI);
-
-          newTrackingData.face.rotation = {
-            x: settings.mirrorMode ? -pitch : pitch,
-            y: settings.mirrorMode ? -yaw : yaw,
-            z: settings.mirrorMode ? -roll : roll,
-          };
-
-          // Blend shapes
-          if (faceResults.faceBlendshapes && faceResults.faceBlendshapes.length > 0) {
-            const blendShapes = {};
-            faceResults.faceBlendshapes[0].categories.forEach((category) => {
-              blendShapes[category.categoryName] = category.score;
-            });
-            newTrackingData.face.blendShapes = blendShapes;
-          }
-        }
+  }, [
+    settings.faceTrackingEnabled,
+    settings.bodyTrackingEnabled,
+    settings.handTrackingEnabled,
+    settings.trackingQuality,
+    settings.trackingDelegate,
+  ]);
+
+  // Tracking loop: one frame in flight at a time, the next is grabbed when
+  // the worker answers
+  useEffect(() => {
+    const worker = workerRef.current;
+    if (!isTracking || !isWorkerReady || !worker) return;
+    let stopped = false;
+    let scheduled = null;
+    let lastTimestamp = -1;
+    // Timestamp of the frame this loop is waiting on; answers to frames sent
+    // by an earlier loop are ignored so only one frame is ever in flight
+    let pendingTimestamp = null;
+
+    const scheduleNext = () => {
+      if (stopped) return;
+      const video = videoRef.current;
+      if (video && video.requestVideoFrameCallback) {
+        scheduled = { video, id: video.requestVideoFrameCallback(sendFrame) };
+      } else {
+        scheduled = { id: requestAnimationFrame(sendFrame) };
       }
+    };
 
-      // Pose tracking
-      if (settings.bodyTrackingEnabled && poseLandmarkerRef.current) {
-        const poseResults = poseLandmarkerRef.current.detectForVideo(video, now);
-
-        if (poseResults.landmarks && poseResults.landmarks.length > 0) {
-          newDetectionStatus.poseDetected = true;
-          const pose = poseResults.landmarks[0];
-
-          // Normalize coordinates (MediaPipe gives normalized values 0-1)
-          newTrackingData.pose = {
-            shoulders: {
-              left: { x: pose[11].x, y: pose[11].y },
-              right: { x: pose[12].x, y: pose[12].y },
-            },
-            elbows: {
-              left: { x: pose[13].x, y: pose[13].y },
-              right: { x: pose[14].x, y: pose[14].y },
-            },
-            wrists: {
-              left: { x: pose[15].x, y: pose[15].y },
-              right: { x: pose[16].x, y: pose[16].y },
-            },
-          };
-        }
+    const sendFrame = async () => {
+      const video = videoRef.current;
+      if (stopped) return;
+      if (!video || video.readyState < 2) {
+        scheduleNext();
+        return;
       }
-
-      // Hand tracking
-      if (settings.handTrackingEnabled && handLandmarkerRef.current) {
-        const handResults = handLandmarkerRef.current.detectForVideo(video, now);
-
-        if (handResults.landmarks && handResults.landmarks.length > 0) {
-          handResults.handedness.forEach((handedness, index) => {
-            const hand = handedness[0].categoryName.toLowerCase();
-            newDetectionStatus.handsDetected[hand] = true;
-            newTrackingData.hands[hand] = {
-              landmarks: handResults.landmarks[index],
-              detected: true,
-            };
-          });
+      // VIDEO mode needs strictly increasing timestamps
+      const timestamp = Math.max(performance.now(), lastTimestamp + 1);
+      lastTimestamp = timestamp;
+      try {
+        const frame = typeof VideoFrame !== 'undefined'
+          ? new VideoFrame(video, { timestamp: Math.round(timestamp * 1000) })
+          : await createImageBitmap(video);
+        if (stopped) {
+          frame.close();
+          return;
         }
+        const current = settingsRef.current;
+        const tier = TRACKING_QUALITY_TIERS[current.trackingQuality] || TRACKING_QUALITY_TIERS[DEFAULT_TRACKING_QUALITY];
+        const tasks = schedulerRef.current.next({
+          face: current.faceTrackingEnabled,
+          pose: current.bodyTrackingEnabled,
+          hands: current.handTrackingEnabled,
+        }, { adaptive: current.adaptiveTracking, frameBudgetMs: tier.frameBudgetMs }, performance.now());
+        pendingTimestamp = timestamp;
+        worker.postMessage({ type: 'frame', frame, timestamp, tasks }, [frame]);
+      } catch (error) {
+        console.error('Tracking error:', error);
+        scheduleNext();
       }
+    };
 
-      // Apply smoothing
-      if (settings.trackingSmoothing > 0) {
-        const smooth = settings.trackingSmoothing;
-        newTrackingData.face.rotation.x = lerp(trackingData.face.rotation.x, newTrackingData.face.rotation.x, 1 - smooth);
-        newTrackingData.face.rotation.y = lerp(trackingData.face.rotation.y, newTrackingData.face.rotation.y, 1 - smooth);
-        newTrackingData.face.rotation.z = lerp(trackingData.face.rotation.z, newTrackingData.face.rotation.z, 1 - smooth);
+    const handleMessage = ({ data }) => {
+      if (stopped || data.timestamp === undefined || data.timestamp !== pendingTimestamp) return;
+      pendingTimestamp = null;
+      if (data.type === 'error') {
+        scheduleNext();
+        return;
       }
 
-      setTrackingData(newTrackingData);
-      setDetectionStatus(newDetectionStatus);
-
-    } catch (error) {
-      console.error('Tracking error:', error);
-    }
+      const timings = timingsRef.current;
+      Object.entries(data.timings).forEach(([task, ms]) => timings.add(task, ms));
+      timings.add('latency', performance.now() - data.timestamp);
+      schedulerRef.current.report(data, performance.now());
+      const { trackingData, status } = timings.measure('solve', () => solveTracking(
+        data,
+        trackingRef.current,
+        detectionStatusRef.current,
+        settingsRef.current,
+        filtersRef.current,
+        gestureDebouncersRef.current,
+        setGestureEvent
+      ));
+      trackingRef.current = trackingData;
+      subscribersRef.current.forEach((callback) => callback(trackingData));
+      if (!sameStatus(detectionStatusRef.current, status)) {
+        detectionStatusRef.current = status;
+        setDetectionStatus(status);
+      }
+      scheduleNext();
+    };
 
-    lastTimeRef.current = now;
-    animationFrameRef.current = requestAnimationFrame(predict);
-  }, [isTracking, settings, trackingData, videoRef]);
-
-  // Start/stop tracking
-  useEffect(() => {
-    if (isTracking) {
-      predict();
-    } else if (animationFrameRef.current) {
-      cancelAnimationFrame(animationFrameRef.current);
-    }
+    worker.addEventListener('message', handleMessage);
+    scheduleNext();
 
     return () => {
-      if (animationFrameRef.current) {
-        cancelAnimationFrame(animationFrameRef.current);
+      stopped = true;
+      worker.removeEventListener('message', handleMessage);
+      if (scheduled && scheduled.video) {
+        scheduled.video.cancelVideoFrameCallback(scheduled.id);
+      } else if (scheduled) {
+        cancelAnimationFrame(scheduled.id);
       }
     };
-  }, [isTracking, predict]);
+  }, [isTracking, isWorkerReady, videoRef]);
+
+  const onTrackingData = useCallback((callback) => {
+    subscribersRef.current.add(callback);
+    return () => subscribersRef.current.delete(callback);
+  }, []);
 
-  return { trackingData, detectionStatus };
+  return { trackingRef, timingsRef, schedulerRef, onTrackingData, detectionStatus, gestureEvent, initError };
 };
 
-// Helper function for linear interpolation
-function lerp(a, b, t) {
-  return a + (b - a) * t;
+// Turn raw worker results into trackingData, reusing the previous data for
+// parts that weren't detected. Parts the scheduler skipped keep their
+// previous detection status too.
+function solveTracking(results, previous, previousStatus, settings, filters, gestureDebouncers, onGesture) {
+  const now = results.timestamp;
+  filters.configure(settings.trackingFilters, settings.trackingPredictionMs);
+  const { ran } = results;
+  const minConfidence = settings.minTrackingConfidence;
+  const trackingData = { ...previous, timestamp: now };
+  const status = {
+    faceDetected: ran.face ? false : previousStatus.faceDetected,
+    poseDetected: ran.pose ? false : previousStatus.poseDetected,
+    handsDetected: ran.hands ? { left: false, right: false } : { ...previousStatus.handsDetected },
+  };
+
+  // Face tracking
+  if (results.face) {
+    status.faceDetected = true;
+    trackingData.face = { ...previous.face };
+
+    // Head pose from the facial transformation matrix
+    const headPose = results.face.matrix
+      ? headPoseFromMatrix(results.face.matrix, settings.mirrorMode)
+      : previous.face;
+    Object.assign(trackingData.face, filters.face({
+      rotation: headPose.rotation,
+      position: headPose.position,
+      blendShapes: results.face.blendShapes,
+    }, now));
+    // The face landmarker doesn't score its detections; a face is a face
+    Object.assign(trackingData.face, updatePartConfidence(previous.face, 1, now, minConfidence));
+  } else if (ran.face) {
+    trackingData.face = { ...previous.face, ...updatePartConfidence(previous.face, 0, now, minConfidence) };
+  }
+
+  // Pose tracking
+  if (results.pose) {
+    status.poseDetected = true;
+    const { landmarks: pose, worldLandmarks } = filters.pose(results.pose, now);
+    // Arm confidence (user's sides) is its weaker of shoulder and elbow
+    const armConfidence = (side) => Math.min(
+      visibilityOf(pose[POSE_LANDMARKS[side].shoulder]),
+      visibilityOf(pose[POSE_LANDMARKS[side].elbow])
+    );
+    const upperBody = pose.slice(11, 17).reduce((sum, landmark) => sum + visibilityOf(landmark), 0) / 6;
+
+    // Normalize coordinates (MediaPipe gives normalized values 0-1)
+    trackingData.pose = {
+      shoulders: {
+        left: { x: pose[11].x, y: pose[11].y },
+        right: { x: pose[12].x, y: pose[12].y },
+      },
+      elbows: {
+        left: { x: pose[13].x, y: pose[13].y },
+        right: { x: pose[14].x, y: pose[14].y },
+      },
+      wrists: {
+        left: { x: pose[15].x, y: pose[15].y },
+        right: { x: pose[16].x, y: pose[16].y },
+      },
+      // 3D landmarks in meters, origin at the hip center
+      worldLandmarks,
+      arms: {
+        left: updatePartConfidence(previous.pose.arms.left, armConfidence('left'), now, minConfidence),
+        right: updatePartConfidence(previous.pose.arms.right, armConfidence('right'), now, minConfidence),
+      },
+      ...updatePartConfidence(previous.pose, upperBody, now, minConfidence),
+    };
+  } else if (ran.pose) {
+    trackingData.pose = {
+      ...previous.pose,
+      arms: {
+        left: updatePartConfidence(previous.pose.arms.left, 0, now, minConfidence),
+        right: updatePartConfidence(previous.pose.arms.right, 0, now, minConfidence),
+      },
+      ...updatePartConfidence(previous.pose, 0, now, minConfidence),
+    };
+  }
+
+  // Hand tracking. Hands that weren't found keep their landmarks but lose
+  // their confidence.
+  if (ran.hands) {
+    trackingData.hands = {};
+    ['left', 'right'].forEach((hand) => {
+      trackingData.hands[hand] = {
+        ...previous.hands[hand],
+        detected: false,
+        ...updatePartConfidence(previous.hands[hand], 0, now, minConfidence),
+      };
+    });
+    results.hands.forEach(({ handedness, score, landmarks, worldLandmarks }) => {
+      // Handedness labels assume a mirrored (selfie) image, while the
+      // video is not flipped, so "Left" is the user's right hand
+      const hand = handedness === 'Left' ? 'right' : 'left';
+      status.handsDetected[hand] = true;
+      trackingData.hands[hand] = {
+        ...filters.hand(hand, { landmarks, worldLandmarks }, now),
+        detected: true,
+        gesture: null,
+        ...updatePartConfidence(previous.hands[hand], score, now, minConfidence),
+      };
+    });
+  }
+
+  // Gesture recognition with hold-time debouncing
+  if (settings.gestureControl && settings.handTrackingEnabled && ran.hands) {
+    ['left', 'right'].forEach((hand) => {
+      const detected = status.handsDetected[hand];
+      const handData = trackingData.hands[hand];
+      const gesture = detected ? classifyGesture(handData.worldLandmarks.length > 0 ? handData.worldLandmarks : handData.landmarks) : null;
+      if (detected) {
+        handData.gesture = gesture;
+      }
+      const held = gestureDebouncers[hand].update(gesture, now, settings.gestureHoldTime);
+      if (held) {
+        onGesture({ gesture: held, hand, timestamp: now });
+      }
+    });
+  }
+
+  return { trackingData, status };
+}
+
+function visibilityOf(landmark) {
+  return landmark && landmark.visibility !== undefined ? landmark.visibility : 1;
+}
+
+function sameStatus(a, b) {
+  return a.faceDetected === b.faceDetected
+    && a.poseDetected === b.poseDetected
+    && a.handsDetected.left === b.handsDetected.left
+    && a.handsDetected.right === b.handsDetected.right;
 }
@@ -0,0 +1,82 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { microphoneConstraints, stopStream } from '../utils/mediaDevices';
+import { createVisemeSmoother, estimateVowels } from '../utils/vowelAnalyzer';
+
+const SILENCE = { level: 0, visemes: null };
+
+// Owns the microphone stream and its analysis for lip sync: audioRef holds
+// { level (0-1), visemes (smoothed vowels) }, updated every animation frame
+// while open. It's a ref so the analysis doesn't re-render the app; panels
+// read it through useTrackingSnapshot.
+// start(config) opens the chosen device and resolves with its label (null
+// when a later start/stop superseded it); stop() stops the tracks and closes
+// the AudioContext. onEnded runs when the device goes away on its own.
+export const useMicrophone = ({ onEnded } = {}) => {
+  const audioRef = useRef(SILENCE);
+  const streamRef = useRef(null);
+  const sessionRef = useRef(null);
+  const requestRef = useRef(0);
+  const onEndedRef = useRef(onEnded);
+  onEndedRef.current = onEnded;
+
+  const release = useCallback(() => {
+    const session = sessionRef.current;
+    sessionRef.current = null;
+    if (session) {
+      cancelAnimationFrame(session.frame);
+      session.audioContext.close().catch(() => {});
+    }
+    stopStream(streamRef.current);
+    streamRef.current = null;
+    audioRef.current = SILENCE;
+  }, []);
+
+  const stop = useCallback(() => {
+    requestRef.current++;
+    release();
+  }, [release]);
+
+  const start = useCallback(async (config) => {
+    const request = ++requestRef.current;
+    release();
+    const stream = await navigator.mediaDevices.getUserMedia(microphoneConstraints(config));
+    if (request !== requestRef.current) {
+      stopStream(stream);
+      return null;
+    }
+
+    const audioContext = new AudioContext();
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 2048;
+    analyser.smoothingTimeConstant = 0.3;
+    audioContext.createMediaStreamSource(stream).connect(analyser);
+
+    // Estimate vowels from the spectrum for lip sync
+    const spectrum = new Float32Array(analyser.frequencyBinCount);
+    const smoothVisemes = createVisemeSmoother();
+    const session = { audioContext, frame: null };
+    const update = () => {
+      if (sessionRef.current !== session) return;
+      analyser.getFloatFrequencyData(spectrum);
+      const result = estimateVowels(spectrum, audioContext.sampleRate);
+      audioRef.current = { level: result.volume, visemes: smoothVisemes(result.visemes) };
+      session.frame = requestAnimationFrame(update);
+    };
+
+    streamRef.current = stream;
+    sessionRef.current = session;
+    stream.getAudioTracks().forEach((track) => {
+      track.addEventListener('ended', () => {
+        if (streamRef.current !== stream) return;
+        release();
+        if (onEndedRef.current) onEndedRef.current();
+      });
+    });
+    update();
+    return stream.getAudioTracks()[0]?.label || '';
+  }, [release]);
+
+  useEffect(() => stop, [stop]);
+
+  return { audioRef, streamRef, start, stop };
+};
@@ -0,0 +1,59 @@
+import { useEffect, useRef, useState } from 'react';
+import { OUTPUT_CHANNEL, captureCamera, capturePose } from '../utils/outputSync';
+
+// Main window side of the /output view sync. Posts the pose and camera after every
+// rendered frame and the scene whenever it changes or a view connects.
+// Returns the number of open output views.
+export const useOutputBroadcast = (vrm, onRender, outputScene, cameraRef) => {
+  const [viewCount, setViewCount] = useState(0);
+  const viewCountRef = useRef(0);
+  viewCountRef.current = viewCount;
+  const channelRef = useRef(null);
+  const sceneRef = useRef(outputScene);
+  sceneRef.current = outputScene;
+
+  useEffect(() => {
+    const channel = new BroadcastChannel(OUTPUT_CHANNEL);
+    channelRef.current = channel;
+    const views = new Set();
+
+    channel.onmessage = ({ data }) => {
+      if (data.type === 'hello') {
+        views.add(data.viewId);
+        channel.postMessage({ type: 'scene', scene: sceneRef.current });
+      } else if (data.type === 'bye') {
+        views.delete(data.viewId);
+      }
+      setViewCount(views.size);
+    };
+    // Views opened before this window announce themselves again
+    channel.postMessage({ type: 'ping' });
+
+    return () => {
+      channel.close();
+      channelRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (channelRef.current) {
+      channelRef.current.postMessage({ type: 'scene', scene: outputScene });
+    }
+  }, [outputScene]);
+
+  useEffect(() => {
+    if (!vrm) return;
+    return onRender(() => {
+      // Nobody to post to while no view is open
+      if (channelRef.current && viewCountRef.current > 0) {
+        channelRef.current.postMessage({
+          type: 'pose',
+          pose: capturePose(vrm),
+          camera: cameraRef.current ? captureCamera(cameraRef.current) : null,
+        });
+      }
+    });
+  }, [vrm, onRender, cameraRef]);
+
+  return viewCount;
+};
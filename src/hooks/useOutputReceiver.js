@@ -0,0 +1,47 @@
+import { useEffect, useRef, useState } from 'react';
+import { OUTPUT_CHANNEL, applyCamera, applyPose } from '../utils/outputSync';
+
+// /output view side of the sync. Returns the latest scene from the main
+// window (null until one arrives) and copies the posted pose onto the model
+// and the posted camera onto the stage camera every frame.
+export const useOutputReceiver = (vrm, onFrame, cameraRef) => {
+  const [scene, setScene] = useState(null);
+  const poseRef = useRef(null);
+  const cameraViewRef = useRef(null);
+
+  useEffect(() => {
+    const channel = new BroadcastChannel(OUTPUT_CHANNEL);
+    const viewId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+    channel.onmessage = ({ data }) => {
+      if (data.type === 'scene') {
+        setScene(data.scene);
+      } else if (data.type === 'pose') {
+        poseRef.current = data.pose;
+        cameraViewRef.current = data.camera;
+      } else if (data.type === 'ping') {
+        channel.postMessage({ type: 'hello', viewId });
+      }
+    };
+    channel.postMessage({ type: 'hello', viewId });
+
+    const sayBye = () => channel.postMessage({ type: 'bye', viewId });
+    window.addEventListener('beforeunload', sayBye);
+
+    return () => {
+      window.removeEventListener('beforeunload', sayBye);
+      sayBye();
+      channel.close();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!vrm) return;
+    return onFrame(() => {
+      if (poseRef.current) applyPose(vrm, poseRef.current);
+      if (cameraViewRef.current && cameraRef.current) applyCamera(cameraRef.current, cameraViewRef.current);
+    });
+  }, [vrm, onFrame, cameraRef]);
+
+  return scene;
+};
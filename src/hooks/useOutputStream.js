@@ -0,0 +1,33 @@
+import { useEffect, useRef, useState } from 'react';
+import { createOutputCompositor } from '../utils/outputCompositor';
+
+// Composited stage (background + avatar) as a MediaStream from
+// canvas.captureStream. Null while disabled.
+export const useOutputStream = (onRender, enabled, { width, height, fps, transparent, backgroundColor, backgroundImage }) => {
+  const [output, setOutput] = useState({ stream: null, canvas: null });
+  const compositorRef = useRef(null);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const compositor = createOutputCompositor(width, height);
+    compositorRef.current = compositor;
+    const stream = compositor.canvas.captureStream(fps);
+    const unsubscribe = onRender((source) => compositor.draw(source));
+    setOutput({ stream, canvas: compositor.canvas });
+
+    return () => {
+      unsubscribe();
+      stream.getTracks().forEach((track) => track.stop());
+      compositorRef.current = null;
+      setOutput({ stream: null, canvas: null });
+    };
+  }, [enabled, onRender, width, height, fps]);
+
+  useEffect(() => {
+    if (!compositorRef.current) return;
+    compositorRef.current.setBackground({ transparent, color: backgroundColor, imageUrl: backgroundImage })
+      .catch((error) => console.error('Failed to load background image:', error));
+  }, [output, transparent, backgroundColor, backgroundImage]);
+
+  return output;
+};
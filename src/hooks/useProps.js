@@ -0,0 +1,76 @@
+import { useCallback, useEffect, useRef } from 'react';
+import * as THREE from 'three';
+
+// Size of a prop in meters, and how far it rises over its lifetime
+const PROP_SIZE = 0.25;
+const PROP_RISE = 0.4;
+// Share of the lifetime spent fading out
+const PROP_FADE = 0.3;
+
+const _headPosition = new THREE.Vector3();
+
+// Emoji props that pop up around the avatar's head, float up and fade out
+export const useProps = (vrm, onFrame) => {
+  const propsRef = useRef([]);
+
+  useEffect(() => {
+    if (!vrm) return;
+    const unsubscribe = onFrame((delta) => {
+      propsRef.current = propsRef.current.filter((prop) => {
+        prop.age += delta;
+        const progress = prop.age / prop.duration;
+        if (progress >= 1) {
+          disposeProp(prop.sprite);
+          return false;
+        }
+        prop.sprite.position.y = prop.startY + PROP_RISE * progress;
+        prop.sprite.material.opacity = Math.min(1, (1 - progress) / PROP_FADE);
+        return true;
+      });
+    });
+    return () => {
+      unsubscribe();
+      propsRef.current.forEach((prop) => disposeProp(prop.sprite));
+      propsRef.current = [];
+    };
+  }, [vrm, onFrame]);
+
+  // Show an emoji for duration seconds
+  const spawnProp = useCallback((emoji, duration) => {
+    if (!vrm || !vrm.scene.parent) return;
+    const head = vrm.humanoid && vrm.humanoid.getRawBoneNode('head');
+    if (head) {
+      head.getWorldPosition(_headPosition);
+    } else {
+      vrm.scene.getWorldPosition(_headPosition).y += 1.5;
+    }
+    const sprite = createPropSprite(emoji);
+    sprite.position.set(_headPosition.x + (Math.random() - 0.5) * 0.6, _headPosition.y + 0.15, _headPosition.z + 0.1);
+    vrm.scene.parent.add(sprite);
+    propsRef.current.push({ sprite, startY: sprite.position.y, age: 0, duration });
+  }, [vrm]);
+
+  return { spawnProp };
+};
+
+function createPropSprite(emoji) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 128;
+  canvas.height = 128;
+  const context = canvas.getContext('2d');
+  context.font = '96px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(emoji, 64, 72);
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, depthWrite: false }));
+  sprite.scale.setScalar(PROP_SIZE);
+  return sprite;
+}
+
+function disposeProp(sprite) {
+  sprite.removeFromParent();
+  sprite.material.map.dispose();
+  sprite.material.dispose();
+}
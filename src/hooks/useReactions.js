@@ -0,0 +1,60 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { connectEventSource } from '../utils/eventSources';
+import { createReactionMatcher, normalizeReactionEvent } from '../utils/reactions';
+
+// Events kept for the panel's history
+const MAX_RECENT_EVENTS = 20;
+
+// Runs incoming stream events through the reaction rules and calls the
+// matching action: actions[rule.action.type](rule.action, event). Events
+// come from the configured source or from trigger(); triggerRule() fires a
+// rule by id. status is 'off', 'connecting', 'connected' or 'error'.
+export const useReactions = (source, sourceUrl, rules, actions) => {
+  const [status, setStatus] = useState('off');
+  const [recentEvents, setRecentEvents] = useState([]);
+  const matcherRef = useRef(createReactionMatcher());
+  const rulesRef = useRef(rules);
+  rulesRef.current = rules;
+  const actionsRef = useRef(actions);
+  actionsRef.current = actions;
+
+  const fire = useCallback((rule, event) => {
+    if (rule) {
+      try {
+        actionsRef.current[rule.action.type](rule.action, event);
+      } catch (error) {
+        console.error('Reaction failed:', error);
+      }
+    }
+    setRecentEvents(prev => [
+      { ...event, time: new Date().toLocaleTimeString(), ruleId: rule ? rule.id : null },
+      ...prev.slice(0, MAX_RECENT_EVENTS - 1),
+    ]);
+  }, []);
+
+  // Throws an Error when the data isn't a valid event
+  const trigger = useCallback((data) => {
+    const event = normalizeReactionEvent(data);
+    if (!event) throw new Error('Invalid reaction event');
+    fire(matcherRef.current.match(rulesRef.current, event), event);
+  }, [fire]);
+
+  // Runs one rule's action right away, skipping matching and its cooldown;
+  // data fills in the event fields. Returns false when there's no such rule
+  const triggerRule = useCallback((ruleId, data = {}) => {
+    const rule = rulesRef.current.find(r => r.id === ruleId);
+    if (!rule) return false;
+    fire(rule, normalizeReactionEvent({ ...data, type: rule.event }));
+    return true;
+  }, [fire]);
+
+  useEffect(() => {
+    if (source === 'off') {
+      setStatus('off');
+      return;
+    }
+    return connectEventSource(source, sourceUrl, { onEvent: trigger, onStatus: setStatus });
+  }, [source, sourceUrl, trigger]);
+
+  return { status, recentEvents, trigger, triggerRule };
+};
@@ -0,0 +1,52 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { VISEMES } from '../utils/vowelAnalyzer';
+import { visemeWeightsAt, visemesFromText } from '../utils/speechLipSync';
+
+const JAPANESE_TEXT = /[぀-ヿ一-鿿]/;
+
+// Reads lines aloud with the browser's speech synthesis and moves the mouth
+// along. Lines queue up behind the one being spoken.
+export const useSpeech = (vrm, onFrame) => {
+  const utteranceRef = useRef(null);
+
+  useEffect(() => {
+    if (!vrm) return;
+    let wasSpeaking = false;
+    return onFrame(() => {
+      const current = utteranceRef.current;
+      if (!vrm.expressionManager) return;
+      if (current && current.startedAt !== null) {
+        const weights = visemeWeightsAt(current.visemes, (performance.now() - current.startedAt) / 1000);
+        VISEMES.forEach((viseme) => vrm.expressionManager.setValue(viseme, weights[viseme]));
+        wasSpeaking = true;
+      } else if (wasSpeaking) {
+        VISEMES.forEach((viseme) => vrm.expressionManager.setValue(viseme, 0));
+        wasSpeaking = false;
+      }
+    });
+  }, [vrm, onFrame]);
+
+  // Throws an Error when speech synthesis isn't available
+  const speak = useCallback((text) => {
+    if (typeof speechSynthesis === 'undefined') {
+      throw new Error('このブラウザは音声合成に対応していません');
+    }
+    const utterance = new SpeechSynthesisUtterance(text);
+    if (JAPANESE_TEXT.test(text)) utterance.lang = 'ja-JP';
+    const entry = { visemes: visemesFromText(text), startedAt: null };
+    utterance.onstart = () => {
+      entry.startedAt = performance.now();
+      utteranceRef.current = entry;
+    };
+    utterance.onend = utterance.onerror = () => {
+      if (utteranceRef.current === entry) utteranceRef.current = null;
+    };
+    speechSynthesis.speak(utterance);
+  }, []);
+
+  useEffect(() => () => {
+    if (typeof speechSynthesis !== 'undefined') speechSynthesis.cancel();
+  }, []);
+
+  return { speak };
+};
@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { VRMSpringBoneColliderHelper } from '@pixiv/three-vrm';
+import {
+  SPRING_RESET_DISTANCE,
+  applySpringBoneSettings,
+  springBoneChains,
+  springBoneColliders,
+  windForce,
+} from '../utils/springBones';
+
+// Spring bone tuning for the loaded model: applies the overrides and wind
+// every frame before vrm.update() runs the physics, resets the physics when
+// the model jumps, and draws the colliders when asked to.
+// Registered after the pose hooks, so the model is already where it will be
+// drawn when the jump is checked.
+export const useSpringBones = (vrm, onFrame, { overrides, wind, showColliders }) => {
+  const inputsRef = useRef(null);
+  inputsRef.current = { overrides, wind };
+
+  const chains = useMemo(() => springBoneChains(vrm), [vrm]);
+  const colliders = useMemo(() => springBoneColliders(vrm), [vrm]);
+
+  const reset = useCallback(() => {
+    if (!vrm || !vrm.springBoneManager) return;
+    vrm.scene.updateMatrixWorld(true);
+    vrm.springBoneManager.reset();
+  }, [vrm]);
+
+  useEffect(() => {
+    if (!vrm || chains.length === 0) return;
+    const lastPosition = vrm.scene.position.clone();
+    const force = new THREE.Vector3();
+    let time = 0;
+
+    const unsubscribe = onFrame((delta) => {
+      const { overrides, wind } = inputsRef.current;
+      time += delta;
+      applySpringBoneSettings(chains, overrides, windForce(time, wind, force));
+
+      if (vrm.scene.position.distanceTo(lastPosition) > SPRING_RESET_DISTANCE) reset();
+      lastPosition.copy(vrm.scene.position);
+    });
+
+    return () => {
+      unsubscribe();
+      // Leave the model as it shipped
+      applySpringBoneSettings(chains, null, force.set(0, 0, 0));
+    };
+  }, [vrm, onFrame, chains, reset]);
+
+  // Collider wireframes
+  useEffect(() => {
+    if (!vrm || !showColliders) return;
+    const helpers = colliders.map(({ collider }) => new VRMSpringBoneColliderHelper(collider));
+    helpers.forEach((helper) => vrm.scene.add(helper));
+    return () => {
+      helpers.forEach((helper) => {
+        vrm.scene.remove(helper);
+        helper.dispose();
+      });
+    };
+  }, [vrm, colliders, showColliders]);
+
+  return { chains, colliders, reset };
+};
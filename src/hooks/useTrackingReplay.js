@@ -0,0 +1,42 @@
+import { useEffect, useRef, useState } from 'react';
+import { replayPosition } from '../utils/trackingRecording';
+
+// Play a tracking recording back in real time. Returns the current frame
+// (null when not playing) and the playback progress (0-1).
+export const useTrackingReplay = (recording, isPlaying, { loop = true, speed = 1, onEnd } = {}) => {
+  const [frame, setFrame] = useState(null);
+  const [progress, setProgress] = useState(0);
+  const animationFrameRef = useRef(null);
+  const onEndRef = useRef(onEnd);
+  onEndRef.current = onEnd;
+
+  useEffect(() => {
+    if (!recording || !isPlaying) {
+      setFrame(null);
+      setProgress(0);
+      return;
+    }
+
+    const startTime = performance.now();
+
+    const tick = () => {
+      const position = replayPosition(recording, performance.now() - startTime, { loop, speed });
+      setFrame(position.frame);
+      setProgress(position.progress);
+      if (position.ended) {
+        if (onEndRef.current) onEndRef.current();
+        return;
+      }
+      animationFrameRef.current = requestAnimationFrame(tick);
+    };
+    tick();
+
+    return () => {
+      if (animationFrameRef.current) {
+        cancelAnimationFrame(animationFrameRef.current);
+      }
+    };
+  }, [recording, isPlaying, loop, speed]);
+
+  return { frame, progress };
+};
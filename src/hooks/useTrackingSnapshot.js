@@ -0,0 +1,16 @@
+import { useEffect, useState } from 'react';
+
+// Copies ref-held data (tracking results, timings) into state at a fixed
+// interval while active, for panels that display it
+export const useTrackingSnapshot = (getSnapshot, active, intervalMs = 200) => {
+  const [snapshot, setSnapshot] = useState(() => getSnapshot());
+
+  useEffect(() => {
+    if (!active) return;
+    setSnapshot(getSnapshot());
+    const timer = setInterval(() => setSnapshot(getSnapshot()), intervalMs);
+    return () => clearInterval(timer);
+  }, [getSnapshot, active, intervalMs]);
+
+  return snapshot;
+};
@@ -0,0 +1,112 @@
+import { useEffect, useRef, useState } from 'react';
+import { decodePacket, encodeBundle } from '../utils/osc';
+import { VMC_SEND_RATE, createVmcMessages, createVmcReceiver } from '../utils/vmc';
+
+// Delay before reconnecting to the relay (ms)
+const RECONNECT_DELAY = 2000;
+// Received data older than this no longer drives the avatar (ms)
+const RECEIVE_TIMEOUT = 1000;
+// Skip frames instead of queueing when the socket falls behind (bytes)
+const MAX_BUFFERED = 256 * 1024;
+
+// VMC over the WebSocket relay (scripts/vmc-relay.js). Sends the posed
+// avatar after each render and, while data arrives, drives the avatar with
+// received bones and blend shapes in place of tracking.
+// status is 'off', 'connecting' or 'connected'.
+export const useVMC = (vrm, onFrame, onRender, { relayUrl, sendEnabled, receiveEnabled }) => {
+  const [status, setStatus] = useState('off');
+  const [isReceiving, setIsReceiving] = useState(false);
+  const socketRef = useRef(null);
+  const receiverRef = useRef(createVmcReceiver());
+  const receiveEnabledRef = useRef(receiveEnabled);
+  receiveEnabledRef.current = receiveEnabled;
+  const enabled = sendEnabled || receiveEnabled;
+
+  useEffect(() => {
+    if (!enabled) {
+      setStatus('off');
+      return;
+    }
+    let socket = null;
+    let reconnectTimer = null;
+    let closed = false;
+
+    const connect = () => {
+      setStatus('connecting');
+      try {
+        socket = new WebSocket(relayUrl);
+      } catch (error) {
+        // Malformed URL: no point retrying until it changes
+        console.error('Invalid VMC relay URL:', error);
+        setStatus('off');
+        return;
+      }
+      socket.binaryType = 'arraybuffer';
+      socket.onopen = () => {
+        socketRef.current = socket;
+        setStatus('connected');
+      };
+      socket.onmessage = ({ data }) => {
+        if (!receiveEnabledRef.current || !(data instanceof ArrayBuffer)) return;
+        try {
+          decodePacket(data).forEach(receiverRef.current.handle);
+        } catch (error) {
+          console.warn('Ignoring malformed VMC packet:', error.message);
+        }
+      };
+      socket.onclose = () => {
+        socketRef.current = null;
+        if (closed) return;
+        setStatus('connecting');
+        reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+      };
+    };
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      socketRef.current = null;
+      if (socket) socket.close();
+    };
+  }, [enabled, relayUrl]);
+
+  useEffect(() => {
+    if (!vrm || !sendEnabled) return;
+    let lastSentAt = 0;
+    return onRender(() => {
+      const socket = socketRef.current;
+      const now = performance.now();
+      if (!socket || now - lastSentAt < 1000 / VMC_SEND_RATE || socket.bufferedAmount > MAX_BUFFERED) return;
+      lastSentAt = now;
+      socket.send(encodeBundle(createVmcMessages(vrm, now / 1000)));
+    });
+  }, [vrm, onRender, sendEnabled]);
+
+  useEffect(() => {
+    if (!receiveEnabled) return;
+    const receiver = receiverRef.current;
+    const timer = setInterval(() => {
+      setIsReceiving(isFresh(receiver));
+    }, 500);
+    return () => {
+      clearInterval(timer);
+      receiver.reset();
+      setIsReceiving(false);
+    };
+  }, [receiveEnabled]);
+
+  useEffect(() => {
+    if (!vrm || !receiveEnabled) return;
+    const receiver = receiverRef.current;
+    return onFrame(() => {
+      if (isFresh(receiver)) receiver.apply(vrm);
+    });
+  }, [vrm, onFrame, receiveEnabled]);
+
+  return { status, isReceiving };
+};
+
+function isFresh(receiver) {
+  return receiver.lastReceivedAt > 0 && performance.now() - receiver.lastReceivedAt < RECEIVE_TIMEOUT;
+}
@@ -1,172 +1,339 @@
-import { useEffect } from 'react';
+import { useEffect, useMemo, useRef } from 'react';
 import * as THREE from 'three';
+import { armRestPoseFromHumanoid, relaxedArmPose, solveArm } from '../utils/armSolver';
+import { handRestPoseFromHumanoid, solveHand } from '../utils/handSolver';
+import { VISEMES, blendVisemes, visemesFromBlendShapes } from '../utils/vowelAnalyzer';
+import { evaluateMappings, findPerfectSyncExpressions } from '../utils/expressionMapping';
+import { adjustBlendShapes, easePresence, isPartPresent } from '../utils/trackingConfidence';
+import { blendFactor, createPoseBlender } from '../utils/poseBlender';
+import { createAutoBlink } from '../utils/autoBlink';
 
-export const useVRMAnimation = (vrm, trackingData, modelTransform, settings, micLevel = 0) => {
+// Share of the head rotation carried by the neck (the head takes the rest)
+const NECK_ROTATION_SHARE = 0.4;
+// How strongly head translation (meters) leans the spine, and the lean limit
+const SPINE_LEAN_GAIN = 1.5;
+const SPINE_LEAN_LIMIT = 0.3;
+// Time constant (seconds) of the neutral head position following the user's
+// resting position
+const NEUTRAL_POSITION_TIME = 1.7;
+// Time constant (seconds) of the bones and expressions following the latest
+// tracking result between results
+const TRACKING_BLEND_TIME = 0.05;
+// Mic level at which the audio vowel estimate fully replaces the camera's
+const AUDIO_BLEND_LEVEL = 0.3;
+// Eye yaw and pitch (degrees) at full eyeLook blendshapes
+const EYE_YAW_RANGE = 20;
+const EYE_PITCH_RANGE = 15;
+// Emotion presets cleared while an expression override is active
+const EMOTION_EXPRESSIONS = ['happy', 'angry', 'sad', 'relaxed', 'surprised'];
+
+const _identity = new THREE.Quaternion();
+const _headRotation = new THREE.Quaternion();
+const _forearmRotation = new THREE.Quaternion();
+const _neutralInverse = new THREE.Quaternion();
+const _trackedRotation = new THREE.Quaternion();
+const _target = new THREE.Quaternion();
+const _euler = new THREE.Euler();
+const ARM_BONES = { upperArm: 'UpperArm', lowerArm: 'LowerArm', hand: 'Hand' };
+const EMPTY_TRACKING_DATA = {
+  timestamp: 0,
+  face: null,
+  pose: null,
+  hands: null,
+};
+
+// Poses the model every render frame from the latest tracking data.
+// getTrackingData() returns it (tracking results live in a ref, not state),
+// or null while nothing is tracked; the other inputs are read from a ref so
+// the frame callback stays registered.
+// Each part (face, arms, hands) has a presence weight that eases between its
+// tracked pose and a rest pose over settings.dropoutEaseTime, so lost parts
+// settle down and reacquired ones blend back in. `calibration` (see
+// trackingConfidence) sets the neutral head angle and expression baseline.
+// Bones and expressions approach their targets by frame time (see
+// poseBlender), so movement between tracking results stays smooth at any
+// frame rate.
+export const useVRMAnimation = (vrm, onFrame, getTrackingData, modelTransform, settings, getMicInput = null, expressionOverride = null, calibration = null) => {
+  const neutralPositionRef = useRef(null);
+  const lastTrackingDataRef = useRef(null);
+  const presenceRef = useRef(null);
+  // Last solved arm rotations, for bones whose landmarks drop out alone
+  const lastArmRef = useRef(null);
+  const inputsRef = useRef(null);
+  inputsRef.current = { getTrackingData, modelTransform, settings, getMicInput, expressionOverride, calibration };
+
+  // Calibrating also resets where the body's neutral lean is measured from
+  useEffect(() => {
+    if (calibration) neutralPositionRef.current = { ...calibration.headPosition };
+  }, [calibration]);
+
+  // Arm and hand rest directions only change when a different model is loaded
+  const armRestPose = useMemo(() => {
+    if (!vrm || !vrm.humanoid) return { left: null, right: null };
+    return {
+      left: armRestPoseFromHumanoid(vrm.humanoid, 'left'),
+      right: armRestPoseFromHumanoid(vrm.humanoid, 'right'),
+    };
+  }, [vrm]);
+
+  const perfectSyncExpressions = useMemo(
+    () => (vrm ? findPerfectSyncExpressions(vrm.expressionManager) : {}),
+    [vrm]
+  );
+
+  const handRestPose = useMemo(() => {
+    if (!vrm || !vrm.humanoid) return { left: null, right: null };
+    return {
+      left: handRestPoseFromHumanoid(vrm.humanoid, 'left'),
+      right: handRestPoseFromHumanoid(vrm.humanoid, 'right'),
+    };
+  }, [vrm]);
+
+  const relaxedArms = useMemo(() => ({
+    left: relaxedArmPose(armRestPose.left),
+    right: relaxedArmPose(armRestPose.right),
+  }), [armRestPose]);
+
+  // Registered before the motion/VMC frame callbacks so they can override it
   useEffect(() => {
     if (!vrm) return;
+    presenceRef.current = { face: 0, leftArm: 0, rightArm: 0, leftHand: 0, rightHand: 0 };
+    lastArmRef.current = { left: {}, right: {} };
+    const blender = createPoseBlender();
+    const autoBlink = createAutoBlink();
+    // Eyes are driven by yaw/pitch from the blendshapes; the model has no
+    // lookAt target to follow
+    if (vrm.lookAt) vrm.lookAt.autoUpdate = false;
 
-    const { modelPosition, modelScale, modelRotation } = modelTransform;
+    return onFrame((delta) => {
+      const { getTrackingData, modelTransform, settings, getMicInput, expressionOverride, calibration } = inputsRef.current;
+      const { modelPosition, modelScale, modelRotation } = modelTransform;
 
-    // Apply model transform
-    vrm.scene.position.set(modelPosition.x, modelPosition.y, modelPosition.z);
-    vrm.scene.scale.setScalar(modelScale);
-    vrm.scene.rotation.y = THREE.MathUtils.degToRad(modelRotation);
+      // Without live data, every part eases out from the last data seen
+      const liveData = getTrackingData();
+      if (liveData) lastTrackingDataRef.current = liveData;
+      const trackingData = lastTrackingDataRef.current || EMPTY_TRACKING_DATA;
+      const presence = presenceRef.current;
+      const isPresent = (part) => Boolean(liveData) && isPartPresent(part, trackingData.timestamp, settings.minTrackingConfidence);
+      const easePart = (name, present) => {
+        presence[name] = easePresence(presence[name], present, delta, settings.dropoutEaseTime);
+        return presence[name];
+      };
+      const alpha = blendFactor(delta, TRACKING_BLEND_TIME);
+      const setRotation = (bone, key, target) => bone.quaternion.copy(blender.rotation(key, target, alpha));
 
-    // Apply face tracking
-    if (settings.faceTrackingEnabled && trackingData.face) {
-      const humanoid = vrm.humanoid;
+      // Apply model transform
+      vrm.scene.position.set(modelPosition.x, modelPosition.y, modelPosition.z);
+      vrm.scene.scale.setScalar(modelScale);
+      vrm.scene.rotation.y = THREE.MathUtils.degToRad(modelRotation);
 
-      // Head rotation
-      if (humanoid && humanoid.getNormalizedBoneNode('head')) {
-        const head = humanoid.getNormalizedBoneNode('head');
-        head.rotation.x = THREE.MathUtils.degToRad(trackingData.face.rotation.x * settings.trackingSpeed);
-        head.rotation.y = THREE.MathUtils.degToRad(trackingData.face.rotation.y * settings.trackingSpeed);
-        head.rotation.z = THREE.MathUtils.degToRad(trackingData.face.rotation.z * settings.trackingSpeed);
-      }
+      // Apply face tracking
+      if (settings.faceTrackingEnabled && trackingData.face) {
+        const humanoid = vrm.humanoid;
+        const faceWeight = easePart('face', isPresent(trackingData.face));
+
+        // Head rotation relative to the calibrated neutral, split between neck and head
+        if (humanoid && humanoid.getNormalizedBoneNode('head')) {
+          const head = humanoid.getNormalizedBoneNode('head');
+          const neck = humanoid.getNormalizedBoneNode('neck');
+          const { rotation } = trackingData.face;
+          _trackedRotation.set(rotation.x, rotation.y, rotation.z, rotation.w).normalize();
+          if (calibration) {
+            const neutral = calibration.headRotation;
+            _neutralInverse.set(neutral.x, neutral.y, neutral.z, neutral.w).normalize().invert();
+            _trackedRotation.premultiply(_neutralInverse);
+          }
+          _headRotation.copy(_identity).slerp(_trackedRotation, faceWeight);
 
-      // Apply blend shapes (expressions)
-      if (vrm.expressionManager && trackingData.face.blendShapes) {
-        const blendShapes = trackingData.face.blendShapes;
-
-        // Eye blink
-        if (settings.blinkEnabled) {
-          const blinkLeft = blendShapes.eyeBlinkLeft || 0;
-          const blinkRight = blendShapes.eyeBlinkRight || 0;
-          vrm.expressionManager.setValue('blinkLeft', blinkLeft);
-          vrm.expressionManager.setValue('blinkRight', blinkRight);
-          vrm.expressionManager.setValue('blink', (blinkLeft + blinkRight) / 2);
+          if (neck) {
+            setRotation(neck, 'neck', _target.copy(_identity).slerp(_headRotation, NECK_ROTATION_SHARE));
+            setRotation(head, 'head', _target.copy(_identity).slerp(_headRotation, 1 - NECK_ROTATION_SHARE));
+          } else {
+            setRotation(head, 'head', _headRotation);
+          }
         }
 
-        // Mouth (lip sync) - combine tracking and microphone
-        if (settings.lipSyncEnabled) {
-          const trackingMouth = (blendShapes.jawOpen || 0);
-          const micMouth = micLevel || 0;
-          const mouthOpen = Math.max(trackingMouth, micMouth) * settings.lipSyncSensitivity;
-          const mouthSmile = (blendShapes.mouthSmileLeft || 0) + (blendShapes.mouthSmileRight || 0);
-          vrm.expressionManager.setValue('aa', mouthOpen);
-          vrm.expressionManager.setValue('happy', mouthSmile);
+        // Spine lean and body sway from head translation relative to a slowly
+        // adapting neutral position, so off-center users don't lean permanently
+        const spine = humanoid && humanoid.getNormalizedBoneNode('spine');
+        const { position } = trackingData.face;
+        if (spine && position.z !== 0) {
+          if (!neutralPositionRef.current) {
+            neutralPositionRef.current = { ...position };
+          }
+          const neutral = neutralPositionRef.current;
+          if (faceWeight === 1) {
+            const follow = blendFactor(delta, NEUTRAL_POSITION_TIME);
+            neutral.x = lerp(neutral.x, position.x, follow);
+            neutral.y = lerp(neutral.y, position.y, follow);
+            neutral.z = lerp(neutral.z, position.z, follow);
+          }
+
+          const sway = -(position.x - neutral.x) * SPINE_LEAN_GAIN * faceWeight;
+          const lean = (position.z - neutral.z) * SPINE_LEAN_GAIN * faceWeight;
+          _euler.set(
+            THREE.MathUtils.clamp(lean, -SPINE_LEAN_LIMIT, SPINE_LEAN_LIMIT),
+            0,
+            THREE.MathUtils.clamp(sway, -SPINE_LEAN_LIMIT, SPINE_LEAN_LIMIT)
+          );
+          setRotation(spine, 'spine', _target.setFromEuler(_euler));
         }
 
-        // Eyebrows
-        const browUp = (blendShapes.browInnerUp || 0);
-        const browDown = (blendShapes.browDownLeft || 0) + (blendShapes.browDownRight || 0);
-        vrm.expressionManager.setValue('surprised', browUp);
-        vrm.expressionManager.setValue('angry', browDown);
-
-        // Eye look
-        const eyeLookLeft = blendShapes.eyeLookInLeft || 0;
-        const eyeLookRight = blendShapes.eyeLookInRight || 0;
-        const eyeLookUp = blendShapes.eyeLookUpLeft || 0;
-        const eyeLookDown = blendShapes.eyeLookDownLeft || 0;
-
-        if (vrm.lookAt) {
-          vrm.lookAt.target.x = (eyeLookRight - eyeLookLeft) * 2;
-          vrm.lookAt.target.y = (eyeLookUp - eyeLookDown) * 2;
+        // Apply blend shapes (expressions), relative to the calibrated
+        // baseline and fading to neutral as the face is lost
+        if (vrm.expressionManager && trackingData.face.blendShapes) {
+          const blendShapes = blender.valueMap('face:', adjustBlendShapes(
+            trackingData.face.blendShapes,
+            calibration && calibration.blendShapes,
+            faceWeight
+          ), alpha);
+
+          // Eye blink
+          if (settings.blinkEnabled) {
+            const blinkLeft = blendShapes.eyeBlinkLeft || 0;
+            const blinkRight = blendShapes.eyeBlinkRight || 0;
+            vrm.expressionManager.setValue('blinkLeft', blinkLeft);
+            vrm.expressionManager.setValue('blinkRight', blinkRight);
+            vrm.expressionManager.setValue('blink', (blinkLeft + blinkRight) / 2);
+          }
+
+          // Mouth (lip sync) - blend camera mouth shapes with microphone vowels
+          if (settings.lipSyncEnabled) {
+            const visual = visemesFromBlendShapes(blendShapes);
+            const mic = getMicInput ? getMicInput() : null;
+            const micVisemes = mic ? mic.visemes : null;
+            const audioWeight = micVisemes ? Math.min(1, (mic.level || 0) / AUDIO_BLEND_LEVEL) : 0;
+            const visemes = blendVisemes(micVisemes, visual, audioWeight);
+            VISEMES.forEach((viseme) => {
+              vrm.expressionManager.setValue(viseme, visemes[viseme] * settings.lipSyncSensitivity);
+            });
+          }
+
+          // Configurable blendshape -> expression mappings
+          const mapped = evaluateMappings(blendShapes, settings.expressionMappings);
+          Object.entries(mapped).forEach(([name, value]) => {
+            vrm.expressionManager.setValue(name, value);
+          });
+
+          // Perfect sync models get the raw blendshapes on matching expressions
+          if (settings.perfectSync) {
+            Object.entries(perfectSyncExpressions).forEach(([blendShape, name]) => {
+              vrm.expressionManager.setValue(name, blendShapes[blendShape] || 0);
+            });
+          }
+
+          // Eye look
+          const eyeLookLeft = blendShapes.eyeLookInLeft || 0;
+          const eyeLookRight = blendShapes.eyeLookInRight || 0;
+          const eyeLookUp = blendShapes.eyeLookUpLeft || 0;
+          const eyeLookDown = blendShapes.eyeLookDownLeft || 0;
+
+          if (vrm.lookAt) {
+            vrm.lookAt.yaw = (eyeLookRight - eyeLookLeft) * EYE_YAW_RANGE;
+            vrm.lookAt.pitch = (eyeLookUp - eyeLookDown) * EYE_PITCH_RANGE;
+          }
         }
       }
-    }
-
-    // Apply pose tracking (upper body)
-    if (settings.bodyTrackingEnabled && trackingData.pose && vrm.humanoid) {
-      const humanoid = vrm.humanoid;
-      const pose = trackingData.pose;
-
-      // Shoulder rotation based on shoulder position
-      if (humanoid.getNormalizedBoneNode('leftUpperArm')) {
-        const leftShoulder = humanoid.getNormalizedBoneNode('leftUpperArm');
-        const shoulderAngle = Math.atan2(
-          pose.elbows.left.y - pose.shoulders.left.y,
-          pose.elbows.left.x - pose.shoulders.left.x
-        );
-        leftShoulder.rotation.z = shoulderAngle - Math.PI / 2;
-      }
 
-      if (humanoid.getNormalizedBoneNode('rightUpperArm')) {
-        const rightShoulder = humanoid.getNormalizedBoneNode('rightUpperArm');
-        const shoulderAngle = Math.atan2(
-          pose.elbows.right.y - pose.shoulders.right.y,
-          pose.elbows.right.x - pose.shoulders.right.x
-        );
-        rightShoulder.rotation.z = shoulderAngle - Math.PI / 2;
-      }
+      // Apply pose tracking (upper body). Each arm blends from the relaxed
+      // pose to its solved rotations; bones whose landmarks drop out keep
+      // their last solved rotation.
+      if (settings.bodyTrackingEnabled && vrm.humanoid) {
+        const humanoid = vrm.humanoid;
+        const pose = trackingData.pose;
 
-      // Elbow rotation
-      if (humanoid.getNormalizedBoneNode('leftLowerArm')) {
-        const leftElbow = humanoid.getNormalizedBoneNode('leftLowerArm');
-        const elbowAngle = Math.atan2(
-          pose.wrists.left.y - pose.elbows.left.y,
-          pose.wrists.left.x - pose.elbows.left.x
-        );
-        leftElbow.rotation.z = elbowAngle;
-      }
+        ['left', 'right'].forEach((side) => {
+          const relaxed = relaxedArms[side];
+          if (!relaxed) return;
+          // In mirror mode the avatar's left arm follows the user's right arm
+          const source = settings.mirrorMode ? (side === 'left' ? 'right' : 'left') : side;
+          const armPart = pose && (pose.arms ? pose.arms[source] : pose);
+          const present = isPresent(armPart);
+          const weight = easePart(`${side}Arm`, present);
+          const lastSolved = lastArmRef.current[side];
+
+          if (present) {
+            const solved = solveArm(pose.worldLandmarks, side, armRestPose[side], { mirror: settings.mirrorMode });
+            Object.entries(solved).forEach(([part, rotation]) => {
+              if (rotation) lastSolved[part] = rotation;
+            });
+          }
 
-      if (humanoid.getNormalizedBoneNode('rightLowerArm')) {
-        const rightElbow = humanoid.getNormalizedBoneNode('rightLowerArm');
-        const elbowAngle = Math.atan2(
-          pose.wrists.right.y - pose.elbows.right.y,
-          pose.wrists.right.x - pose.elbows.right.x
-        );
-        rightElbow.rotation.z = elbowAngle;
+          Object.entries(ARM_BONES).forEach(([part, boneName]) => {
+            const bone = humanoid.getNormalizedBoneNode(`${side}${boneName}`);
+            if (!bone) return;
+            _target.copy(relaxed[part]);
+            if (lastSolved[part]) _target.slerp(lastSolved[part], weight);
+            setRotation(bone, `${side}${boneName}`, _target);
+          });
+        });
       }
-    }
-
-    // Apply hand tracking
-    if (settings.handTrackingEnabled && trackingData.hands && vrm.humanoid) {
-      const humanoid = vrm.humanoid;
-
-      // Left hand
-      if (trackingData.hands.left.detected && trackingData.hands.left.landmarks.length > 0) {
-        const leftHand = humanoid.getNormalizedBoneNode('leftHand');
-        if (leftHand) {
-          const landmarks = trackingData.hands.left.landmarks;
-          const wrist = landmarks[0];
-          const middleFinger = landmarks[9];
-
-          const handAngle = Math.atan2(
-            middleFinger.y - wrist.y,
-            middleFinger.x - wrist.x
-          );
-          leftHand.rotation.z = handAngle;
-        }
+
+      // Apply hand tracking; lost hands relax their fingers and give the
+      // wrist back to the pose solve
+      if (settings.handTrackingEnabled && trackingData.hands && vrm.humanoid) {
+        const humanoid = vrm.humanoid;
+
+        ['left', 'right'].forEach((side) => {
+          // In mirror mode the avatar's left hand follows the user's right hand
+          const source = settings.mirrorMode ? (side === 'left' ? 'right' : 'left') : side;
+          const hand = trackingData.hands[source];
+          const weight = easePart(`${side}Hand`, isPresent(hand));
+          if (!hand.worldLandmarks || hand.worldLandmarks.length === 0) return;
+
+          const solved = solveHand(hand.worldLandmarks, side, handRestPose[side], { mirror: settings.mirrorMode });
+
+          // Wrist: the palm plane gives the hand's model-space rotation, made
+          // local to the forearm as currently posed
+          const handBone = humanoid.getNormalizedBoneNode(`${side}Hand`);
+          if (handBone && solved.hand && weight > 0) {
+            const upperArm = humanoid.getNormalizedBoneNode(`${side}UpperArm`);
+            const lowerArm = humanoid.getNormalizedBoneNode(`${side}LowerArm`);
+            _forearmRotation.identity();
+            if (upperArm) _forearmRotation.multiply(upperArm.quaternion);
+            if (lowerArm) _forearmRotation.multiply(lowerArm.quaternion);
+            _target.copy(handBone.quaternion).slerp(_forearmRotation.invert().multiply(solved.hand), weight);
+            setRotation(handBone, `${side}Wrist`, _target);
+          }
+
+          Object.entries(solved.fingers).forEach(([boneName, rotation]) => {
+            const bone = humanoid.getNormalizedBoneNode(boneName);
+            if (bone) {
+              setRotation(bone, boneName, _target.copy(_identity).slerp(rotation, weight));
+            }
+          });
+        });
       }
 
-      // Right hand
-      if (trackingData.hands.right.detected && trackingData.hands.right.landmarks.length > 0) {
-        const rightHand = humanoid.getNormalizedBoneNode('rightHand');
-        if (rightHand) {
-          const landmarks = trackingData.hands.right.landmarks;
-          const wrist = landmarks[0];
-          const middleFinger = landmarks[9];
-
-          const handAngle = Math.atan2(
-            middleFinger.y - wrist.y,
-            middleFinger.x - wrist.x
-          );
-          rightHand.rotation.z = handAngle;
-        }
+      // Auto blink, unless the tracked face is driving the eyelids
+      const faceBlinks = trackingData.face && presence.face > 0 && 'eyeBlinkLeft' in trackingData.face.blendShapes;
+      const blink = autoBlink.update(delta, settings.blinkInterval || 4);
+      if (settings.blinkEnabled && !faceBlinks && vrm.expressionManager) {
+        vrm.expressionManager.setValue('blink', blink);
       }
-    }
-
-    // Auto blink
-    if (settings.blinkEnabled && !trackingData.face.blendShapes.eyeBlinkLeft) {
-      const time = Date.now() / 1000;
-      const blinkInterval = settings.blinkInterval || 4;
-      if (Math.floor(time) % blinkInterval === 0 && time % 1 < 0.15) {
-        if (vrm.expressionManager) {
-          vrm.expressionManager.setValue('blink', 1);
+
+      // Idle animation (breathing)
+      if (settings.idleAnimationEnabled && vrm.humanoid) {
+        const time = Date.now() / 1000;
+        const chest = vrm.humanoid.getNormalizedBoneNode('chest');
+        if (chest) {
+          const breathe = Math.sin(time * 2) * 0.02;
+          chest.rotation.x = breathe;
         }
       }
-    }
-
-    // Idle animation (breathing)
-    if (settings.idleAnimationEnabled && vrm.humanoid) {
-      const time = Date.now() / 1000;
-      const chest = vrm.humanoid.getNormalizedBoneNode('chest');
-      if (chest) {
-        const breathe = Math.sin(time * 2) * 0.02;
-        chest.rotation.x = breathe;
-      }
-    }
 
-  }, [vrm, trackingData, modelTransform, settings, micLevel]);
+      // Expression triggered by a gesture replaces the tracked emotions
+      if (expressionOverride && vrm.expressionManager) {
+        EMOTION_EXPRESSIONS.forEach((name) => {
+          vrm.expressionManager.setValue(name, 0);
+        });
+        vrm.expressionManager.setValue(expressionOverride, 1);
+      }
+    });
+  }, [vrm, onFrame, armRestPose, relaxedArms, handRestPose, perfectSyncExpressions]);
 };
+
+// Helper function for linear interpolation
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
@@ -0,0 +1,152 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { createMotionClip } from '../utils/motionClips';
+
+// Plays motion clips on the model through an AnimationMixer advanced by the
+// renderer. One idle clip loops in the background; emotes play once on top,
+// crossfading in and back to the idle. Clips only drive the bones in their
+// mask, so tracking keeps the rest.
+export const useVRMMotion = (vrm, onFrame, clips, motions, idleClipId) => {
+  const [playingEmote, setPlayingEmote] = useState(null);
+  const mixerRef = useRef(null);
+  const actionsRef = useRef(new Map());
+  const idleActionRef = useRef(null);
+  const emoteRef = useRef(null);
+  // Actions fading out, stopped once their weight reaches zero so they stop
+  // holding their bones
+  const retiringRef = useRef(new Set());
+  const clipsRef = useRef(clips);
+  clipsRef.current = clips;
+  const motionsRef = useRef(motions);
+  motionsRef.current = motions;
+
+  // Action for a clip, rebuilt when its mask or motion changed
+  const getAction = useCallback((clip) => {
+    const mixer = mixerRef.current;
+    const motion = motionsRef.current[clip.id];
+    if (!mixer || !motion) return null;
+    const key = clip.mask.join(',');
+    const cached = actionsRef.current.get(clip.id);
+    if (cached && cached.motion === motion && cached.key === key) return cached.action;
+    if (cached) retiringRef.current.add(cached.action);
+    const action = mixer.clipAction(createMotionClip(motion, vrm, clip.mask, clip.name));
+    actionsRef.current.set(clip.id, { action, motion, key });
+    return action;
+  }, [vrm]);
+
+  // Mixer for the loaded model
+  useEffect(() => {
+    if (!vrm) return;
+    const mixer = new THREE.AnimationMixer(vrm.scene);
+    mixerRef.current = mixer;
+
+    const unsubscribe = onFrame((delta) => {
+      const emote = emoteRef.current;
+      if (emote && !emote.returning) {
+        // Start heading back so the crossfade ends with the clip
+        const duration = emote.action.getClip().duration;
+        if (emote.action.time >= Math.max(0, duration - emote.fadeDuration)) {
+          emote.returning = true;
+          const idle = idleActionRef.current;
+          if (idle) {
+            retiringRef.current.delete(idle);
+            idle.reset().play();
+            idle.crossFadeFrom(emote.action, emote.fadeDuration, false);
+          } else {
+            emote.action.fadeOut(emote.fadeDuration);
+          }
+          retiringRef.current.add(emote.action);
+        }
+      }
+
+      mixer.update(delta);
+
+      retiringRef.current.forEach((action) => {
+        if (action.isScheduled() && action.enabled && action.getEffectiveWeight() > 0) return;
+        action.stop();
+        retiringRef.current.delete(action);
+        if (emoteRef.current && emoteRef.current.action === action) {
+          emoteRef.current = null;
+          setPlayingEmote(null);
+        }
+      });
+    });
+
+    return () => {
+      unsubscribe();
+      mixer.stopAllAction();
+      mixer.uncacheRoot(vrm.scene);
+      mixerRef.current = null;
+      actionsRef.current.clear();
+      retiringRef.current.clear();
+      idleActionRef.current = null;
+      emoteRef.current = null;
+      setPlayingEmote(null);
+    };
+  }, [vrm, onFrame]);
+
+  // Switch the idle loop
+  const idleClip = clips.find((clip) => clip.id === idleClipId && motions[clip.id]) || null;
+  useEffect(() => {
+    const previous = idleActionRef.current;
+    const next = idleClip ? getAction(idleClip) : null;
+    if (next === previous) return;
+    idleActionRef.current = next;
+
+    // While an emote plays the new idle waits for it to finish
+    if (emoteRef.current && !emoteRef.current.returning) {
+      if (previous) retiringRef.current.add(previous);
+      return;
+    }
+
+    const fadeDuration = idleClip ? idleClip.fadeDuration : 0.5;
+    if (next) {
+      retiringRef.current.delete(next);
+      next.reset().setLoop(THREE.LoopRepeat, Infinity).play();
+      if (previous) {
+        next.crossFadeFrom(previous, fadeDuration, false);
+      } else {
+        next.fadeIn(fadeDuration);
+      }
+    } else if (previous) {
+      previous.fadeOut(fadeDuration);
+    }
+    if (previous) retiringRef.current.add(previous);
+  }, [idleClip, getAction]);
+
+  // Play a clip once, fading in from whatever is playing
+  const playEmote = useCallback((id) => {
+    const clip = clipsRef.current.find((c) => c.id === id);
+    const action = clip && getAction(clip);
+    if (!action) return;
+
+    // Whatever plays now hands over to the new clip
+    const current = emoteRef.current;
+    const outgoing = [current && current.action, idleActionRef.current]
+      .filter((playing) => playing && playing !== action && playing.isScheduled());
+    const restarting = current && current.action === action;
+    retiringRef.current.delete(action);
+    action.reset().setLoop(THREE.LoopOnce, 1).play();
+    action.clampWhenFinished = true;
+    if (!restarting) action.fadeIn(clip.fadeDuration);
+    outgoing.forEach((playing) => {
+      playing.fadeOut(clip.fadeDuration);
+      retiringRef.current.add(playing);
+    });
+
+    emoteRef.current = { action, fadeDuration: clip.fadeDuration, returning: false };
+    setPlayingEmote(id);
+  }, [getAction]);
+
+  // Forget actions of clips that were removed from the library
+  useEffect(() => {
+    actionsRef.current.forEach(({ action }, id) => {
+      if (clips.some((clip) => clip.id === id)) return;
+      action.fadeOut(0.2);
+      retiringRef.current.add(action);
+      actionsRef.current.delete(id);
+    });
+  }, [clips]);
+
+  return { playEmote, playingEmote };
+};
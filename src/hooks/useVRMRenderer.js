@@ -1,15 +1,28 @@
-import { useEffect, useRef, useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import { VRM, VRMLoaderPlugin, VRMUtils } from '@pixiv/three-vrm';
+import { renderToCanvas } from '../utils/offscreenRender';
+import { createTimingStats } from '../utils/timingStats';
+import { DEFAULT_LIGHTING, createLightingRig } from '../utils/lighting';
 
-export const useVRMRenderer = (canvasRef, vrmUrl) => {
+// `lighting` is a lighting config (see utils/lighting)
+export const useVRMRenderer = (canvasRef, vrmUrl, lighting = DEFAULT_LIGHTING) => {
   const [vrm, setVrm] = useState(null);
+  // The loaded model for the render loop, which outlives any one render
+  const vrmRef = useRef(null);
   const [error, setError] = useState(null);
   const sceneRef = useRef(null);
   const cameraRef = useRef(null);
   const rendererRef = useRef(null);
+  const lightingRigRef = useRef(null);
   const clockRef = useRef(new THREE.Clock());
+  const frameCallbacksRef = useRef(new Set());
+  const renderCallbacksRef = useRef(new Set());
+  // Per-frame costs: 'pose' (frame callbacks) and 'render'
+  const timingsRef = useRef(createTimingStats());
+  // Size the canvas must render at least at (see setMinimumResolution)
+  const minimumResolutionRef = useRef(null);
 
   // Initialize Three.js scene
   useEffect(() => {
@@ -36,22 +49,13 @@ export const useVRMRenderer = (canvasRef, vrmUrl) => {
       antialias: true,
     });
     renderer.setSize(canvasRef.current.clientWidth, canvasRef.current.clientHeight);
-    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.setPixelRatio(pixelRatioFor(renderer, minimumResolutionRef.current));
     renderer.outputColorSpace = THREE.SRGBColorSpace;
     rendererRef.current = renderer;
 
-    // Lighting
-    const light = new THREE.DirectionalLight(0xffffff, Math.PI);
-    light.position.set(1, 1, 1).normalize();
-    scene.add(light);
-
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.5 * Math.PI);
-    scene.add(ambientLight);
-
-    // Grid helper (optional)
-    const gridHelper = new THREE.GridHelper(10, 10);
-    gridHelper.visible = false;
-    scene.add(gridHelper);
+    // Lighting, configured by the lighting effect below
+    const lightingRig = createLightingRig(scene, renderer);
+    lightingRigRef.current = lightingRig;
 
     // Handle window resize
     const handleResize = () => {
@@ -61,24 +65,37 @@ export const useVRMRenderer = (canvasRef, vrmUrl) => {
       camera.aspect = width / height;
       camera.updateProjectionMatrix();
       renderer.setSize(width, height);
+      renderer.setPixelRatio(pixelRatioFor(renderer, minimumResolutionRef.current));
     };
     window.addEventListener('resize', handleResize);
 
     // Animation loop
+    let frameId = null;
     const animate = () => {
-      requestAnimationFrame(animate);
+      frameId = requestAnimationFrame(animate);
       const delta = clockRef.current.getDelta();
+      const timings = timingsRef.current;
+
+      // Per-frame work registered by other hooks (animation mixers etc.)
+      timings.measure('pose', () => frameCallbacksRef.current.forEach((callback) => runCallback(callback, delta)));
 
-      if (vrm) {
-        vrm.update(delta);
+      if (vrmRef.current) {
+        vrmRef.current.update(delta);
       }
+      lightingRig.update();
 
-      renderer.render(scene, camera);
+      timings.measure('render', () => renderer.render(scene, camera));
+
+      // Readers of the drawn frame (output compositing etc.)
+      renderCallbacksRef.current.forEach((callback) => runCallback(callback, renderer.domElement));
     };
     animate();
 
     return () => {
+      cancelAnimationFrame(frameId);
       window.removeEventListener('resize', handleResize);
+      lightingRig.dispose();
+      lightingRigRef.current = null;
       renderer.dispose();
     };
   }, [canvasRef]);
@@ -95,9 +112,10 @@ export const useVRMRenderer = (canvasRef, vrmUrl) => {
     });
 
     // Remove previous VRM if exists
-    if (vrm) {
-      sceneRef.current.remove(vrm.scene);
-      VRMUtils.deepDispose(vrm.scene);
+    if (vrmRef.current) {
+      sceneRef.current.remove(vrmRef.current.scene);
+      VRMUtils.deepDispose(vrmRef.current.scene);
+      vrmRef.current = null;
       setVrm(null);
     }
 
@@ -119,6 +137,7 @@ export const useVRMRenderer = (canvasRef, vrmUrl) => {
           });
 
           sceneRef.current.add(loadedVrm.scene);
+          vrmRef.current = loadedVrm;
           setVrm(loadedVrm);
           setError(null);
 
@@ -137,11 +156,79 @@ export const useVRMRenderer = (canvasRef, vrmUrl) => {
     );
   }, [vrmUrl]);
 
+  useEffect(() => {
+    if (lightingRigRef.current) lightingRigRef.current.apply(lighting);
+  }, [lighting]);
+
+  useEffect(() => {
+    if (lightingRigRef.current) lightingRigRef.current.setModel(vrm);
+  }, [vrm]);
+
+  // Run a callback with the frame delta every frame, before the VRM updates.
+  // Returns a function that unregisters it.
+  const onFrame = useCallback((callback) => {
+    frameCallbacksRef.current.add(callback);
+    return () => frameCallbacksRef.current.delete(callback);
+  }, []);
+
+  // Run a callback with the canvas right after each frame is drawn, while
+  // its drawing buffer can still be read. Returns a function that unregisters it.
+  const onRender = useCallback((callback) => {
+    renderCallbacksRef.current.add(callback);
+    return () => renderCallbacksRef.current.delete(callback);
+  }, []);
+
+  // Render the canvas with at least `resolution` ({ width, height }) pixels,
+  // so a recording cropped from it at that size isn't upscaled. The page
+  // layout doesn't change; null goes back to the display's pixel ratio.
+  const setMinimumResolution = useCallback((resolution) => {
+    minimumResolutionRef.current = resolution;
+    if (rendererRef.current) rendererRef.current.setPixelRatio(pixelRatioFor(rendererRef.current, resolution));
+  }, []);
+
+  // Render the current pose offscreen at any resolution (screenshots).
+  // Returns a 2D canvas with a transparent background, or null before setup.
+  const renderOffscreen = useCallback((width, height) => {
+    if (!rendererRef.current) return null;
+    return renderToCanvas(rendererRef.current, sceneRef.current, cameraRef.current, width, height);
+  }, []);
+
   return {
     vrm,
     scene: sceneRef.current,
     camera: cameraRef.current,
+    // For hooks that set up before the first render has returned the camera
+    cameraRef,
     renderer: rendererRef.current,
     error,
+    timingsRef,
+    onFrame,
+    onRender,
+    renderOffscreen,
+    setMinimumResolution,
   };
 };
+
+// The display's pixel ratio, raised until the canvas covers `resolution`
+// (within the GPU's size limit)
+function pixelRatioFor(renderer, resolution) {
+  const { width, height } = renderer.getSize(new THREE.Vector2());
+  if (!resolution || !(width > 0 && height > 0)) return window.devicePixelRatio;
+  const cover = Math.max(resolution.width / width, resolution.height / height);
+  const limit = renderer.capabilities.maxTextureSize / Math.max(width, height);
+  return Math.min(Math.max(window.devicePixelRatio, cover), limit);
+}
+
+// Callbacks that have thrown, reported once each
+const failedCallbacks = new WeakSet();
+
+// One failing callback mustn't stop the loop (and freeze the avatar)
+function runCallback(callback, arg) {
+  try {
+    callback(arg);
+  } catch (error) {
+    if (failedCallbacks.has(callback)) return;
+    failedCallbacks.add(callback);
+    console.error('Frame callback failed:', error);
+  }
+}
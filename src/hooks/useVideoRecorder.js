@@ -0,0 +1,132 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createOutputCompositor } from '../utils/outputCompositor';
+import { supportedMimeType } from '../utils/videoRecorder';
+
+// Records the composited stage with MediaRecorder, plus the microphone when
+// it is on at the start: MediaRecorder can't take tracks added later, so a
+// microphone turned on mid-recording isn't recorded until the next one.
+// While recording, the stage renders at least at the output size (through
+// setMinimumResolution) so the video isn't upscaled from the page canvas.
+// state is 'inactive', 'recording' or 'paused'; elapsed counts recorded
+// seconds, pauses excluded.
+export const useVideoRecorder = (onRender, micStreamRef, setMinimumResolution, { width, height, fps, format, bitrate, backgroundColor, backgroundImage }) => {
+  const [state, setState] = useState('inactive');
+  const [elapsed, setElapsed] = useState(0);
+  const sessionRef = useRef(null);
+  const optionsRef = useRef(null);
+  optionsRef.current = { width, height, fps, format, bitrate, backgroundColor, backgroundImage };
+
+  // Keep the background in step with the scene while recording
+  useEffect(() => {
+    if (!sessionRef.current) return;
+    sessionRef.current.compositor.setBackground({ transparent: false, color: backgroundColor, imageUrl: backgroundImage })
+      .catch((error) => console.error('Failed to load background image:', error));
+  }, [state, backgroundColor, backgroundImage]);
+
+  useEffect(() => {
+    if (state !== 'recording') return;
+    const timer = setInterval(() => {
+      const session = sessionRef.current;
+      if (session) setElapsed((session.recordedTime + performance.now() - session.resumedAt) / 1000);
+    }, 500);
+    return () => clearInterval(timer);
+  }, [state]);
+
+  // Throws an Error when the format can't be recorded here
+  const start = useCallback(() => {
+    if (sessionRef.current) return;
+    const options = optionsRef.current;
+    const mimeType = supportedMimeType(options.format);
+    if (!mimeType) {
+      throw new Error(`このブラウザは${options.format.toUpperCase()}形式の録画に対応していません`);
+    }
+
+    // The first frames already need the background; an image shows once decoded
+    const compositor = createOutputCompositor(options.width, options.height);
+    compositor.setBackground({ transparent: false, color: options.backgroundColor, imageUrl: options.backgroundImage })
+      .catch((error) => console.error('Failed to load background image:', error));
+    const stream = compositor.canvas.captureStream(options.fps);
+    if (micStreamRef.current) {
+      micStreamRef.current.getAudioTracks().forEach((track) => stream.addTrack(track));
+    }
+
+    // The recorder can refuse the format or bitrate; only draw frames once it runs
+    const chunks = [];
+    let recorder;
+    try {
+      recorder = new MediaRecorder(stream, {
+        mimeType,
+        videoBitsPerSecond: options.bitrate * 1e6,
+      });
+      recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+      };
+      recorder.start(1000);
+    } catch (error) {
+      // The microphone tracks stay with the microphone
+      stream.getVideoTracks().forEach((track) => track.stop());
+      throw error;
+    }
+    setMinimumResolution({ width: options.width, height: options.height });
+    const unsubscribe = onRender((source) => compositor.draw(source));
+
+    sessionRef.current = {
+      recorder,
+      compositor,
+      unsubscribe,
+      stream,
+      chunks,
+      mimeType,
+      recordedTime: 0,
+      resumedAt: performance.now(),
+    };
+    setElapsed(0);
+    setState('recording');
+  }, [onRender, micStreamRef, setMinimumResolution]);
+
+  const pause = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session || session.recorder.state !== 'recording') return;
+    session.recorder.pause();
+    session.recordedTime += performance.now() - session.resumedAt;
+    setState('paused');
+  }, []);
+
+  const resume = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session || session.recorder.state !== 'paused') return;
+    session.recorder.resume();
+    session.resumedAt = performance.now();
+    setState('recording');
+  }, []);
+
+  // Resolves with the recorded Blob
+  const stop = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session) return Promise.resolve(null);
+    sessionRef.current = null;
+    setState('inactive');
+    setMinimumResolution(null);
+
+    return new Promise((resolve) => {
+      session.recorder.onstop = () => {
+        session.unsubscribe();
+        // The microphone tracks stay with the microphone
+        session.stream.getVideoTracks().forEach((track) => track.stop());
+        resolve(new Blob(session.chunks, { type: session.mimeType }));
+      };
+      session.recorder.stop();
+    });
+  }, [setMinimumResolution]);
+
+  // Don't leave a recorder running when the app unmounts
+  useEffect(() => () => {
+    const session = sessionRef.current;
+    if (!session) return;
+    session.recorder.stop();
+    session.unsubscribe();
+    session.stream.getVideoTracks().forEach((track) => track.stop());
+  }, []);
+
+  return { state, elapsed, start, pause, resume, stop };
+};
@@ -1,10 +1,18 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { OutputView } from './components/OutputView.jsx'
+import { isOutputView } from './utils/outputSync'
 import './index.css'
 
+// Offline support and app install; only production builds have the precache manifest
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js?build=${__BUILD_ID__}`)
+    .catch((error) => console.warn('Service worker registration failed:', error))
+}
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {isOutputView() ? <OutputView /> : <App />}
   </React.StrictMode>,
 )
@@ -0,0 +1,170 @@
+import * as THREE from 'three';
+import { rotationBetweenFrames, toAvatarSpace } from './rigMath';
+
+// MediaPipe pose landmark indices, from the user's point of view
+export const POSE_LANDMARKS = {
+  left: { shoulder: 11, elbow: 13, wrist: 15, pinky: 17, index: 19 },
+  right: { shoulder: 12, elbow: 14, wrist: 16, pinky: 18, index: 20 },
+  leftHip: 23,
+  rightHip: 24,
+};
+
+// Landmarks below this visibility are treated as undetected
+const MIN_VISIBILITY = 0.5;
+// Below this bend (radians) the elbow hinge axis is too unstable to use
+const MIN_ELBOW_BEND = 0.05;
+// Sideways lean of relaxed arms (horizontal per unit of downward direction)
+const RELAXED_ARM_SPREAD = 0.2;
+
+const BONE_NAMES = {
+  left: { upperArm: 'leftUpperArm', lowerArm: 'leftLowerArm', hand: 'leftHand', middleProximal: 'leftMiddleProximal' },
+  right: { upperArm: 'rightUpperArm', lowerArm: 'rightLowerArm', hand: 'rightHand', middleProximal: 'rightMiddleProximal' },
+};
+
+const UP = new THREE.Vector3(0, 1, 0);
+const FORWARD = new THREE.Vector3(0, 0, 1);
+
+// Read the rest directions of one arm from the normalized humanoid. Normalized
+// bones have identity rest rotations, so each child's local position is the
+// parent bone's direction in model space. Returns null if the arm is missing.
+export const armRestPoseFromHumanoid = (humanoid, side) => {
+  const names = BONE_NAMES[side];
+  const lowerArm = humanoid.getNormalizedBoneNode(names.lowerArm);
+  const hand = humanoid.getNormalizedBoneNode(names.hand);
+  if (!humanoid.getNormalizedBoneNode(names.upperArm) || !lowerArm || !hand) return null;
+
+  const middleProximal = humanoid.getNormalizedBoneNode(names.middleProximal);
+  const upperArmDir = lowerArm.position.clone().normalize();
+  const lowerArmDir = hand.position.clone().normalize();
+  const handDir = middleProximal ? middleProximal.position.clone().normalize() : lowerArmDir.clone();
+
+  // VRM 0.x models face -Z, VRM 1.0 models face +Z. The left arm always
+  // points to the model's own left, which tells us which way it faces.
+  const leftArmX = side === 'left' ? upperArmDir.x : -upperArmDir.x;
+
+  return {
+    upperArmDir,
+    lowerArmDir,
+    handDir,
+    facesForward: leftArmX >= 0,
+  };
+};
+
+// Relaxed pose the arms return to when they aren't tracked: hanging down and
+// slightly out from the body, elbow and wrist straight
+export const relaxedArmPose = (restPose) => {
+  if (!restPose) return null;
+  const outward = Math.sign(restPose.upperArmDir.x) * RELAXED_ARM_SPREAD;
+  const down = new THREE.Vector3(outward, -1, 0).normalize();
+  return {
+    upperArm: new THREE.Quaternion().setFromUnitVectors(restPose.upperArmDir, down),
+    lowerArm: new THREE.Quaternion(),
+    hand: new THREE.Quaternion(),
+  };
+};
+
+// Solve upper arm, lower arm and hand rotations for one side of the avatar.
+// `worldLandmarks` are PoseLandmarker world landmarks (meters, hip-centered).
+// The result quaternions are local rotations for the normalized bones; any of
+// them is null when the landmarks it needs are not visible.
+export const solveArm = (worldLandmarks, side, restPose, { mirror = false } = {}) => {
+  const result = { upperArm: null, lowerArm: null, hand: null };
+  if (!worldLandmarks || worldLandmarks.length < 25 || !restPose) return result;
+
+  // In mirror mode the avatar's left arm follows the user's right arm
+  const sourceSide = mirror ? (side === 'left' ? 'right' : 'left') : side;
+  const indices = POSE_LANDMARKS[sourceSide];
+
+  const toRig = createRigTransform(worldLandmarks, mirror, restPose.facesForward);
+  if (!toRig) return result;
+
+  const shoulder = worldLandmarks[indices.shoulder];
+  const elbow = worldLandmarks[indices.elbow];
+  const wrist = worldLandmarks[indices.wrist];
+  if (!isVisible(shoulder) || !isVisible(elbow)) return result;
+
+  const upperDir = toRig(elbow).sub(toRig(shoulder)).normalize();
+  const restHinge = restHingeAxis(restPose.upperArmDir, restPose.facesForward);
+
+  if (!isVisible(wrist)) {
+    result.upperArm = new THREE.Quaternion().setFromUnitVectors(restPose.upperArmDir, upperDir);
+    return result;
+  }
+
+  const lowerDir = toRig(wrist).sub(toRig(elbow)).normalize();
+
+  // Upper arm: align the bone direction and the elbow hinge, which fixes the
+  // twist that a plain direction match would leave undetermined
+  const bend = upperDir.angleTo(lowerDir);
+  const upperArm = bend > MIN_ELBOW_BEND
+    ? rotationBetweenFrames(restPose.upperArmDir, restHinge, upperDir, new THREE.Vector3().crossVectors(upperDir, lowerDir))
+    : new THREE.Quaternion().setFromUnitVectors(restPose.upperArmDir, upperDir);
+
+  // Lower arm: remaining bend expressed in the upper arm's frame
+  const upperArmInverse = upperArm.clone().invert();
+  const localLowerDir = lowerDir.clone().applyQuaternion(upperArmInverse);
+  const lowerArm = new THREE.Quaternion().setFromUnitVectors(restPose.lowerArmDir, localLowerDir);
+
+  result.upperArm = upperArm;
+  result.lowerArm = lowerArm;
+
+  // Hand: direction towards the knuckles and the back-of-hand normal
+  const index = worldLandmarks[indices.index];
+  const pinky = worldLandmarks[indices.pinky];
+  if (isVisible(index) && isVisible(pinky)) {
+    const w = toRig(wrist);
+    const toIndex = toRig(index).sub(w);
+    const toPinky = toRig(pinky).sub(w);
+    const handDir = toIndex.clone().add(toPinky).normalize();
+    const backNormal = new THREE.Vector3().crossVectors(toIndex, toPinky).normalize();
+    // The cross product points out of the back of the avatar's left hand and
+    // out of the palm of its right hand (mirroring swaps both hand and handedness)
+    if (side === 'right') backNormal.negate();
+
+    const armRotation = upperArm.clone().multiply(lowerArm);
+    const handWorld = rotationBetweenFrames(restPose.handDir, UP, handDir, backNormal);
+    result.hand = armRotation.invert().multiply(handWorld);
+  }
+
+  return result;
+};
+
+function isVisible(landmark) {
+  return landmark && (landmark.visibility === undefined || landmark.visibility >= MIN_VISIBILITY);
+}
+
+// Build a function mapping world landmarks into the rig's model space,
+// relative to the user's torso so body twist doesn't leak into the arms
+function createRigTransform(worldLandmarks, mirror, facesForward) {
+  const toAvatar = (landmark) => toAvatarSpace(landmark, mirror);
+
+  const leftShoulder = toAvatar(worldLandmarks[POSE_LANDMARKS.left.shoulder]);
+  const rightShoulder = toAvatar(worldLandmarks[POSE_LANDMARKS.right.shoulder]);
+  const leftHip = toAvatar(worldLandmarks[POSE_LANDMARKS.leftHip]);
+  const rightHip = toAvatar(worldLandmarks[POSE_LANDMARKS.rightHip]);
+
+  // In mirror mode the user's right shoulder becomes the avatar's left
+  const xAxis = mirror ? rightShoulder.clone().sub(leftShoulder) : leftShoulder.clone().sub(rightShoulder);
+  if (xAxis.lengthSq() === 0) return null;
+  xAxis.normalize();
+
+  const shoulderCenter = leftShoulder.clone().add(rightShoulder).multiplyScalar(0.5);
+  const hipCenter = leftHip.clone().add(rightHip).multiplyScalar(0.5);
+  const yAxis = shoulderCenter.sub(hipCenter);
+  yAxis.addScaledVector(xAxis, -yAxis.dot(xAxis));
+  if (yAxis.lengthSq() === 0) yAxis.copy(UP);
+  yAxis.normalize();
+  const zAxis = new THREE.Vector3().crossVectors(xAxis, yAxis);
+
+  const facing = facesForward ? 1 : -1;
+  return (landmark) => {
+    const p = toAvatar(landmark);
+    return new THREE.Vector3(p.dot(xAxis) * facing, p.dot(yAxis), p.dot(zAxis) * facing);
+  };
+}
+
+// The elbow hinge at rest: bending brings the forearm towards the model's front
+function restHingeAxis(upperArmDir, facesForward) {
+  const front = facesForward ? FORWARD : FORWARD.clone().negate();
+  return new THREE.Vector3().crossVectors(upperArmDir, front).normalize();
+}
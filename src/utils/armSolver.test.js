@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { POSE_LANDMARKS, armRestPoseFromHumanoid, solveArm } from './armSolver';
+import { toAvatarSpace } from './rigMath';
+import poses from './__fixtures__/poses/armPoses.json';
+
+const SIDES = ['left', 'right'];
+
+// Just the normalized bone offsets armRestPoseFromHumanoid reads. `facing`
+// is 1 for VRM 1.0 (facing +Z, left arm along +X) and -1 for VRM 0.x.
+const createHumanoid = (facing) => {
+  const offsets = {};
+  SIDES.forEach((side) => {
+    const x = (side === 'left' ? 1 : -1) * facing;
+    const name = (bone) => `${side}${bone}`;
+    offsets[name('UpperArm')] = [0.05 * x, 0, 0];
+    offsets[name('LowerArm')] = [0.25 * x, 0, 0];
+    offsets[name('Hand')] = [0.22 * x, 0, 0];
+    offsets[name('MiddleProximal')] = [0.08 * x, 0, 0];
+  });
+  return {
+    getNormalizedBoneNode: (name) => (offsets[name] ? { position: new THREE.Vector3(...offsets[name]) } : null),
+  };
+};
+
+// Bone directions in model space after applying the solved rotations
+const solvedDirections = (restPose, { upperArm, lowerArm }) => ({
+  upper: restPose.upperArmDir.clone().applyQuaternion(upperArm),
+  lower: restPose.lowerArmDir.clone().applyQuaternion(upperArm.clone().multiply(lowerArm)),
+});
+
+// What the fixture's arm segments are in the model's space. The fixture
+// torso is square to the camera, so rig space is avatar space, turned around
+// for models facing -Z.
+const expectedDirections = (landmarks, side, mirror, facing) => {
+  const sourceSide = mirror ? (side === 'left' ? 'right' : 'left') : side;
+  const indices = POSE_LANDMARKS[sourceSide];
+  const point = (index) => toAvatarSpace(landmarks[index], mirror).multiply(new THREE.Vector3(facing, 1, facing));
+  return {
+    upper: point(indices.elbow).sub(point(indices.shoulder)).normalize(),
+    lower: point(indices.wrist).sub(point(indices.elbow)).normalize(),
+  };
+};
+
+describe('armRestPoseFromHumanoid', () => {
+  it('reads the bone directions and which way the model faces', () => {
+    const vrm1 = armRestPoseFromHumanoid(createHumanoid(1), 'left');
+    expect(vrm1.upperArmDir.toArray()).toEqual([1, 0, 0]);
+    expect(vrm1.facesForward).toBe(true);
+    expect(armRestPoseFromHumanoid(createHumanoid(-1), 'right').facesForward).toBe(false);
+  });
+});
+
+describe('solveArm on landmark fixtures', () => {
+  [[1, 'VRM 1.0'], [-1, 'VRM 0.x']].forEach(([facing, label]) => {
+    [false, true].forEach((mirror) => {
+      SIDES.forEach((side) => {
+        it(`matches the fixture arm directions (${label}, ${side}${mirror ? ', mirrored' : ''})`, () => {
+          const restPose = armRestPoseFromHumanoid(createHumanoid(facing), side);
+          ['armDown', 'reachForward', 'crossBody'].forEach((pose) => {
+            const result = solveArm(poses[pose], side, restPose, { mirror });
+            expect(result.upperArm, pose).not.toBeNull();
+            expect(result.lowerArm, pose).not.toBeNull();
+            expect(result.hand, pose).not.toBeNull();
+
+            const solved = solvedDirections(restPose, result);
+            const expected = expectedDirections(poses[pose], side, mirror, facing);
+            expect(solved.upper.dot(expected.upper), pose).toBeGreaterThan(0.999);
+            expect(solved.lower.dot(expected.lower), pose).toBeGreaterThan(0.999);
+          });
+        });
+      });
+    });
+  });
+
+  // Plain readings of the poses in avatar space (VRM 1.0: x to the avatar's
+  // left, y up, z forward)
+  SIDES.forEach((side) => {
+    [false, true].forEach((mirror) => {
+      const outward = side === 'left' ? 1 : -1;
+      const solve = (pose) => {
+        const restPose = armRestPoseFromHumanoid(createHumanoid(1), side);
+        return solvedDirections(restPose, solveArm(poses[pose], side, restPose, { mirror }));
+      };
+
+      it(`hangs the ${side} arm down at its own side${mirror ? ' (mirrored)' : ''}`, () => {
+        const { upper } = solve('armDown');
+        expect(upper.y).toBeLessThan(-0.9);
+        expect(Math.sign(upper.x)).toBe(outward);
+      });
+
+      it(`reaches the ${side} arm forward${mirror ? ' (mirrored)' : ''}`, () => {
+        const { upper, lower } = solve('reachForward');
+        expect(upper.z).toBeGreaterThan(0.9);
+        expect(lower.z).toBeGreaterThan(0.9);
+      });
+
+      it(`crosses the ${side} forearm over the body${mirror ? ' (mirrored)' : ''}`, () => {
+        const { lower } = solve('crossBody');
+        expect(Math.sign(lower.x)).toBe(-outward);
+        expect(lower.z).toBeGreaterThan(0);
+      });
+    });
+  });
+
+  it('leaves the arm unsolved without landmarks', () => {
+    const restPose = armRestPoseFromHumanoid(createHumanoid(1), 'left');
+    expect(solveArm(null, 'left', restPose)).toEqual({ upperArm: null, lowerArm: null, hand: null });
+  });
+});
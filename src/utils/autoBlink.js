@@ -0,0 +1,65 @@
+// Automatic blinking for when the camera isn't driving the eyelids.
+// A small state machine: eyes stay open for a randomized interval, then
+// close, hold briefly and reopen; now and then a second blink follows
+// right away, as people do.
+
+// Phase durations in seconds
+const CLOSE_TIME = 0.06;
+const CLOSED_TIME = 0.05;
+const OPEN_TIME = 0.12;
+// Open time is drawn between these fractions of the mean interval
+const MIN_INTERVAL_SHARE = 0.4;
+const MAX_INTERVAL_SHARE = 1.6;
+const DOUBLE_BLINK_CHANCE = 0.15;
+const DOUBLE_BLINK_GAP = 0.15;
+
+// `random` is injectable so the timing can be reproduced
+export const createAutoBlink = (random = Math.random) => {
+  let phase = 'open';
+  let elapsed = 0;
+  let openFor = null;
+
+  const nextOpenTime = (meanInterval) => meanInterval * (MIN_INTERVAL_SHARE + random() * (MAX_INTERVAL_SHARE - MIN_INTERVAL_SHARE));
+
+  return {
+    // Advance by delta seconds; returns the blink weight (0 open, 1 closed)
+    update(delta, meanInterval) {
+      if (openFor === null) openFor = nextOpenTime(meanInterval);
+      elapsed += delta;
+
+      if (phase === 'open' && elapsed >= openFor) {
+        phase = 'closing';
+        elapsed = 0;
+      }
+      if (phase === 'closing' && elapsed >= CLOSE_TIME) {
+        phase = 'closed';
+        elapsed -= CLOSE_TIME;
+      }
+      if (phase === 'closed' && elapsed >= CLOSED_TIME) {
+        phase = 'opening';
+        elapsed -= CLOSED_TIME;
+      }
+      if (phase === 'opening' && elapsed >= OPEN_TIME) {
+        phase = 'open';
+        elapsed = 0;
+        openFor = random() < DOUBLE_BLINK_CHANCE ? DOUBLE_BLINK_GAP : nextOpenTime(meanInterval);
+      }
+
+      switch (phase) {
+        case 'closing':
+          return elapsed / CLOSE_TIME;
+        case 'closed':
+          return 1;
+        case 'opening':
+          return 1 - elapsed / OPEN_TIME;
+        default:
+          return 0;
+      }
+    },
+    reset() {
+      phase = 'open';
+      elapsed = 0;
+      openFor = null;
+    },
+  };
+};
@@ -0,0 +1,78 @@
+import * as THREE from 'three';
+
+// Camera presets. `standard` is the original fixed camera; the others are
+// fitted to the loaded model from its humanoid bones: the frame runs from
+// `top` to `bottom`, each a bone height plus an offset in body heights (head
+// to feet), centered on the `center` bone and seen from the model's front.
+
+export const CAMERA_PRESETS = {
+  standard: { name: '標準' },
+  bustUp: { name: 'バストアップ', top: ['head', 0.12], bottom: ['hips', 0.22], center: 'head' },
+  fullBody: { name: '全身', top: ['head', 0.14], bottom: ['feet', -0.04], center: 'hips' },
+  faceCloseUp: { name: '顔アップ', top: ['head', 0.14], bottom: ['head', -0.05], center: 'head' },
+};
+
+export const CAMERA_PRESET_IDS = Object.keys(CAMERA_PRESETS);
+
+export const STANDARD_CAMERA_VIEW = {
+  position: new THREE.Vector3(0, 1.3, 3),
+  target: new THREE.Vector3(0, 1.3, 0),
+};
+
+// Preset after (or with step -1, before) `id`, wrapping around
+export const cyclePreset = (id, step = 1) => {
+  const index = CAMERA_PRESET_IDS.indexOf(id);
+  const count = CAMERA_PRESET_IDS.length;
+  return CAMERA_PRESET_IDS[(index + step + count) % count];
+};
+
+const _forward = new THREE.Vector3();
+
+// Camera position and orbit target for a preset, or null when the preset
+// needs a model and there is none. Reads bone world positions, so the model's
+// world matrices should be current.
+export const cameraView = (id, vrm, fov) => {
+  const preset = CAMERA_PRESETS[id];
+  if (!preset || !preset.top) {
+    return { position: STANDARD_CAMERA_VIEW.position.clone(), target: STANDARD_CAMERA_VIEW.target.clone() };
+  }
+  const points = vrm && bodyPoints(vrm);
+  if (!points) return null;
+
+  const bodyHeight = Math.max(points.head.y - points.feet.y, 0.1);
+  const heightAt = ([bone, offset]) => points[bone].y + offset * bodyHeight;
+  const top = heightAt(preset.top);
+  const bottom = heightAt(preset.bottom);
+  const center = points[preset.center];
+  const target = new THREE.Vector3(center.x, (top + bottom) / 2, center.z);
+
+  const distance = (top - bottom) / 2 / Math.tan(THREE.MathUtils.degToRad(fov) / 2);
+  _forward.set(0, 0, 1).applyQuaternion(vrm.scene.quaternion).setY(0).normalize();
+  return { position: target.clone().addScaledVector(_forward, distance), target };
+};
+
+// World position of the head, for following it
+export const headPosition = (vrm, target = new THREE.Vector3()) => {
+  const head = vrm.humanoid && vrm.humanoid.getRawBoneNode('head');
+  return head ? head.getWorldPosition(target) : null;
+};
+
+// Eased progress (0-1) of a transition
+export const easeInOut = (t) => t * t * (3 - 2 * t);
+
+// Head, hips and feet in world space; feet fall back to the model's origin
+function bodyPoints(vrm) {
+  const humanoid = vrm.humanoid;
+  const head = headPosition(vrm);
+  const hipsNode = humanoid && humanoid.getRawBoneNode('hips');
+  if (!head || !hipsNode) return null;
+  const hips = hipsNode.getWorldPosition(new THREE.Vector3());
+
+  const feet = vrm.scene.getWorldPosition(new THREE.Vector3());
+  const footHeights = ['leftFoot', 'rightFoot']
+    .map((name) => humanoid.getRawBoneNode(name))
+    .filter(Boolean)
+    .map((node) => node.getWorldPosition(new THREE.Vector3()).y);
+  if (footHeights.length > 0) feet.y = Math.min(...footHeights);
+  return { head, hips, feet };
+}
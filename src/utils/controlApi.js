@@ -0,0 +1,71 @@
+// JSON-RPC 2.0 plumbing for the remote control API. The app connects to the
+// control server (scripts/control-server.js), which relays requests from
+// controllers; handlers are plain functions of the request params.
+
+export const CONTROL_DEFAULT_URL = 'ws://localhost:39570';
+
+// Standard JSON-RPC error codes
+export const RPC_METHOD_NOT_FOUND = -32601;
+export const RPC_INVALID_PARAMS = -32602;
+export const RPC_INTERNAL_ERROR = -32603;
+
+// App errors, in the server error range after the control server's own
+// (-32001 app not connected, -32002 timeout)
+export const RPC_REACTION_NOT_FOUND = -32010;
+
+// Error carrying a JSON-RPC error code, for handlers to throw
+export const rpcError = (code, message) => Object.assign(new Error(message), { rpcCode: code });
+
+// Read a required or optional number param, rejecting anything else
+export const numberParam = (params, name, fallback) => {
+  const value = params[name];
+  if (value === undefined && fallback !== undefined) return fallback;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw rpcError(RPC_INVALID_PARAMS, `"${name}" must be a number`);
+  }
+  return value;
+};
+
+export const stringParam = (params, name) => {
+  const value = params[name];
+  if (typeof value !== 'string' || value === '') {
+    throw rpcError(RPC_INVALID_PARAMS, `"${name}" must be a non-empty string`);
+  }
+  return value;
+};
+
+export const booleanParam = (params, name, fallback) => {
+  const value = params[name];
+  if (value === undefined && fallback !== undefined) return fallback;
+  if (typeof value !== 'boolean') {
+    throw rpcError(RPC_INVALID_PARAMS, `"${name}" must be a boolean`);
+  }
+  return value;
+};
+
+// Run a request against the handlers. Resolves with the response, or null
+// for notifications.
+export const dispatchRpc = async (handlers, { id, method, params }) => {
+  let response;
+  try {
+    if (!Object.prototype.hasOwnProperty.call(handlers, method)) {
+      throw rpcError(RPC_METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+    if (params !== undefined && (typeof params !== 'object' || params === null || Array.isArray(params))) {
+      throw rpcError(RPC_INVALID_PARAMS, 'params must be an object');
+    }
+    const result = await handlers[method](params || {});
+    response = { jsonrpc: '2.0', id, result: result === undefined ? null : result };
+  } catch (error) {
+    response = { jsonrpc: '2.0', id, error: { code: error.rpcCode || RPC_INTERNAL_ERROR, message: error.message } };
+  }
+  return id === undefined ? null : response;
+};
+
+// Token-authenticated URL the app connects to
+export const controlAppUrl = (serverUrl, token) => {
+  const url = new URL(serverUrl);
+  url.pathname = '/app';
+  url.searchParams.set('token', token);
+  return url.href;
+};
@@ -0,0 +1,124 @@
+import { normalizeReactionEvent } from './reactions';
+
+// Pluggable sources of stream events for the reactions engine. A source is
+// connect({ onEvent, onStatus }) => disconnect; status is 'connecting',
+// 'connected' or 'error'.
+
+export const REACTION_SOURCES = {
+  off: 'なし',
+  websocket: 'WebSocket',
+  mock: 'テスト (ランダム)',
+};
+
+export const DEFAULT_REACTION_SOURCE_URL = 'ws://localhost:39580';
+
+// Delay before reconnecting a WebSocket source (ms)
+const RECONNECT_DELAY = 3000;
+// Interval between mock events (ms)
+const MOCK_INTERVAL = 4000;
+
+const MOCK_USERS = ['viewer_a', 'さくら', 'ねこ好き', 'Taro', 'night_owl'];
+const MOCK_MESSAGES = ['こんにちは！', 'かわいい', '草', 'おはよう', 'cute!', 'がんばって', '888888'];
+
+// Connects a JSON WebSocket feed, e.g. a local chat bot. Each message is an
+// event object or an array of them.
+export const connectWebSocketSource = (url, { onEvent, onStatus }) => {
+  let socket = null;
+  let reconnectTimer = null;
+  let closed = false;
+
+  const connect = () => {
+    onStatus('connecting');
+    try {
+      socket = new WebSocket(url);
+    } catch (error) {
+      console.error('Invalid event source URL:', error);
+      onStatus('error');
+      return;
+    }
+    socket.onopen = () => onStatus('connected');
+    socket.onmessage = ({ data }) => {
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch {
+        return;
+      }
+      (Array.isArray(parsed) ? parsed : [parsed]).forEach((item) => {
+        const event = normalizeReactionEvent(item);
+        if (event) onEvent(event);
+      });
+    };
+    socket.onclose = () => {
+      if (closed) return;
+      onStatus('connecting');
+      reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+    };
+  };
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    if (socket) socket.close();
+  };
+};
+
+// Random chat messages, follows and donations for trying rules out
+export const connectMockSource = ({ onEvent, onStatus }) => {
+  onStatus('connected');
+  const timer = setInterval(() => onEvent(createMockEvent()), MOCK_INTERVAL);
+  return () => clearInterval(timer);
+};
+
+// A source driven by hand, for tests: emit(data) delivers an event (or an
+// array of them) to whoever is connected, like a WebSocket message would.
+// Emitted data that isn't an event is dropped.
+export const createManualSource = () => {
+  let handlers = null;
+  return {
+    connect(nextHandlers) {
+      handlers = nextHandlers;
+      handlers.onStatus('connected');
+      return () => {
+        if (handlers === nextHandlers) handlers = null;
+      };
+    },
+    emit(data) {
+      if (!handlers) return;
+      (Array.isArray(data) ? data : [data]).forEach((item) => {
+        const event = normalizeReactionEvent(item);
+        if (event) handlers.onEvent(event);
+      });
+    },
+    get isConnected() {
+      return handlers !== null;
+    },
+  };
+};
+
+export const connectEventSource = (type, url, handlers) => {
+  switch (type) {
+    case 'websocket':
+      return connectWebSocketSource(url, handlers);
+    case 'mock':
+      return connectMockSource(handlers);
+    default:
+      return () => {};
+  }
+};
+
+export const createMockEvent = (type) => {
+  const roll = Math.random();
+  const eventType = type || (roll < 0.7 ? 'chat' : roll < 0.85 ? 'follow' : 'donation');
+  return {
+    type: eventType,
+    user: pick(MOCK_USERS),
+    message: eventType === 'chat' ? pick(MOCK_MESSAGES) : '',
+    amount: eventType === 'donation' ? pick([100, 500, 1000, 5000]) : 0,
+  };
+};
+
+function pick(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
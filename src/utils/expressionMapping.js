@@ -0,0 +1,95 @@
+// Routing of MediaPipe face blendshapes (ARKit naming) to VRM expressions
+
+export const ARKIT_BLENDSHAPES = [
+  'browDownLeft', 'browDownRight', 'browInnerUp', 'browOuterUpLeft', 'browOuterUpRight',
+  'cheekPuff', 'cheekSquintLeft', 'cheekSquintRight',
+  'eyeBlinkLeft', 'eyeBlinkRight', 'eyeLookDownLeft', 'eyeLookDownRight',
+  'eyeLookInLeft', 'eyeLookInRight', 'eyeLookOutLeft', 'eyeLookOutRight',
+  'eyeLookUpLeft', 'eyeLookUpRight', 'eyeSquintLeft', 'eyeSquintRight',
+  'eyeWideLeft', 'eyeWideRight',
+  'jawForward', 'jawLeft', 'jawOpen', 'jawRight',
+  'mouthClose', 'mouthDimpleLeft', 'mouthDimpleRight', 'mouthFrownLeft', 'mouthFrownRight',
+  'mouthFunnel', 'mouthLeft', 'mouthLowerDownLeft', 'mouthLowerDownRight',
+  'mouthPressLeft', 'mouthPressRight', 'mouthPucker', 'mouthRight',
+  'mouthRollLower', 'mouthRollUpper', 'mouthShrugLower', 'mouthShrugUpper',
+  'mouthSmileLeft', 'mouthSmileRight', 'mouthStretchLeft', 'mouthStretchRight',
+  'mouthUpperUpLeft', 'mouthUpperUpRight',
+  'noseSneerLeft', 'noseSneerRight',
+  'tongueOut',
+];
+
+export const VRM_PRESET_EXPRESSIONS = [
+  'happy', 'angry', 'sad', 'relaxed', 'surprised',
+  'aa', 'ih', 'ou', 'ee', 'oh',
+  'blink', 'blinkLeft', 'blinkRight',
+  'lookUp', 'lookDown', 'lookLeft', 'lookRight',
+  'neutral',
+];
+
+export const MAPPING_CURVES = {
+  linear: '線形',
+  easeIn: 'イーズイン',
+  easeOut: 'イーズアウト',
+  smoothstep: 'スムーズ',
+};
+
+// Matches what the animation hook hardcoded before mappings were configurable
+export const DEFAULT_EXPRESSION_MAPPINGS = [
+  { source: 'browInnerUp', target: 'surprised', weight: 1, curve: 'linear', min: 0, max: 1 },
+  { source: 'browDownLeft', target: 'angry', weight: 1, curve: 'linear', min: 0, max: 1 },
+  { source: 'browDownRight', target: 'angry', weight: 1, curve: 'linear', min: 0, max: 1 },
+  { source: 'mouthSmileLeft', target: 'happy', weight: 1, curve: 'linear', min: 0, max: 1 },
+  { source: 'mouthSmileRight', target: 'happy', weight: 1, curve: 'linear', min: 0, max: 1 },
+];
+
+export const applyCurve = (value, curve) => {
+  switch (curve) {
+    case 'easeIn':
+      return value * value;
+    case 'easeOut':
+      return 1 - (1 - value) * (1 - value);
+    case 'smoothstep':
+      return value * value * (3 - 2 * value);
+    default:
+      return value;
+  }
+};
+
+// Output of a single mapping for a blendshape value
+export const evaluateMapping = (mapping, value) => {
+  const shaped = applyCurve(clamp(value || 0, 0, 1), mapping.curve) * mapping.weight;
+  return clamp(shaped, mapping.min, mapping.max);
+};
+
+// Sum all mappings per target expression. Returns { [expressionName]: weight }
+// with every mapped target present, so unmatched expressions relax to zero.
+export const evaluateMappings = (blendShapes, mappings) => {
+  const result = {};
+  mappings.forEach((mapping) => {
+    if (!mapping.target) return;
+    const output = evaluateMapping(mapping, blendShapes[mapping.source]);
+    result[mapping.target] = clamp((result[mapping.target] || 0) + output, 0, 1);
+  });
+  return result;
+};
+
+// Find "perfect sync" expressions: custom expressions named after ARKit
+// blendshapes. Returns { [blendshapeName]: expressionName }.
+export const findPerfectSyncExpressions = (expressionManager) => {
+  if (!expressionManager) return {};
+  const byLowerName = {};
+  Object.keys(expressionManager.customExpressionMap).forEach((name) => {
+    byLowerName[name.toLowerCase()] = name;
+  });
+
+  const result = {};
+  ARKIT_BLENDSHAPES.forEach((blendShape) => {
+    const name = byLowerName[blendShape.toLowerCase()];
+    if (name) result[blendShape] = name;
+  });
+  return result;
+};
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
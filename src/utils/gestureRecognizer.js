@@ -0,0 +1,104 @@
+// Static hand gesture recognition on HandLandmarker landmarks
+
+export const GESTURES = {
+  peace: 'ピース',
+  thumbsUp: 'サムズアップ',
+  openPalm: 'パー',
+  fist: 'グー',
+  pointing: '指差し',
+};
+
+// HandLandmarker landmark indices: [MCP, PIP, DIP, TIP] per finger
+const FINGERS = {
+  index: [5, 6, 7, 8],
+  middle: [9, 10, 11, 12],
+  ring: [13, 14, 15, 16],
+  little: [17, 18, 19, 20],
+};
+const WRIST = 0;
+const THUMB = [1, 2, 3, 4];
+
+// A finger counts as extended when its segments bend less than this in total
+const EXTENDED_MAX_BEND = Math.PI / 3;
+// ...and as curled when they bend more than this
+const CURLED_MIN_BEND = Math.PI / 2;
+
+// Classify one hand. Works on world or normalized landmarks since it only uses
+// joint angles and relative directions. Returns a key of GESTURES or null.
+export const classifyGesture = (landmarks) => {
+  if (!landmarks || landmarks.length < 21) return null;
+
+  const fingerBend = {};
+  Object.entries(FINGERS).forEach(([name, [mcp, pip, dip, tip]]) => {
+    fingerBend[name] = angleBetween(landmarks[WRIST], landmarks[mcp], landmarks[pip])
+      + angleBetween(landmarks[mcp], landmarks[pip], landmarks[dip])
+      + angleBetween(landmarks[pip], landmarks[dip], landmarks[tip]);
+  });
+  const extended = (name) => fingerBend[name] < EXTENDED_MAX_BEND;
+  const curled = (name) => fingerBend[name] > CURLED_MIN_BEND;
+
+  const thumbExtended = isThumbExtended(landmarks);
+  const others = ['middle', 'ring', 'little'];
+
+  if (extended('index') && extended('middle') && curled('ring') && curled('little')) {
+    return 'peace';
+  }
+  if (extended('index') && others.every(curled)) {
+    return 'pointing';
+  }
+  if (Object.keys(FINGERS).every(extended) && thumbExtended) {
+    return 'openPalm';
+  }
+  if (Object.keys(FINGERS).every(curled)) {
+    // Image and world landmarks both have y pointing down
+    const thumbUp = landmarks[THUMB[3]].y < landmarks[THUMB[1]].y
+      && landmarks[THUMB[3]].y < landmarks[FINGERS.index[0]].y;
+    if (thumbExtended && thumbUp) return 'thumbsUp';
+    return 'fist';
+  }
+  return null;
+};
+
+// Report a gesture once it has been held for `holdTime` seconds. It fires a
+// single time per hold and re-arms when the gesture changes or is lost.
+export const createGestureDebouncer = () => {
+  let current = null;
+  let since = 0;
+  let fired = false;
+
+  return {
+    update(gesture, now, holdTime) {
+      if (gesture !== current) {
+        current = gesture;
+        since = now;
+        fired = false;
+        return null;
+      }
+      if (!gesture || fired || now - since < holdTime * 1000) return null;
+      fired = true;
+      return gesture;
+    },
+  };
+};
+
+function isThumbExtended(landmarks) {
+  const [cmc, mcp, ip, tip] = THUMB.map((i) => landmarks[i]);
+  const straight = angleBetween(cmc, mcp, ip) + angleBetween(mcp, ip, tip) < EXTENDED_MAX_BEND;
+  // A straight thumb folded across the palm still ends near the index knuckle
+  const reach = distance(tip, landmarks[FINGERS.index[0]]) / distance(landmarks[WRIST], landmarks[FINGERS.index[0]]);
+  return straight && reach > 0.6;
+}
+
+// Angle between the segments a->b and b->c (0 when they are collinear)
+function angleBetween(a, b, c) {
+  const u = { x: b.x - a.x, y: b.y - a.y, z: (b.z || 0) - (a.z || 0) };
+  const v = { x: c.x - b.x, y: c.y - b.y, z: (c.z || 0) - (b.z || 0) };
+  const lengths = Math.hypot(u.x, u.y, u.z) * Math.hypot(v.x, v.y, v.z);
+  if (lengths === 0) return 0;
+  const cos = (u.x * v.x + u.y * v.y + u.z * v.z) / lengths;
+  return Math.acos(Math.min(1, Math.max(-1, cos)));
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, (a.z || 0) - (b.z || 0));
+}
@@ -0,0 +1,132 @@
+import { describe, expect, it } from 'vitest';
+import { classifyGesture, createGestureDebouncer } from './gestureRecognizer';
+
+const EXTENDED = 0.2;
+const CURLED = 2.5;
+// Between the extended (60°) and curled (90°) thresholds
+const HALF_BENT = 1.3;
+
+// Finger knuckles (MCP) across the top of the palm, the wrist at the origin;
+// y points down as in HandLandmarker output
+const KNUCKLES = { index: 0.3, middle: 0.1, ring: -0.1, little: -0.3 };
+const SEGMENTS = [0.3, 0.25, 0.2];
+
+// Thumb joints (CMC, MCP, IP, TIP) for a few poses
+const THUMBS = {
+  // Straight and out to the side
+  out: [[0.3, -0.2], [0.6, -0.4], [0.8, -0.55], [1.0, -0.7]],
+  // Straight and above the index knuckle
+  up: [[0.35, -0.3], [0.6, -0.7], [0.75, -1.1], [0.9, -1.5]],
+  // Folded over the fingers
+  folded: [[0.3, -0.3], [0.45, -0.55], [0.4, -0.8], [0.3, -0.9]],
+};
+
+// A hand whose fingers bend by the given total angles (radians), spread
+// evenly over their three joints and curling toward the palm (+z)
+const hand = (bends, thumb = 'out') => {
+  const landmarks = new Array(21);
+  landmarks[0] = { x: 0, y: 0, z: 0 };
+  THUMBS[thumb].forEach(([x, y], i) => {
+    landmarks[1 + i] = { x, y, z: 0 };
+  });
+  Object.entries(KNUCKLES).forEach(([finger, x], f) => {
+    const base = 5 + f * 4;
+    const length = Math.hypot(x, 1);
+    const along = { x: x / length, y: -1 / length };
+    let point = { x, y: -1, z: 0 };
+    landmarks[base] = point;
+    SEGMENTS.forEach((segment, j) => {
+      const angle = (bends[finger] * (j + 1)) / 3;
+      point = {
+        x: point.x + segment * Math.cos(angle) * along.x,
+        y: point.y + segment * Math.cos(angle) * along.y,
+        z: point.z + segment * Math.sin(angle),
+      };
+      landmarks[base + j + 1] = point;
+    });
+  });
+  return landmarks;
+};
+
+const fingers = (index, middle, ring, little) => ({ index, middle, ring, little });
+const all = (bend) => fingers(bend, bend, bend, bend);
+
+describe('classifyGesture', () => {
+  it('recognizes each gesture', () => {
+    expect(classifyGesture(hand(all(EXTENDED), 'out'))).toBe('openPalm');
+    expect(classifyGesture(hand(fingers(EXTENDED, EXTENDED, CURLED, CURLED), 'folded'))).toBe('peace');
+    expect(classifyGesture(hand(fingers(EXTENDED, CURLED, CURLED, CURLED), 'folded'))).toBe('pointing');
+    expect(classifyGesture(hand(all(CURLED), 'folded'))).toBe('fist');
+    expect(classifyGesture(hand(all(CURLED), 'up'))).toBe('thumbsUp');
+  });
+
+  it('needs a thumb out to the side and up for thumbs up', () => {
+    expect(classifyGesture(hand(all(CURLED), 'out'))).toBe('fist');
+  });
+
+  it('needs the thumb out for an open palm', () => {
+    expect(classifyGesture(hand(all(EXTENDED), 'folded'))).toBeNull();
+  });
+
+  it('counts a finger as extended just under 60° of bend', () => {
+    expect(classifyGesture(hand(all(Math.PI / 3 - 0.05)))).toBe('openPalm');
+    expect(classifyGesture(hand(all(Math.PI / 3 + 0.05)))).toBeNull();
+  });
+
+  it('counts a finger as curled just over 90° of bend', () => {
+    expect(classifyGesture(hand(all(Math.PI / 2 + 0.05), 'folded'))).toBe('fist');
+    expect(classifyGesture(hand(all(Math.PI / 2 - 0.05), 'folded'))).toBeNull();
+  });
+
+  it('leaves half-bent fingers unclassified instead of flipping between gestures', () => {
+    expect(classifyGesture(hand(all(HALF_BENT)))).toBeNull();
+    expect(classifyGesture(hand(fingers(EXTENDED, EXTENDED, HALF_BENT, CURLED), 'folded'))).toBeNull();
+    expect(classifyGesture(hand(fingers(EXTENDED, HALF_BENT, CURLED, CURLED), 'folded'))).toBeNull();
+  });
+
+  it('ignores missing or partial hands', () => {
+    expect(classifyGesture(null)).toBeNull();
+    expect(classifyGesture(hand(all(EXTENDED)).slice(0, 20))).toBeNull();
+  });
+});
+
+describe('createGestureDebouncer', () => {
+  const HOLD = 0.5;
+
+  it('fires once the gesture has been held for the hold time', () => {
+    const debouncer = createGestureDebouncer();
+    expect(debouncer.update('peace', 0, HOLD)).toBeNull();
+    expect(debouncer.update('peace', 499, HOLD)).toBeNull();
+    expect(debouncer.update('peace', 500, HOLD)).toBe('peace');
+  });
+
+  it('fires a single time per hold', () => {
+    const debouncer = createGestureDebouncer();
+    debouncer.update('fist', 0, HOLD);
+    expect(debouncer.update('fist', 600, HOLD)).toBe('fist');
+    [700, 2000, 10000].forEach((now) => expect(debouncer.update('fist', now, HOLD)).toBeNull());
+  });
+
+  it('re-arms when the gesture is lost and held again', () => {
+    const debouncer = createGestureDebouncer();
+    debouncer.update('peace', 0, HOLD);
+    debouncer.update('peace', 500, HOLD);
+    expect(debouncer.update(null, 600, HOLD)).toBeNull();
+    expect(debouncer.update('peace', 700, HOLD)).toBeNull();
+    expect(debouncer.update('peace', 1200, HOLD)).toBe('peace');
+  });
+
+  it('restarts the hold when the gesture flickers', () => {
+    const debouncer = createGestureDebouncer();
+    debouncer.update('peace', 0, HOLD);
+    debouncer.update('pointing', 400, HOLD);
+    debouncer.update('peace', 450, HOLD);
+    expect(debouncer.update('peace', 900, HOLD)).toBeNull();
+    expect(debouncer.update('peace', 950, HOLD)).toBe('peace');
+  });
+
+  it('never fires for no gesture', () => {
+    const debouncer = createGestureDebouncer();
+    [0, 1000, 5000].forEach((now) => expect(debouncer.update(null, now, HOLD)).toBeNull());
+  });
+});
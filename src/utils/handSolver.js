@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+import { rotationBetweenFrames, toAvatarSpace } from './rigMath';
+
+// HandLandmarker landmark indices
+const WRIST = 0;
+const FINGER_LANDMARKS = {
+  Thumb: [1, 2, 3, 4],
+  Index: [5, 6, 7, 8],
+  Middle: [9, 10, 11, 12],
+  Ring: [13, 14, 15, 16],
+  Little: [17, 18, 19, 20],
+};
+
+const DEG = Math.PI / 180;
+
+// Joint limits in radians. Curl is flexion towards the palm, splay is sideways
+// movement in the palm plane (positive towards the thumb).
+const FINGER_LIMITS = {
+  Index: { splay: [-15 * DEG, 20 * DEG] },
+  Middle: { splay: [-10 * DEG, 10 * DEG] },
+  Ring: { splay: [-15 * DEG, 10 * DEG] },
+  Little: { splay: [-25 * DEG, 10 * DEG] },
+};
+const CURL_LIMITS = {
+  Proximal: [-10 * DEG, 90 * DEG],
+  Intermediate: [0, 110 * DEG],
+  Distal: [0, 80 * DEG],
+};
+// The thumb moves too freely for a curl/splay split, so its joints follow the
+// landmark directions with a maximum deviation from the rest pose instead
+const THUMB_LIMITS = {
+  Metacarpal: 50 * DEG,
+  Proximal: 60 * DEG,
+  Distal: 80 * DEG,
+};
+
+const FINGER_JOINTS = ['Proximal', 'Intermediate', 'Distal'];
+const THUMB_JOINTS = ['Metacarpal', 'Proximal', 'Distal'];
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Read the rest directions of a hand and its fingers from the normalized
+// humanoid. Returns null if the model has no hand bone on that side.
+export const handRestPoseFromHumanoid = (humanoid, side) => {
+  const hand = humanoid.getNormalizedBoneNode(`${side}Hand`);
+  if (!hand) return null;
+
+  const middleProximal = humanoid.getNormalizedBoneNode(`${side}MiddleProximal`);
+  const handDir = (middleProximal ? middleProximal.position : hand.position).clone().normalize();
+
+  // Palm frame of the rig: x towards the fingers, y out of the back of the hand
+  const palmX = handDir.clone();
+  const palmY = UP.clone();
+  const palmZ = new THREE.Vector3().crossVectors(palmX, palmY);
+
+  const fingers = {};
+  Object.keys(FINGER_LANDMARKS).forEach((finger) => {
+    const joints = finger === 'Thumb' ? THUMB_JOINTS : FINGER_JOINTS;
+    const nodes = joints.map((joint) => humanoid.getNormalizedBoneNode(`${side}${finger}${joint}`));
+    // Each bone points at its child; the last bone continues its parent's direction
+    fingers[finger] = nodes.map((node, i) => {
+      if (!node) return null;
+      const child = nodes[i + 1];
+      const dir = child ? child.position.clone() : node.position.clone();
+      if (dir.lengthSq() === 0) dir.copy(handDir);
+      return { boneName: `${side}${finger}${joints[i]}`, dir: dir.normalize() };
+    });
+  });
+
+  return {
+    handDir,
+    palm: { x: palmX, y: palmY, z: palmZ },
+    fingers,
+    // VRM 0.x models face -Z; the left hand points to the model's own left
+    facesForward: (side === 'left' ? handDir.x : -handDir.x) >= 0,
+  };
+};
+
+// Solve the hand and finger rotations for one side of the avatar from
+// HandLandmarker world landmarks. `hand` is the hand's rotation in model space
+// (the caller makes it local to the forearm); `fingers` maps normalized bone
+// names to local rotations.
+export const solveHand = (worldLandmarks, side, restPose, { mirror = false } = {}) => {
+  const result = { hand: null, fingers: {} };
+  if (!worldLandmarks || worldLandmarks.length < 21 || !restPose) return result;
+
+  // Landmarks in the rig's model space (turned around for models facing -Z)
+  const points = worldLandmarks.map((landmark) => {
+    const point = toAvatarSpace(landmark, mirror);
+    if (!restPose.facesForward) {
+      point.x = -point.x;
+      point.z = -point.z;
+    }
+    return point;
+  });
+  const wrist = points[WRIST];
+  const toIndex = points[FINGER_LANDMARKS.Index[0]].clone().sub(wrist);
+  const toLittle = points[FINGER_LANDMARKS.Little[0]].clone().sub(wrist);
+  const toMiddle = points[FINGER_LANDMARKS.Middle[0]].clone().sub(wrist);
+
+  // Palm frame of the landmarks. The cross product points out of the back of
+  // the avatar's left hand and out of the palm of its right hand.
+  const palmX = toMiddle.clone().normalize();
+  const palmY = new THREE.Vector3().crossVectors(toIndex, toLittle);
+  if (side === 'right') palmY.negate();
+  palmY.addScaledVector(palmX, -palmY.dot(palmX)).normalize();
+  const palmZ = new THREE.Vector3().crossVectors(palmX, palmY);
+  const palm = { x: palmX, y: palmY, z: palmZ };
+
+  result.hand = rotationBetweenFrames(restPose.handDir, UP, palmX, palmY);
+
+  // The thumb sits on the +Z side of the left palm and the -Z side of the right
+  const thumbSide = side === 'left' ? 1 : -1;
+  const toRigPalm = (v) => new THREE.Vector3()
+    .addScaledVector(restPose.palm.x, v.dot(palm.x))
+    .addScaledVector(restPose.palm.y, v.dot(palm.y))
+    .addScaledVector(restPose.palm.z, v.dot(palm.z));
+
+  Object.entries(FINGER_LANDMARKS).forEach(([finger, indices]) => {
+    const bones = restPose.fingers[finger];
+    const segments = indices.map((index, i) => {
+      const from = i === 0 ? wrist : points[indices[i - 1]];
+      return points[index].clone().sub(from).normalize();
+    });
+
+    if (finger === 'Thumb') {
+      solveThumb(segments.slice(1), bones, toRigPalm, result.fingers);
+    } else {
+      solveFinger(finger, segments, bones, palm, restPose.palm, thumbSide, result.fingers);
+    }
+  });
+
+  return result;
+};
+
+// segments[0] is the metacarpal (wrist to knuckle), then one per finger bone
+function solveFinger(finger, segments, bones, palm, rigPalm, thumbSide, out) {
+  const curlAxis = rigPalm.z.clone().negate();
+  const splayAxis = rigPalm.y.clone().multiplyScalar(-thumbSide);
+
+  FINGER_JOINTS.forEach((joint, i) => {
+    const bone = bones[i];
+    if (!bone) return;
+    const parent = segments[i];
+    const segment = segments[i + 1];
+
+    let curl;
+    let splay = 0;
+    if (i === 0) {
+      // Knuckle: split into flexion out of the palm plane and sideways splay
+      // measured against the hand direction, since rig fingers rest parallel
+      const along = segment.dot(palm.x);
+      const across = segment.dot(palm.z) * thumbSide;
+      curl = Math.atan2(-segment.dot(palm.y), Math.hypot(along, across));
+      splay = THREE.MathUtils.clamp(Math.atan2(across, along), ...FINGER_LIMITS[finger].splay);
+    } else {
+      curl = parent.angleTo(segment);
+    }
+    curl = THREE.MathUtils.clamp(curl, ...CURL_LIMITS[joint]);
+
+    const rotation = new THREE.Quaternion().setFromAxisAngle(splayAxis, splay);
+    rotation.multiply(new THREE.Quaternion().setFromAxisAngle(curlAxis, curl));
+    out[bone.boneName] = rotation;
+  });
+}
+
+// segments are the three thumb bone directions in landmark space
+function solveThumb(segments, bones, toRigPalm, out) {
+  const parentRotation = new THREE.Quaternion();
+  THUMB_JOINTS.forEach((joint, i) => {
+    const bone = bones[i];
+    if (!bone) return;
+
+    const target = toRigPalm(segments[i]).applyQuaternion(parentRotation.clone().invert());
+    const rotation = new THREE.Quaternion().setFromUnitVectors(bone.dir, target.normalize());
+    const angle = 2 * Math.acos(THREE.MathUtils.clamp(rotation.w, -1, 1));
+    if (angle > THUMB_LIMITS[joint]) {
+      rotation.slerp(new THREE.Quaternion(), 1 - THUMB_LIMITS[joint] / angle);
+    }
+
+    out[bone.boneName] = rotation;
+    parentRotation.multiply(rotation);
+  });
+}
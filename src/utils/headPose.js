@@ -0,0 +1,33 @@
+import * as THREE from 'three';
+
+// MediaPipe's facial transformation matrix maps the canonical face model into
+// camera space. The data is a column-major 4x4 matrix with translation in cm.
+const CENTIMETERS_TO_METERS = 0.01;
+
+const _matrix = new THREE.Matrix4();
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+
+// Convert a facial transformation matrix into a head rotation (quaternion) and
+// head translation (meters, camera space). When mirrored, the pose is reflected
+// across the camera's YZ plane so the avatar moves like a mirror image.
+export const headPoseFromMatrix = (matrixData, mirror = false) => {
+  _matrix.fromArray(matrixData);
+  _matrix.decompose(_position, _quaternion, _scale);
+
+  if (mirror) {
+    _quaternion.y *= -1;
+    _quaternion.z *= -1;
+    _position.x *= -1;
+  }
+
+  return {
+    rotation: { x: _quaternion.x, y: _quaternion.y, z: _quaternion.z, w: _quaternion.w },
+    position: {
+      x: _position.x * CENTIMETERS_TO_METERS,
+      y: _position.y * CENTIMETERS_TO_METERS,
+      z: _position.z * CENTIMETERS_TO_METERS,
+    },
+  };
+};
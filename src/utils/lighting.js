@@ -0,0 +1,273 @@
+import * as THREE from 'three';
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment';
+
+// Stage lighting: key, fill and rim directional lights with color
+// temperatures, ambient light, shadows on an invisible ground plane, an
+// optional environment map, tone mapping and MToon outline width.
+// A lighting config is a flat object (see DEFAULT_LIGHTING) kept in the
+// settings, so profiles carry it; `preset` names the preset it came from, or
+// is null once edited.
+
+export const LIGHTING_PRESETS = {
+  basic: {
+    name: 'ベーシック',
+    keyIntensity: 1, keyTemperature: 6500, keyAngle: 45, keyElevation: 35,
+    fillIntensity: 0, fillTemperature: 6500,
+    rimIntensity: 0, rimTemperature: 6500,
+    ambientIntensity: 0.5,
+    shadows: false, environment: false,
+    toneMapping: 'none', exposure: 1,
+  },
+  studio: {
+    name: 'スタジオ',
+    keyIntensity: 1, keyTemperature: 5600, keyAngle: 35, keyElevation: 30,
+    fillIntensity: 0.4, fillTemperature: 6500,
+    rimIntensity: 0.6, rimTemperature: 7000,
+    ambientIntensity: 0.35,
+    shadows: true, environment: true,
+    toneMapping: 'aces', exposure: 1.1,
+  },
+  sunset: {
+    name: '夕焼け',
+    keyIntensity: 0.9, keyTemperature: 2800, keyAngle: 70, keyElevation: 12,
+    fillIntensity: 0.25, fillTemperature: 8000,
+    rimIntensity: 0.9, rimTemperature: 3000,
+    ambientIntensity: 0.3,
+    shadows: true, environment: false,
+    toneMapping: 'aces', exposure: 1,
+  },
+  night: {
+    name: '夜',
+    keyIntensity: 0.35, keyTemperature: 8500, keyAngle: -30, keyElevation: 45,
+    fillIntensity: 0.15, fillTemperature: 9500,
+    rimIntensity: 0.8, rimTemperature: 10000,
+    ambientIntensity: 0.15,
+    shadows: false, environment: false,
+    toneMapping: 'aces', exposure: 0.9,
+  },
+};
+
+export const TONE_MAPPINGS = {
+  none: { name: 'なし', value: THREE.NoToneMapping },
+  linear: { name: 'リニア', value: THREE.LinearToneMapping },
+  reinhard: { name: 'Reinhard', value: THREE.ReinhardToneMapping },
+  aces: { name: 'ACES Filmic', value: THREE.ACESFilmicToneMapping },
+};
+
+// The basic preset is the original single-light look
+export const DEFAULT_LIGHTING = {
+  ...presetValues('basic'),
+  preset: 'basic',
+  outlineWidth: 1,
+};
+
+// Config for a preset; outline width is a matter of model taste rather than
+// lighting, so it carries over
+export const lightingFromPreset = (id, current = DEFAULT_LIGHTING) => ({
+  ...current,
+  ...presetValues(id),
+  preset: id,
+});
+
+// Numeric fields with their ranges, for the panel and the control API
+export const LIGHTING_RANGES = {
+  keyIntensity: { min: 0, max: 3, step: 0.05 },
+  keyTemperature: { min: 1500, max: 12000, step: 100 },
+  keyAngle: { min: -180, max: 180, step: 5 },
+  keyElevation: { min: 0, max: 90, step: 5 },
+  fillIntensity: { min: 0, max: 3, step: 0.05 },
+  fillTemperature: { min: 1500, max: 12000, step: 100 },
+  rimIntensity: { min: 0, max: 3, step: 0.05 },
+  rimTemperature: { min: 1500, max: 12000, step: 100 },
+  ambientIntensity: { min: 0, max: 2, step: 0.05 },
+  exposure: { min: 0.2, max: 3, step: 0.05 },
+  outlineWidth: { min: 0, max: 3, step: 0.1 },
+};
+
+// Validate a partial lighting config from outside (control API). Numbers are
+// clamped to their ranges; throws an Error naming the first bad field.
+export const parseLightingPatch = (params) => {
+  const patch = {};
+  Object.entries(params).forEach(([field, value]) => {
+    if (LIGHTING_RANGES[field]) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error(`"${field}" must be a number`);
+      const { min, max } = LIGHTING_RANGES[field];
+      patch[field] = THREE.MathUtils.clamp(value, min, max);
+    } else if (field === 'shadows' || field === 'environment') {
+      if (typeof value !== 'boolean') throw new Error(`"${field}" must be a boolean`);
+      patch[field] = value;
+    } else if (field === 'toneMapping') {
+      if (!TONE_MAPPINGS[value]) throw new Error(`"toneMapping" must be one of ${Object.keys(TONE_MAPPINGS).join(', ')}`);
+      patch[field] = value;
+    } else {
+      throw new Error(`Unknown lighting field: ${field}`);
+    }
+  });
+  return patch;
+};
+
+// Light color for a color temperature in kelvin (Tanner Helland's fit of the
+// blackbody curve), normalized so 6500K is white
+export const colorTemperature = (kelvin, target = new THREE.Color()) => {
+  const rgb = blackbody(kelvin);
+  const white = blackbody(6500);
+  return target.setRGB(
+    Math.min(1, rgb[0] / white[0]),
+    Math.min(1, rgb[1] / white[1]),
+    Math.min(1, rgb[2] / white[2]),
+    THREE.SRGBColorSpace
+  );
+};
+
+// Distance of the directional lights from what they point at (meters)
+const LIGHT_DISTANCE = 5;
+// Height of the lights' target above the model's feet, before scaling
+const LIGHT_TARGET_HEIGHT = 1.2;
+// Half size of the area the key light's shadow covers (meters)
+const SHADOW_EXTENT = 1.5;
+const SHADOW_OPACITY = 0.35;
+
+const _origin = new THREE.Vector3();
+
+// The lights, ground and environment in `scene`, configured by apply() and
+// kept under the model by update() every frame
+export const createLightingRig = (scene, renderer) => {
+  const key = new THREE.DirectionalLight();
+  const fill = new THREE.DirectionalLight();
+  const rim = new THREE.DirectionalLight();
+  const ambient = new THREE.AmbientLight();
+  const target = new THREE.Object3D();
+  [key, fill, rim].forEach((light) => {
+    light.target = target;
+    scene.add(light);
+  });
+  scene.add(ambient, target);
+
+  renderer.shadowMap.enabled = true;
+  renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+  key.shadow.mapSize.set(2048, 2048);
+  key.shadow.bias = -0.0005;
+  Object.assign(key.shadow.camera, {
+    left: -SHADOW_EXTENT, right: SHADOW_EXTENT, top: SHADOW_EXTENT, bottom: -SHADOW_EXTENT,
+    near: 0.1, far: LIGHT_DISTANCE * 2,
+  });
+
+  // Only the shadow is drawn, so a transparent stage stays transparent
+  const ground = new THREE.Mesh(
+    new THREE.PlaneGeometry(10, 10),
+    new THREE.ShadowMaterial({ opacity: SHADOW_OPACITY })
+  );
+  ground.rotation.x = -Math.PI / 2;
+  ground.receiveShadow = true;
+  scene.add(ground);
+
+  let environment = null;
+  let model = null;
+  // Outline widths the model's MToon materials shipped with
+  const baseOutlineWidths = new Map();
+  let config = DEFAULT_LIGHTING;
+  const directions = { key: new THREE.Vector3(), fill: new THREE.Vector3(), rim: new THREE.Vector3() };
+
+  const applyOutline = () => {
+    baseOutlineWidths.forEach((width, material) => {
+      material.outlineWidthFactor = width * config.outlineWidth;
+    });
+  };
+
+  return {
+    apply(next) {
+      config = { ...DEFAULT_LIGHTING, ...next };
+      key.intensity = config.keyIntensity * Math.PI;
+      fill.intensity = config.fillIntensity * Math.PI;
+      rim.intensity = config.rimIntensity * Math.PI;
+      ambient.intensity = config.ambientIntensity * Math.PI;
+      colorTemperature(config.keyTemperature, key.color);
+      colorTemperature(config.fillTemperature, fill.color);
+      colorTemperature(config.rimTemperature, rim.color);
+      fill.visible = config.fillIntensity > 0;
+      rim.visible = config.rimIntensity > 0;
+
+      // Key from the front at keyAngle (positive is the viewer's right),
+      // fill low from the other side, rim from behind on the key's side
+      directions.key.copy(lightDirection(config.keyAngle, config.keyElevation));
+      directions.fill.copy(lightDirection(-config.keyAngle * 1.2, config.keyElevation * 0.3));
+      directions.rim.copy(lightDirection(180 - config.keyAngle * 0.5, 40));
+
+      key.castShadow = config.shadows;
+      ground.visible = config.shadows;
+
+      if (config.environment && !environment) {
+        const pmrem = new THREE.PMREMGenerator(renderer);
+        environment = pmrem.fromScene(new RoomEnvironment(), 0.04).texture;
+        pmrem.dispose();
+      }
+      scene.environment = config.environment ? environment : null;
+
+      renderer.toneMapping = (TONE_MAPPINGS[config.toneMapping] || TONE_MAPPINGS.none).value;
+      renderer.toneMappingExposure = config.exposure;
+      applyOutline();
+    },
+    // The loaded VRM (or null): casts shadows, gets its outline scaled
+    setModel(vrm) {
+      baseOutlineWidths.forEach((width, material) => {
+        material.outlineWidthFactor = width;
+      });
+      baseOutlineWidths.clear();
+      model = vrm;
+      if (!vrm) return;
+      vrm.scene.traverse((object) => {
+        if (!object.isMesh) return;
+        object.castShadow = true;
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        materials.forEach((material) => {
+          if (material.isMToonMaterial && !baseOutlineWidths.has(material)) {
+            baseOutlineWidths.set(material, material.outlineWidthFactor);
+          }
+        });
+      });
+      applyOutline();
+    },
+    // Lights aim at the model and the ground sits at its feet
+    update() {
+      const position = model ? model.scene.position : _origin;
+      const scale = model ? model.scene.scale.y : 1;
+      target.position.set(position.x, position.y + LIGHT_TARGET_HEIGHT * scale, position.z);
+      key.position.copy(directions.key).multiplyScalar(LIGHT_DISTANCE).add(target.position);
+      fill.position.copy(directions.fill).multiplyScalar(LIGHT_DISTANCE).add(target.position);
+      rim.position.copy(directions.rim).multiplyScalar(LIGHT_DISTANCE).add(target.position);
+      ground.position.set(position.x, position.y, position.z);
+    },
+    dispose() {
+      ground.geometry.dispose();
+      ground.material.dispose();
+      key.dispose();
+      fill.dispose();
+      rim.dispose();
+      if (environment) environment.dispose();
+    },
+  };
+};
+
+// Unit vector toward a light at a compass angle around the model (0 is the
+// camera side) and an elevation, both in degrees
+function lightDirection(angle, elevation) {
+  const a = THREE.MathUtils.degToRad(angle);
+  const e = THREE.MathUtils.degToRad(elevation);
+  return new THREE.Vector3(Math.sin(a) * Math.cos(e), Math.sin(e), Math.cos(a) * Math.cos(e));
+}
+
+function presetValues(id) {
+  const { name, ...values } = LIGHTING_PRESETS[id];
+  return values;
+}
+
+function blackbody(kelvin) {
+  const t = THREE.MathUtils.clamp(kelvin, 1000, 40000) / 100;
+  const r = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+  const g = t <= 66
+    ? 99.4708025861 * Math.log(t) - 161.1195681661
+    : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+  let b = 255;
+  if (t < 66) b = t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+  return [r, g, b].map((value) => THREE.MathUtils.clamp(value, 0, 255) / 255);
+}
@@ -0,0 +1,63 @@
+// Camera and microphone selection: constraints, device lists and cleanup
+
+export const CAMERA_RESOLUTIONS = [
+  { id: '640x480', name: '640×480', width: 640, height: 480 },
+  { id: '1280x720', name: '1280×720 (HD)', width: 1280, height: 720 },
+  { id: '1920x1080', name: '1920×1080 (フルHD)', width: 1920, height: 1080 },
+];
+
+export const CAMERA_FRAME_RATES = [15, 30, 60];
+
+// Per-machine device choice; kept out of settings so profiles don't carry
+// device IDs from another computer. Empty IDs mean the browser's default.
+export const DEFAULT_MEDIA_DEVICES = {
+  cameraId: '',
+  cameraResolution: '1280x720',
+  cameraFrameRate: 30,
+  microphoneId: '',
+};
+
+// Remembered devices are only preferred (ideal), so a missing one falls back
+// to another device instead of failing
+export const cameraConstraints = ({ cameraId, cameraResolution, cameraFrameRate }) => {
+  const resolution = CAMERA_RESOLUTIONS.find((r) => r.id === cameraResolution) || CAMERA_RESOLUTIONS[1];
+  return {
+    video: {
+      ...(cameraId ? { deviceId: { ideal: cameraId } } : { facingMode: 'user' }),
+      width: { ideal: resolution.width },
+      height: { ideal: resolution.height },
+      frameRate: { ideal: cameraFrameRate },
+    },
+    audio: false,
+  };
+};
+
+export const microphoneConstraints = ({ microphoneId }) => ({
+  audio: microphoneId ? { deviceId: { ideal: microphoneId } } : true,
+  video: false,
+});
+
+// Cameras and microphones; labels are empty until the user has granted access
+export const listMediaDevices = async () => {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+    return { cameras: [], microphones: [] };
+  }
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  const pick = (kind, fallbackName) => devices
+    .filter((device) => device.kind === kind && device.deviceId)
+    .map((device, index) => ({ id: device.deviceId, name: device.label || `${fallbackName} ${index + 1}` }));
+  return { cameras: pick('videoinput', 'カメラ'), microphones: pick('audioinput', 'マイク') };
+};
+
+// Stop every track so the device is released (camera light off)
+export const stopStream = (stream) => {
+  if (stream) stream.getTracks().forEach((track) => track.stop());
+};
+
+// Human-readable actual capture settings, e.g. "1280×720 30fps"
+export const describeVideoTrack = (stream) => {
+  const track = stream && stream.getVideoTracks()[0];
+  if (!track) return '';
+  const { width, height, frameRate } = track.getSettings();
+  return `${width}×${height} ${Math.round(frameRate || 0)}fps`;
+};
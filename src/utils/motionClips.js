@@ -0,0 +1,244 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
+import { BVHLoader } from 'three/examples/jsm/loaders/BVHLoader';
+import { VRMHumanBoneParentMap } from '@pixiv/three-vrm';
+import {
+  VRMAnimation,
+  VRMAnimationLoaderPlugin,
+  createVRMAnimationExpressionTracks,
+  createVRMAnimationHumanoidTracks,
+} from '@pixiv/three-vrm-animation';
+
+// Motion clips (.vrma / .bvh) converted to VRMAnimation, the VRM Animation
+// representation in normalized humanoid space, so both formats retarget the
+// same way onto any loaded model.
+
+// Groups of bones a clip can drive. Everything outside a clip's mask is left
+// to tracking and the procedural animation.
+export const MOTION_MASK_GROUPS = {
+  head: '頭',
+  torso: '胴体',
+  arms: '腕',
+  hands: '指',
+  legs: '脚',
+  expressions: '表情',
+};
+
+export const DEFAULT_MOTION_MASKS = {
+  idle: ['torso', 'legs'],
+  emote: ['torso', 'arms', 'hands', 'legs'],
+};
+
+export const DEFAULT_MOTION_FADE = 0.5;
+
+// Keys free for clip hotkeys (the rest are taken by the app's shortcuts)
+export const MOTION_HOTKEYS = ['q', 'w', 'e', 'y', 'u', 'i', 'o', 'p', 'f', 'g', 'h', 'j', 'k', 'l', 'z', 'x', 'c', 'v', 'b', 'n'];
+
+const _parentInverse = new THREE.Quaternion();
+
+const HEAD_BONES = ['neck', 'head', 'leftEye', 'rightEye', 'jaw'];
+const TORSO_BONES = ['hips', 'spine', 'chest', 'upperChest'];
+const ARM_BONES = ['Shoulder', 'UpperArm', 'LowerArm', 'Hand'];
+const LEG_BONES = ['UpperLeg', 'LowerLeg', 'Foot', 'Toes'];
+
+// BVH joint names per VRM bone, normalized (lowercase, alphanumerics only).
+// '%' stands for the side prefix. Covers Mixamo, CMU and DAZ style skeletons.
+const BVH_BONE_ALIASES = {
+  hips: ['hips', 'hip', 'pelvis'],
+  spine: ['spine', 'abdomen', 'lowerback'],
+  chest: ['spine1', 'chest'],
+  upperChest: ['spine2', 'upperchest', 'chest2'],
+  neck: ['neck'],
+  head: ['head'],
+  '%Shoulder': ['%shoulder', '%collar', '%clavicle'],
+  '%UpperArm': ['%arm', '%upperarm', '%shldr'],
+  '%LowerArm': ['%forearm', '%lowerarm'],
+  '%Hand': ['%hand', '%wrist'],
+  '%UpperLeg': ['%upleg', '%upperleg', '%thigh'],
+  '%LowerLeg': ['%leg', '%lowerleg', '%shin', '%knee'],
+  '%Foot': ['%foot', '%ankle'],
+  '%Toes': ['%toebase', '%toes', '%toe'],
+  '%ThumbMetacarpal': ['%handthumb1', '%thumb1'],
+  '%ThumbProximal': ['%handthumb2', '%thumb2'],
+  '%ThumbDistal': ['%handthumb3', '%thumb3'],
+  ...fingerAliases('Index', 'index'),
+  ...fingerAliases('Middle', 'middle'),
+  ...fingerAliases('Ring', 'ring'),
+  ...fingerAliases('Little', 'pinky'),
+};
+
+const SIDE_PREFIXES = {
+  left: ['left', 'l'],
+  right: ['right', 'r'],
+};
+
+export const motionFormatOf = (fileName) => {
+  const name = fileName.toLowerCase();
+  if (name.endsWith('.vrma')) return 'vrma';
+  if (name.endsWith('.bvh')) return 'bvh';
+  return null;
+};
+
+// Parse a motion file into a VRMAnimation. Throws an Error when the file
+// can't be used.
+export const parseMotionFile = async (blob, format) => {
+  if (format === 'vrma') {
+    const loader = new GLTFLoader();
+    loader.register((parser) => new VRMAnimationLoaderPlugin(parser));
+    const gltf = await loader.parseAsync(await blob.arrayBuffer(), '');
+    const vrmAnimation = gltf.userData.vrmAnimations && gltf.userData.vrmAnimations[0];
+    if (!vrmAnimation) throw new Error('VRMアニメーションが含まれていません');
+    return vrmAnimation;
+  }
+  if (format === 'bvh') {
+    return vrmAnimationFromBVH(new BVHLoader().parse(await blob.text()));
+  }
+  throw new Error('.vrma または .bvh ファイルのみ対応しています');
+};
+
+// Build an AnimationClip for a model, keeping only the tracks in the mask
+export const createMotionClip = (vrmAnimation, vrm, mask, name = 'motion') => {
+  const groups = new Set(mask);
+  const tracks = [];
+  const { translation, rotation } = createVRMAnimationHumanoidTracks(vrmAnimation, vrm.humanoid, vrm.meta.metaVersion);
+  rotation.forEach((track, boneName) => {
+    if (groups.has(maskGroupOfBone(boneName))) tracks.push(track);
+  });
+  // Hips translation moves the whole body up and down with the legs
+  if (groups.has('legs')) tracks.push(...translation.values());
+  if (groups.has('expressions') && vrm.expressionManager) {
+    const { preset, custom } = createVRMAnimationExpressionTracks(vrmAnimation, vrm.expressionManager);
+    tracks.push(...preset.values(), ...custom.values());
+  }
+  return new THREE.AnimationClip(name, vrmAnimation.duration, tracks);
+};
+
+export const maskGroupOfBone = (boneName) => {
+  if (HEAD_BONES.includes(boneName)) return 'head';
+  if (TORSO_BONES.includes(boneName)) return 'torso';
+  const part = boneName.replace(/^(left|right)/, '');
+  if (ARM_BONES.includes(part)) return 'arms';
+  if (LEG_BONES.includes(part)) return 'legs';
+  return 'hands';
+};
+
+// Retarget a parsed BVH onto the normalized humanoid. The BVH rest pose is
+// assumed to be a T-pose facing +Z, like the normalized VRM 1.0 rest pose, so
+// a VRM bone's rotation is its joint's world rotation relative to the world
+// rotation of the joint mapped to its nearest mapped VRM ancestor.
+function vrmAnimationFromBVH({ skeleton, clip }) {
+  const { bones } = skeleton;
+  const parentIndices = bones.map((bone) => bones.indexOf(bone.parent));
+  const boneIndices = mapBVHBones(bones);
+  if (boneIndices.hips === undefined) {
+    throw new Error('BVHにHipsに相当する関節がありません');
+  }
+
+  const tracksByName = new Map(clip.tracks.map((track) => [track.name, track]));
+  const localTracks = bones.map((bone) => tracksByName.get(`${bone.name}.quaternion`));
+  const { times } = localTracks[0];
+  const frameCount = times.length;
+
+  // Parent of each mapped VRM bone, skipping VRM bones the BVH doesn't have
+  const mapped = Object.keys(boneIndices);
+  const mappedParents = mapped.map((boneName) => {
+    let parent = VRMHumanBoneParentMap[boneName];
+    while (parent && boneIndices[parent] === undefined) {
+      parent = VRMHumanBoneParentMap[parent];
+    }
+    return parent ? boneIndices[parent] : -1;
+  });
+
+  const values = mapped.map(() => new Float32Array(frameCount * 4));
+  const world = bones.map(() => new THREE.Quaternion());
+  const local = new THREE.Quaternion();
+  for (let frame = 0; frame < frameCount; frame++) {
+    // Bones are listed parents first
+    bones.forEach((bone, i) => {
+      const track = localTracks[i];
+      if (track) {
+        local.fromArray(track.values, frame * 4);
+      } else {
+        local.identity();
+      }
+      if (parentIndices[i] >= 0) {
+        world[i].multiplyQuaternions(world[parentIndices[i]], local);
+      } else {
+        world[i].copy(local);
+      }
+    });
+    mapped.forEach((boneName, k) => {
+      local.copy(world[boneIndices[boneName]]);
+      if (mappedParents[k] >= 0) {
+        local.premultiply(_parentInverse.copy(world[mappedParents[k]]).invert());
+      }
+      local.toArray(values[k], frame * 4);
+    });
+  }
+
+  const vrmAnimation = new VRMAnimation();
+  vrmAnimation.duration = clip.duration;
+  mapped.forEach((boneName, k) => {
+    vrmAnimation.humanoidTracks.rotation.set(
+      boneName,
+      new THREE.QuaternionKeyframeTrack(`${boneName}.quaternion`, times, values[k])
+    );
+  });
+
+  // Hips translation relative to the first frame, on top of the rest height
+  // (hips to lowest foot), so clips play in place at the model's position
+  const legLength = restLegLength(bones, boneIndices);
+  const hipsTrack = tracksByName.get(`${bones[boneIndices.hips].name}.position`);
+  if (hipsTrack && legLength > 0) {
+    const start = hipsTrack.values.slice(0, 3);
+    const positions = hipsTrack.values.map((v, i) => (i % 3 === 1 ? legLength : 0) + v - start[i % 3]);
+    vrmAnimation.restHipsPosition.set(0, legLength, 0);
+    vrmAnimation.humanoidTracks.translation.set(
+      'hips',
+      new THREE.VectorKeyframeTrack('hips.position', hipsTrack.times, positions)
+    );
+  }
+
+  return vrmAnimation;
+}
+
+// VRM bone name -> index of the BVH joint it follows
+function mapBVHBones(bones) {
+  const names = bones.map((bone) => normalizeJointName(bone.name));
+  const indices = {};
+  Object.entries(BVH_BONE_ALIASES).forEach(([boneName, aliases]) => {
+    const sides = boneName.startsWith('%') ? ['left', 'right'] : [null];
+    sides.forEach((side) => {
+      const candidates = side
+        ? aliases.flatMap((alias) => SIDE_PREFIXES[side].map((prefix) => alias.replace('%', prefix)))
+        : aliases;
+      const index = candidates.map((name) => names.indexOf(name)).find((i) => i >= 0);
+      if (index !== undefined) {
+        indices[side ? `${side}${boneName.slice(1)}` : boneName] = index;
+      }
+    });
+  });
+  return indices;
+}
+
+function normalizeJointName(name) {
+  // Drop namespaces like "mixamorig:"
+  return name.slice(name.lastIndexOf(':') + 1).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function restLegLength(bones, boneIndices) {
+  bones[0].updateMatrixWorld(true);
+  const hipsY = bones[boneIndices.hips].getWorldPosition(new THREE.Vector3()).y;
+  const feet = ['leftFoot', 'rightFoot', 'leftToes', 'rightToes']
+    .filter((boneName) => boneIndices[boneName] !== undefined)
+    .map((boneName) => bones[boneIndices[boneName]].getWorldPosition(new THREE.Vector3()).y);
+  return feet.length > 0 ? hipsY - Math.min(...feet) : 0;
+}
+
+function fingerAliases(vrmFinger, bvhFinger) {
+  return {
+    [`%${vrmFinger}Proximal`]: [`%hand${bvhFinger}1`, `%${bvhFinger}1`],
+    [`%${vrmFinger}Intermediate`]: [`%hand${bvhFinger}2`, `%${bvhFinger}2`],
+    [`%${vrmFinger}Distal`]: [`%hand${bvhFinger}3`, `%${bvhFinger}3`],
+  };
+}
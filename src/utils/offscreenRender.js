@@ -0,0 +1,95 @@
+import * as THREE from 'three';
+
+// Three.js renders into render targets in linear color and without tone
+// mapping, so a second pass applies the renderer's tone mapping and exposure
+// and encodes to sRGB before the pixels are read back
+const ENCODE_VERTEX_SHADER = `
+varying vec2 vUv;
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`;
+
+// toneMappingExposure is set by the renderer for every material
+const ENCODE_FRAGMENT_SHADER = `
+#include <tonemapping_pars_fragment>
+uniform sampler2D map;
+varying vec2 vUv;
+void main() {
+  vec4 color = texture2D(map, vUv);
+#ifdef TONE_MAPPING_FUNCTION
+  color.rgb = TONE_MAPPING_FUNCTION(color.rgb);
+#endif
+  gl_FragColor = vec4(sRGBTransferOETF(color).rgb, color.a);
+}
+`;
+
+// Functions of the tonemapping chunk by renderer.toneMapping
+const TONE_MAPPING_FUNCTIONS = {
+  [THREE.LinearToneMapping]: 'LinearToneMapping',
+  [THREE.ReinhardToneMapping]: 'ReinhardToneMapping',
+  [THREE.CineonToneMapping]: 'OptimizedCineonToneMapping',
+  [THREE.ACESFilmicToneMapping]: 'ACESFilmicToneMapping',
+};
+
+// Render the scene offscreen at any size, independent of the on-page canvas.
+// Returns a 2D canvas with the render on a transparent background.
+export const renderToCanvas = (renderer, scene, camera, width, height) => {
+  if (!(width > 0 && height > 0)) {
+    throw new Error('幅と高さを指定してください');
+  }
+  const maxSize = renderer.capabilities.maxTextureSize;
+  if (width > maxSize || height > maxSize) {
+    throw new Error(`最大サイズは${maxSize}pxです`);
+  }
+
+  const linearTarget = new THREE.WebGLRenderTarget(width, height, { type: THREE.HalfFloatType, samples: 4 });
+  const encodedTarget = new THREE.WebGLRenderTarget(width, height);
+  const shotCamera = camera.clone();
+  shotCamera.aspect = width / height;
+  shotCamera.updateProjectionMatrix();
+
+  const toneMappingFunction = TONE_MAPPING_FUNCTIONS[renderer.toneMapping];
+  const encodeMaterial = new THREE.ShaderMaterial({
+    defines: toneMappingFunction ? { TONE_MAPPING_FUNCTION: toneMappingFunction } : {},
+    uniforms: { map: { value: linearTarget.texture } },
+    vertexShader: ENCODE_VERTEX_SHADER,
+    fragmentShader: ENCODE_FRAGMENT_SHADER,
+    depthTest: false,
+    depthWrite: false,
+  });
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), encodeMaterial);
+  quad.frustumCulled = false;
+
+  const previousTarget = renderer.getRenderTarget();
+  const pixels = new Uint8Array(width * height * 4);
+  try {
+    renderer.setRenderTarget(linearTarget);
+    renderer.clear();
+    renderer.render(scene, shotCamera);
+    renderer.setRenderTarget(encodedTarget);
+    renderer.clear();
+    renderer.render(quad, shotCamera);
+    renderer.readRenderTargetPixels(encodedTarget, 0, 0, width, height, pixels);
+  } finally {
+    renderer.setRenderTarget(previousTarget);
+    linearTarget.dispose();
+    encodedTarget.dispose();
+    encodeMaterial.dispose();
+    quad.geometry.dispose();
+  }
+
+  // WebGL rows run bottom to top
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(width, height);
+  const rowLength = width * 4;
+  for (let y = 0; y < height; y++) {
+    image.data.set(pixels.subarray((height - 1 - y) * rowLength, (height - y) * rowLength), y * rowLength);
+  }
+  context.putImageData(image, 0, 0);
+  return canvas;
+};
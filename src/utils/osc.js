@@ -0,0 +1,169 @@
+// Minimal OSC 1.0 codec for the VMC protocol. Messages are
+// { address, args } with args as JS values; numbers are sent as float32
+// unless wrapped as { type: 'i', value }.
+
+const BUNDLE_TAG = '#bundle';
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Encode messages as a single OSC bundle (timetag "immediately")
+export const encodeBundle = (messages) => {
+  const elements = messages.map(encodeMessage);
+  const size = 16 + elements.reduce((sum, element) => sum + 4 + element.length, 0);
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  bytes.set(textEncoder.encode(BUNDLE_TAG));
+  view.setUint32(8, 0);
+  view.setUint32(12, 1);
+  let offset = 16;
+  elements.forEach((element) => {
+    view.setInt32(offset, element.length);
+    bytes.set(element, offset + 4);
+    offset += 4 + element.length;
+  });
+  return bytes;
+};
+
+export const encodeMessage = ({ address, args = [] }) => {
+  const tags = args.map(argType);
+  const parts = [encodeString(address), encodeString(`,${tags.join('')}`)];
+  args.forEach((arg, i) => {
+    const value = typeof arg === 'object' && arg !== null ? arg.value : arg;
+    switch (tags[i]) {
+      case 'i': {
+        const part = new Uint8Array(4);
+        new DataView(part.buffer).setInt32(0, value);
+        parts.push(part);
+        break;
+      }
+      case 'f': {
+        const part = new Uint8Array(4);
+        new DataView(part.buffer).setFloat32(0, value);
+        parts.push(part);
+        break;
+      }
+      case 's':
+        parts.push(encodeString(value));
+        break;
+      default:
+        // T and F carry no data
+        break;
+    }
+  });
+  return concat(parts);
+};
+
+// Decode an OSC packet (message or bundle) into a flat list of messages.
+// Throws an Error on malformed packets.
+export const decodePacket = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const messages = [];
+  decodeInto(bytes, messages);
+  return messages;
+};
+
+function decodeInto(bytes, messages) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const [head] = readString(bytes, 0);
+  if (head === BUNDLE_TAG) {
+    let offset = 16;
+    while (offset < bytes.length) {
+      const size = view.getInt32(offset);
+      if (size < 0 || offset + 4 + size > bytes.length) throw new Error('Invalid OSC bundle element size');
+      decodeInto(bytes.subarray(offset + 4, offset + 4 + size), messages);
+      offset += 4 + size;
+    }
+    return;
+  }
+
+  const [address, tagOffset] = readString(bytes, 0);
+  if (!address.startsWith('/')) throw new Error(`Invalid OSC address: ${address}`);
+  if (tagOffset >= bytes.length) {
+    messages.push({ address, args: [] });
+    return;
+  }
+  const [tags, argOffset] = readString(bytes, tagOffset);
+  const args = [];
+  let offset = argOffset;
+  for (const tag of tags.slice(1)) {
+    switch (tag) {
+      case 'i':
+        args.push(view.getInt32(offset));
+        offset += 4;
+        break;
+      case 'f':
+        args.push(view.getFloat32(offset));
+        offset += 4;
+        break;
+      case 'd':
+        args.push(view.getFloat64(offset));
+        offset += 8;
+        break;
+      case 'h':
+        args.push(Number(view.getBigInt64(offset)));
+        offset += 8;
+        break;
+      case 's': {
+        const [value, next] = readString(bytes, offset);
+        args.push(value);
+        offset = next;
+        break;
+      }
+      case 'b': {
+        const size = view.getInt32(offset);
+        args.push(bytes.slice(offset + 4, offset + 4 + size));
+        offset += 4 + padded(size);
+        break;
+      }
+      case 'T':
+        args.push(true);
+        break;
+      case 'F':
+        args.push(false);
+        break;
+      case 'N':
+        args.push(null);
+        break;
+      default:
+        throw new Error(`Unsupported OSC type tag: ${tag}`);
+    }
+    if (offset > bytes.length) throw new Error('Truncated OSC message');
+  }
+  messages.push({ address, args });
+}
+
+function argType(arg) {
+  if (typeof arg === 'object' && arg !== null) return arg.type;
+  if (typeof arg === 'string') return 's';
+  if (typeof arg === 'boolean') return arg ? 'T' : 'F';
+  return 'f';
+}
+
+// Null-terminated, padded to a multiple of 4 bytes
+function encodeString(value) {
+  const encoded = textEncoder.encode(value);
+  const part = new Uint8Array(padded(encoded.length + 1));
+  part.set(encoded);
+  return part;
+}
+
+function readString(bytes, offset) {
+  let end = offset;
+  while (end < bytes.length && bytes[end] !== 0) end++;
+  if (end >= bytes.length) throw new Error('Unterminated OSC string');
+  return [textDecoder.decode(bytes.subarray(offset, end)), offset + padded(end - offset + 1)];
+}
+
+function padded(size) {
+  return Math.ceil(size / 4) * 4;
+}
+
+function concat(parts) {
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+}
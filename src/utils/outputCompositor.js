@@ -0,0 +1,61 @@
+// Composites the background and the rendered avatar into one 2D canvas at a
+// fixed output resolution, for capture as a MediaStream. Only the stage is
+// drawn; the settings UI never reaches this canvas.
+export const createOutputCompositor = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  const background = { transparent: true, color: '#000000', imageUrl: null, image: null };
+
+  return {
+    canvas,
+    // Returns a promise that resolves once the background image is decoded
+    setBackground({ transparent, color, imageUrl }) {
+      background.transparent = transparent;
+      background.color = color;
+      if (imageUrl === background.imageUrl) return Promise.resolve();
+      background.imageUrl = imageUrl;
+      background.image = null;
+      if (!imageUrl) return Promise.resolve();
+      const image = new Image();
+      image.src = imageUrl;
+      return image.decode().then(() => {
+        if (background.imageUrl === imageUrl) background.image = image;
+      });
+    },
+    draw(source) {
+      context.clearRect(0, 0, width, height);
+      if (!background.transparent) {
+        if (background.image) {
+          drawCover(context, background.image, background.image.naturalWidth, background.image.naturalHeight, width, height);
+        } else {
+          context.fillStyle = background.color;
+          context.fillRect(0, 0, width, height);
+        }
+      }
+      if (source.width > 0 && source.height > 0) {
+        drawCover(context, source, source.width, source.height, width, height);
+      }
+    },
+  };
+};
+
+// Scale the image to fill the output and crop the overflow evenly, like
+// CSS background-size: cover
+function drawCover(context, image, imageWidth, imageHeight, width, height) {
+  const scale = Math.max(width / imageWidth, height / imageHeight);
+  const cropWidth = width / scale;
+  const cropHeight = height / scale;
+  context.drawImage(
+    image,
+    (imageWidth - cropWidth) / 2,
+    (imageHeight - cropHeight) / 2,
+    cropWidth,
+    cropHeight,
+    0,
+    0,
+    width,
+    height
+  );
+}
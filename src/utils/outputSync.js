@@ -0,0 +1,80 @@
+// Sync between the main window and the /output view. The main window posts
+// the posed avatar and the camera every frame and the scene layout when it changes; the
+// output view loads the same VRM from IndexedDB and copies the pose.
+
+export const OUTPUT_CHANNEL = 'webvrm-output';
+export const OUTPUT_PATH = '/output';
+
+export const OUTPUT_RESOLUTIONS = [
+  { id: '1920x1080', width: 1920, height: 1080 },
+  { id: '1280x720', width: 1280, height: 720 },
+  { id: '1080x1920', width: 1080, height: 1920 },
+];
+
+export const isOutputView = () => window.location.pathname.replace(/\/$/, '').endsWith(OUTPUT_PATH);
+
+export const outputViewUrl = () => new URL(OUTPUT_PATH, window.location.origin).href;
+
+// Snapshot of everything the animation drives: model transform, normalized
+// bone rotations, hips position, expression weights and eye direction
+export const capturePose = (vrm) => {
+  const { scene, humanoid, expressionManager, lookAt } = vrm;
+  const bones = {};
+  Object.keys(humanoid.humanBones).forEach((boneName) => {
+    const node = humanoid.getNormalizedBoneNode(boneName);
+    if (node) bones[boneName] = node.quaternion.toArray();
+  });
+  const hips = humanoid.getNormalizedBoneNode('hips');
+  const expressions = {};
+  if (expressionManager) {
+    Object.keys(expressionManager.expressionMap).forEach((name) => {
+      expressions[name] = expressionManager.getValue(name);
+    });
+  }
+  return {
+    position: scene.position.toArray(),
+    scale: scene.scale.x,
+    rotation: scene.rotation.y,
+    bones,
+    hips: hips ? hips.position.toArray() : null,
+    expressions,
+    lookAt: lookAt ? [lookAt.yaw, lookAt.pitch] : null,
+  };
+};
+
+// The stage camera, so the view frames the avatar like the main window
+export const captureCamera = (camera) => ({
+  position: camera.position.toArray(),
+  quaternion: camera.quaternion.toArray(),
+  fov: camera.fov,
+});
+
+export const applyCamera = (camera, view) => {
+  camera.position.fromArray(view.position);
+  camera.quaternion.fromArray(view.quaternion);
+  if (camera.fov !== view.fov) {
+    camera.fov = view.fov;
+    camera.updateProjectionMatrix();
+  }
+};
+
+export const applyPose = (vrm, pose) => {
+  const { scene, humanoid, expressionManager, lookAt } = vrm;
+  scene.position.fromArray(pose.position);
+  scene.scale.setScalar(pose.scale);
+  scene.rotation.y = pose.rotation;
+  Object.entries(pose.bones).forEach(([boneName, rotation]) => {
+    const node = humanoid.getNormalizedBoneNode(boneName);
+    if (node) node.quaternion.fromArray(rotation);
+  });
+  const hips = humanoid.getNormalizedBoneNode('hips');
+  if (hips && pose.hips) hips.position.fromArray(pose.hips);
+  if (expressionManager) {
+    Object.entries(pose.expressions).forEach(([name, weight]) => {
+      expressionManager.setValue(name, weight);
+    });
+  }
+  if (lookAt && pose.lookAt) {
+    [lookAt.yaw, lookAt.pitch] = pose.lookAt;
+  }
+};
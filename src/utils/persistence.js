@@ -0,0 +1,180 @@
+// Persistence of app state across sessions. Small state lives in localStorage
+// under a schema version; the VRM file itself goes to IndexedDB.
+
+const STATE_KEY = 'webvrm:state';
+export const SCHEMA_VERSION = 2;
+
+// MIGRATIONS[n] upgrades a stored state from version n to n + 1. Add an entry
+// (and bump SCHEMA_VERSION) whenever the stored shape changes incompatibly.
+const MIGRATIONS = {
+  // The face smoothing slider became per-part filter presets
+  1: (state) => ({
+    ...state,
+    settings: migrateSmoothing(state.settings),
+    profiles: (state.profiles || []).map((profile) => ({ ...profile, settings: migrateSmoothing(profile.settings) })),
+  }),
+};
+
+const DB_NAME = 'webvrm';
+const DB_VERSION = 1;
+const FILE_STORE = 'files';
+const VRM_KEY = 'vrm';
+const LIBRARY_PREFIX = 'library:';
+const MOTION_PREFIX = 'motion:';
+
+// Load the stored state, migrated to the current schema. Returns null when
+// nothing is stored or the stored state can't be upgraded.
+export const loadState = () => {
+  try {
+    const raw = localStorage.getItem(STATE_KEY);
+    if (!raw) return null;
+    let state = JSON.parse(raw);
+    let version = state.version || 0;
+    while (version < SCHEMA_VERSION) {
+      const migrate = MIGRATIONS[version];
+      if (!migrate) return null;
+      state = migrate(state);
+      version++;
+    }
+    if (version > SCHEMA_VERSION) return null;
+    return { ...state, version };
+  } catch (error) {
+    console.error('Failed to load saved state:', error);
+    return null;
+  }
+};
+
+export const saveState = (state) => {
+  try {
+    localStorage.setItem(STATE_KEY, JSON.stringify({ ...state, version: SCHEMA_VERSION }));
+  } catch (error) {
+    console.error('Failed to save state:', error);
+  }
+};
+
+export const clearState = () => {
+  localStorage.removeItem(STATE_KEY);
+};
+
+// Merge stored values over defaults, one level deep, so settings added in
+// newer versions pick up their defaults
+export const mergeWithDefaults = (defaults, stored) => {
+  if (!stored) return defaults;
+  const merged = { ...defaults };
+  Object.keys(defaults).forEach((key) => {
+    if (!(key in stored)) return;
+    const value = defaults[key];
+    merged[key] = isPlainObject(value) && isPlainObject(stored[key])
+      ? { ...value, ...stored[key] }
+      : stored[key];
+  });
+  return merged;
+};
+
+// Save the current VRM file. It is also kept in a library by file name so
+// profiles can switch back to it later.
+// Resolves with an id for this save, which tells readers (the /output view)
+// that the stored model changed even when the name did not.
+export const saveVrmFile = async (file) => {
+  const db = await openDatabase();
+  const store = db.transaction(FILE_STORE, 'readwrite').objectStore(FILE_STORE);
+  const saveId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  const record = { name: file.name, blob: file, saveId };
+  await Promise.all([
+    request(store.put(record, VRM_KEY)),
+    request(store.put(record, `${LIBRARY_PREFIX}${file.name}`)),
+  ]);
+  db.close();
+  return saveId;
+};
+
+// Returns { name, blob, saveId } or null
+export const loadVrmFile = async () => {
+  const db = await openDatabase();
+  const record = await request(db.transaction(FILE_STORE, 'readonly').objectStore(FILE_STORE).get(VRM_KEY));
+  db.close();
+  return record || null;
+};
+
+// Returns the library entry { name, blob } for a file name, or null
+export const loadVrmFromLibrary = async (name) => {
+  const db = await openDatabase();
+  const record = await request(db.transaction(FILE_STORE, 'readonly').objectStore(FILE_STORE)
+    .get(`${LIBRARY_PREFIX}${name}`));
+  db.close();
+  return record || null;
+};
+
+// Motion clip files, keyed by clip id
+export const saveMotionFile = async (id, file) => {
+  const db = await openDatabase();
+  await request(db.transaction(FILE_STORE, 'readwrite').objectStore(FILE_STORE)
+    .put({ name: file.name, blob: file }, `${MOTION_PREFIX}${id}`));
+  db.close();
+};
+
+// Returns { name, blob } or null
+export const loadMotionFile = async (id) => {
+  const db = await openDatabase();
+  const record = await request(db.transaction(FILE_STORE, 'readonly').objectStore(FILE_STORE)
+    .get(`${MOTION_PREFIX}${id}`));
+  db.close();
+  return record || null;
+};
+
+export const deleteMotionFile = async (id) => {
+  const db = await openDatabase();
+  await request(db.transaction(FILE_STORE, 'readwrite').objectStore(FILE_STORE).delete(`${MOTION_PREFIX}${id}`));
+  db.close();
+};
+
+// Remove the current VRM file, the whole library and all motion clips
+export const clearVrmFiles = async () => {
+  const db = await openDatabase();
+  await request(db.transaction(FILE_STORE, 'readwrite').objectStore(FILE_STORE).clear());
+  db.close();
+};
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(DB_NAME, DB_VERSION);
+    open.onupgradeneeded = () => {
+      open.result.createObjectStore(FILE_STORE);
+    };
+    open.onsuccess = () => resolve(open.result);
+    open.onerror = () => reject(open.error);
+  });
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Filter presets from least to most smoothing
+const SMOOTHING_PRESETS = ['off', 'responsive', 'balanced', 'smooth'];
+
+// trackingSmoothing (0-1, a lerp weight on the head angles) picks the
+// preset; trackingSpeed (how fast the head followed, 1 = as tracked) moves
+// it a step toward responsive when faster or toward smooth when slower.
+// Filtering is only turned off for a smoothing of 0.
+function migrateSmoothing(settings) {
+  if (!isPlainObject(settings)) return settings;
+  if (settings.trackingSmoothing === undefined && settings.trackingSpeed === undefined) return settings;
+  const { trackingSmoothing = 0.5, trackingSpeed = 1, ...rest } = settings;
+  let level = 2;
+  if (!(trackingSmoothing > 0)) level = 0;
+  else if (trackingSmoothing < 0.4) level = 1;
+  else if (trackingSmoothing > 0.6) level = 3;
+  if (trackingSpeed > 1.25) level -= 1;
+  else if (trackingSpeed < 0.8) level += 1;
+  const min = trackingSmoothing > 0 ? 1 : 0;
+  const preset = SMOOTHING_PRESETS[Math.min(Math.max(level, min), SMOOTHING_PRESETS.length - 1)];
+  return { ...rest, trackingFilters: { head: preset, expression: preset, body: preset, hands: preset } };
+}
@@ -0,0 +1,94 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { SCHEMA_VERSION, loadState, mergeWithDefaults, saveState } from './persistence';
+
+const STATE_KEY = 'webvrm:state';
+
+// What a version 1 build saved: face smoothing and a head speed instead of
+// per-part filter presets
+const v1State = (settings = {}) => ({
+  version: 1,
+  settings: { mirrorMode: false, trackingSmoothing: 0.5, trackingSpeed: 1, ...settings },
+  modelTransform: { position: { x: 0, y: -0.5, z: 0 }, scale: 1.2, rotation: 180 },
+  backgroundColor: '#00ff00',
+  profiles: [{ name: 'Gaming corner', settings: { trackingSmoothing: 0.8, trackingSpeed: 1 } }],
+});
+
+const allParts = (preset) => ({ head: preset, expression: preset, body: preset, hands: preset });
+
+const stored = (state) => {
+  localStorage.setItem(STATE_KEY, JSON.stringify(state));
+  return loadState();
+};
+
+describe('loadState', () => {
+  beforeEach(() => {
+    const items = new Map();
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: (key) => items.delete(key),
+    });
+  });
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('returns null when nothing is stored', () => {
+    expect(loadState()).toBeNull();
+  });
+
+  it('migrates a version 1 state to the current shape', () => {
+    const state = stored(v1State());
+    expect(state.version).toBe(SCHEMA_VERSION);
+    expect(state.settings).toEqual({ mirrorMode: false, trackingFilters: allParts('balanced') });
+    expect(state.profiles[0].settings).toEqual({ trackingFilters: allParts('smooth') });
+    // Everything else is kept as it was
+    expect(state.modelTransform).toEqual(v1State().modelTransform);
+    expect(state.backgroundColor).toBe('#00ff00');
+  });
+
+  it('picks the filter preset from the old smoothing', () => {
+    expect(stored(v1State({ trackingSmoothing: 0 })).settings.trackingFilters).toEqual(allParts('off'));
+    expect(stored(v1State({ trackingSmoothing: 0.2 })).settings.trackingFilters).toEqual(allParts('responsive'));
+    expect(stored(v1State({ trackingSmoothing: 0.9 })).settings.trackingFilters).toEqual(allParts('smooth'));
+  });
+
+  it('replaces trackingSpeed with a step toward responsive or smooth', () => {
+    expect(stored(v1State({ trackingSpeed: 2 })).settings.trackingFilters).toEqual(allParts('responsive'));
+    expect(stored(v1State({ trackingSpeed: 0.5 })).settings.trackingFilters).toEqual(allParts('smooth'));
+    // A faster head never turns filtering off that was on
+    expect(stored(v1State({ trackingSmoothing: 0.2, trackingSpeed: 2 })).settings.trackingFilters).toEqual(allParts('responsive'));
+    // A slower head adds filtering that was off
+    expect(stored(v1State({ trackingSmoothing: 0, trackingSpeed: 0.5 })).settings.trackingFilters).toEqual(allParts('responsive'));
+    expect(stored(v1State({ trackingSmoothing: undefined, trackingSpeed: 2 })).settings.trackingFilters).toEqual(allParts('responsive'));
+    expect(stored(v1State()).settings).not.toHaveProperty('trackingSpeed');
+  });
+
+  it('migrates a version 1 state without profiles', () => {
+    const { profiles, ...state } = v1State();
+    expect(stored(state).profiles).toEqual([]);
+  });
+
+  it('loads a current state as saved', () => {
+    saveState({ settings: { trackingFilters: allParts('smooth') } });
+    expect(loadState()).toEqual({ version: SCHEMA_VERSION, settings: { trackingFilters: allParts('smooth') } });
+  });
+
+  it('gives up on states it cannot read or upgrade', () => {
+    expect(stored({ settings: {} })).toBeNull();
+    expect(stored({ version: SCHEMA_VERSION + 1, settings: {} })).toBeNull();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.setItem(STATE_KEY, '{');
+    expect(loadState()).toBeNull();
+  });
+});
+
+describe('mergeWithDefaults', () => {
+  it('fills in settings added since the state was saved, one level deep', () => {
+    const defaults = { mirrorMode: true, lipSyncSensitivity: 0.7, trackingFilters: allParts('balanced') };
+    const merged = mergeWithDefaults(defaults, { mirrorMode: false, trackingFilters: { head: 'smooth' }, removed: 1 });
+    expect(merged).toEqual({
+      mirrorMode: false,
+      lipSyncSensitivity: 0.7,
+      trackingFilters: { ...allParts('balanced'), head: 'smooth' },
+    });
+  });
+});
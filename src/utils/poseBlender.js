@@ -0,0 +1,49 @@
+// Frame-rate independent smoothing of the avatar toward its tracking target.
+// Tracking results arrive slower than the display refreshes; blending each
+// frame by blendFactor() hides the steps without depending on frame rate.
+
+// Share of the remaining distance to cover this frame, for an exponential
+// approach with the given time constant (seconds)
+export const blendFactor = (delta, timeConstant) => (timeConstant > 0 ? 1 - Math.exp(-delta / timeConstant) : 1);
+
+// Blended state per key (bone or expression name). The blended values are
+// kept here rather than read back from the bones, since motion clips and VMC
+// overwrite the bones after tracking each frame.
+export const createPoseBlender = () => {
+  const rotations = new Map();
+  const values = new Map();
+
+  const blendValue = (key, target, alpha) => {
+    const current = values.has(key) ? values.get(key) + (target - values.get(key)) * alpha : target;
+    values.set(key, current);
+    return current;
+  };
+
+  return {
+    // Blend the stored rotation for `key` toward `target`; returns it
+    rotation(key, target, alpha) {
+      const current = rotations.get(key);
+      if (!current) {
+        const initial = target.clone();
+        rotations.set(key, initial);
+        return initial;
+      }
+      return current.slerp(target, alpha);
+    },
+    // Same for a number
+    value: blendValue,
+    // Same for each value of a {name: number} map, keyed under `prefix`
+    valueMap(prefix, targets, alpha) {
+      const blended = {};
+      Object.entries(targets).forEach(([name, target]) => {
+        blended[name] = blendValue(`${prefix}${name}`, target, alpha);
+      });
+      return blended;
+    },
+    reset() {
+      rotations.clear();
+      values.clear();
+    },
+  };
+};
+
@@ -0,0 +1,167 @@
+import { MAPPING_CURVES } from './expressionMapping';
+import { DEFAULT_LIGHTING, LIGHTING_PRESETS, parseLightingPatch } from './lighting';
+
+// Named scene profiles and their JSON export format
+
+export const PROFILE_FILE_VERSION = 1;
+// Profiles reachable with the number keys 1-9
+export const MAX_PROFILE_HOTKEYS = 9;
+// Largest profile file accepted (bytes); real ones are a few KB per profile
+export const MAX_PROFILE_FILE_SIZE = 1024 * 1024;
+
+// Export profiles as a JSON file body
+export const exportProfiles = (profiles) => JSON.stringify({
+  app: 'webvrm',
+  version: PROFILE_FILE_VERSION,
+  profiles,
+}, null, 2);
+
+// Parse and validate an exported profile file. Settings are checked against
+// the shape of `defaultSettings`. Throws an Error describing the first problem
+// found; returns the list of profiles otherwise.
+export const parseProfiles = (text, defaultSettings) => {
+  if (new TextEncoder().encode(text).length > MAX_PROFILE_FILE_SIZE) {
+    throw new Error(profileFileTooLarge());
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('JSONとして読み込めません');
+  }
+
+  if (!isObject(data) || data.app !== 'webvrm') {
+    throw new Error('WebVRMのプロファイルファイルではありません');
+  }
+  if (data.version !== PROFILE_FILE_VERSION) {
+    throw new Error(`未対応のバージョンです: ${data.version}`);
+  }
+  if (!Array.isArray(data.profiles)) {
+    throw new Error('profilesが配列ではありません');
+  }
+
+  return data.profiles.map((profile, index) => validateProfile(profile, index, defaultSettings));
+};
+
+export const profileFileTooLarge = () => `ファイルが大きすぎます (最大${MAX_PROFILE_FILE_SIZE / 1024 / 1024}MB)`;
+
+// Insert or replace a profile by name
+export const upsertProfile = (profiles, profile) => {
+  const index = profiles.findIndex((p) => p.name === profile.name);
+  if (index < 0) return [...profiles, profile];
+  return profiles.map((p, i) => (i === index ? profile : p));
+};
+
+function validateProfile(profile, index, defaultSettings) {
+  const where = `プロファイル${index + 1}`;
+  if (!isObject(profile)) throw new Error(`${where}: オブジェクトではありません`);
+  if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+    throw new Error(`${where}: 名前がありません`);
+  }
+
+  const { model, browser } = profile;
+  if (!isObject(profile.settings)) throw new Error(`${where}: settingsがありません`);
+  if (!isObject(model) || !isVector(model.position, ['x', 'y', 'z'])
+    || !isFiniteNumber(model.scale) || !isFiniteNumber(model.rotation)) {
+    throw new Error(`${where}: modelが不正です`);
+  }
+  if (typeof profile.backgroundColor !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(profile.backgroundColor)) {
+    throw new Error(`${where}: backgroundColorが不正です`);
+  }
+  if (!isObject(browser) || typeof browser.url !== 'string' || typeof browser.visible !== 'boolean'
+    || !isVector(browser.position, ['x', 'y']) || !isVector(browser.size, ['width', 'height'])) {
+    throw new Error(`${where}: browserが不正です`);
+  }
+  if (profile.vrmName != null && typeof profile.vrmName !== 'string') {
+    throw new Error(`${where}: vrmNameが不正です`);
+  }
+
+  return {
+    name: profile.name.trim(),
+    vrmName: profile.vrmName || null,
+    settings: validateSettings(profile.settings, defaultSettings, where),
+    model: {
+      position: { x: model.position.x, y: model.position.y, z: model.position.z },
+      scale: model.scale,
+      rotation: model.rotation,
+    },
+    backgroundColor: profile.backgroundColor,
+    browser: {
+      url: browser.url,
+      visible: browser.visible,
+      position: { x: browser.position.x, y: browser.position.y },
+      size: { width: browser.size.width, height: browser.size.height },
+    },
+  };
+}
+
+// Keys the defaults don't have are dropped (files from other versions);
+// known keys must hold a value of the default's type. Plain objects are
+// checked the same way one level down.
+function validateSettings(settings, defaults, where) {
+  const result = {};
+  Object.entries(settings).forEach(([key, value]) => {
+    if (!(key in defaults)) return;
+    const fail = () => {
+      throw new Error(`${where}: settings.${key}が不正です`);
+    };
+    if (key === 'expressionMappings') {
+      if (!Array.isArray(value) || !value.every(isExpressionMapping)) fail();
+      result[key] = value.map(({ source, target, weight, curve, min, max }) => ({ source, target, weight, curve, min, max }));
+    } else if (key === 'lighting') {
+      result[key] = validateLighting(value, fail);
+    } else if (isObject(defaults[key])) {
+      if (!isObject(value)) fail();
+      result[key] = {};
+      Object.entries(value).forEach(([field, fieldValue]) => {
+        if (!(field in defaults[key])) return;
+        if (!isSameType(fieldValue, defaults[key][field])) fail();
+        result[key][field] = fieldValue;
+      });
+    } else if (isSameType(value, defaults[key])) {
+      result[key] = value;
+    } else {
+      fail();
+    }
+  });
+  return result;
+}
+
+function validateLighting(value, fail) {
+  if (!isObject(value)) fail();
+  const { preset = null, ...fields } = value;
+  if (preset !== null && !Object.prototype.hasOwnProperty.call(LIGHTING_PRESETS, preset)) fail();
+  const known = Object.fromEntries(Object.entries(fields).filter(([field]) => field in DEFAULT_LIGHTING));
+  try {
+    return { ...parseLightingPatch(known), preset };
+  } catch (error) {
+    return fail();
+  }
+}
+
+function isExpressionMapping(mapping) {
+  return isObject(mapping)
+    && typeof mapping.source === 'string' && typeof mapping.target === 'string'
+    && isFiniteNumber(mapping.weight)
+    && Object.prototype.hasOwnProperty.call(MAPPING_CURVES, mapping.curve)
+    && isFiniteNumber(mapping.min) && isFiniteNumber(mapping.max) && mapping.min <= mapping.max;
+}
+
+// A null default (nothing chosen) also takes a string
+function isSameType(value, fallback) {
+  if (fallback === null) return value === null || typeof value === 'string';
+  if (typeof fallback === 'number') return isFiniteNumber(value);
+  return typeof value === typeof fallback;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isVector(value, keys) {
+  return isObject(value) && keys.every((key) => isFiniteNumber(value[key]));
+}
@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_LIGHTING } from './lighting';
+import { MAX_PROFILE_FILE_SIZE, PROFILE_FILE_VERSION, exportProfiles, parseProfiles } from './profiles';
+
+// A cut-down DEFAULT_SETTINGS with one key of each kind
+const DEFAULTS = {
+  mirrorMode: true,
+  lipSyncSensitivity: 0.7,
+  trackingQuality: 'full',
+  idleMotionId: null,
+  gestureBindings: { peace: 'expression:happy', fist: 'none' },
+  expressionMappings: [],
+  lighting: DEFAULT_LIGHTING,
+};
+
+const profile = (patch = {}) => ({
+  name: 'Just chatting',
+  vrmName: 'avatar.vrm',
+  settings: { mirrorMode: false, lipSyncSensitivity: 0.5, idleMotionId: 'wave' },
+  model: { position: { x: 0, y: -0.5, z: 0 }, scale: 1, rotation: 180 },
+  backgroundColor: '#00ff00',
+  browser: { url: '', visible: false, position: { x: 20, y: 20 }, size: { width: 400, height: 600 } },
+  ...patch,
+});
+
+const file = (profiles, patch = {}) => JSON.stringify({ app: 'webvrm', version: PROFILE_FILE_VERSION, profiles, ...patch });
+
+describe('parseProfiles', () => {
+  it('reads back exported profiles', () => {
+    const [parsed] = parseProfiles(exportProfiles([profile()]), DEFAULTS);
+    expect(parsed).toEqual(profile());
+  });
+
+  it('rejects files that are not profile files', () => {
+    expect(() => parseProfiles('{', DEFAULTS)).toThrow('JSONとして読み込めません');
+    expect(() => parseProfiles('[]', DEFAULTS)).toThrow('WebVRMのプロファイルファイルではありません');
+    expect(() => parseProfiles(file([], { app: 'other' }), DEFAULTS)).toThrow('WebVRMのプロファイルファイルではありません');
+    expect(() => parseProfiles(file({}), DEFAULTS)).toThrow('profilesが配列ではありません');
+  });
+
+  it('rejects unknown file versions', () => {
+    expect(() => parseProfiles(file([], { version: PROFILE_FILE_VERSION + 1 }), DEFAULTS)).toThrow(`未対応のバージョンです: ${PROFILE_FILE_VERSION + 1}`);
+    expect(() => parseProfiles(file([], { version: undefined }), DEFAULTS)).toThrow('未対応のバージョンです');
+    expect(() => parseProfiles(file([], { version: '1' }), DEFAULTS)).toThrow('未対応のバージョンです');
+  });
+
+  it('rejects files over the size limit', () => {
+    const padding = 'x'.repeat(MAX_PROFILE_FILE_SIZE);
+    expect(() => parseProfiles(file([profile({ name: padding })]), DEFAULTS)).toThrow('ファイルが大きすぎます');
+  });
+
+  it('rejects profiles with missing fields', () => {
+    const missing = (field, message) => {
+      const { [field]: _, ...rest } = profile();
+      expect(() => parseProfiles(file([rest]), DEFAULTS)).toThrow(`プロファイル1: ${message}`);
+    };
+    missing('name', '名前がありません');
+    missing('settings', 'settingsがありません');
+    missing('model', 'modelが不正です');
+    missing('backgroundColor', 'backgroundColorが不正です');
+    missing('browser', 'browserが不正です');
+    expect(() => parseProfiles(file([profile({ model: { ...profile().model, position: { x: 0, y: 0 } } })]), DEFAULTS))
+      .toThrow('modelが不正です');
+  });
+
+  it('names the profile with the problem', () => {
+    expect(() => parseProfiles(file([profile(), profile({ name: ' ' })]), DEFAULTS)).toThrow('プロファイル2: 名前がありません');
+  });
+
+  it('rejects fields of the wrong type', () => {
+    const invalid = (patch, message) => {
+      expect(() => parseProfiles(file([profile(patch)]), DEFAULTS)).toThrow(message);
+    };
+    invalid({ name: 42 }, '名前がありません');
+    invalid({ vrmName: 1 }, 'vrmNameが不正です');
+    invalid({ backgroundColor: 'green' }, 'backgroundColorが不正です');
+    invalid({ model: { ...profile().model, scale: '1' } }, 'modelが不正です');
+    invalid({ browser: { ...profile().browser, visible: 'yes' } }, 'browserが不正です');
+  });
+
+  it('checks settings against the types of the defaults', () => {
+    const invalid = (settings, key) => {
+      expect(() => parseProfiles(file([profile({ settings })]), DEFAULTS)).toThrow(`settings.${key}が不正です`);
+    };
+    invalid({ mirrorMode: 'true' }, 'mirrorMode');
+    invalid({ lipSyncSensitivity: null }, 'lipSyncSensitivity');
+    invalid({ trackingQuality: 2 }, 'trackingQuality');
+    invalid({ idleMotionId: 3 }, 'idleMotionId');
+    invalid({ gestureBindings: 'none' }, 'gestureBindings');
+    invalid({ gestureBindings: { peace: 1 } }, 'gestureBindings');
+    invalid({ expressionMappings: [{ source: 'jawOpen', target: 'aa', weight: 1, curve: 'wobbly', min: 0, max: 1 }] }, 'expressionMappings');
+    invalid({ expressionMappings: [{ source: 'jawOpen', target: 'aa', weight: 1, curve: 'linear', min: 1, max: 0 }] }, 'expressionMappings');
+    invalid({ lighting: { keyIntensity: 'bright' } }, 'lighting');
+    invalid({ lighting: { preset: 'disco' } }, 'lighting');
+  });
+
+  it('drops settings the defaults do not have', () => {
+    const settings = { mirrorMode: false, removedSetting: 1, gestureBindings: { peace: 'none', wave: 'none' } };
+    const [parsed] = parseProfiles(file([profile({ settings })]), DEFAULTS);
+    expect(parsed.settings).toEqual({ mirrorMode: false, gestureBindings: { peace: 'none' } });
+  });
+
+  it('keeps valid lighting and expression mappings', () => {
+    const mapping = { source: 'jawOpen', target: 'aa', weight: 1, curve: 'linear', min: 0, max: 1 };
+    const settings = { lighting: { preset: null, keyIntensity: 99, unknownField: 1 }, expressionMappings: [mapping] };
+    const [parsed] = parseProfiles(file([profile({ settings })]), DEFAULTS);
+    // Lighting values are clamped into range
+    expect(parsed.settings.lighting).toEqual({ preset: null, keyIntensity: 3 });
+    expect(parsed.settings.expressionMappings).toEqual([mapping]);
+  });
+});
@@ -0,0 +1,105 @@
+// Reaction rules: incoming stream events (chat, follows, donations) trigger
+// avatar responses. Events are { type, user, message, amount }.
+
+export const REACTION_EVENT_TYPES = {
+  chat: 'チャット',
+  follow: 'フォロー',
+  donation: '投げ銭',
+};
+
+export const REACTION_ACTION_TYPES = {
+  expression: '表情',
+  motion: 'モーション',
+  prop: 'プロップ',
+  speech: '読み上げ',
+};
+
+export const REACTION_PROPS = ['❤️', '⭐', '🎉', '👏', '🌸', '💰', '😂', '✨'];
+
+// Seconds an expression or prop stays when a rule doesn't say
+export const DEFAULT_REACTION_DURATION = 3;
+
+const DEFAULT_ACTION = {
+  type: 'expression',
+  expression: 'happy',
+  motionId: null,
+  prop: REACTION_PROPS[0],
+  // {user}, {message} and {amount} are filled in from the event
+  text: '{user}さん、ありがとう！',
+  duration: DEFAULT_REACTION_DURATION,
+};
+
+export const createReactionRule = (eventType = 'chat') => ({
+  id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  enabled: true,
+  event: eventType,
+  // Comma-separated, any one matches; empty matches every chat message
+  keywords: '',
+  minAmount: 0,
+  cooldown: 10,
+  action: { ...DEFAULT_ACTION },
+});
+
+// A few rules to start from
+export const DEFAULT_REACTION_RULES = [
+  {
+    ...createReactionRule('follow'),
+    id: 'rule-follow',
+    action: { ...DEFAULT_ACTION, type: 'speech', text: '{user}さん、フォローありがとう！' },
+  },
+  {
+    ...createReactionRule('donation'),
+    id: 'rule-donation',
+    cooldown: 0,
+    action: { ...DEFAULT_ACTION, type: 'prop', prop: '💰' },
+  },
+  {
+    ...createReactionRule('chat'),
+    id: 'rule-kawaii',
+    keywords: 'かわいい,可愛い,cute',
+  },
+];
+
+// Normalize an event from a source; returns null if it isn't one
+export const normalizeReactionEvent = (data) => {
+  if (!data || typeof data !== 'object' || !REACTION_EVENT_TYPES[data.type]) return null;
+  return {
+    type: data.type,
+    user: typeof data.user === 'string' ? data.user : '',
+    message: typeof data.message === 'string' ? data.message : '',
+    amount: Number.isFinite(data.amount) ? data.amount : 0,
+  };
+};
+
+export const ruleMatches = (rule, event) => {
+  if (!rule.enabled || rule.event !== event.type) return false;
+  if (event.type === 'chat') {
+    const keywords = rule.keywords.split(',').map((k) => k.trim().toLowerCase()).filter(Boolean);
+    const message = event.message.toLowerCase();
+    return keywords.length === 0 || keywords.some((keyword) => message.includes(keyword));
+  }
+  if (event.type === 'donation') return event.amount >= rule.minAmount;
+  return true;
+};
+
+// Fill {user}, {message} and {amount} in a speech line
+export const formatReactionText = (text, event) => (
+  text.replace(/\{(user|message|amount)\}/g, (_, key) => String(event[key]))
+);
+
+// Picks the first matching rule that is off cooldown, and starts its
+// cooldown. Later rules only fire when earlier ones don't match or are
+// cooling down.
+export const createReactionMatcher = () => {
+  const lastFired = new Map();
+
+  const match = (rules, event, now = performance.now()) => {
+    const rule = rules.find((r) => (
+      ruleMatches(r, event) && !(now - (lastFired.get(r.id) ?? -Infinity) < r.cooldown * 1000)
+    ));
+    if (rule) lastFired.set(rule.id, now);
+    return rule || null;
+  };
+
+  return { match, reset: () => lastFired.clear() };
+};
@@ -0,0 +1,150 @@
+import { describe, expect, it } from 'vitest';
+import { createReactionMatcher, formatReactionText, normalizeReactionEvent, ruleMatches } from './reactions';
+import { createManualSource } from './eventSources';
+
+const rule = (id, event, patch = {}) => ({
+  id,
+  enabled: true,
+  event,
+  keywords: '',
+  minAmount: 0,
+  cooldown: 10,
+  action: { type: 'expression', expression: 'happy' },
+  ...patch,
+});
+
+const chat = (message) => normalizeReactionEvent({ type: 'chat', user: 'viewer', message });
+const donation = (amount) => normalizeReactionEvent({ type: 'donation', user: 'viewer', amount });
+
+// Events from a manual source run through a matcher at the given times (ms),
+// like useReactions does; collects the ids of the rules that fired
+const runSource = (rules, emits) => {
+  const source = createManualSource();
+  const matcher = createReactionMatcher();
+  const fired = [];
+  let now = 0;
+  source.connect({
+    onEvent: (event) => {
+      const matched = matcher.match(rules, event, now);
+      fired.push(matched ? matched.id : null);
+    },
+    onStatus: () => {},
+  });
+  emits.forEach(([time, data]) => {
+    now = time;
+    source.emit(data);
+  });
+  return fired;
+};
+
+describe('ruleMatches', () => {
+  it('matches chat keywords case-insensitively, any one of them', () => {
+    const kawaii = rule('kawaii', 'chat', { keywords: 'かわいい, Cute ' });
+    expect(ruleMatches(kawaii, chat('so CUTE!'))).toBe(true);
+    expect(ruleMatches(kawaii, chat('かわいいね'))).toBe(true);
+    expect(ruleMatches(kawaii, chat('hello'))).toBe(false);
+  });
+
+  it('matches every chat message without keywords', () => {
+    expect(ruleMatches(rule('any', 'chat'), chat('hello'))).toBe(true);
+  });
+
+  it('needs the minimum amount for donations', () => {
+    const big = rule('big', 'donation', { minAmount: 1000 });
+    expect(ruleMatches(big, donation(999))).toBe(false);
+    expect(ruleMatches(big, donation(1000))).toBe(true);
+  });
+
+  it('skips disabled rules and other event types', () => {
+    expect(ruleMatches(rule('off', 'chat', { enabled: false }), chat('hello'))).toBe(false);
+    expect(ruleMatches(rule('follow', 'follow'), chat('hello'))).toBe(false);
+  });
+});
+
+describe('createReactionMatcher', () => {
+  it('picks the first matching rule', () => {
+    const rules = [rule('kawaii', 'chat', { keywords: 'cute' }), rule('any', 'chat')];
+    const matcher = createReactionMatcher();
+    expect(matcher.match(rules, chat('cute'), 0).id).toBe('kawaii');
+    expect(matcher.match(rules, chat('hello'), 0).id).toBe('any');
+  });
+
+  it('falls through to later rules while an earlier one cools down', () => {
+    const rules = [rule('kawaii', 'chat', { keywords: 'cute' }), rule('any', 'chat')];
+    const matcher = createReactionMatcher();
+    expect(matcher.match(rules, chat('cute'), 0).id).toBe('kawaii');
+    expect(matcher.match(rules, chat('cute'), 1000).id).toBe('any');
+    // Both cooling down
+    expect(matcher.match(rules, chat('cute'), 2000)).toBeNull();
+  });
+
+  it('fires again once the cooldown has passed', () => {
+    const rules = [rule('any', 'chat', { cooldown: 5 })];
+    const matcher = createReactionMatcher();
+    expect(matcher.match(rules, chat('a'), 0)).not.toBeNull();
+    expect(matcher.match(rules, chat('b'), 4999)).toBeNull();
+    expect(matcher.match(rules, chat('c'), 5000)).not.toBeNull();
+  });
+
+  it('does not extend the cooldown with triggers that were ignored', () => {
+    const rules = [rule('any', 'chat', { cooldown: 5 })];
+    const matcher = createReactionMatcher();
+    matcher.match(rules, chat('a'), 0);
+    [1000, 2000, 3000, 4000].forEach((now) => expect(matcher.match(rules, chat('spam'), now)).toBeNull());
+    expect(matcher.match(rules, chat('b'), 5000)).not.toBeNull();
+  });
+
+  it('fires on every event without a cooldown', () => {
+    const rules = [rule('donation', 'donation', { cooldown: 0 })];
+    const matcher = createReactionMatcher();
+    [0, 0, 1].forEach((now) => expect(matcher.match(rules, donation(100), now)).not.toBeNull());
+  });
+
+  it('keeps cooldowns per rule and clears them on reset', () => {
+    const rules = [rule('chat', 'chat'), rule('follow', 'follow')];
+    const follow = normalizeReactionEvent({ type: 'follow', user: 'viewer' });
+    const matcher = createReactionMatcher();
+    matcher.match(rules, chat('a'), 0);
+    expect(matcher.match(rules, follow, 1).id).toBe('follow');
+    expect(matcher.match(rules, chat('b'), 2)).toBeNull();
+    matcher.reset();
+    expect(matcher.match(rules, chat('c'), 3).id).toBe('chat');
+  });
+});
+
+describe('createManualSource', () => {
+  it('delivers emitted events to the matcher in order', () => {
+    const rules = [rule('kawaii', 'chat', { keywords: 'cute', cooldown: 2 }), rule('donation', 'donation', { cooldown: 0 })];
+    const fired = runSource(rules, [
+      [0, { type: 'chat', user: 'a', message: 'cute' }],
+      [500, [{ type: 'chat', user: 'b', message: 'cute' }, { type: 'donation', user: 'c', amount: 500 }]],
+      [2000, { type: 'chat', user: 'd', message: 'cute' }],
+    ]);
+    expect(fired).toEqual(['kawaii', null, 'donation', 'kawaii']);
+  });
+
+  it('drops data that is not an event', () => {
+    const fired = runSource([rule('any', 'chat')], [[0, { type: 'raid' }], [0, null], [0, 'hello']]);
+    expect(fired).toEqual([]);
+  });
+
+  it('reports connected and stops delivering once disconnected', () => {
+    const source = createManualSource();
+    const events = [];
+    const statuses = [];
+    const disconnect = source.connect({ onEvent: (event) => events.push(event), onStatus: (status) => statuses.push(status) });
+    expect(statuses).toEqual(['connected']);
+    source.emit({ type: 'follow', user: 'a' });
+    disconnect();
+    source.emit({ type: 'follow', user: 'b' });
+    expect(events.map((event) => event.user)).toEqual(['a']);
+    expect(source.isConnected).toBe(false);
+  });
+});
+
+describe('formatReactionText', () => {
+  it('fills in the event fields', () => {
+    const event = normalizeReactionEvent({ type: 'donation', user: 'さくら', amount: 500 });
+    expect(formatReactionText('{user}さん、{amount}円ありがとう！', event)).toBe('さくらさん、500円ありがとう！');
+  });
+});
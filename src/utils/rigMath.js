@@ -0,0 +1,26 @@
+import * as THREE from 'three';
+
+// Convert a MediaPipe world landmark (x right in the image, y down, z away from
+// the camera) into avatar space (x to the avatar's left, y up, z forward).
+// Mirroring reflects across the YZ plane.
+export const toAvatarSpace = (landmark, mirror = false) => new THREE.Vector3(
+  mirror ? -landmark.x : landmark.x,
+  -landmark.y,
+  -landmark.z
+);
+
+// Rotation taking the orthonormal frame built from (fromDir, fromNormal) onto
+// the frame built from (toDir, toNormal)
+export const rotationBetweenFrames = (fromDir, fromNormal, toDir, toNormal) => {
+  const from = basisMatrix(fromDir, fromNormal);
+  const to = basisMatrix(toDir, toNormal);
+  return new THREE.Quaternion().setFromRotationMatrix(to.multiply(from.transpose()));
+};
+
+// Orthonormal basis with x along `dir` and y as close to `normal` as possible
+export const basisMatrix = (dir, normal) => {
+  const x = dir.clone().normalize();
+  const y = normal.clone().addScaledVector(x, -normal.dot(x)).normalize();
+  const z = new THREE.Vector3().crossVectors(x, y);
+  return new THREE.Matrix4().makeBasis(x, y, z);
+};
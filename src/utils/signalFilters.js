@@ -0,0 +1,177 @@
+// Filters for noisy tracking signals. Each filter holds the state of one
+// scalar channel; timestamps are in milliseconds, rates in Hz.
+
+// A channel that goes quiet for longer than this (ms) starts over from its
+// next value instead of sliding there from a stale one
+const DEFAULT_RESET_AFTER_MS = 500;
+
+// One-Euro filter (Casiez et al. 2012): a low-pass filter whose cutoff rises
+// with the signal's speed, so slow movement is smoothed hard (minCutoff) and
+// fast movement keeps up (beta). dCutoff smooths the speed estimate itself.
+export const createOneEuroFilter = ({ minCutoff = 1, beta = 0, dCutoff = 1, resetAfterMs = DEFAULT_RESET_AFTER_MS } = {}) => {
+  let value = null;
+  let speed = 0;
+  let lastTime = null;
+
+  return {
+    filter(raw, timestamp) {
+      if (lastTime === null || timestamp - lastTime > resetAfterMs) {
+        value = raw;
+        speed = 0;
+        lastTime = timestamp;
+        return value;
+      }
+      const dt = (timestamp - lastTime) / 1000;
+      if (dt <= 0) return value;
+      lastTime = timestamp;
+
+      speed = lerp(speed, (raw - value) / dt, smoothingFactor(dCutoff, dt));
+      const cutoff = minCutoff + beta * Math.abs(speed);
+      value = lerp(value, raw, smoothingFactor(cutoff, dt));
+      return value;
+    },
+    reset() {
+      value = null;
+      speed = 0;
+      lastTime = null;
+    },
+  };
+};
+
+// Constant-velocity Kalman filter. measurementNoise is the variance of the
+// raw values, processNoise the variance of the acceleration the model allows
+// for; the velocity estimate is what the prediction extrapolates with.
+export const createKalmanFilter = ({ processNoise = 1, measurementNoise = 1e-4, resetAfterMs = DEFAULT_RESET_AFTER_MS } = {}) => {
+  let position = null;
+  let velocity = 0;
+  // Covariance of [position, velocity]
+  let p00 = 0;
+  let p01 = 0;
+  let p10 = 0;
+  let p11 = 0;
+  let lastTime = null;
+
+  const start = (raw, timestamp) => {
+    position = raw;
+    velocity = 0;
+    p00 = measurementNoise;
+    p01 = 0;
+    p10 = 0;
+    p11 = processNoise;
+    lastTime = timestamp;
+  };
+
+  return {
+    filter(raw, timestamp) {
+      if (lastTime === null || timestamp - lastTime > resetAfterMs) {
+        start(raw, timestamp);
+        return position;
+      }
+      const dt = (timestamp - lastTime) / 1000;
+      if (dt <= 0) return position;
+      lastTime = timestamp;
+
+      // Predict
+      position += velocity * dt;
+      const dt2 = dt * dt;
+      const q00 = processNoise * dt2 * dt2 / 4;
+      const q01 = processNoise * dt2 * dt / 2;
+      const q11 = processNoise * dt2;
+      const n00 = p00 + dt * (p10 + p01) + dt2 * p11 + q00;
+      const n01 = p01 + dt * p11 + q01;
+      const n10 = p10 + dt * p11 + q01;
+      const n11 = p11 + q11;
+
+      // Update with the measured position
+      const innovation = raw - position;
+      const s = n00 + measurementNoise;
+      const k0 = n00 / s;
+      const k1 = n10 / s;
+      position += k0 * innovation;
+      velocity += k1 * innovation;
+      p00 = (1 - k0) * n00;
+      p01 = (1 - k0) * n01;
+      p10 = n10 - k1 * n00;
+      p11 = n11 - k1 * n01;
+      return position;
+    },
+    // Where the signal is expected to be aheadMs after the last value
+    predict(aheadMs) {
+      return position === null ? null : position + velocity * aheadMs / 1000;
+    },
+    velocity() {
+      return velocity;
+    },
+    reset() {
+      position = null;
+      velocity = 0;
+      lastTime = null;
+    },
+  };
+};
+
+// One-Euro smoothing, plus an optional look-ahead of predictionMs along the
+// Kalman velocity estimate to make up for inference latency
+export const createSignalFilter = ({ predictionMs = 0, processNoise, measurementNoise, ...oneEuro } = {}) => {
+  const smoother = createOneEuroFilter(oneEuro);
+  const predictor = predictionMs > 0
+    ? createKalmanFilter({ processNoise, measurementNoise, resetAfterMs: oneEuro.resetAfterMs })
+    : null;
+
+  return {
+    filter(raw, timestamp) {
+      const smoothed = smoother.filter(raw, timestamp);
+      if (!predictor) return smoothed;
+      predictor.filter(raw, timestamp);
+      return smoothed + predictor.velocity() * predictionMs / 1000;
+    },
+    reset() {
+      smoother.reset();
+      if (predictor) predictor.reset();
+    },
+  };
+};
+
+// One signal filter per array index, e.g. the flattened x/y/z of landmarks
+export const createArrayFilter = (options) => {
+  let filters = [];
+  return {
+    filter(values, timestamp) {
+      return values.map((value, index) => {
+        if (!filters[index]) filters[index] = createSignalFilter(options);
+        return filters[index].filter(value, timestamp);
+      });
+    },
+    reset() {
+      filters = [];
+    },
+  };
+};
+
+// One signal filter per key, e.g. blendshapes by name
+export const createKeyedFilter = (options) => {
+  let filters = {};
+  return {
+    filter(values, timestamp) {
+      const filtered = {};
+      Object.entries(values).forEach(([key, value]) => {
+        if (!filters[key]) filters[key] = createSignalFilter(options);
+        filtered[key] = filters[key].filter(value, timestamp);
+      });
+      return filtered;
+    },
+    reset() {
+      filters = {};
+    },
+  };
+};
+
+// Weight of the new value for a first-order low-pass at `cutoff` Hz
+function smoothingFactor(cutoff, dt) {
+  const r = 2 * Math.PI * cutoff * dt;
+  return r / (r + 1);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
@@ -0,0 +1,97 @@
+import { describe, expect, it } from 'vitest';
+import { createKalmanFilter, createOneEuroFilter, createSignalFilter } from './signalFilters';
+
+// 30 fps, like the tracking results
+const FRAME_MS = 1000 / 30;
+
+describe('createOneEuroFilter', () => {
+  it('reduces the variance of a noisy constant signal', () => {
+    const noise = seededNoise(1);
+    const raw = Array.from({ length: 150 }, () => 0.5 + noise() * 0.01);
+    const filter = createOneEuroFilter({ minCutoff: 1, beta: 0 });
+    const filtered = raw.map((value, i) => filter.filter(value, i * FRAME_MS));
+
+    // Skip the first second while the filter settles
+    expect(variance(filtered.slice(30))).toBeLessThan(variance(raw.slice(30)) / 4);
+  });
+
+  it('keeps the lag on a ramp bounded, and shorter as beta rises', () => {
+    const lagAt = (beta, frames) => {
+      const filter = createOneEuroFilter({ minCutoff: 1, beta });
+      let lag = 0;
+      for (let i = 0; i < frames; i++) {
+        const value = i * FRAME_MS / 1000;
+        lag = value - filter.filter(value, i * FRAME_MS);
+      }
+      return lag;
+    };
+
+    const lags = [0, 0.5, 5].map((beta) => lagAt(beta, 90));
+    expect(lags[1]).toBeLessThan(lags[0]);
+    expect(lags[2]).toBeLessThan(lags[1]);
+    lags.forEach((lag) => expect(lag).toBeGreaterThan(0));
+    // Steady state: the lag stops growing instead of running away
+    [0, 0.5, 5].forEach((beta, i) => expect(Math.abs(lagAt(beta, 150) - lags[i])).toBeLessThan(1e-3));
+    // A unit/s ramp at minCutoff 1 Hz lags about 1 / (2π · 1) s behind
+    expect(lags[0]).toBeLessThan(0.2);
+  });
+
+  it('starts over after a gap longer than resetAfterMs', () => {
+    const filter = createOneEuroFilter({ minCutoff: 1, resetAfterMs: 500 });
+    filter.filter(0, 0);
+    filter.filter(0, FRAME_MS);
+    expect(filter.filter(1, 2 * FRAME_MS)).toBeLessThan(1);
+    expect(filter.filter(5, 2 * FRAME_MS + 501)).toBe(5);
+  });
+});
+
+describe('createKalmanFilter', () => {
+  it('converges to the velocity of a linear signal', () => {
+    const noise = seededNoise(2);
+    const filter = createKalmanFilter({ processNoise: 20, measurementNoise: 1e-4 });
+    let last = 0;
+    for (let i = 0; i < 90; i++) {
+      last = 0.2 + 0.8 * i * FRAME_MS / 1000;
+      filter.filter(last + noise() * 0.002, i * FRAME_MS);
+    }
+    expect(filter.velocity()).toBeCloseTo(0.8, 1);
+    expect(filter.predict(100)).toBeCloseTo(last + 0.08, 2);
+  });
+
+  it('starts over after a gap longer than resetAfterMs', () => {
+    const filter = createKalmanFilter({ resetAfterMs: 500 });
+    for (let i = 0; i < 10; i++) filter.filter(i * 0.1, i * FRAME_MS);
+    expect(filter.velocity()).not.toBe(0);
+    expect(filter.filter(3, 10 * FRAME_MS + 600)).toBe(3);
+    expect(filter.velocity()).toBe(0);
+  });
+});
+
+describe('createSignalFilter', () => {
+  it('leads a ramp by predictionMs once the velocity is known', () => {
+    const plain = createSignalFilter({ minCutoff: 1, beta: 0 });
+    const predicted = createSignalFilter({ minCutoff: 1, beta: 0, predictionMs: 100, processNoise: 20, measurementNoise: 1e-4 });
+    let difference = 0;
+    for (let i = 0; i < 90; i++) {
+      const value = i * FRAME_MS / 1000;
+      difference = predicted.filter(value, i * FRAME_MS) - plain.filter(value, i * FRAME_MS);
+    }
+    expect(difference).toBeCloseTo(0.1, 2);
+  });
+});
+
+// Uniform noise in [-1, 1] from a fixed seed (mulberry32)
+function seededNoise(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 2147483648 - 1;
+  };
+}
+
+function variance(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+}
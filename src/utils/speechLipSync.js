@@ -0,0 +1,64 @@
+// Mouth shapes for text-to-speech. Browser speech synthesis audio can't be
+// analyzed, so the vowels are read from the text and played back at a
+// typical speaking rate instead.
+
+// Morae per second at the default speech rate
+export const MORA_RATE = 7;
+
+const KANA_VOWELS = {
+  aa: 'あかさたなはまやらわがざだばぱぁゃゎ',
+  ih: 'いきしちにひみりぎじぢびぴぃ',
+  ou: 'うくすつぬふむゆるぐずづぶぷぅゅゔ',
+  ee: 'えけせてねへめれげぜでべぺぇ',
+  oh: 'おこそとのほもよろをごぞどぼぽぉょ',
+};
+const VOWEL_BY_KANA = new Map();
+Object.entries(KANA_VOWELS).forEach(([viseme, chars]) => {
+  Array.from(chars).forEach((char) => VOWEL_BY_KANA.set(char, viseme));
+});
+// Small kana merge into the previous mora (きゃ is one mora)
+const SMALL_KANA = 'ぁぃぅぇぉゃゅょゎ';
+const LATIN_VOWELS = { a: 'aa', i: 'ih', u: 'ou', e: 'ee', o: 'oh' };
+const VISEME_CYCLE = ['aa', 'ih', 'ou', 'ee', 'oh'];
+
+// One viseme per mora; null marks a closed mouth (ん, っ, spaces, punctuation)
+export const visemesFromText = (text) => {
+  const visemes = [];
+  Array.from(text.toLowerCase()).forEach((raw) => {
+    const char = toHiragana(raw);
+    if (VOWEL_BY_KANA.has(char)) {
+      if (SMALL_KANA.includes(char) && visemes.length > 0 && visemes[visemes.length - 1]) {
+        visemes[visemes.length - 1] = VOWEL_BY_KANA.get(char);
+      } else {
+        visemes.push(VOWEL_BY_KANA.get(char));
+      }
+    } else if (char === 'ー') {
+      visemes.push(visemes[visemes.length - 1] || null);
+    } else if (LATIN_VOWELS[char]) {
+      visemes.push(LATIN_VOWELS[char]);
+    } else if (/[一-鿿]/.test(char)) {
+      // Kanji readings are unknown; assume two morae
+      const code = char.charCodeAt(0);
+      visemes.push(VISEME_CYCLE[code % 5], VISEME_CYCLE[(code >> 3) % 5]);
+    } else if (/[\sんっ、。,.!?！？]/.test(char)) {
+      visemes.push(null);
+    }
+  });
+  return visemes;
+};
+
+// Viseme weights at a time (seconds) into the utterance; the mouth opens and
+// closes once per mora
+export const visemeWeightsAt = (visemes, time) => {
+  const weights = { aa: 0, ih: 0, ou: 0, ee: 0, oh: 0 };
+  const position = time * MORA_RATE;
+  const viseme = visemes[Math.floor(position)];
+  if (viseme) weights[viseme] = Math.sin(Math.PI * (position % 1));
+  return weights;
+};
+
+// Katakana to hiragana, leaving everything else as is
+function toHiragana(char) {
+  const code = char.charCodeAt(0);
+  return code >= 0x30a1 && code <= 0x30f6 ? String.fromCharCode(code - 0x60) : char;
+}
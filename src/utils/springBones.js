@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+
+// Spring bone (hair, skirt, accessories) tuning on top of what the model
+// ships: per-chain multipliers for stiffness, gravity and drag, and a wind
+// force added to gravity. Overrides are stored per model name as
+// { all: multipliers, chains: { [chainId]: multipliers } }.
+
+export const DEFAULT_SPRING_MULTIPLIERS = { stiffness: 1, gravity: 1, drag: 1 };
+export const EMPTY_SPRING_OVERRIDES = { all: DEFAULT_SPRING_MULTIPLIERS, chains: {} };
+
+export const SPRING_MULTIPLIER_FIELDS = [
+  { key: 'stiffness', label: '硬さ' },
+  { key: 'gravity', label: '重力' },
+  { key: 'drag', label: '空気抵抗' },
+];
+
+export const SPRING_MULTIPLIER_MAX = 3;
+
+// A model moving further than this in one frame (meters) resets its spring
+// bones, instead of dragging them along
+export const SPRING_RESET_DISTANCE = 0.5;
+
+// Wind gusts: the strength swings by up to `gust` of itself on these periods
+// (seconds), which don't line up, so the pattern doesn't visibly repeat
+const GUST_PERIODS = [3.1, 1.7, 0.7];
+const GUST_WEIGHTS = [0.5, 0.3, 0.2];
+
+// Joints grouped into chains (a root joint and the joints hanging from it),
+// named after the root bone, with the settings the model shipped
+export const springBoneChains = (vrm) => {
+  const manager = vrm && vrm.springBoneManager;
+  if (!manager) return [];
+
+  const jointBones = new Set(Array.from(manager.joints, (joint) => joint.bone));
+  const chains = new Map();
+  manager.joints.forEach((joint) => {
+    let root = joint.bone;
+    while (root.parent && jointBones.has(root.parent)) root = root.parent;
+    if (!chains.has(root)) chains.set(root, []);
+    chains.get(root).push({
+      joint,
+      base: {
+        stiffness: joint.settings.stiffness,
+        gravityPower: joint.settings.gravityPower,
+        gravityDir: joint.settings.gravityDir.clone(),
+        dragForce: joint.settings.dragForce,
+      },
+    });
+  });
+
+  const usedIds = new Set();
+  return Array.from(chains, ([root, joints], index) => {
+    let id = root.name || `chain${index + 1}`;
+    while (usedIds.has(id)) id = `${id}_`;
+    usedIds.add(id);
+    return { id, name: root.name || `チェーン${index + 1}`, joints };
+  });
+};
+
+// Colliders with a readable name and shape, for listing
+export const springBoneColliders = (vrm) => {
+  const manager = vrm && vrm.springBoneManager;
+  if (!manager) return [];
+  return manager.colliders.map((collider, index) => ({
+    collider,
+    id: `${index}`,
+    name: (collider.parent && collider.parent.name) || `コライダー${index + 1}`,
+    shape: collider.shape.type,
+    radius: collider.shape.radius,
+  }));
+};
+
+// Wind as a world-space force at `time` (seconds); direction is the compass
+// angle (degrees) it blows toward, 0 being the model's default facing
+export const windForce = (time, { strength, direction, gust }, target = new THREE.Vector3()) => {
+  if (strength <= 0) return target.set(0, 0, 0);
+  const swing = GUST_PERIODS.reduce(
+    (sum, period, i) => sum + GUST_WEIGHTS[i] * Math.sin((2 * Math.PI * time) / period + i),
+    0
+  );
+  const magnitude = Math.max(0, strength * (1 + gust * swing));
+  const angle = THREE.MathUtils.degToRad(direction);
+  return target.set(Math.sin(angle) * magnitude, 0, Math.cos(angle) * magnitude);
+};
+
+const _force = new THREE.Vector3();
+
+// Write the chains' settings: shipped values times the overrides, with the
+// wind added to each joint's gravity
+export const applySpringBoneSettings = (chains, overrides, wind) => {
+  const all = { ...DEFAULT_SPRING_MULTIPLIERS, ...(overrides && overrides.all) };
+  chains.forEach((chain) => {
+    const own = { ...DEFAULT_SPRING_MULTIPLIERS, ...(overrides && overrides.chains && overrides.chains[chain.id]) };
+    const stiffness = all.stiffness * own.stiffness;
+    const gravity = all.gravity * own.gravity;
+    const drag = all.drag * own.drag;
+    chain.joints.forEach(({ joint, base }) => {
+      joint.settings.stiffness = base.stiffness * stiffness;
+      joint.settings.dragForce = THREE.MathUtils.clamp(base.dragForce * drag, 0, 1);
+      _force.copy(base.gravityDir).multiplyScalar(base.gravityPower * gravity).add(wind);
+      const power = _force.length();
+      joint.settings.gravityPower = power;
+      if (power > 0) joint.settings.gravityDir.copy(_force).divideScalar(power);
+    });
+  });
+};
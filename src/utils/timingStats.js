@@ -0,0 +1,27 @@
+// Smoothed per-stage timings (ms) for the debug panel
+
+// Weight of each new sample in the moving average
+const SMOOTHING = 0.1;
+
+export const createTimingStats = () => {
+  const averages = {};
+
+  return {
+    add(name, ms) {
+      averages[name] = averages[name] === undefined ? ms : averages[name] + (ms - averages[name]) * SMOOTHING;
+    },
+    // Time a synchronous function under a name; returns its result
+    measure(name, fn) {
+      const start = performance.now();
+      const result = fn();
+      this.add(name, performance.now() - start);
+      return result;
+    },
+    snapshot() {
+      return { ...averages };
+    },
+    reset() {
+      Object.keys(averages).forEach((name) => delete averages[name]);
+    },
+  };
+};
@@ -0,0 +1,60 @@
+// Per-part tracking confidence, dropout easing and the neutral-pose calibration.
+// Tracked parts (face, pose, pose.arms.left/right, hands.left/right) carry
+// `confidence` (0-1, latest result) and `lastSeen` (timestamp of the last
+// result at or above the minimum confidence, null if never).
+
+// A part counts as lost once it hasn't been seen for this long (ms), which
+// rides out single dropped frames
+export const DROPOUT_GRACE_MS = 150;
+
+export const createPartConfidence = () => ({ confidence: 0, lastSeen: null });
+
+// New confidence fields for a part after a result; lastSeen only moves when
+// the part was seen confidently enough
+export const updatePartConfidence = (part, confidence, timestamp, minConfidence) => ({
+  confidence,
+  lastSeen: confidence >= minConfidence ? timestamp : (part.lastSeen ?? null),
+});
+
+// Whether a part should drive the avatar at `timestamp` (the tracking data's
+// own time, so replays judge it the same way). Recordings made before
+// confidence existed count as present whenever they were detected.
+export const isPartPresent = (part, timestamp, minConfidence) => {
+  if (!part) return false;
+  if (part.lastSeen === undefined) return part.detected !== false;
+  return part.lastSeen !== null
+    && timestamp - part.lastSeen <= DROPOUT_GRACE_MS
+    && part.confidence >= minConfidence;
+};
+
+// Move a 0-1 presence weight toward 1 (present) or 0 (lost) so that a full
+// swing takes easeTime seconds
+export const easePresence = (weight, present, delta, easeTime) => {
+  const step = easeTime > 0 ? delta / easeTime : 1;
+  return present ? Math.min(1, weight + step) : Math.max(0, weight - step);
+};
+
+// Neutral pose from the current tracking data, or null without a confidently
+// seen face. The head rotation becomes the new "looking straight" and each
+// blendshape's resting value becomes its new zero.
+export const createCalibration = (trackingData, minConfidence) => {
+  const { face } = trackingData;
+  if (!isPartPresent(face, trackingData.timestamp, minConfidence) || !face.blendShapes) return null;
+  return {
+    headRotation: { ...face.rotation },
+    headPosition: { ...face.position },
+    blendShapes: { ...face.blendShapes },
+  };
+};
+
+// Blendshapes rescaled so the calibrated baseline reads as 0 (and 1 stays 1),
+// then scaled by the face's presence weight
+export const adjustBlendShapes = (blendShapes, baseline, weight) => {
+  const adjusted = {};
+  Object.entries(blendShapes).forEach(([name, value]) => {
+    const base = baseline ? baseline[name] || 0 : 0;
+    const calibrated = base < 1 ? Math.max(0, (value - base) / (1 - base)) : 0;
+    adjusted[name] = calibrated * weight;
+  });
+  return adjusted;
+};
@@ -0,0 +1,158 @@
+import { createArrayFilter, createKeyedFilter } from './signalFilters';
+
+// Filtering of tracking results before they reach the avatar. Each part has
+// a preset; the presets scale per-part One-Euro parameters that are tuned to
+// the units of that part's signals (see signalFilters).
+
+export const TRACKING_FILTER_PARTS = {
+  head: '頭の向き・位置',
+  expression: '表情',
+  body: '体・腕',
+  hands: '手・指',
+};
+
+export const TRACKING_FILTER_PRESETS = {
+  off: { name: 'なし', cutoffScale: null, betaScale: null },
+  responsive: { name: '反応重視', cutoffScale: 2.5, betaScale: 2 },
+  balanced: { name: '標準', cutoffScale: 1, betaScale: 1 },
+  smooth: { name: 'なめらか', cutoffScale: 0.4, betaScale: 0.5 },
+};
+
+export const DEFAULT_TRACKING_FILTERS = {
+  head: 'balanced',
+  expression: 'balanced',
+  body: 'balanced',
+  hands: 'balanced',
+};
+
+// Base parameters for the balanced preset. Kalman noise only matters when
+// prediction is on; expressions are never predicted, since overshooting a
+// blink or a closed mouth looks worse than lagging behind it.
+const PART_FILTERS = {
+  // Rotation quaternion components and position in meters
+  head: { minCutoff: 1.5, beta: 4, dCutoff: 1, processNoise: 20, measurementNoise: 1e-4 },
+  // Blendshape scores (0-1), which have to keep up with blinks
+  expression: { minCutoff: 3, beta: 1.5, dCutoff: 1 },
+  // Pose landmarks in image coordinates (0-1) and world meters
+  body: { minCutoff: 1, beta: 6, dCutoff: 1, processNoise: 20, measurementNoise: 1e-4 },
+  // Hand landmarks, which jitter the most
+  hands: { minCutoff: 1.5, beta: 12, dCutoff: 1, processNoise: 50, measurementNoise: 5e-5 },
+};
+
+// Filters for every tracked channel. configure() is cheap to call on every
+// result; it rebuilds (and so resets) the filters only when settings change.
+export const createTrackingFilters = () => {
+  let configKey = null;
+  let filters = null;
+
+  const build = (presets, predictionMs) => {
+    const options = (part) => {
+      const preset = TRACKING_FILTER_PRESETS[presets[part]] || TRACKING_FILTER_PRESETS.balanced;
+      if (preset.cutoffScale === null) return null;
+      const base = PART_FILTERS[part];
+      return {
+        ...base,
+        minCutoff: base.minCutoff * preset.cutoffScale,
+        beta: base.beta * preset.betaScale,
+        predictionMs: part === 'expression' ? 0 : predictionMs,
+      };
+    };
+    const hand = () => ({
+      landmarks: createLandmarkFilter(options('hands')),
+      worldLandmarks: createLandmarkFilter(options('hands')),
+    });
+    return {
+      headRotation: createQuaternionFilter(options('head')),
+      headPosition: createVectorFilter(options('head')),
+      blendShapes: passThrough(options('expression'), createKeyedFilter),
+      poseLandmarks: createLandmarkFilter(options('body')),
+      poseWorldLandmarks: createLandmarkFilter(options('body')),
+      hands: { left: hand(), right: hand() },
+    };
+  };
+
+  return {
+    configure(presets = DEFAULT_TRACKING_FILTERS, predictionMs = 0) {
+      const key = JSON.stringify([presets, predictionMs]);
+      if (key === configKey) return;
+      configKey = key;
+      filters = build(presets, predictionMs);
+    },
+    face({ rotation, position, blendShapes }, timestamp) {
+      return {
+        rotation: filters.headRotation.filter(rotation, timestamp),
+        position: filters.headPosition.filter(position, timestamp),
+        blendShapes: filters.blendShapes.filter(blendShapes, timestamp),
+      };
+    },
+    pose({ landmarks, worldLandmarks }, timestamp) {
+      return {
+        landmarks: filters.poseLandmarks.filter(landmarks, timestamp),
+        worldLandmarks: filters.poseWorldLandmarks.filter(worldLandmarks, timestamp),
+      };
+    },
+    // `side` is the user's hand, so each filter keeps following the same hand
+    hand(side, { landmarks, worldLandmarks }, timestamp) {
+      const hand = filters.hands[side];
+      return {
+        landmarks: hand.landmarks.filter(landmarks, timestamp),
+        worldLandmarks: hand.worldLandmarks.filter(worldLandmarks, timestamp),
+      };
+    },
+  };
+};
+
+// A filter that returns values unchanged when its part's preset is off
+function passThrough(options, create) {
+  return options ? create(options) : { filter: (values) => values, reset: () => {} };
+}
+
+// {x, y, z} vectors
+function createVectorFilter(options) {
+  const filter = passThrough(options, createArrayFilter);
+  return {
+    filter(vector, timestamp) {
+      const [x, y, z] = filter.filter([vector.x, vector.y, vector.z], timestamp);
+      return { x, y, z };
+    },
+  };
+}
+
+// {x, y, z, w} quaternions, kept in one hemisphere so that q and -q (the
+// same rotation) don't average to nothing, and normalized after filtering
+function createQuaternionFilter(options) {
+  const filter = passThrough(options, createArrayFilter);
+  let previous = null;
+  return {
+    filter(rotation, timestamp) {
+      let { x, y, z, w } = rotation;
+      if (previous && previous.x * x + previous.y * y + previous.z * z + previous.w * w < 0) {
+        x = -x;
+        y = -y;
+        z = -z;
+        w = -w;
+      }
+      previous = { x, y, z, w };
+      const [fx, fy, fz, fw] = filter.filter([x, y, z, w], timestamp);
+      const length = Math.hypot(fx, fy, fz, fw) || 1;
+      return { x: fx / length, y: fy / length, z: fz / length, w: fw / length };
+    },
+  };
+}
+
+// MediaPipe landmark lists: x/y/z are filtered, visibility and the like kept
+function createLandmarkFilter(options) {
+  const filter = passThrough(options, createArrayFilter);
+  return {
+    filter(landmarks, timestamp) {
+      if (!options || !landmarks || landmarks.length === 0) return landmarks;
+      const flat = filter.filter(landmarks.flatMap(({ x, y, z }) => [x, y, z]), timestamp);
+      return landmarks.map((landmark, index) => ({
+        ...landmark,
+        x: flat[index * 3],
+        y: flat[index * 3 + 1],
+        z: flat[index * 3 + 2],
+      }));
+    },
+  };
+}
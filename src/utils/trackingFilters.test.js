@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_TRACKING_FILTERS, createTrackingFilters } from './trackingFilters';
+
+const FRAME_MS = 1000 / 30;
+const FACE = { position: { x: 0, y: 0, z: 0 }, blendShapes: {} };
+
+const face = (filters, rotation, timestamp) => filters.face({ ...FACE, rotation }, timestamp).rotation;
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w;
+const length = (q) => Math.hypot(q.x, q.y, q.z, q.w);
+
+describe('createTrackingFilters head rotation', () => {
+  it('treats q and -q as the same rotation', () => {
+    const filters = createTrackingFilters();
+    filters.configure(DEFAULT_TRACKING_FILTERS);
+    const q = normalize({ x: 0.1, y: 0.3, z: 0, w: 0.95 });
+    const flipped = { x: -q.x, y: -q.y, z: -q.z, w: -q.w };
+
+    for (let i = 0; i < 10; i++) {
+      const rotation = face(filters, i % 2 ? flipped : q, i * FRAME_MS);
+      // Averaging q with -q would shrink toward zero and swing the result
+      expect(Math.abs(dot(rotation, q))).toBeGreaterThan(0.999);
+    }
+  });
+
+  it('returns unit quaternions for noisy input', () => {
+    const filters = createTrackingFilters();
+    filters.configure({ ...DEFAULT_TRACKING_FILTERS, head: 'smooth' });
+    for (let i = 0; i < 30; i++) {
+      const angle = 0.3 * Math.sin(i / 3) + (i % 3) * 0.05;
+      const rotation = face(filters, { x: 0, y: Math.sin(angle / 2), z: 0, w: Math.cos(angle / 2) }, i * FRAME_MS);
+      expect(length(rotation)).toBeCloseTo(1, 6);
+    }
+  });
+
+  it('passes values through when the preset is off', () => {
+    const filters = createTrackingFilters();
+    filters.configure({ ...DEFAULT_TRACKING_FILTERS, head: 'off' });
+    const q = normalize({ x: 0, y: 0.2, z: 0, w: 1 });
+    face(filters, { x: 0, y: 0, z: 0, w: 1 }, 0);
+    const rotation = face(filters, q, FRAME_MS);
+    expect(dot(rotation, q)).toBeCloseTo(1, 6);
+  });
+});
+
+function normalize(q) {
+  const l = length(q);
+  return { x: q.x / l, y: q.y / l, z: q.z / l, w: q.w / l };
+}
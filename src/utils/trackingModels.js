@@ -0,0 +1,69 @@
+// MediaPipe runtime and model files used by the tracking worker. They are
+// served from the app itself (public/mediapipe, filled in by
+// `npm run fetch-assets`) so tracking works offline and never changes
+// behind our back. Paths are relative to the app's base URL.
+// Also imported by scripts/fetch-tracking-assets.js, so keep it free of
+// browser and Vite specifics.
+
+export const TRACKING_ASSET_DIR = 'mediapipe';
+
+// Runtime copied from the installed @mediapipe/tasks-vision (pinned in
+// package.json). The worker loads the ES module build.
+export const VISION_WASM_DIR = `${TRACKING_ASSET_DIR}/wasm`;
+export const VISION_WASM_FILES = ['vision_wasm_module_internal.js', 'vision_wasm_module_internal.wasm'];
+
+// Pinned model releases: bump the version segment deliberately, together
+// with the sha256 the download is checked against. `npm run fetch-assets`
+// fails on a model with a null sha256 (only warns with --optional, as in the
+// dev/build pre-hooks) and reports the digest it downloaded, to be pinned
+// after checking it against a trusted download.
+const MODEL_BUCKET = 'https://storage.googleapis.com/mediapipe-models';
+const POSE_MODEL = (variant, sha256) => ({
+  file: `pose_landmarker_${variant}.task`,
+  url: `${MODEL_BUCKET}/pose_landmarker/pose_landmarker_${variant}/float16/1/pose_landmarker_${variant}.task`,
+  sha256,
+});
+
+export const TRACKING_MODEL_FILES = {
+  face: {
+    file: 'face_landmarker.task',
+    url: `${MODEL_BUCKET}/face_landmarker/face_landmarker/float16/1/face_landmarker.task`,
+    sha256: null,
+  },
+  poseLite: POSE_MODEL('lite', null),
+  poseFull: POSE_MODEL('full', null),
+  poseHeavy: POSE_MODEL('heavy', null),
+  hands: {
+    file: 'hand_landmarker.task',
+    url: `${MODEL_BUCKET}/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`,
+    sha256: null,
+  },
+};
+
+const modelPath = (id) => `${TRACKING_ASSET_DIR}/models/${TRACKING_MODEL_FILES[id].file}`;
+
+export const TRACKING_MODELS = {
+  face: modelPath('face'),
+  pose: {
+    lite: modelPath('poseLite'),
+    full: modelPath('poseFull'),
+    heavy: modelPath('poseHeavy'),
+  },
+  hands: modelPath('hands'),
+};
+
+// Quality tiers: the pose model variant and the inference budget per frame
+// the scheduler tries to stay within
+export const TRACKING_QUALITY_TIERS = {
+  lite: { name: 'ライト', poseModel: 'lite', frameBudgetMs: 20 },
+  full: { name: '標準', poseModel: 'full', frameBudgetMs: 33 },
+  heavy: { name: '高精度', poseModel: 'heavy', frameBudgetMs: 50 },
+};
+
+export const TRACKING_DELEGATES = {
+  GPU: 'GPU',
+  CPU: 'CPU',
+};
+
+export const DEFAULT_TRACKING_QUALITY = 'full';
+export const DEFAULT_TRACKING_DELEGATE = 'GPU';
@@ -0,0 +1,102 @@
+// Recording of the tracking stream for offline replay and reproducible tests
+
+export const RECORDING_FORMAT = 'webvrm-tracking';
+export const RECORDING_VERSION = 1;
+
+// Decimal places kept in saved files; landmarks don't need more precision
+const SAVED_PRECISION = 1e4;
+
+// Collects frames while recording. Frames carry the time in ms since the
+// first frame, the full trackingData and the microphone analysis.
+export const createTrackingRecorder = () => {
+  let frames = [];
+  let startTime = null;
+  let startedAt = null;
+
+  return {
+    start() {
+      frames = [];
+      startTime = null;
+      startedAt = new Date().toISOString();
+    },
+    add(tracking, audio, now = performance.now()) {
+      if (startTime === null) startTime = now;
+      frames.push({
+        t: now - startTime,
+        tracking,
+        micLevel: audio.micLevel || 0,
+        micVisemes: audio.micVisemes || null,
+      });
+    },
+    stop() {
+      return {
+        format: RECORDING_FORMAT,
+        version: RECORDING_VERSION,
+        startedAt,
+        duration: frames.length > 0 ? frames[frames.length - 1].t : 0,
+        frames,
+      };
+    },
+    get frameCount() {
+      return frames.length;
+    },
+  };
+};
+
+export const serializeRecording = (recording) => JSON.stringify(recording, (key, value) => (
+  typeof value === 'number' ? Math.round(value * SAVED_PRECISION) / SAVED_PRECISION : value
+));
+
+// Parse a saved recording. Throws an Error if the file isn't one.
+export const parseRecording = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('JSONとして読み込めません');
+  }
+  if (!data || data.format !== RECORDING_FORMAT) {
+    throw new Error('トラッキング記録ファイルではありません');
+  }
+  if (data.version !== RECORDING_VERSION) {
+    throw new Error(`未対応のバージョンです: ${data.version}`);
+  }
+  if (!Array.isArray(data.frames) || data.frames.length === 0) {
+    throw new Error('フレームがありません');
+  }
+  const sorted = data.frames.every((frame, i) => (
+    frame && Number.isFinite(frame.t) && frame.tracking && (i === 0 || frame.t >= data.frames[i - 1].t)
+  ));
+  if (!sorted) {
+    throw new Error('フレームの時刻が不正です');
+  }
+  return { ...data, duration: data.frames[data.frames.length - 1].t };
+};
+
+// Playback state `elapsed` ms (wall clock) after starting: the frame, the
+// progress (0-1) and whether a non-looping playback has ended
+export const replayPosition = (recording, elapsed, { loop = true, speed = 1 } = {}) => {
+  const duration = Math.max(recording.duration, 1);
+  let t = elapsed * speed;
+  if (t > duration) {
+    if (!loop) return { frame: frameAt(recording, duration), progress: 1, ended: true };
+    t %= duration;
+  }
+  return { frame: frameAt(recording, t), progress: t / duration, ended: false };
+};
+
+// The last frame at or before time t (ms)
+export const frameAt = (recording, t) => {
+  const { frames } = recording;
+  let low = 0;
+  let high = frames.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (frames[mid].t <= t) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return frames[low];
+};
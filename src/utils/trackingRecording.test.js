@@ -0,0 +1,122 @@
+import { describe, expect, it } from 'vitest';
+import {
+  RECORDING_FORMAT,
+  RECORDING_VERSION,
+  createTrackingRecorder,
+  frameAt,
+  parseRecording,
+  replayPosition,
+  serializeRecording,
+} from './trackingRecording';
+
+// Tracking data as the worker sends it, cut down to a landmark and a blendshape
+const trackingAt = (i) => ({
+  timestamp: 1000 + i * 33,
+  face: { landmarks: [{ x: 0.5 + i / 3, y: 0.25, z: -0.125 }], blendShapes: { jawOpen: i / 10 } },
+  pose: null,
+});
+
+// Frames at 0, 33, 66, ... ms with a microphone reading on every other one
+const record = (count) => {
+  const recorder = createTrackingRecorder();
+  recorder.start();
+  for (let i = 0; i < count; i++) {
+    const audio = i % 2 ? { micLevel: 0.5, micVisemes: { aa: 0.25 } } : {};
+    recorder.add(trackingAt(i), audio, 5000 + i * 33);
+  }
+  return recorder.stop();
+};
+
+const recordingText = (patch) => JSON.stringify({
+  format: RECORDING_FORMAT,
+  version: RECORDING_VERSION,
+  frames: [{ t: 0, tracking: trackingAt(0) }, { t: 40, tracking: trackingAt(1) }],
+  ...patch,
+});
+
+describe('tracking recording round trip', () => {
+  it('parses back what was recorded, to the saved precision', () => {
+    const recording = record(5);
+    const parsed = parseRecording(serializeRecording(recording));
+
+    expect(parsed.format).toBe(RECORDING_FORMAT);
+    expect(parsed.version).toBe(RECORDING_VERSION);
+    expect(parsed.duration).toBe(132);
+    expect(parsed.frames.map((frame) => frame.t)).toEqual([0, 33, 66, 99, 132]);
+    parsed.frames.forEach((frame, i) => {
+      expect(frame.tracking.face.landmarks[0].x).toBeCloseTo(recording.frames[i].tracking.face.landmarks[0].x, 4);
+      expect(frame.tracking.face.blendShapes.jawOpen).toBeCloseTo(i / 10, 4);
+      expect(frame.micLevel).toBe(i % 2 ? 0.5 : 0);
+      expect(frame.micVisemes).toEqual(i % 2 ? { aa: 0.25 } : null);
+    });
+  });
+
+  it('serializes the same recording to the same text', () => {
+    expect(serializeRecording(record(5))).toBe(serializeRecording(record(5)));
+  });
+
+  it('replays the recorded frames at their times', () => {
+    const recording = parseRecording(serializeRecording(record(5)));
+    expect(replayPosition(recording, 0).frame).toBe(recording.frames[0]);
+    expect(replayPosition(recording, 32).frame).toBe(recording.frames[0]);
+    expect(replayPosition(recording, 33).frame).toBe(recording.frames[1]);
+    expect(replayPosition(recording, 100).frame).toBe(recording.frames[3]);
+    expect(replayPosition(recording, 66).progress).toBeCloseTo(0.5);
+  });
+
+  it('loops, or ends on the last frame without looping', () => {
+    const recording = parseRecording(serializeRecording(record(5)));
+    const looped = replayPosition(recording, 132 + 40);
+    expect(looped.frame).toBe(recording.frames[1]);
+    expect(looped.ended).toBe(false);
+
+    const ended = replayPosition(recording, 200, { loop: false });
+    expect(ended).toEqual({ frame: recording.frames[4], progress: 1, ended: true });
+  });
+
+  it('scales playback time by speed', () => {
+    const recording = parseRecording(serializeRecording(record(5)));
+    expect(replayPosition(recording, 33, { speed: 2 }).frame).toBe(recording.frames[2]);
+  });
+});
+
+describe('frameAt', () => {
+  it('finds the last frame at or before the time', () => {
+    const recording = { frames: [{ t: 0 }, { t: 10 }, { t: 10 }, { t: 30 }] };
+    expect(frameAt(recording, -5)).toBe(recording.frames[0]);
+    expect(frameAt(recording, 10)).toBe(recording.frames[2]);
+    expect(frameAt(recording, 29)).toBe(recording.frames[2]);
+    expect(frameAt(recording, 1000)).toBe(recording.frames[3]);
+  });
+});
+
+describe('parseRecording', () => {
+  it('measures the duration from the frames', () => {
+    expect(parseRecording(recordingText({ duration: 9999 })).duration).toBe(40);
+  });
+
+  it('rejects frames out of time order', () => {
+    const frames = [{ t: 40, tracking: trackingAt(0) }, { t: 0, tracking: trackingAt(1) }];
+    expect(() => parseRecording(recordingText({ frames }))).toThrow('フレームの時刻が不正です');
+  });
+
+  it('rejects frames without a time or tracking data', () => {
+    expect(() => parseRecording(recordingText({ frames: [{ tracking: trackingAt(0) }] }))).toThrow('フレームの時刻が不正です');
+    expect(() => parseRecording(recordingText({ frames: [{ t: 0 }] }))).toThrow('フレームの時刻が不正です');
+    expect(() => parseRecording(recordingText({ frames: [null] }))).toThrow('フレームの時刻が不正です');
+  });
+
+  it('rejects old or unknown versions', () => {
+    expect(() => parseRecording(recordingText({ version: 0 }))).toThrow('未対応のバージョンです: 0');
+    expect(() => parseRecording(recordingText({ version: undefined }))).toThrow('未対応のバージョンです');
+    expect(() => parseRecording(recordingText({ version: RECORDING_VERSION + 1 }))).toThrow('未対応のバージョンです');
+  });
+
+  it('rejects files that are not recordings', () => {
+    expect(() => parseRecording('{not json')).toThrow('JSONとして読み込めません');
+    expect(() => parseRecording('null')).toThrow('トラッキング記録ファイルではありません');
+    expect(() => parseRecording(recordingText({ format: 'something-else' }))).toThrow('トラッキング記録ファイルではありません');
+    expect(() => parseRecording(recordingText({ frames: [] }))).toThrow('フレームがありません');
+    expect(() => parseRecording(recordingText({ frames: {} }))).toThrow('フレームがありません');
+  });
+});
@@ -0,0 +1,77 @@
+// Decides which landmarkers run on each camera frame. Face runs every frame;
+// pose and hands share a stride that grows while inference goes over the
+// frame budget and shrinks when there is room, taking turns on alternate
+// frames. Hands that haven't been seen for a while are only probed now and then.
+
+// Longest stride: pose and hands run at least every MAX_STRIDE frames
+const MAX_STRIDE = 4;
+// Minimum time between stride changes, so one slow frame doesn't flip it
+const ADJUST_INTERVAL_MS = 1000;
+// Stride shrinks once the average cost drops under this share of the budget
+const RELAX_SHARE = 0.6;
+// After this long without hands, hand inference only runs as a probe
+const HANDS_IDLE_MS = 1500;
+const HANDS_PROBE_INTERVAL_MS = 500;
+// Weight of each frame in the cost average
+const COST_SMOOTHING = 0.1;
+
+export const createTrackingScheduler = () => {
+  let frame = 0;
+  let stride = 1;
+  let averageCost = null;
+  let lastAdjustAt = 0;
+  let lastHandsSeenAt = 0;
+  let lastHandsProbeAt = 0;
+
+  return {
+    // enabled: { face, pose, hands }; returns the tasks to run on this frame
+    next(enabled, { adaptive, frameBudgetMs }, now) {
+      if (!adaptive) {
+        return { ...enabled };
+      }
+      frame++;
+      const slot = frame % stride;
+      let hands = enabled.hands && slot === Math.floor(stride / 2);
+      if (enabled.hands && now - lastHandsSeenAt > HANDS_IDLE_MS) {
+        hands = now - lastHandsProbeAt >= HANDS_PROBE_INTERVAL_MS;
+        if (hands) lastHandsProbeAt = now;
+      }
+
+      // Revisit the stride against the budget
+      if (averageCost !== null && now - lastAdjustAt >= ADJUST_INTERVAL_MS) {
+        if (averageCost > frameBudgetMs && stride < MAX_STRIDE) {
+          stride++;
+          lastAdjustAt = now;
+        } else if (averageCost < frameBudgetMs * RELAX_SHARE && stride > 1) {
+          stride--;
+          lastAdjustAt = now;
+        }
+      }
+
+      return { face: enabled.face, pose: enabled.pose && slot === 0, hands };
+    },
+    // Feed back a worker result: inference times and whether hands were seen
+    report({ timings, hands }, now) {
+      const cost = Object.values(timings).reduce((sum, ms) => sum + ms, 0);
+      averageCost = averageCost === null ? cost : averageCost + (cost - averageCost) * COST_SMOOTHING;
+      if (hands && hands.length > 0) {
+        lastHandsSeenAt = now;
+      }
+    },
+    state(now = performance.now()) {
+      return {
+        stride,
+        averageCost,
+        handsIdle: now - lastHandsSeenAt > HANDS_IDLE_MS,
+      };
+    },
+    reset() {
+      frame = 0;
+      stride = 1;
+      averageCost = null;
+      lastAdjustAt = 0;
+      lastHandsSeenAt = 0;
+      lastHandsProbeAt = 0;
+    },
+  };
+};
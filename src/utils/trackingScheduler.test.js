@@ -0,0 +1,124 @@
+import { describe, expect, it } from 'vitest';
+import { createTrackingScheduler } from './trackingScheduler';
+
+const FRAME_MS = 1000 / 30;
+const ALL = { face: true, pose: true, hands: true };
+const ADAPTIVE = { adaptive: true, frameBudgetMs: 30 };
+const HAND = [{ landmarks: [] }];
+
+// Drives a scheduler at 30 fps on a fake clock. Each frame runs the chosen
+// tasks, and the worker reports back `cost` ms of inference for the frame.
+const createRun = ({ options = ADAPTIVE, enabled = ALL } = {}) => {
+  const scheduler = createTrackingScheduler();
+  let now = 0;
+  const frames = (count, { cost = 5, hands = HAND } = {}) => {
+    const tasks = [];
+    for (let i = 0; i < count; i++) {
+      const run = scheduler.next(enabled, options, now);
+      scheduler.report({ timings: { face: cost }, hands: run.hands ? hands : [] }, now);
+      tasks.push(run);
+      now += FRAME_MS;
+    }
+    return tasks;
+  };
+  return { scheduler, frames, now: () => now };
+};
+
+const count = (tasks, task) => tasks.filter((run) => run[task]).length;
+
+describe('createTrackingScheduler', () => {
+  it('runs everything enabled on every frame when not adaptive', () => {
+    const { frames } = createRun({ options: { adaptive: false, frameBudgetMs: 30 }, enabled: { face: true, pose: false, hands: true } });
+    frames(60, { cost: 100 }).forEach((run) => expect(run).toEqual({ face: true, pose: false, hands: true }));
+  });
+
+  it('runs everything on every frame while within budget', () => {
+    const { scheduler, frames, now } = createRun();
+    const tasks = frames(90, { cost: 5 });
+    tasks.forEach((run) => expect(run).toEqual(ALL));
+    expect(scheduler.state(now()).stride).toBe(1);
+  });
+
+  it('never runs disabled tasks', () => {
+    const { frames } = createRun({ enabled: { face: true, pose: false, hands: false } });
+    frames(60).forEach((run) => expect(run).toEqual({ face: true, pose: false, hands: false }));
+  });
+
+  it('widens the stride by one step a second while over budget, up to 4', () => {
+    const { scheduler, frames, now } = createRun();
+    const strides = [];
+    for (let second = 0; second < 6; second++) {
+      frames(30, { cost: 40 });
+      strides.push(scheduler.state(now()).stride);
+    }
+    expect(strides).toEqual([1, 2, 3, 4, 4, 4]);
+  });
+
+  it('keeps face on every frame and takes turns with pose and hands', () => {
+    const { frames } = createRun();
+    // Two seconds over budget: stride 2 (frame 31 adjusts it)
+    frames(31, { cost: 40 });
+    const tasks = frames(10, { cost: 25 });
+    expect(count(tasks, 'face')).toBe(10);
+    expect(count(tasks, 'pose')).toBe(5);
+    expect(count(tasks, 'hands')).toBe(5);
+    tasks.forEach((run) => expect(run.pose && run.hands).toBe(false));
+  });
+
+  it('narrows the stride once well under budget, and holds it in between', () => {
+    const { scheduler, frames, now } = createRun();
+    // Widened at 1 s and 2 s
+    frames(75, { cost: 40 });
+    expect(scheduler.state(now()).stride).toBe(3);
+
+    // Under budget but above 60% of it: no change
+    frames(150, { cost: 25 });
+    expect(scheduler.state(now()).stride).toBe(3);
+
+    const strides = [];
+    for (let second = 0; second < 4; second++) {
+      frames(30, { cost: 2 });
+      strides.push(scheduler.state(now()).stride);
+    }
+    expect(strides).toEqual([2, 1, 1, 1]);
+  });
+
+  it('does not react to a single slow frame', () => {
+    const { scheduler, frames, now } = createRun();
+    frames(40, { cost: 5 });
+    frames(1, { cost: 100 });
+    frames(40, { cost: 5 });
+    expect(scheduler.state(now()).stride).toBe(1);
+  });
+
+  it('only probes for hands every 500 ms after 1.5 s without them', () => {
+    const { scheduler, frames, now } = createRun();
+    frames(30);
+    // The last hand was seen just before this; no hands from here on
+    const tasks = frames(120, { hands: [] });
+    // 1.5 s (45 frames) as usual, then a probe right away and every 500 ms
+    // over the remaining 2.5 s
+    expect(count(tasks.slice(0, 45), 'hands')).toBe(45);
+    expect(tasks[45].hands).toBe(true);
+    expect(count(tasks.slice(46), 'hands')).toBe(4);
+    expect(scheduler.state(now()).handsIdle).toBe(true);
+    tasks.forEach((run) => expect(run.face && run.pose).toBe(true));
+  });
+
+  it('runs hands on every frame again once a probe finds them', () => {
+    const { scheduler, frames, now } = createRun();
+    frames(90, { hands: [] });
+    expect(scheduler.state(now()).handsIdle).toBe(true);
+    // Run until a probe sees a hand
+    frames(15, { hands: HAND });
+    expect(scheduler.state(now()).handsIdle).toBe(false);
+    frames(30).forEach((run) => expect(run.hands).toBe(true));
+  });
+
+  it('starts over on reset', () => {
+    const { scheduler, frames, now } = createRun();
+    frames(90, { cost: 40 });
+    scheduler.reset();
+    expect(scheduler.state(now())).toMatchObject({ stride: 1, averageCost: null });
+  });
+});
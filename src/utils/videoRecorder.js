@@ -0,0 +1,31 @@
+// MediaRecorder formats and settings for avatar video recording
+
+export const RECORDING_FORMATS = [
+  {
+    id: 'webm',
+    label: 'WebM',
+    extension: 'webm',
+    mimeTypes: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'],
+  },
+  {
+    id: 'mp4',
+    label: 'MP4',
+    extension: 'mp4',
+    mimeTypes: ['video/mp4;codecs=avc1,mp4a.40.2', 'video/mp4;codecs=avc1', 'video/mp4'],
+  },
+];
+
+// Video bitrates offered, in Mbps
+export const RECORDING_BITRATES = [2.5, 5, 8, 12, 20];
+
+// The first MIME type of the format this browser can record, or null
+export const supportedMimeType = (formatId) => {
+  const format = RECORDING_FORMATS.find((f) => f.id === formatId);
+  if (!format || typeof MediaRecorder === 'undefined') return null;
+  return format.mimeTypes.find((mimeType) => MediaRecorder.isTypeSupported(mimeType)) || null;
+};
+
+// Timestamped file name, e.g. webvrm-2024-01-31T12-00-00.webm
+export const recordingFileName = (extension, date = new Date()) => (
+  `webvrm-${date.toISOString().slice(0, 19).replace(/:/g, '-')}.${extension}`
+);
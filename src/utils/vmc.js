@@ -0,0 +1,173 @@
+// Virtual Motion Capture (VMC) protocol messages. Converts between the
+// normalized VRM humanoid in three.js and the Unity conventions VMC uses:
+// HumanBodyBones names, a left-handed space and VRM 0.x blend shape names.
+
+export const VMC_DEFAULT_RELAY_URL = 'ws://localhost:39560';
+// Messages per second sent to the relay
+export const VMC_SEND_RATE = 60;
+
+// Unity thumbs are Proximal/Intermediate/Distal, VRM 1.0 thumbs are
+// Metacarpal/Proximal/Distal. The rest only differ in the first letter.
+const THUMB_TO_UNITY = { Metacarpal: 'Proximal', Proximal: 'Intermediate', Distal: 'Distal' };
+const THUMB_FROM_UNITY = { Proximal: 'Metacarpal', Intermediate: 'Proximal', Distal: 'Distal' };
+
+// VRM 0.x preset blend shape names used on the wire, and their VRM 1.0 names
+const BLEND_PRESETS = {
+  A: 'aa',
+  I: 'ih',
+  U: 'ou',
+  E: 'ee',
+  O: 'oh',
+  Blink: 'blink',
+  Blink_L: 'blinkLeft',
+  Blink_R: 'blinkRight',
+  Joy: 'happy',
+  Angry: 'angry',
+  Sorrow: 'sad',
+  Fun: 'relaxed',
+  Surprised: 'surprised',
+  Neutral: 'neutral',
+  LookUp: 'lookUp',
+  LookDown: 'lookDown',
+  LookLeft: 'lookLeft',
+  LookRight: 'lookRight',
+};
+const PRESET_BY_EXPRESSION = Object.fromEntries(Object.entries(BLEND_PRESETS).map(([blend, name]) => [name, blend]));
+
+export const boneNameToUnity = (boneName) => {
+  const thumb = boneName.match(/^(left|right)Thumb(\w+)$/);
+  const name = thumb ? `${thumb[1]}Thumb${THUMB_TO_UNITY[thumb[2]]}` : boneName;
+  return name.charAt(0).toUpperCase() + name.slice(1);
+};
+
+export const boneNameFromUnity = (unityName) => {
+  const thumb = unityName.match(/^(Left|Right)Thumb(\w+)$/);
+  const name = thumb ? `${thumb[1]}Thumb${THUMB_FROM_UNITY[thumb[2]]}` : unityName;
+  return name.charAt(0).toLowerCase() + name.slice(1);
+};
+
+export const blendNameToVmc = (expressionName) => PRESET_BY_EXPRESSION[expressionName] || expressionName;
+
+// Resolve a received blend name against the model's expressions
+export const blendNameFromVmc = (blendName, expressionNames) => {
+  const preset = BLEND_PRESETS[blendName] || blendName;
+  if (expressionNames.includes(preset)) return preset;
+  const lower = blendName.toLowerCase();
+  return expressionNames.find((name) => name.toLowerCase() === lower)
+    || expressionNames.find((name) => name.toLowerCase() === preset.toLowerCase())
+    || null;
+};
+
+// Convert a rotation between three.js and Unity. VRM 1.0 models face +Z in
+// three.js, VRM 0.x models face -Z; in Unity both face +Z. Each conversion is
+// its own inverse, so the same function is used in both directions.
+export const convertRotation = ([x, y, z, w], metaVersion) => (
+  metaVersion === '0' ? [-x, -y, z, w] : [x, -y, -z, w]
+);
+
+export const convertPosition = ([x, y, z], metaVersion) => (
+  metaVersion === '0' ? [x, y, -z] : [-x, y, z]
+);
+
+// Build the VMC messages for one frame of the posed avatar
+export const createVmcMessages = (vrm, time) => {
+  const { scene, humanoid, expressionManager } = vrm;
+  const metaVersion = vrm.meta ? vrm.meta.metaVersion : '1';
+  const messages = [
+    { address: '/VMC/Ext/OK', args: [{ type: 'i', value: 1 }] },
+    { address: '/VMC/Ext/T', args: [time] },
+    {
+      address: '/VMC/Ext/Root/Pos',
+      args: [
+        'root',
+        ...convertPosition(scene.position.toArray(), metaVersion),
+        ...convertRotation(scene.quaternion.toArray(), metaVersion),
+      ],
+    },
+  ];
+
+  if (humanoid) {
+    Object.keys(humanoid.humanBones).forEach((boneName) => {
+      const node = humanoid.getNormalizedBoneNode(boneName);
+      if (!node) return;
+      messages.push({
+        address: '/VMC/Ext/Bone/Pos',
+        args: [
+          boneNameToUnity(boneName),
+          ...convertPosition(node.position.toArray(), metaVersion),
+          ...convertRotation(node.quaternion.toArray(), metaVersion),
+        ],
+      });
+    });
+  }
+
+  if (expressionManager) {
+    Object.keys(expressionManager.expressionMap).forEach((name) => {
+      messages.push({ address: '/VMC/Ext/Blend/Val', args: [blendNameToVmc(name), expressionManager.getValue(name)] });
+    });
+    messages.push({ address: '/VMC/Ext/Blend/Apply', args: [] });
+  }
+  return messages;
+};
+
+// Accumulates received VMC messages. Bone rotations take effect as they
+// arrive; blend values are held until Blend/Apply, as the protocol specifies.
+export const createVmcReceiver = () => {
+  const bones = {};
+  const pendingBlends = {};
+  let blends = {};
+  let lastReceivedAt = 0;
+
+  const handle = ({ address, args }) => {
+    lastReceivedAt = performance.now();
+    switch (address) {
+      case '/VMC/Ext/Bone/Pos':
+        if (args.length >= 8) bones[boneNameFromUnity(args[0])] = args.slice(4, 8);
+        break;
+      case '/VMC/Ext/Blend/Val':
+        if (args.length >= 2) pendingBlends[args[0]] = args[1];
+        break;
+      case '/VMC/Ext/Blend/Apply':
+        blends = { ...blends, ...pendingBlends };
+        Object.keys(pendingBlends).forEach((name) => delete pendingBlends[name]);
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Drive the avatar with the latest received pose
+  const apply = (vrm) => {
+    const { humanoid, expressionManager } = vrm;
+    const metaVersion = vrm.meta ? vrm.meta.metaVersion : '1';
+    if (humanoid) {
+      Object.entries(bones).forEach(([boneName, rotation]) => {
+        const node = humanoid.getNormalizedBoneNode(boneName);
+        if (node) node.quaternion.fromArray(convertRotation(rotation, metaVersion));
+      });
+    }
+    if (expressionManager) {
+      const expressionNames = Object.keys(expressionManager.expressionMap);
+      Object.entries(blends).forEach(([blendName, value]) => {
+        const name = blendNameFromVmc(blendName, expressionNames);
+        if (name) expressionManager.setValue(name, value);
+      });
+    }
+  };
+
+  const reset = () => {
+    Object.keys(bones).forEach((name) => delete bones[name]);
+    Object.keys(pendingBlends).forEach((name) => delete pendingBlends[name]);
+    blends = {};
+    lastReceivedAt = 0;
+  };
+
+  return {
+    handle,
+    apply,
+    reset,
+    get bones() { return bones; },
+    get blends() { return blends; },
+    get lastReceivedAt() { return lastReceivedAt; },
+  };
+};
@@ -0,0 +1,199 @@
+// Vowel estimation for lip sync. Works on dB magnitude spectra as produced by
+// AnalyserNode.getFloatFrequencyData, or on raw samples via spectrumFromSamples
+// so recordings can be analyzed offline.
+
+export const VISEMES = ['aa', 'ih', 'ou', 'ee', 'oh'];
+
+// Typical first/second formants (Hz) of Japanese vowels
+const VOWEL_FORMANTS = {
+  aa: [800, 1200],
+  ih: [300, 2300],
+  ou: [350, 1400],
+  ee: [500, 1900],
+  oh: [500, 850],
+};
+
+const F1_RANGE = [200, 1000];
+const F2_RANGE = [700, 3000];
+const SPEECH_BAND = [100, 4000];
+// Envelope smoothing width in Hz, wide enough to merge voice harmonics
+const ENVELOPE_WIDTH = 150;
+// Spread of each vowel region in octaves
+const VOWEL_SPREAD = 0.35;
+// Band level (dB) mapped to volume 0 and 1
+const SILENCE_DB = -70;
+const LOUD_DB = -30;
+
+const EMPTY_VISEMES = { aa: 0, ih: 0, ou: 0, ee: 0, oh: 0 };
+
+// Estimate volume (0-1), formants and viseme weights (sum to the volume) from
+// one dB magnitude spectrum covering 0..sampleRate/2
+export const estimateVowels = (spectrum, sampleRate) => {
+  const binWidth = sampleRate / 2 / spectrum.length;
+  const volume = bandVolume(spectrum, binWidth);
+  if (volume === 0) {
+    return { volume, formants: null, visemes: { ...EMPTY_VISEMES } };
+  }
+
+  const envelope = smoothSpectrum(spectrum, Math.max(1, Math.round(ENVELOPE_WIDTH / binWidth / 2)));
+  const f1 = findPeak(envelope, binWidth, F1_RANGE[0], F1_RANGE[1]);
+  const f2 = f1 && findPeak(envelope, binWidth, Math.max(F2_RANGE[0], f1 + 200), F2_RANGE[1]);
+  if (!f1 || !f2) {
+    // Voiced but no clear formants: fall back to a neutral open mouth
+    return { volume, formants: null, visemes: { ...EMPTY_VISEMES, aa: volume } };
+  }
+
+  const scores = {};
+  let total = 0;
+  VISEMES.forEach((viseme) => {
+    const [v1, v2] = VOWEL_FORMANTS[viseme];
+    const d1 = Math.log2(f1 / v1);
+    const d2 = Math.log2(f2 / v2);
+    scores[viseme] = Math.exp(-(d1 * d1 + d2 * d2) / (2 * VOWEL_SPREAD * VOWEL_SPREAD));
+    total += scores[viseme];
+  });
+
+  const visemes = {};
+  VISEMES.forEach((viseme) => {
+    visemes[viseme] = total > 0 ? (scores[viseme] / total) * volume : 0;
+  });
+  return { volume, formants: { f1, f2 }, visemes };
+};
+
+// Viseme weights implied by MediaPipe mouth blendshapes
+export const visemesFromBlendShapes = (blendShapes) => {
+  const jawOpen = blendShapes.jawOpen || 0;
+  const funnel = blendShapes.mouthFunnel || 0;
+  const pucker = blendShapes.mouthPucker || 0;
+  const stretch = ((blendShapes.mouthStretchLeft || 0) + (blendShapes.mouthStretchRight || 0)) / 2;
+  const smile = ((blendShapes.mouthSmileLeft || 0) + (blendShapes.mouthSmileRight || 0)) / 2;
+  const rounded = Math.max(funnel, pucker);
+
+  return {
+    aa: clamp01(jawOpen * (1 - rounded) * (1 - stretch)),
+    ih: clamp01(Math.max(stretch, smile) * (1 - jawOpen) * (1 - rounded)),
+    ou: clamp01(pucker * (1 - jawOpen)),
+    ee: clamp01(Math.max(stretch, smile) * jawOpen * 2),
+    oh: clamp01(funnel * jawOpen * 2),
+  };
+};
+
+// Blend audio and visual visemes. The louder the microphone, the more the
+// audio estimate wins; without audio the camera drives the mouth alone.
+export const blendVisemes = (audio, visual, audioWeight) => {
+  const result = {};
+  VISEMES.forEach((viseme) => {
+    const a = audio ? audio[viseme] || 0 : 0;
+    const v = visual ? visual[viseme] || 0 : 0;
+    result[viseme] = clamp01(a * audioWeight + v * (1 - audioWeight));
+  });
+  return result;
+};
+
+// Smooth viseme weights over time with separate attack and release rates
+export const createVisemeSmoother = ({ attack = 0.6, release = 0.25 } = {}) => {
+  const state = { ...EMPTY_VISEMES };
+  return (visemes) => {
+    VISEMES.forEach((viseme) => {
+      const target = visemes[viseme] || 0;
+      const rate = target > state[viseme] ? attack : release;
+      state[viseme] += (target - state[viseme]) * rate;
+    });
+    return { ...state };
+  };
+};
+
+// dB magnitude spectrum of a block of samples (length must be a power of two),
+// Hann-windowed like AnalyserNode
+export const spectrumFromSamples = (samples) => {
+  const n = samples.length;
+  const re = new Float32Array(n);
+  const im = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    re[i] = samples[i] * 0.5 * (1 - Math.cos((2 * Math.PI * i) / n));
+  }
+  fft(re, im);
+
+  const spectrum = new Float32Array(n / 2);
+  for (let i = 0; i < n / 2; i++) {
+    const magnitude = Math.hypot(re[i], im[i]) / n;
+    spectrum[i] = 20 * Math.log10(magnitude + 1e-12);
+  }
+  return spectrum;
+};
+
+function bandVolume(spectrum, binWidth) {
+  const start = Math.floor(SPEECH_BAND[0] / binWidth);
+  const end = Math.min(spectrum.length, Math.ceil(SPEECH_BAND[1] / binWidth));
+  let power = 0;
+  for (let i = start; i < end; i++) {
+    if (Number.isFinite(spectrum[i])) power += Math.pow(10, spectrum[i] / 10);
+  }
+  const db = 10 * Math.log10(power / Math.max(1, end - start) + 1e-12);
+  return clamp01((db - SILENCE_DB) / (LOUD_DB - SILENCE_DB));
+}
+
+function smoothSpectrum(spectrum, radius) {
+  const envelope = new Float32Array(spectrum.length);
+  for (let i = 0; i < spectrum.length; i++) {
+    let sum = 0;
+    let count = 0;
+    for (let j = Math.max(0, i - radius); j <= Math.min(spectrum.length - 1, i + radius); j++) {
+      if (Number.isFinite(spectrum[j])) {
+        sum += spectrum[j];
+        count++;
+      }
+    }
+    envelope[i] = count > 0 ? sum / count : -Infinity;
+  }
+  return envelope;
+}
+
+// Frequency of the strongest local maximum between minHz and maxHz
+function findPeak(envelope, binWidth, minHz, maxHz) {
+  const start = Math.max(1, Math.floor(minHz / binWidth));
+  const end = Math.min(envelope.length - 1, Math.ceil(maxHz / binWidth));
+  let best = -1;
+  for (let i = start; i < end; i++) {
+    if (envelope[i] >= envelope[i - 1] && envelope[i] >= envelope[i + 1]
+      && (best < 0 || envelope[i] > envelope[best])) {
+      best = i;
+    }
+  }
+  return best < 0 ? null : best * binWidth;
+}
+
+// In-place iterative radix-2 FFT
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
@@ -0,0 +1,49 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { VISEMES, estimateVowels, spectrumFromSamples } from './vowelAnalyzer';
+
+// Synthetic vowels, see scripts/generate-vowel-fixtures.js
+const fixture = (viseme) => decodeWav(readFileSync(new URL(`./__fixtures__/vowels/${viseme}.wav`, import.meta.url)));
+
+// Analysis block, as with the AnalyserNode's fftSize
+const BLOCK_SIZE = 2048;
+
+describe('estimateVowels on WAV fixtures', () => {
+  VISEMES.forEach((viseme) => {
+    it(`picks ${viseme} for the ${viseme} recording`, () => {
+      const { sampleRate, samples } = fixture(viseme);
+      const start = Math.floor((samples.length - BLOCK_SIZE) / 2);
+      const { volume, visemes } = estimateVowels(spectrumFromSamples(samples.subarray(start, start + BLOCK_SIZE)), sampleRate);
+
+      expect(volume).toBeGreaterThan(0);
+      const dominant = VISEMES.reduce((best, name) => (visemes[name] > visemes[best] ? name : best));
+      expect(dominant).toBe(viseme);
+    });
+  });
+
+  it('is silent on silence', () => {
+    const { volume, visemes } = estimateVowels(spectrumFromSamples(new Float32Array(BLOCK_SIZE)), 16000);
+    expect(volume).toBe(0);
+    VISEMES.forEach((viseme) => expect(visemes[viseme]).toBe(0));
+  });
+});
+
+// 16-bit PCM mono WAV to samples in [-1, 1]
+function decodeWav(buffer) {
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  let offset = 12;
+  let sampleRate = null;
+  while (offset < view.byteLength) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = view.getUint32(offset + 4, true);
+    if (id === 'fmt ') {
+      sampleRate = view.getUint32(offset + 12, true);
+    } else if (id === 'data') {
+      const samples = new Float32Array(size / 2);
+      for (let i = 0; i < samples.length; i++) samples[i] = view.getInt16(offset + 8 + i * 2, true) / 32768;
+      return { sampleRate, samples };
+    }
+    offset += 8 + size;
+  }
+  throw new Error('No data chunk');
+}
@@ -0,0 +1,125 @@
+import { FaceLandmarker, FilesetResolver, HandLandmarker, PoseLandmarker } from '@mediapipe/tasks-vision';
+import {
+  DEFAULT_TRACKING_QUALITY,
+  TRACKING_MODELS,
+  TRACKING_QUALITY_TIERS,
+  VISION_WASM_DIR,
+} from '../utils/trackingModels';
+
+// MediaPipe inference off the main thread. The page posts video frames
+// (VideoFrame or ImageBitmap, transferred) and gets raw landmark results
+// back with per-task inference times.
+//
+// In:  { type: 'init', tasks: { face, pose, hands }, quality, delegate }
+//      { type: 'frame', frame, timestamp, tasks: { face, pose, hands } }
+// Out: { type: 'ready' } | { type: 'init-error', message }
+//      { type: 'error', timestamp, message }
+//      { type: 'result', timestamp, face, pose, hands, ran, timings }
+//
+// The frame's tasks pick which landmarkers run; ran tells which did, so a
+// skipped task's null result isn't mistaken for "nothing detected".
+
+const landmarkers = { face: null, pose: null, hands: null };
+
+// Tracking assets are served by the app itself (see trackingModels)
+const assetUrl = (path) => new URL(`${import.meta.env.BASE_URL}${path}`, self.location.origin).href;
+
+self.onmessage = async ({ data }) => {
+  if (data.type === 'init') {
+    try {
+      await init(data.tasks, data.quality, data.delegate);
+      self.postMessage({ type: 'ready' });
+    } catch (error) {
+      self.postMessage({ type: 'init-error', message: error.message || String(error) });
+    }
+  } else if (data.type === 'frame') {
+    try {
+      self.postMessage({ type: 'result', timestamp: data.timestamp, ...detect(data.frame, data.timestamp, data.tasks) });
+    } catch (error) {
+      self.postMessage({ type: 'error', timestamp: data.timestamp, message: error.message || String(error) });
+    } finally {
+      data.frame.close();
+    }
+  }
+};
+
+async function init(tasks, quality, delegate) {
+  Object.values(landmarkers).forEach((landmarker) => landmarker && landmarker.close());
+  // The ES module build of the runtime is the one that loads in a module worker
+  const vision = await FilesetResolver.forVisionTasks(assetUrl(VISION_WASM_DIR), true);
+  const tier = TRACKING_QUALITY_TIERS[quality] || TRACKING_QUALITY_TIERS[DEFAULT_TRACKING_QUALITY];
+
+  landmarkers.face = tasks.face ? await FaceLandmarker.createFromOptions(vision, {
+    baseOptions: { modelAssetPath: assetUrl(TRACKING_MODELS.face), delegate },
+    runningMode: 'VIDEO',
+    numFaces: 1,
+    outputFaceBlendshapes: true,
+    outputFacialTransformationMatrixes: true,
+  }) : null;
+
+  landmarkers.pose = tasks.pose ? await PoseLandmarker.createFromOptions(vision, {
+    baseOptions: { modelAssetPath: assetUrl(TRACKING_MODELS.pose[tier.poseModel]), delegate },
+    runningMode: 'VIDEO',
+    numPoses: 1,
+  }) : null;
+
+  landmarkers.hands = tasks.hands ? await HandLandmarker.createFromOptions(vision, {
+    baseOptions: { modelAssetPath: assetUrl(TRACKING_MODELS.hands), delegate },
+    runningMode: 'VIDEO',
+    numHands: 2,
+  }) : null;
+}
+
+function detect(frame, timestamp, tasks) {
+  const timings = {};
+  const ran = {
+    face: Boolean(tasks.face && landmarkers.face),
+    pose: Boolean(tasks.pose && landmarkers.pose),
+    hands: Boolean(tasks.hands && landmarkers.hands),
+  };
+  const result = { face: null, pose: null, hands: null, ran, timings };
+
+  if (ran.face) {
+    const start = performance.now();
+    const faceResults = landmarkers.face.detectForVideo(frame, timestamp);
+    timings.face = performance.now() - start;
+    if (faceResults.faceLandmarks.length > 0) {
+      const blendShapes = {};
+      if (faceResults.faceBlendshapes.length > 0) {
+        faceResults.faceBlendshapes[0].categories.forEach((category) => {
+          blendShapes[category.categoryName] = category.score;
+        });
+      }
+      result.face = {
+        matrix: faceResults.facialTransformationMatrixes.length > 0 ? faceResults.facialTransformationMatrixes[0].data : null,
+        blendShapes,
+      };
+    }
+  }
+
+  if (ran.pose) {
+    const start = performance.now();
+    const poseResults = landmarkers.pose.detectForVideo(frame, timestamp);
+    timings.pose = performance.now() - start;
+    if (poseResults.landmarks.length > 0) {
+      result.pose = {
+        landmarks: poseResults.landmarks[0],
+        worldLandmarks: poseResults.worldLandmarks.length > 0 ? poseResults.worldLandmarks[0] : [],
+      };
+    }
+  }
+
+  if (ran.hands) {
+    const start = performance.now();
+    const handResults = landmarkers.hands.detectForVideo(frame, timestamp);
+    timings.hands = performance.now() - start;
+    result.hands = handResults.landmarks.map((landmarks, index) => ({
+      handedness: handResults.handedness[index][0].categoryName,
+      score: handResults.handedness[index][0].score,
+      landmarks,
+      worldLandmarks: handResults.worldLandmarks[index] || [],
+    }));
+  }
+
+  return result;
+}
@@ -1,8 +1,50 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import {
+  TRACKING_ASSET_DIR,
+  TRACKING_MODEL_FILES,
+  VISION_WASM_DIR,
+  VISION_WASM_FILES
+} from './src/utils/trackingModels.js'
+
+// Identifies a build; the service worker is registered with it so every
+// deploy installs a fresh precache
+const BUILD_ID = Date.now().toString(36)
+
+// What the service worker caches on install: the app shell (built bundles
+// and static files in public/) must all be there; the tracking runtime and
+// models are cached when present (npm run fetch-assets)
+const SHELL_FILES = ['index.html', 'manifest.webmanifest', 'icon.svg']
+const TRACKING_FILES = [
+  ...VISION_WASM_FILES.map((file) => `${VISION_WASM_DIR}/${file}`),
+  ...Object.values(TRACKING_MODEL_FILES).map(({ file }) => `${TRACKING_ASSET_DIR}/models/${file}`)
+]
+
+const precacheManifest = () => ({
+  name: 'webvrm-precache-manifest',
+  apply: 'build',
+  generateBundle(options, bundle) {
+    this.emitFile({
+      type: 'asset',
+      fileName: 'precache-manifest.json',
+      source: JSON.stringify({
+        build: BUILD_ID,
+        shell: [...new Set([...SHELL_FILES, ...Object.keys(bundle)])],
+        tracking: TRACKING_FILES
+      }, null, 2)
+    })
+  }
+})
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
+  define: {
+    __BUILD_ID__: JSON.stringify(BUILD_ID)
+  },
+  // The tracking worker imports tasks-vision, so it has to be a module worker
+  worker: {
+    format: 'es'
+  },
   optimizeDeps: {
     exclude: ['@mediapipe/tasks-vision']
   },